@@ -0,0 +1,47 @@
+import logger from '../../utils/logger.js';
+import * as blogArticleRepository from '../../database/repositories/blogArticleRepository.js';
+
+/**
+ * Get a domain's blog articles
+ * The list leaves out the article text; ?url= returns that article with its full text
+ */
+export const getBlogArticles = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { url } = req.query;
+
+    if (url !== undefined && !/^https?:\/\/\S+$/i.test(url)) {
+      return res.status(400).json({ error: 'Validation Error', details: [{ msg: 'url must be an absolute http(s) URL' }] });
+    }
+
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+    const stored = await blogArticleRepository.getArticlesByDomain(normalizedDomain, { url: url || null, includeText: Boolean(url) });
+    if (!stored || stored.articles.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: url
+          ? `Article ${url} not found for ${normalizedDomain}`
+          : `No blog articles found for ${normalizedDomain}. Run a scrape with the blog extractor.`
+      });
+    }
+
+    if (url) {
+      return res.status(200).json({ domain: normalizedDomain, article: stored.articles[0] });
+    }
+
+    return res.status(200).json({
+      domain: normalizedDomain,
+      articleCount: stored.articles.length,
+      withContentCount: stored.articles.filter(article => article.wordCount !== null).length,
+      articles: stored.articles
+    });
+  } catch (error) {
+    logger.error(`Error getting blog articles: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get blog articles'
+    });
+  }
+};
@@ -0,0 +1,54 @@
+import logger from '../../utils/logger.js';
+import * as bookCatalogueRepository from '../../database/repositories/bookCatalogueRepository.js';
+import { toIsbn13 } from '../../utils/isbnUtils.js';
+
+/**
+ * Get a domain's book catalogue
+ * Works with their editions; ?isbn= narrows it to the work that edition belongs to
+ */
+export const getBookCatalogue = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { isbn } = req.query;
+
+    const isbn13 = isbn !== undefined ? toIsbn13(isbn) : null;
+    if (isbn !== undefined && !isbn13) {
+      return res.status(400).json({ error: 'Validation Error', details: [{ msg: 'isbn must be a valid ISBN-10 or ISBN-13' }] });
+    }
+
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+    const stored = await bookCatalogueRepository.getCatalogueByDomain(normalizedDomain);
+    if (!stored || stored.books.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No book catalogue found for ${normalizedDomain}. Run a scrape with the catalogue extractor.`
+      });
+    }
+
+    const books = isbn13
+      ? stored.books.filter(book => book.editions.some(edition => edition.isbn13 === isbn13))
+      : stored.books;
+
+    if (isbn13 && books.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `ISBN ${isbn13} is not in the catalogue for ${normalizedDomain}`
+      });
+    }
+
+    return res.status(200).json({
+      domain: normalizedDomain,
+      bookCount: books.length,
+      editionCount: books.reduce((total, book) => total + book.editions.length, 0),
+      books
+    });
+  } catch (error) {
+    logger.error(`Error getting book catalogue: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get book catalogue'
+    });
+  }
+};
@@ -0,0 +1,86 @@
+import logger from '../../utils/logger.js';
+import * as snapshotService from '../../services/snapshotService.js';
+import * as crawlSnapshotRepository from '../../database/repositories/crawlSnapshotRepository.js';
+
+/**
+ * List the crawl snapshots available for a domain
+ */
+export const listSnapshots = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { limit = 20, offset = 0 } = req.query;
+    
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    
+    const snapshots = await crawlSnapshotRepository.listSnapshots(
+      normalizedDomain,
+      parseInt(limit) || 20,
+      parseInt(offset) || 0
+    );
+    
+    return res.status(200).json({
+      domain: normalizedDomain,
+      snapshots,
+      count: snapshots.length
+    });
+  } catch (error) {
+    logger.error(`Error listing snapshots: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list snapshots'
+    });
+  }
+};
+
+/**
+ * Get the changes between two crawls of a domain
+ * ?from=<jobId>&to=<jobId>; "to" defaults to the latest crawl and "from" to the crawl before "to"
+ */
+export const getDomainChanges = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { from, to } = req.query;
+    
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    
+    let toSnapshot;
+    if (to) {
+      toSnapshot = await crawlSnapshotRepository.getSnapshotByJobId(to);
+    } else {
+      [toSnapshot] = await crawlSnapshotRepository.getLatestSnapshots(normalizedDomain, 1);
+    }
+    
+    if (!toSnapshot || toSnapshot.domain !== normalizedDomain) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: to ? `No snapshot found for job ${to} on ${normalizedDomain}` : `No crawl snapshots found for ${normalizedDomain}`
+      });
+    }
+    
+    const fromSnapshot = from
+      ? await crawlSnapshotRepository.getSnapshotByJobId(from)
+      : await crawlSnapshotRepository.getPreviousSnapshot(toSnapshot);
+    
+    if (!fromSnapshot || fromSnapshot.domain !== normalizedDomain) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: from ? `No snapshot found for job ${from} on ${normalizedDomain}` : `No earlier crawl of ${normalizedDomain} to compare with`
+      });
+    }
+    
+    const changes = snapshotService.diffSnapshots(fromSnapshot, toSnapshot);
+    
+    return res.status(200).json({
+      domain: normalizedDomain,
+      ...changes
+    });
+  } catch (error) {
+    logger.error(`Error getting domain changes: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get domain changes'
+    });
+  }
+};
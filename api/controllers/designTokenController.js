@@ -0,0 +1,50 @@
+import logger from '../../utils/logger.js';
+import * as designTokenRepository from '../../database/repositories/designTokenRepository.js';
+import { buildDesignTokens } from '../../services/contentExtractors/typographyExtractor.js';
+
+/**
+ * Get a domain's W3C design tokens (DTCG format)
+ * Typography tokens come from the typography extractor, colors from domain_colors
+ * ?format=tokens returns the bare token document, otherwise typography details are included
+ */
+export const getDesignTokens = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { format } = req.query;
+    
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    
+    const stored = await designTokenRepository.getDesignTokensByDomain(normalizedDomain);
+    if (!stored || (!stored.typography && !stored.colors)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No design tokens found for ${normalizedDomain}. Run a scrape with the typography and colors extractors.`
+      });
+    }
+    
+    // Fill in color tokens from domain_colors when the typography run didn't have any
+    let tokens = stored.tokens || {};
+    if (!tokens.color && stored.colors?.primaryColor) {
+      const { color } = buildDesignTokens({ typefaces: [], scale: {}, borderRadius: {} }, stored.colors);
+      tokens = { color, ...tokens };
+    }
+    
+    if (format === 'tokens') {
+      return res.status(200).json(tokens);
+    }
+    
+    return res.status(200).json({
+      domain: normalizedDomain,
+      updatedAt: stored.updatedAt,
+      typography: stored.typography,
+      tokens
+    });
+  } catch (error) {
+    logger.error(`Error getting design tokens: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get design tokens'
+    });
+  }
+};
@@ -0,0 +1,25 @@
+import logger from '../../utils/logger.js';
+import * as extractorRegistry from '../../services/extractorRegistry.js';
+
+/**
+ * List the registered content extractors
+ */
+export const listExtractors = async (req, res) => {
+  try {
+    const extractors = extractorRegistry.listExtractors();
+    
+    return res.status(200).json({
+      extractors,
+      defaults: extractorRegistry.getDefaultExtractorNames(),
+      inputs: Object.fromEntries(
+        Object.entries(extractorRegistry.EXTRACTOR_INPUTS).map(([name, input]) => [name, input.description])
+      )
+    });
+  } catch (error) {
+    logger.error(`Error listing extractors: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list extractors'
+    });
+  }
+};
@@ -0,0 +1,82 @@
+import logger from '../../utils/logger.js';
+import * as objectStorage from '../../services/objectStorage.js';
+import * as logoRepository from '../../database/repositories/logoRepository.js';
+
+const LOGO_VARIANTS = ['svg', 'raster'];
+
+/**
+ * Get a domain's logo
+ * Returns the stored SVG and raster variants, or with ?variant=svg|raster the image itself
+ */
+export const getDomainLogo = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { variant } = req.query;
+    
+    if (variant !== undefined && !LOGO_VARIANTS.includes(variant)) {
+      return res.status(400).json({ error: 'Validation Error', details: [{ msg: `variant must be one of: ${LOGO_VARIANTS.join(', ')}` }] });
+    }
+    
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    
+    const stored = await logoRepository.getLogosByDomain(normalizedDomain);
+    if (!stored || (!stored.logos.svg && !stored.logos.raster)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No logo found for ${normalizedDomain}. Run a scrape with the logo extractor.`
+      });
+    }
+    
+    if (variant) {
+      const logo = stored.logos[variant];
+      const body = logo ? await objectStorage.getObject(logo.storageKey, logo.storageDriver) : null;
+      if (!body) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `No ${variant} logo stored for ${normalizedDomain}`
+        });
+      }
+      
+      res.set('Content-Type', logo.contentType || 'application/octet-stream');
+      res.set('Cache-Control', 'private, max-age=86400');
+      // SVGs come from third-party sites, don't let them run scripts when opened directly
+      if (logo.format === 'svg') {
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+      }
+      return res.status(200).send(body);
+    }
+    
+    const describe = (name) => {
+      const logo = stored.logos[name];
+      if (!logo) return null;
+      
+      return {
+        source: logo.source,
+        sourceUrl: logo.url,
+        kind: logo.kind,
+        format: logo.format,
+        width: logo.width,
+        height: logo.height,
+        contentType: logo.contentType,
+        byteSize: logo.byteSize,
+        updatedAt: logo.updatedAt,
+        imageUrl: `/api/domain/${encodeURIComponent(normalizedDomain)}/logo?variant=${name}`
+      };
+    };
+    
+    return res.status(200).json({
+      domain: normalizedDomain,
+      logos: {
+        svg: describe('svg'),
+        raster: describe('raster')
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting logo: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get logo'
+    });
+  }
+};
@@ -0,0 +1,243 @@
+import { validationResult } from 'express-validator';
+import logger from '../../utils/logger.js';
+import { getNextRun } from '../../utils/cron.js';
+import * as crawlScheduleRepository from '../../database/repositories/crawlScheduleRepository.js';
+import * as extractorRegistry from '../../services/extractorRegistry.js';
+import * as interceptionProfiles from '../../services/interceptionProfiles.js';
+import * as screenshotService from '../../services/screenshotService.js';
+
+/**
+ * Normalize a domain the same way job lookups do
+ */
+const normalizeDomain = (domain) => domain.trim().replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+/**
+ * Work out the next run for a cron expression, or null if the expression is invalid
+ */
+const computeNextRun = (cronExpression) => {
+  try {
+    return getNextRun(cronExpression);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check the job params of a schedule the way POST /api/scrape checks a job's
+ * @returns {Array<string>} - Error messages, empty if the params can be used
+ */
+const validateScheduleParams = (params) => {
+  const errors = [];
+
+  const unknownExtractors = extractorRegistry.findUnknownExtractors(Array.isArray(params.extractors) ? params.extractors : []);
+  if (unknownExtractors.length > 0) {
+    errors.push(`Unknown extractors: ${unknownExtractors.join(', ')}. See GET /api/extractors for the available extractors.`);
+  }
+
+  if (params.renderProfile !== undefined && params.renderProfile !== null && !interceptionProfiles.isKnownProfile(params.renderProfile)) {
+    const available = interceptionProfiles.listProfiles().map(profile => profile.name).join(', ');
+    errors.push(`Unknown renderProfile "${params.renderProfile}". Available profiles: ${available}.`);
+  }
+
+  errors.push(...screenshotService.validateOptions(params.screenshots));
+
+  return errors;
+};
+
+/**
+ * List recrawl schedules
+ */
+export const listSchedules = async (req, res) => {
+  try {
+    const { domain, limit = 50, offset = 0 } = req.query;
+    
+    const schedules = await crawlScheduleRepository.listSchedules({
+      domain: domain ? normalizeDomain(domain) : undefined,
+      limit: parseInt(limit) || 50,
+      offset: parseInt(offset) || 0
+    });
+    
+    return res.status(200).json({
+      schedules,
+      count: schedules.length
+    });
+  } catch (error) {
+    logger.error(`Error listing schedules: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list schedules'
+    });
+  }
+};
+
+/**
+ * Get a single recrawl schedule
+ */
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await crawlScheduleRepository.getSchedule(parseInt(req.params.scheduleId));
+    
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+    
+    return res.status(200).json(schedule);
+  } catch (error) {
+    logger.error(`Error getting schedule: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get schedule'
+    });
+  }
+};
+
+/**
+ * Create a recrawl schedule for a domain
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+    
+    const { domain, cron, params = {}, enabled = true } = req.body;
+    
+    const paramErrors = validateScheduleParams(params);
+    if (paramErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: paramErrors.map(msg => ({ msg }))
+      });
+    }
+    
+    const nextRunAt = computeNextRun(cron);
+    if (!nextRunAt) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: [{ msg: `Invalid cron expression "${cron}"` }]
+      });
+    }
+    
+    const schedule = await crawlScheduleRepository.createSchedule({
+      domain: normalizeDomain(domain),
+      cronExpression: cron.trim(),
+      params,
+      enabled: enabled !== false,
+      nextRunAt
+    });
+    
+    logger.info(`Created recrawl schedule ${schedule.id} for ${schedule.domain} (${schedule.cronExpression})`);
+    return res.status(201).json(schedule);
+  } catch (error) {
+    logger.error(`Error creating schedule: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create schedule'
+    });
+  }
+};
+
+/**
+ * Update a recrawl schedule
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        details: errors.array() 
+      });
+    }
+    
+    const id = parseInt(req.params.scheduleId);
+    const existing = await crawlScheduleRepository.getSchedule(id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+    
+    const { cron, params, enabled } = req.body;
+    const changes = {};
+    
+    if (cron !== undefined) {
+      const nextRunAt = computeNextRun(cron);
+      if (!nextRunAt) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: [{ msg: `Invalid cron expression "${cron}"` }]
+        });
+      }
+      changes.cronExpression = cron.trim();
+      changes.nextRunAt = nextRunAt;
+    }
+    
+    if (params !== undefined) {
+      const paramErrors = validateScheduleParams(params);
+      if (paramErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: paramErrors.map(msg => ({ msg }))
+        });
+      }
+      changes.params = params;
+    }
+    
+    if (enabled !== undefined) {
+      changes.enabled = enabled === true;
+      
+      // Re-enabling starts from the next future run rather than catching up
+      if (changes.enabled && !existing.enabled && !changes.nextRunAt) {
+        changes.nextRunAt = computeNextRun(existing.cronExpression);
+      }
+    }
+    
+    const schedule = await crawlScheduleRepository.updateSchedule(id, changes);
+    return res.status(200).json(schedule);
+  } catch (error) {
+    logger.error(`Error updating schedule: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update schedule'
+    });
+  }
+};
+
+/**
+ * Delete a recrawl schedule
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const deleted = await crawlScheduleRepository.deleteSchedule(parseInt(req.params.scheduleId));
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Schedule not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    logger.error(`Error deleting schedule: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete schedule'
+    });
+  }
+};
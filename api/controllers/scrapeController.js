@@ -2,6 +2,9 @@ import { validationResult } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 import * as scrapeManager from '../../services/scrapeManager.js';
+import * as extractorRegistry from '../../services/extractorRegistry.js';
+import * as interceptionProfiles from '../../services/interceptionProfiles.js';
+import * as screenshotService from '../../services/screenshotService.js';
 
 /**
  * Initiate a new scrape job
@@ -38,10 +41,47 @@ export const initiateScrape = async (req, res) => {
         params.priority = 'normal';
         logger.warn(`Invalid priority provided, defaulting to normal.`);
     }
-    // Default extractors
-    params.extractors = params.extractors || ['general'];
+    // Default extractors, and reject names the registry doesn't know
+    if (!Array.isArray(params.extractors) || params.extractors.length === 0) {
+        params.extractors = extractorRegistry.getDefaultExtractorNames();
+    }
+    const unknownExtractors = extractorRegistry.findUnknownExtractors(params.extractors);
+    if (unknownExtractors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            details: [{ msg: `Unknown extractors: ${unknownExtractors.join(', ')}. See GET /api/extractors for the available extractors.` }]
+        });
+    }
+    // Interception profile for rendered pages, default chosen by the crawler
+    if (params.renderProfile !== undefined && params.renderProfile !== null) {
+        if (!interceptionProfiles.isKnownProfile(params.renderProfile)) {
+            const available = interceptionProfiles.listProfiles().map(profile => profile.name).join(', ');
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: [{ msg: `Unknown renderProfile "${params.renderProfile}". Available profiles: ${available}.` }]
+            });
+        }
+    } else {
+        params.renderProfile = null;
+    }
+    // Screenshots are off unless requested (true, or { viewports, modes, maxPages })
+    const screenshotErrors = screenshotService.validateOptions(params.screenshots);
+    if (screenshotErrors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            details: screenshotErrors.map(msg => ({ msg }))
+        });
+    }
+    params.screenshots = params.screenshots || false;
     // Ensure forceRecrawl is boolean, default false
     params.forceRecrawl = params.forceRecrawl === true; 
+    // Ensure ignoreRobots is boolean, default false (robots.txt is honoured)
+    params.ignoreRobots = params.ignoreRobots === true;
+    if (params.ignoreRobots) {
+        logger.warn(`Scrape for ${domain} requested with ignoreRobots, robots.txt will not be honoured.`);
+    }
+    // Sitemap seeding is on unless explicitly disabled
+    params.useSitemaps = params.useSitemaps !== false;
     // Keep callbackUrl if provided
     params.callbackUrl = params.callbackUrl || null;
     
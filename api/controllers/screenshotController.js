@@ -0,0 +1,95 @@
+import logger from '../../utils/logger.js';
+import * as objectStorage from '../../services/objectStorage.js';
+import * as screenshotRepository from '../../database/repositories/screenshotRepository.js';
+
+/**
+ * List the screenshots captured for a domain
+ * ?jobId=<jobId> picks a crawl (defaults to the most recent one with screenshots), ?viewport= and ?mode= filter
+ */
+export const listDomainScreenshots = async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const { jobId, viewport, mode, limit = 50, offset = 0 } = req.query;
+    
+    // Normalize the domain
+    const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    
+    const selectedJobId = jobId || await screenshotRepository.getLatestScreenshotJobId(normalizedDomain);
+    if (!selectedJobId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No screenshots found for ${normalizedDomain}`
+      });
+    }
+    
+    const screenshots = await screenshotRepository.listScreenshots(normalizedDomain, {
+      jobId: selectedJobId,
+      viewport,
+      mode,
+      limit: parseInt(limit) || 50,
+      offset: parseInt(offset) || 0
+    });
+    
+    return res.status(200).json({
+      domain: normalizedDomain,
+      jobId: selectedJobId,
+      screenshots: screenshots.map(screenshot => ({
+        id: screenshot.id,
+        pageUrl: screenshot.pageUrl,
+        viewport: screenshot.viewport,
+        mode: screenshot.mode,
+        width: screenshot.width,
+        height: screenshot.height,
+        contentType: screenshot.contentType,
+        byteSize: screenshot.byteSize,
+        createdAt: screenshot.createdAt,
+        imageUrl: `/api/screenshots/${screenshot.id}/image`
+      })),
+      count: screenshots.length
+    });
+  } catch (error) {
+    logger.error(`Error listing screenshots: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list screenshots'
+    });
+  }
+};
+
+/**
+ * Serve a screenshot image
+ */
+export const getScreenshotImage = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Validation Error', details: [{ msg: 'Screenshot ID must be a number' }] });
+    }
+    
+    const screenshot = await screenshotRepository.getScreenshotById(id);
+    if (!screenshot) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Screenshot ${id} not found`
+      });
+    }
+    
+    const body = await objectStorage.getObject(screenshot.storageKey, screenshot.storageDriver);
+    if (!body) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `The image for screenshot ${id} is no longer in storage`
+      });
+    }
+    
+    res.set('Content-Type', screenshot.contentType || 'image/jpeg');
+    res.set('Cache-Control', 'private, max-age=86400');
+    return res.status(200).send(body);
+  } catch (error) {
+    logger.error(`Error serving screenshot: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to load screenshot'
+    });
+  }
+};
@@ -0,0 +1,72 @@
+import logger from '../../utils/logger.js';
+import * as webhookService from '../../services/webhookService.js';
+import * as webhookDeliveryRepository from '../../database/repositories/webhookDeliveryRepository.js';
+
+/**
+ * List webhook deliveries with optional filtering by status and job
+ */
+export const listDeliveries = async (req, res) => {
+  try {
+    const { status, jobId, limit = 20, offset = 0 } = req.query;
+    
+    // Ensure limit and offset are valid numbers
+    const safeLimit = parseInt(limit) || 20;
+    const safeOffset = parseInt(offset) || 0;
+    
+    const deliveries = await webhookDeliveryRepository.listDeliveries({
+      status,
+      jobId,
+      limit: safeLimit,
+      offset: safeOffset
+    });
+    
+    return res.status(200).json({
+      deliveries,
+      count: deliveries.length,
+      limit: safeLimit,
+      offset: safeOffset
+    });
+  } catch (error) {
+    logger.error(`Error listing webhook deliveries: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list webhook deliveries'
+    });
+  }
+};
+
+/**
+ * Send a failed webhook delivery again
+ */
+export const redeliver = async (req, res) => {
+  try {
+    const id = parseInt(req.params.deliveryId);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Valid delivery ID is required'
+      });
+    }
+    
+    const result = await webhookService.redeliver(id);
+    
+    if (!result.success) {
+      return res.status(result.message === 'Delivery not found' ? 404 : 409).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    return res.status(202).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`Error redelivering webhook: ${error.message}`);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to redeliver webhook'
+    });
+  }
+};
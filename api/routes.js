@@ -3,9 +3,18 @@ import { body } from 'express-validator';
 import * as scrapeController from './controllers/scrapeController.js';
 import * as statusController from './controllers/statusController.js';
 import * as diagnosticController from './controllers/diagnosticController.js';
+import * as webhookController from './controllers/webhookController.js';
+import * as changesController from './controllers/changesController.js';
+import * as extractorController from './controllers/extractorController.js';
+import * as screenshotController from './controllers/screenshotController.js';
+import * as designTokenController from './controllers/designTokenController.js';
+import * as logoController from './controllers/logoController.js';
+import * as bookCatalogueController from './controllers/bookCatalogueController.js';
+import * as blogArticleController from './controllers/blogArticleController.js';
 import * as domainDataController from '../controllers/domainDataController.js';
 import authMiddleware from '../utils/authMiddleware.js';
 import slugEvaluationRoutes from './routes/slugEvaluationRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
 
 const router = express.Router();
 
@@ -25,6 +34,9 @@ router.post('/scrape', [
   body('callbackUrl').optional().isURL().withMessage('Callback URL must be valid')
 ], scrapeController.initiateScrape);
 
+// Extractors that can be selected in params.extractors
+router.get('/extractors', extractorController.listExtractors);
+
 // Status endpoints
 router.get('/scrape/status/:jobId', statusController.getJobStatus);
 router.get('/scrape/results/:jobId', statusController.getJobResults);
@@ -32,16 +44,43 @@ router.get('/scrape/results/:jobId', statusController.getJobResults);
 // Domain data endpoint
 router.get('/domain/:domain', statusController.getDomainData);
 
+// Crawl history: snapshots per job and the changes between two of them
+router.get('/domain/:domain/snapshots', changesController.listSnapshots);
+router.get('/domain/:domain/changes', changesController.getDomainChanges);
+
+// Page screenshots captured by jobs with params.screenshots
+router.get('/domain/:domain/screenshots', screenshotController.listDomainScreenshots);
+router.get('/screenshots/:id/image', screenshotController.getScreenshotImage);
+
+// Typography and color design tokens (W3C format)
+router.get('/domain/:domain/design-tokens', designTokenController.getDesignTokens);
+
+// Stored logo variants (?variant=svg|raster serves the image)
+router.get('/domain/:domain/logo', logoController.getDomainLogo);
+
+// Book catalogue from structured data (?isbn= for one edition's work)
+router.get('/domain/:domain/books', bookCatalogueController.getBookCatalogue);
+
+// Blog articles of a domain (?url= for one article with its full text)
+router.get('/domain/:domain/articles', blogArticleController.getBlogArticles);
+
 // List all jobs (admin only)
 router.get('/scrape/jobs', statusController.listJobs);
 
 // Cancel job
 router.delete('/scrape/jobs/:jobId', scrapeController.cancelJob);
 
+// Webhook delivery log and redelivery
+router.get('/webhooks/deliveries', webhookController.listDeliveries);
+router.post('/webhooks/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
 // Diagnostic routes
 router.get('/diagnostic/db-status', diagnosticController.getDatabaseStatus);
 
 // Add slug evaluation routes
 router.use('/slug', slugEvaluationRoutes);
 
+// Recurring recrawl schedules
+router.use('/schedules', scheduleRoutes);
+
 export default router; 
\ No newline at end of file
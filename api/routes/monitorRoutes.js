@@ -35,10 +35,19 @@ router.get('/progress/:jobId', async (req, res) => {
     
     const progress = progressRows.length > 0 ? progressRows[0] : null;
     
+    // Get URLs skipped because of robots.txt
+    const [blockedRows] = await db.execute(
+      `SELECT url, reason, created_at FROM domain_crawl_blocked_urls
+       WHERE job_id = ?
+       ORDER BY created_at ASC`,
+      [jobId]
+    );
+    
     // Return combined status
     return res.json({
       job,
-      progress
+      progress,
+      blockedUrls: blockedRows
     });
   } catch (error) {
     logger.error(`Error fetching crawl progress: ${error.message}`);
@@ -237,6 +246,119 @@ router.get('/data/videos/:jobId', async (req, res) => {
   }
 });
 
+/**
+ * Get extracted podcast feeds and episodes for a job, with their iTunes and Podcasting 2.0 fields
+ */
+router.get('/data/podcasts/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = getPool();
+    
+    // First get domain_id for this job
+    const [domainRows] = await db.execute(
+      `SELECT domain_id FROM domain_crawl_progress WHERE job_id = ?`,
+      [jobId]
+    );
+    
+    if (domainRows.length === 0) {
+      return res.status(404).json({ error: 'Job not found or no progress data available' });
+    }
+    
+    const domainId = domainRows[0].domain_id;
+    
+    // Get extracted podcast feeds and their most recent episodes
+    const [feedRows] = await db.execute(
+      `SELECT * FROM domain_podcast_feeds 
+       WHERE domain_id = ?
+       ORDER BY created_at DESC`,
+      [domainId]
+    );
+    const [episodeRows] = await db.execute(
+      `SELECT * FROM domain_podcast_episodes 
+       WHERE domain_id = ?
+       ORDER BY published_date DESC 
+       LIMIT 200`,
+      [domainId]
+    );
+    
+    // JSON columns
+    const parseList = (value) => {
+      try {
+        return value ? JSON.parse(value) : [];
+      } catch (e) {
+        return [];
+      }
+    };
+    
+    return res.json({
+      domainId,
+      podcastFeeds: feedRows.map(row => ({
+        ...row,
+        categories: parseList(row.categories),
+        funding: parseList(row.funding),
+        persons: parseList(row.persons),
+        platforms: parseList(row.platforms),
+        catalogueHours: row.total_duration_seconds !== null ? Math.round(row.total_duration_seconds / 360) / 10 : null
+      })),
+      // Transcript text is served per episode, 200 of them would make this response huge
+      podcastEpisodes: episodeRows.map(({ transcript_text: transcriptText, ...row }) => ({
+        ...row,
+        transcripts: parseList(row.transcripts),
+        persons: parseList(row.persons),
+        hasTranscript: Boolean(transcriptText)
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error fetching podcast data: ${error.message}`);
+    return res.status(500).json({ error: 'Error fetching podcast data' });
+  }
+});
+
+/**
+ * Get the stored transcript of a podcast episode extracted for a job
+ */
+router.get('/data/podcasts/:jobId/episodes/:episodeId/transcript', async (req, res) => {
+  try {
+    const { jobId, episodeId } = req.params;
+    const db = getPool();
+    
+    const [domainRows] = await db.execute(
+      `SELECT domain_id FROM domain_crawl_progress WHERE job_id = ?`,
+      [jobId]
+    );
+    
+    if (domainRows.length === 0) {
+      return res.status(404).json({ error: 'Job not found or no progress data available' });
+    }
+    
+    const [episodeRows] = await db.execute(
+      `SELECT id, title, transcript_text, transcript_url, transcript_type, transcript_language, transcript_source, transcript_word_count
+       FROM domain_podcast_episodes 
+       WHERE id = ? AND domain_id = ?`,
+      [episodeId, domainRows[0].domain_id]
+    );
+    
+    if (episodeRows.length === 0 || !episodeRows[0].transcript_text) {
+      return res.status(404).json({ error: 'No transcript found for this episode' });
+    }
+    
+    const episode = episodeRows[0];
+    return res.json({
+      episodeId: episode.id,
+      title: episode.title,
+      url: episode.transcript_url,
+      type: episode.transcript_type,
+      language: episode.transcript_language,
+      source: episode.transcript_source,
+      wordCount: episode.transcript_word_count,
+      text: episode.transcript_text
+    });
+  } catch (error) {
+    logger.error(`Error fetching podcast transcript: ${error.message}`);
+    return res.status(500).json({ error: 'Error fetching podcast transcript' });
+  }
+});
+
 /**
  * Get a summary of all data types extracted for a job
  */
@@ -265,6 +387,7 @@ router.get('/data/summary/:jobId', async (req, res) => {
       [isbnCount], 
       [videoCount],
       [blogCount],
+      [podcastFeedCount],
       [podcastCount]
     ] = await Promise.all([
       db.execute(`SELECT COUNT(*) as count FROM domain_images WHERE domain_id = ?`, [domainId]),
@@ -272,7 +395,8 @@ router.get('/data/summary/:jobId', async (req, res) => {
       db.execute(`SELECT COUNT(*) as count FROM domain_rss_feeds WHERE domain_id = ?`, [domainId]),
       db.execute(`SELECT COUNT(*) as count FROM domain_isbn_data WHERE domain_id = ?`, [domainId]),
       db.execute(`SELECT COUNT(*) as count FROM domain_media_content WHERE domain_id = ? AND media_type = 'video'`, [domainId]),
-      db.execute(`SELECT COUNT(*) as count FROM domain_blog_info WHERE domain_id = ?`, [domainId]),
+      db.execute(`SELECT COUNT(*) as count FROM domain_blog_articles WHERE domain_id = ?`, [domainId]),
+      db.execute(`SELECT COUNT(*) as count FROM domain_podcast_feeds WHERE domain_id = ?`, [domainId]),
       db.execute(`SELECT COUNT(*) as count FROM domain_podcast_episodes WHERE domain_id = ?`, [domainId])
     ]);
     
@@ -286,6 +410,7 @@ router.get('/data/summary/:jobId', async (req, res) => {
         isbns: isbnCount[0]?.count || 0,
         videos: videoCount[0]?.count || 0,
         blogArticles: blogCount[0]?.count || 0,
+        podcastFeeds: podcastFeedCount[0]?.count || 0,
         podcastEpisodes: podcastCount[0]?.count || 0
       }
     });
@@ -0,0 +1,44 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import * as scheduleController from '../controllers/scheduleController.js';
+import authMiddleware from '../../utils/authMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+// List schedules, optionally filtered by ?domain=
+router.get('/', scheduleController.listSchedules);
+
+// Get a single schedule
+router.get('/:scheduleId', [
+  param('scheduleId').isInt().withMessage('Schedule ID must be an integer')
+], scheduleController.getSchedule);
+
+// Create a schedule - validate and process
+router.post('/', [
+  body('domain').isString().trim().notEmpty().withMessage('Domain is required'),
+  body('cron').isString().trim().notEmpty().withMessage('Cron expression is required'),
+  body('params').optional().isObject().withMessage('Params must be an object'),
+  body('params.extractors').optional().isArray().withMessage('Extractors must be an array'),
+  body('params.callbackUrl').optional().isURL().withMessage('Callback URL must be valid'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+], scheduleController.createSchedule);
+
+// Update a schedule
+router.put('/:scheduleId', [
+  param('scheduleId').isInt().withMessage('Schedule ID must be an integer'),
+  body('cron').optional().isString().trim().notEmpty().withMessage('Cron expression must be a non-empty string'),
+  body('params').optional().isObject().withMessage('Params must be an object'),
+  body('params.extractors').optional().isArray().withMessage('Extractors must be an array'),
+  body('params.callbackUrl').optional().isURL().withMessage('Callback URL must be valid'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+], scheduleController.updateSchedule);
+
+// Delete a schedule
+router.delete('/:scheduleId', [
+  param('scheduleId').isInt().withMessage('Schedule ID must be an integer')
+], scheduleController.deleteSchedule);
+
+export default router;
@@ -7,6 +7,84 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Columns added to tables that predate additional_tables.sql
+// MySQL has no ADD COLUMN IF NOT EXISTS, so these are checked one by one
+const ADDITIONAL_COLUMNS = [
+  { table: 'domain_pages', column: 'fetcher', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_images', column: 'perceptual_hash', definition: 'varchar(16) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_images', column: 'variant_urls', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_isbn_data', column: 'subtitle', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'contributors', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_isbn_data', column: 'publisher', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'publication_date', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'format', definition: 'varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'cover_url', definition: 'varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'metadata_source', definition: 'varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_isbn_data', column: 'enriched_at', definition: 'timestamp NULL DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'podcast_guid', definition: 'varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'language', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'medium', definition: 'varchar(30) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'itunes_type', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'explicit', definition: 'tinyint(1) DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'categories', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_feeds', column: 'owner_name', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'owner_email', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'complete', definition: 'tinyint(1) DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'new_feed_url', definition: 'varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'locked', definition: 'tinyint(1) DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'locked_owner', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'funding', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_feeds', column: 'persons', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_feeds', column: 'platforms', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_feeds', column: 'total_duration_seconds', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_feeds', column: 'duration_episode_count', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'guid', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'duration_seconds', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'enclosure_type', definition: 'varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'enclosure_length', definition: 'bigint DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'explicit', definition: 'tinyint(1) DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'episode_type', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'season', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'season_name', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'episode_number', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'episode_display', definition: 'varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcripts', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_episodes', column: 'chapters_url', definition: 'varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'chapters_type', definition: 'varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'persons', definition: 'text COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_episodes', column: 'audio_size_bytes', definition: 'bigint DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'audio_mime_type', definition: 'varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'audio_format', definition: 'varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'audio_bitrate_kbps', definition: 'int DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'audio_probed_at', definition: 'timestamp NULL DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcript_text', definition: 'mediumtext COLLATE utf8mb4_unicode_ci' },
+  { table: 'domain_podcast_episodes', column: 'transcript_url', definition: 'varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcript_type', definition: 'varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcript_language', definition: 'varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcript_source', definition: 'varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT NULL' },
+  { table: 'domain_podcast_episodes', column: 'transcript_word_count', definition: 'int DEFAULT NULL' }
+];
+
+/**
+ * Add any missing columns from ADDITIONAL_COLUMNS
+ */
+export const addMissingColumns = async () => {
+  const pool = getPool();
+  
+  for (const { table, column, definition } of ADDITIONAL_COLUMNS) {
+    try {
+      const [columns] = await pool.execute(`SHOW COLUMNS FROM ${table} LIKE ?`, [column]);
+      
+      if (columns.length === 0) {
+        await pool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        logger.info(`Added column ${table}.${column}`);
+      }
+    } catch (error) {
+      logger.error(`Error adding column ${table}.${column}: ${error.message}`);
+    }
+  }
+};
+
 /**
  * Create additional tables for incremental data saving
  */
@@ -31,6 +109,9 @@ export const createAdditionalTables = async () => {
       await pool.execute(statement);
     }
     
+    // Add columns to tables that aren't created here
+    await addMissingColumns();
+    
     logger.info('Additional tables created successfully');
     return true;
   } catch (error) {
@@ -0,0 +1,126 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Parse a JSON column, falling back to a default
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Date string as a DATETIME value, null if it isn't a date
+ */
+function toDateTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Save (update) a blog article
+ * Articles found again without their page being crawled keep the content of the last extraction.
+ */
+export const saveArticle = async (domainId, article) => {
+  try {
+    const db = checkDatabaseConnection();
+    const content = article.content || null;
+
+    await db.execute(
+      `INSERT INTO domain_blog_articles
+       (domain_id, url, title, author, published_at, modified_at, excerpt, content_text, headings, word_count,
+        reading_time_minutes, lead_image_url, tags, source, extracted_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         title = VALUES(title), author = COALESCE(VALUES(author), author), published_at = COALESCE(VALUES(published_at), published_at),
+         modified_at = COALESCE(VALUES(modified_at), modified_at), excerpt = COALESCE(VALUES(excerpt), excerpt),
+         content_text = COALESCE(VALUES(content_text), content_text), headings = COALESCE(VALUES(headings), headings),
+         word_count = COALESCE(VALUES(word_count), word_count), reading_time_minutes = COALESCE(VALUES(reading_time_minutes), reading_time_minutes),
+         lead_image_url = COALESCE(VALUES(lead_image_url), lead_image_url), tags = COALESCE(VALUES(tags), tags),
+         source = VALUES(source), extracted_at = COALESCE(VALUES(extracted_at), extracted_at), updated_at = NOW()`,
+      [
+        domainId,
+        article.url.slice(0, 512),
+        (content?.title || article.title || '').slice(0, 500) || null,
+        (article.author || content?.author || '').slice(0, 255) || null,
+        toDateTime(content?.publishedAt || article.date),
+        toDateTime(content?.updatedAt),
+        content?.excerpt || article.excerpt || null,
+        content ? content.text : null,
+        content ? JSON.stringify(content.headings) : null,
+        content ? content.wordCount : null,
+        content ? content.readingTimeMinutes : null,
+        (content?.leadImage || article.imageUrl || '').slice(0, 512) || null,
+        content ? JSON.stringify(content.tags) : null,
+        article.source || 'listing',
+        content ? toDateTime(new Date()) : null
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[BLOG] Error saving article ${article.url} for domain ID ${domainId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a domain's blog articles, newest first
+ * @param {string} domain - Normalized domain
+ * @param {object} options - { url } for a single article, { includeText } to return content_text
+ * @returns {Promise<object|null>} - { domainId, articles }, or null if the domain is unknown
+ */
+export const getArticlesByDomain = async (domain, { url = null, includeText = false } = {}) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [domainRows] = await db.execute('SELECT id FROM domain_info WHERE domain = ?', [domain]);
+    if (domainRows.length === 0) {
+      return null;
+    }
+    const domainId = domainRows[0].id;
+
+    const [rows] = url
+      ? await db.execute('SELECT * FROM domain_blog_articles WHERE domain_id = ? AND url = ?', [domainId, url])
+      : await db.execute('SELECT * FROM domain_blog_articles WHERE domain_id = ? ORDER BY published_at IS NULL, published_at DESC, id', [domainId]);
+
+    const articles = rows.map(row => ({
+      id: row.id,
+      url: row.url,
+      title: row.title,
+      author: row.author,
+      publishedAt: row.published_at,
+      modifiedAt: row.modified_at,
+      excerpt: row.excerpt,
+      headings: parseJson(row.headings, []),
+      wordCount: row.word_count,
+      readingTimeMinutes: row.reading_time_minutes,
+      leadImageUrl: row.lead_image_url,
+      tags: parseJson(row.tags, []),
+      source: row.source,
+      extractedAt: row.extracted_at,
+      updatedAt: row.updated_at,
+      ...(includeText ? { text: row.content_text } : {})
+    }));
+
+    return { domainId, articles };
+  } catch (error) {
+    logger.error(`[BLOG] Error getting blog articles for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
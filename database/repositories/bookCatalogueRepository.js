@@ -0,0 +1,149 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Parse a JSON column, falling back to a default
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Save (update) a work of a domain's catalogue
+ * @returns {Promise<number>} - domain_books ID
+ */
+export const saveBook = async (domainId, book) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `INSERT INTO domain_books
+       (domain_id, work_key, title, subtitle, contributors, publisher, publication_date, cover_url, url, sources, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         id = LAST_INSERT_ID(id), title = VALUES(title), subtitle = VALUES(subtitle), contributors = VALUES(contributors),
+         publisher = VALUES(publisher), publication_date = VALUES(publication_date), cover_url = VALUES(cover_url),
+         url = VALUES(url), sources = VALUES(sources), updated_at = NOW()`,
+      [
+        domainId,
+        book.workKey,
+        book.title ? book.title.slice(0, 500) : null,
+        book.subtitle ? book.subtitle.slice(0, 500) : null,
+        JSON.stringify(book.contributors || []),
+        book.publisher ? book.publisher.slice(0, 255) : null,
+        book.publicationDate || null,
+        book.coverUrl || null,
+        book.url || null,
+        (book.sources || []).join(',')
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    logger.error(`[CATALOGUE] Error saving book ${book.workKey} for domain ID ${domainId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Save (update) an edition, moving it to bookId if an earlier crawl grouped it elsewhere
+ */
+export const saveEdition = async (domainId, bookId, edition) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO domain_book_editions
+       (domain_id, book_id, isbn13, format, price, currency, availability, url, cover_url, sources, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         book_id = VALUES(book_id), format = VALUES(format), price = VALUES(price), currency = VALUES(currency),
+         availability = VALUES(availability), url = VALUES(url), cover_url = VALUES(cover_url),
+         sources = VALUES(sources), updated_at = NOW()`,
+      [
+        domainId,
+        bookId,
+        edition.isbn13,
+        edition.format || null,
+        edition.price ?? null,
+        edition.currency || null,
+        edition.availability || null,
+        edition.url || null,
+        edition.coverUrl || null,
+        (edition.sources || []).join(',')
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[CATALOGUE] Error saving edition ${edition.isbn13} for domain ID ${domainId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a domain's book catalogue
+ * @param {string} domain - Normalized domain
+ * @returns {Promise<object|null>} - { domainId, books: [{ ..., editions }] }, or null if the domain is unknown
+ */
+export const getCatalogueByDomain = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [domainRows] = await db.execute('SELECT id FROM domain_info WHERE domain = ?', [domain]);
+    if (domainRows.length === 0) {
+      return null;
+    }
+    const domainId = domainRows[0].id;
+
+    const [bookRows] = await db.execute('SELECT * FROM domain_books WHERE domain_id = ? ORDER BY title', [domainId]);
+    const [editionRows] = await db.execute('SELECT * FROM domain_book_editions WHERE domain_id = ? ORDER BY isbn13', [domainId]);
+
+    const books = bookRows.map(row => ({
+      id: row.id,
+      workKey: row.work_key,
+      title: row.title,
+      subtitle: row.subtitle,
+      contributors: parseJson(row.contributors, []),
+      publisher: row.publisher,
+      publicationDate: row.publication_date,
+      coverUrl: row.cover_url,
+      url: row.url,
+      sources: row.sources ? row.sources.split(',') : [],
+      updatedAt: row.updated_at,
+      editions: editionRows
+        .filter(edition => edition.book_id === row.id)
+        .map(edition => ({
+          isbn13: edition.isbn13,
+          format: edition.format,
+          price: edition.price !== null ? parseFloat(edition.price) : null,
+          currency: edition.currency,
+          availability: edition.availability,
+          url: edition.url,
+          coverUrl: edition.cover_url,
+          sources: edition.sources ? edition.sources.split(',') : [],
+          updatedAt: edition.updated_at
+        }))
+    }));
+
+    return { domainId, books };
+  } catch (error) {
+    logger.error(`[CATALOGUE] Error getting the book catalogue for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,137 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Parse a JSON column, falling back to a default
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Provider publication date as YYYY-MM-DD, YYYY-MM or YYYY for the varchar(20) column
+ * Providers send ISO dates, ONIX digits (20240315) or free text ("March 5, 2004", "c1998"); free text keeps its year.
+ */
+function toPublicationDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const digits = text.match(/^(\d{4})(\d{2})(\d{2})?$/);
+  if (digits) return [digits[1], digits[2], digits[3]].filter(Boolean).join('-');
+
+  const iso = text.match(/^\d{4}(-\d{2}(-\d{2})?)?(?!\d)/);
+  if (iso) return iso[0];
+
+  const year = text.match(/\b(1[5-9]\d{2}|20\d{2})\b/) || text.match(/(1[5-9]\d{2}|20\d{2})/);
+  return year ? year[1] : null;
+}
+
+/**
+ * Get cached lookups for ISBNs
+ * @param {Array<string>} isbns - ISBN-13s
+ * @returns {Promise<Map<string, object>>} - { found, metadata, sources, fetchedAt } by ISBN-13
+ */
+export const getCachedBooks = async (isbns) => {
+  try {
+    const db = checkDatabaseConnection();
+    const cached = new Map();
+
+    if (isbns.length === 0) {
+      return cached;
+    }
+
+    const [rows] = await db.query(
+      'SELECT isbn13, found, metadata, sources, fetched_at FROM book_metadata_cache WHERE isbn13 IN (?)',
+      [isbns]
+    );
+
+    rows.forEach(row => {
+      cached.set(row.isbn13, {
+        found: Boolean(row.found),
+        metadata: parseJson(row.metadata, null),
+        sources: row.sources ? row.sources.split(',') : [],
+        fetchedAt: new Date(row.fetched_at)
+      });
+    });
+
+    return cached;
+  } catch (error) {
+    logger.error(`[BOOKS] Error reading the book metadata cache: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cache a lookup (metadata is null when no provider knew the ISBN)
+ */
+export const saveCachedBook = async (isbn13, metadata, sources = []) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO book_metadata_cache (isbn13, found, metadata, sources, fetched_at)
+       VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE found = VALUES(found), metadata = VALUES(metadata), sources = VALUES(sources), fetched_at = NOW()`,
+      [isbn13, metadata ? 1 : 0, metadata ? JSON.stringify(metadata) : null, sources.join(',') || null]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[BOOKS] Error caching metadata for ${isbn13}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Write enriched metadata onto a domain's ISBN row
+ * @param {number} domainId - domain_info ID
+ * @param {object} book - Enriched book ({ isbn as found on the site, isbn13, title, contributors... })
+ */
+export const updateIsbnMetadata = async (domainId, book) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const authors = book.contributors.filter(contributor => contributor.role === 'author').map(contributor => contributor.name);
+
+    const [result] = await db.execute(
+      `UPDATE domain_isbn_data SET
+         title = ?, subtitle = ?, author = ?, contributors = ?, publisher = ?, publication_date = ?,
+         format = ?, cover_url = ?, metadata_source = ?, enriched_at = NOW()
+       WHERE domain_id = ? AND isbn IN (?, ?)`,
+      [
+        book.title ? book.title.slice(0, 255) : null,
+        book.subtitle ? book.subtitle.slice(0, 255) : null,
+        authors.length > 0 ? authors.join(', ').slice(0, 255) : null,
+        JSON.stringify(book.contributors),
+        book.publisher ? book.publisher.slice(0, 255) : null,
+        toPublicationDate(book.publicationDate),
+        book.format || null,
+        book.coverUrl || null,
+        book.sources.join(','),
+        domainId,
+        book.isbn,
+        book.isbn13
+      ]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[BOOKS] Error saving metadata for ISBN ${book.isbn13}: ${error.message}`);
+    throw error;
+  }
+};
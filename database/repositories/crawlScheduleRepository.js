@@ -0,0 +1,246 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a crawl_schedules row to a schedule object
+ */
+function mapScheduleRow(row) {
+  let params = {};
+  try {
+    params = row.params ? JSON.parse(row.params) : {};
+  } catch (e) {
+    logger.warn(`[SCHEDULER] Error parsing params for schedule ${row.id}: ${e.message}`);
+    params = {};
+  }
+
+  return {
+    id: row.id,
+    domain: row.domain,
+    cronExpression: row.cron_expression,
+    params,
+    enabled: !!row.enabled,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastJobId: row.last_job_id,
+    lastStatus: row.last_status,
+    lastMessage: row.last_message,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Create a schedule
+ * @returns {Promise<object>} - The created schedule
+ */
+export const createSchedule = async ({ domain, cronExpression, params, enabled, nextRunAt }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `INSERT INTO crawl_schedules (domain, cron_expression, params, enabled, next_run_at, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [domain, cronExpression, JSON.stringify(params || {}), enabled ? 1 : 0, nextRunAt]
+    );
+
+    return getSchedule(result.insertId);
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error creating schedule for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a schedule by ID
+ */
+export const getSchedule = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute('SELECT * FROM crawl_schedules WHERE id = ?', [id]);
+    return rows.length > 0 ? mapScheduleRow(rows[0]) : null;
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error getting schedule ${id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List schedules, optionally for one domain
+ */
+export const listSchedules = async ({ domain, limit = 50, offset = 0 } = {}) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const safeLimit = Number(limit) || 50;
+    const safeOffset = Number(offset) || 0;
+
+    let query = 'SELECT * FROM crawl_schedules';
+    const params = [];
+
+    if (domain) {
+      query += ' WHERE domain = ?';
+      params.push(domain);
+    }
+
+    query += ` ORDER BY domain ASC, id ASC LIMIT ${safeLimit} OFFSET ${safeOffset}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows.map(mapScheduleRow);
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error listing schedules: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Update a schedule's definition
+ * @param {number} id - Schedule ID
+ * @param {object} changes - Fields to change (cronExpression, params, enabled, nextRunAt)
+ * @returns {Promise<object|null>} - The updated schedule, or null if not found
+ */
+export const updateSchedule = async (id, changes) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const columns = {
+      cronExpression: 'cron_expression',
+      params: 'params',
+      enabled: 'enabled',
+      nextRunAt: 'next_run_at'
+    };
+
+    const sets = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] === undefined) continue;
+
+      let value = changes[key];
+      if (key === 'params') value = JSON.stringify(value || {});
+      if (key === 'enabled') value = value ? 1 : 0;
+
+      sets.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (sets.length > 0) {
+      await db.execute(
+        `UPDATE crawl_schedules SET ${sets.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        [...values, id]
+      );
+    }
+
+    return getSchedule(id);
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error updating schedule ${id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a schedule
+ * @returns {Promise<boolean>} - True if a schedule was deleted
+ */
+export const deleteSchedule = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute('DELETE FROM crawl_schedules WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error deleting schedule ${id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get enabled schedules that are due to run
+ */
+export const getDueSchedules = async () => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      `SELECT * FROM crawl_schedules
+       WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC`
+    );
+
+    return rows.map(mapScheduleRow);
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error getting due schedules: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Move a due schedule on to its next run time
+ * Only succeeds if next_run_at is unchanged, so one instance wins when several tick at once
+ * @returns {Promise<boolean>} - True if this caller claimed the run
+ */
+export const claimRun = async (id, expectedRunAt, nextRunAt) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      'UPDATE crawl_schedules SET next_run_at = ?, last_run_at = NOW() WHERE id = ? AND next_run_at = ?',
+      [nextRunAt, id, expectedRunAt]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error claiming run for schedule ${id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Record what happened on the latest run
+ */
+export const recordRunResult = async (id, { status, jobId = null, message = null }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `UPDATE crawl_schedules SET last_status = ?, last_job_id = COALESCE(?, last_job_id), last_message = ?
+       WHERE id = ?`,
+      [status, jobId, message, id]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error recording run result for schedule ${id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Check whether a domain already has a queued or running job
+ */
+export const hasActiveJobForDomain = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      "SELECT id FROM scrape_jobs WHERE domain = ? AND status IN ('queued', 'processing') LIMIT 1",
+      [domain]
+    );
+
+    return rows.length > 0;
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error checking active jobs for ${domain}: ${error.message}`);
+    // Err on the side of not piling up jobs
+    return true;
+  }
+};
@@ -0,0 +1,141 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a domain_crawl_snapshots row to a snapshot object
+ * @param {object} row - Database row
+ * @param {boolean} includeData - Whether to parse and include the snapshot body
+ */
+function mapSnapshotRow(row, includeData = true) {
+  const snapshot = {
+    id: row.id,
+    jobId: row.job_id,
+    domainId: row.domain_id,
+    domain: row.domain,
+    pageCount: row.page_count,
+    createdAt: row.created_at
+  };
+
+  if (includeData) {
+    try {
+      snapshot.data = row.snapshot ? JSON.parse(row.snapshot) : {};
+    } catch (e) {
+      logger.warn(`[SNAPSHOT] Error parsing snapshot for job ${row.job_id}: ${e.message}`);
+      snapshot.data = {};
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Save the snapshot taken at the end of a job
+ * Re-running the capture for the same job replaces its snapshot
+ */
+export const saveSnapshot = async ({ jobId, domainId, domain, data }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO domain_crawl_snapshots (job_id, domain_id, domain, page_count, snapshot, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE page_count = VALUES(page_count), snapshot = VALUES(snapshot)`,
+      [jobId, domainId, domain, data.pages?.length || 0, JSON.stringify(data)]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[SNAPSHOT] Error saving snapshot for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the snapshot for a job
+ */
+export const getSnapshotByJobId = async (jobId) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute('SELECT * FROM domain_crawl_snapshots WHERE job_id = ?', [jobId]);
+    return rows.length > 0 ? mapSnapshotRow(rows[0]) : null;
+  } catch (error) {
+    logger.error(`[SNAPSHOT] Error getting snapshot for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List a domain's snapshots, newest first, without their bodies
+ */
+export const listSnapshots = async (domain, limit = 20, offset = 0) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const safeLimit = Number(limit) || 20;
+    const safeOffset = Number(offset) || 0;
+
+    const [rows] = await db.execute(
+      `SELECT id, job_id, domain_id, domain, page_count, created_at FROM domain_crawl_snapshots
+       WHERE domain = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+      [domain]
+    );
+
+    return rows.map(row => mapSnapshotRow(row, false));
+  } catch (error) {
+    logger.error(`[SNAPSHOT] Error listing snapshots for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the most recent snapshots for a domain, newest first
+ */
+export const getLatestSnapshots = async (domain, count = 2) => {
+  try {
+    const db = checkDatabaseConnection();
+    const safeCount = Number(count) || 2;
+
+    const [rows] = await db.execute(
+      `SELECT * FROM domain_crawl_snapshots WHERE domain = ? ORDER BY created_at DESC, id DESC LIMIT ${safeCount}`,
+      [domain]
+    );
+
+    return rows.map(row => mapSnapshotRow(row));
+  } catch (error) {
+    logger.error(`[SNAPSHOT] Error getting latest snapshots for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the snapshot taken immediately before another one for the same domain
+ */
+export const getPreviousSnapshot = async (snapshot) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      `SELECT * FROM domain_crawl_snapshots
+       WHERE domain = ? AND (created_at < ? OR (created_at = ? AND id < ?))
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [snapshot.domain, snapshot.createdAt, snapshot.createdAt, snapshot.id]
+    );
+
+    return rows.length > 0 ? mapSnapshotRow(rows[0]) : null;
+  } catch (error) {
+    logger.error(`[SNAPSHOT] Error getting snapshot before job ${snapshot.jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
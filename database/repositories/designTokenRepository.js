@@ -0,0 +1,86 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Parse a JSON column, falling back to a default
+ */
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Save (replace) a domain's typography and design tokens
+ */
+export const saveDesignTokens = async (domainId, { typography, tokens }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO domain_design_tokens (domain_id, typography, tokens, created_at, updated_at)
+       VALUES (?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE typography = VALUES(typography), tokens = VALUES(tokens), updated_at = NOW()`,
+      [domainId, JSON.stringify(typography || {}), JSON.stringify(tokens || {})]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[TYPOGRAPHY] Error saving design tokens for domain ID ${domainId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a domain's typography, design tokens and colors
+ * @param {string} domain - Normalized domain
+ * @returns {Promise<object|null>} - { domainId, typography, tokens, colors, updatedAt }, or null if the domain is unknown
+ */
+export const getDesignTokensByDomain = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [domainRows] = await db.execute('SELECT id FROM domain_info WHERE domain = ?', [domain]);
+    if (domainRows.length === 0) {
+      return null;
+    }
+    const domainId = domainRows[0].id;
+
+    const [tokenRows] = await db.execute(
+      'SELECT typography, tokens, updated_at FROM domain_design_tokens WHERE domain_id = ?',
+      [domainId]
+    );
+    const [colorRows] = await db.execute(
+      'SELECT primary_color, secondary_colors, palette FROM domain_colors WHERE domain_id = ?',
+      [domainId]
+    );
+
+    return {
+      domainId,
+      typography: parseJson(tokenRows[0]?.typography, null),
+      tokens: parseJson(tokenRows[0]?.tokens, {}),
+      colors: colorRows.length > 0 ? {
+        primaryColor: colorRows[0].primary_color,
+        secondaryColors: parseJson(colorRows[0].secondary_colors, []),
+        palette: parseJson(colorRows[0].palette, [])
+      } : null,
+      updatedAt: tokenRows[0]?.updated_at || null
+    };
+  } catch (error) {
+    logger.error(`[TYPOGRAPHY] Error getting design tokens for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
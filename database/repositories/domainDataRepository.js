@@ -114,6 +114,11 @@ export const updateJobStatus = async (jobId, status, startedAt = null, completed
     query += ' WHERE id = ?';
     params.push(jobId);
     
+    // A cancelled job stays cancelled even if its worker finishes afterwards
+    if (status !== 'cancelled') {
+      query += " AND status <> 'cancelled'";
+    }
+    
     const result = await db.execute(query, params);
     return result.affectedRows > 0;
   } catch (error) {
@@ -196,6 +201,7 @@ export const getJobStatus = async (jobId) => {
       progress: params.progress || 0,
       message: params.message || '',
       error: job.error_message,
+      callbackUrl: params.callbackUrl || null,
       createdAt: job.created_at,
       startedAt: job.started_at,
       completedAt: job.completed_at
@@ -358,7 +364,8 @@ export const saveResults = async (jobId, results) => {
         {
           domain_id: domainId,
           blog_url: results.blog.blogUrl || null,
-          articles: JSON.stringify(results.blog.articles || []),
+          // Article text is kept in domain_blog_articles, the listing only needs the metadata
+          articles: JSON.stringify((results.blog.articles || []).map(({ content, ...article }) => article)),
           has_blog: results.blog.hasBlog ? 1 : 0
         },
         'domain_id',
@@ -0,0 +1,67 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Get the remembered fetch strategy for a domain
+ * @returns {Promise<object|null>} - { domain, strategy, reason, staticSuccesses, renderEscalations, decidedAt }
+ */
+export const getStrategy = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute('SELECT * FROM domain_fetch_strategy WHERE domain = ?', [domain]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    return {
+      domain: row.domain,
+      strategy: row.strategy,
+      reason: row.reason,
+      staticSuccesses: row.static_successes,
+      renderEscalations: row.render_escalations,
+      decidedAt: row.decided_at
+    };
+  } catch (error) {
+    logger.warn(`[FETCH] Error reading fetch strategy for ${domain}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Save the fetch strategy for a domain
+ */
+export const saveStrategy = async (domain, { strategy, reason = null, staticSuccesses = 0, renderEscalations = 0, decidedAt }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO domain_fetch_strategy (domain, strategy, reason, static_successes, render_escalations, decided_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       strategy = VALUES(strategy),
+       reason = VALUES(reason),
+       static_successes = VALUES(static_successes),
+       render_escalations = VALUES(render_escalations),
+       decided_at = VALUES(decided_at)`,
+      [domain, strategy, reason, staticSuccesses, renderEscalations, decidedAt || new Date()]
+    );
+
+    return true;
+  } catch (error) {
+    logger.warn(`[FETCH] Error saving fetch strategy for ${domain}: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,247 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a scrape_jobs row (joined with its queue row) to a job object
+ */
+function mapJobRow(row) {
+  let params = {};
+  try {
+    params = row.params ? JSON.parse(row.params) : {};
+  } catch (e) {
+    logger.error(`[QUEUE] Error parsing params for job ${row.id}: ${e.message}`);
+    params = {};
+  }
+
+  return {
+    jobId: row.id,
+    domain: row.domain,
+    status: row.status,
+    params,
+    priority: params.priority || 'normal',
+    depth: params.depth || 1,
+    extractors: params.extractors || ['general'],
+    callbackUrl: params.callbackUrl,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    progress: params.progress || 0,
+    message: params.message || '',
+    attempts: row.attempts
+  };
+}
+
+/**
+ * Add a job to the durable queue
+ * @param {object} job - Job with jobId and priority
+ */
+export const enqueueJob = async (job) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO scrape_job_queue (job_id, priority, status, available_at, created_at)
+       VALUES (?, ?, 'queued', NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+       status = 'queued', lease_owner = NULL, lease_expires_at = NULL, available_at = NOW()`,
+      [job.jobId, job.priority || 'normal']
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[QUEUE] Error enqueueing job ${job.jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Atomically claim the next available job for a worker
+ * Queued jobs and jobs whose lease has expired are both claimable; SKIP LOCKED lets
+ * several instances claim concurrently without handing out the same row twice
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} leaseSeconds - Visibility timeout for the lease
+ * @returns {Promise<object|null>} - Claimed job or null if the queue is empty
+ */
+export const claimNextJob = async (workerId, leaseSeconds) => {
+  const pool = checkDatabaseConnection();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT job_id, status, lease_owner FROM scrape_job_queue
+       WHERE (status = 'queued' AND available_at <= NOW())
+          OR (status = 'leased' AND lease_expires_at < NOW())
+       ORDER BY FIELD(priority, 'high', 'normal', 'low'), created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`
+    );
+
+    if (rows.length === 0) {
+      await connection.commit();
+      return null;
+    }
+
+    const claimed = rows[0];
+
+    if (claimed.status === 'leased') {
+      logger.warn(`[QUEUE] ⚠️ Lease on job ${claimed.job_id} held by ${claimed.lease_owner} expired, reclaiming for ${workerId}`);
+    }
+
+    await connection.execute(
+      `UPDATE scrape_job_queue
+       SET status = 'leased', lease_owner = ?, lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+           heartbeat_at = NOW(), attempts = attempts + 1
+       WHERE job_id = ?`,
+      [workerId, leaseSeconds, claimed.job_id]
+    );
+
+    const [jobRows] = await connection.execute(
+      `SELECT sj.id, sj.domain, sj.status, sj.started_at, sj.params, sj.created_at, q.attempts
+       FROM scrape_jobs sj
+       JOIN scrape_job_queue q ON q.job_id = sj.id
+       WHERE sj.id = ?`,
+      [claimed.job_id]
+    );
+
+    await connection.commit();
+
+    if (jobRows.length === 0) {
+      // Orphaned queue row - the job itself is gone
+      logger.warn(`[QUEUE] Queue entry ${claimed.job_id} has no matching job, removing it`);
+      await removeJob(claimed.job_id);
+      return null;
+    }
+
+    return mapJobRow(jobRows[0]);
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`[QUEUE] Error claiming next job: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Extend the lease on a job the worker is still processing
+ * @returns {Promise<boolean>} - False if the worker no longer holds the lease
+ */
+export const heartbeatJob = async (jobId, workerId, leaseSeconds) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `UPDATE scrape_job_queue
+       SET lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND), heartbeat_at = NOW()
+       WHERE job_id = ? AND lease_owner = ? AND status = 'leased'`,
+      [leaseSeconds, jobId, workerId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[QUEUE] Error sending heartbeat for job ${jobId}: ${error.message}`);
+    // Keep going - a transient DB error shouldn't abandon the job
+    return true;
+  }
+};
+
+/**
+ * Remove a finished job from the queue, provided the worker still holds its lease
+ */
+export const completeJob = async (jobId, workerId) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      'DELETE FROM scrape_job_queue WHERE job_id = ? AND lease_owner = ?',
+      [jobId, workerId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[QUEUE] Error completing job ${jobId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Remove a job from the queue whatever its state (used for cancellation and dead jobs)
+ */
+export const removeJob = async (jobId) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      'DELETE FROM scrape_job_queue WHERE job_id = ?',
+      [jobId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[QUEUE] Error removing job ${jobId} from queue: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Queue entries for jobs left queued or processing without a queue row
+ * (e.g. jobs created before the durable queue existed)
+ * @returns {Promise<number>} - Number of jobs added to the queue
+ */
+export const backfillPendingJobs = async () => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `INSERT IGNORE INTO scrape_job_queue (job_id, priority, status, available_at, created_at)
+       SELECT sj.id,
+              COALESCE(JSON_UNQUOTE(JSON_EXTRACT(sj.params, '$.priority')), 'normal'),
+              'queued', NOW(), sj.created_at
+       FROM scrape_jobs sj
+       LEFT JOIN scrape_job_queue q ON q.job_id = sj.id
+       WHERE sj.status IN ('queued', 'processing') AND q.job_id IS NULL`
+    );
+
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`[QUEUE] Error backfilling pending jobs: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Get queue depth and lease counts
+ */
+export const getQueueStats = async () => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      `SELECT
+        SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+        SUM(CASE WHEN status = 'leased' AND lease_expires_at >= NOW() THEN 1 ELSE 0 END) as leased,
+        SUM(CASE WHEN status = 'leased' AND lease_expires_at < NOW() THEN 1 ELSE 0 END) as expired
+       FROM scrape_job_queue`
+    );
+
+    return {
+      queued: Number(rows[0]?.queued) || 0,
+      leased: Number(rows[0]?.leased) || 0,
+      expired: Number(rows[0]?.expired) || 0
+    };
+  } catch (error) {
+    logger.error(`[QUEUE] Error getting queue stats: ${error.message}`);
+    return { queued: 0, leased: 0, expired: 0 };
+  }
+};
@@ -0,0 +1,103 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a domain_logos row to a logo object
+ */
+function mapLogoRow(row) {
+  return {
+    variant: row.variant,
+    source: row.source,
+    url: row.source_url,
+    kind: row.kind,
+    format: row.format,
+    width: row.width,
+    height: row.height,
+    score: row.score,
+    storageDriver: row.storage_driver,
+    storageKey: row.storage_key,
+    contentType: row.content_type,
+    byteSize: row.byte_size,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Save (replace) one logo variant ('svg' or 'raster') of a domain
+ */
+export const saveLogo = async (domainId, variant, logo) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO domain_logos
+       (domain_id, variant, source, source_url, kind, format, width, height, score,
+        storage_driver, storage_key, content_type, byte_size, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         source = VALUES(source), source_url = VALUES(source_url), kind = VALUES(kind), format = VALUES(format),
+         width = VALUES(width), height = VALUES(height), score = VALUES(score),
+         storage_driver = VALUES(storage_driver), storage_key = VALUES(storage_key),
+         content_type = VALUES(content_type), byte_size = VALUES(byte_size), updated_at = NOW()`,
+      [
+        domainId,
+        variant,
+        logo.source,
+        logo.url || null,
+        logo.kind || null,
+        logo.format,
+        logo.width || null,
+        logo.height || null,
+        logo.score !== undefined ? Math.round(logo.score) : null,
+        logo.storageDriver,
+        logo.storageKey,
+        logo.contentType || null,
+        logo.byteSize || null
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`[LOGO] Error saving ${variant} logo for domain ID ${domainId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a domain's stored logo variants
+ * @param {string} domain - Normalized domain
+ * @returns {Promise<object|null>} - { domainId, logos: { svg, raster } }, or null if the domain is unknown
+ */
+export const getLogosByDomain = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [domainRows] = await db.execute('SELECT id FROM domain_info WHERE domain = ?', [domain]);
+    if (domainRows.length === 0) {
+      return null;
+    }
+    const domainId = domainRows[0].id;
+
+    const [rows] = await db.execute('SELECT * FROM domain_logos WHERE domain_id = ?', [domainId]);
+
+    const logos = { svg: null, raster: null };
+    rows.forEach(row => {
+      logos[row.variant] = mapLogoRow(row);
+    });
+
+    return { domainId, logos };
+  } catch (error) {
+    logger.error(`[LOGO] Error getting logos for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
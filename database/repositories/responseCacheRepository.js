@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * URLs can be longer than an index allows, so entries are keyed by a hash
+ */
+const hashUrl = (url) => crypto.createHash('sha256').update(url).digest('hex');
+
+/**
+ * Get the cached validators for a URL
+ * @returns {Promise<object|null>} - { url, etag, lastModified, statusCode, contentType, fetchedAt, validatedAt }
+ */
+export const getCacheEntry = async (url) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      'SELECT * FROM http_response_cache WHERE url_hash = ?',
+      [hashUrl(url)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    return {
+      url: row.url,
+      etag: row.etag,
+      lastModified: row.last_modified,
+      statusCode: row.status_code,
+      contentType: row.content_type,
+      fetchedAt: row.fetched_at,
+      validatedAt: row.validated_at,
+      hits: row.hits
+    };
+  } catch (error) {
+    logger.warn(`[CACHE] Error reading response cache for ${url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Store the validators from a full (200) response
+ */
+export const saveCacheEntry = async (url, { etag = null, lastModified = null, statusCode = 200, contentType = null }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `INSERT INTO http_response_cache
+       (url_hash, url, etag, last_modified, status_code, content_type, fetched_at, validated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+       etag = VALUES(etag),
+       last_modified = VALUES(last_modified),
+       status_code = VALUES(status_code),
+       content_type = VALUES(content_type),
+       fetched_at = NOW(),
+       validated_at = NOW()`,
+      [hashUrl(url), url, etag, lastModified, statusCode, contentType]
+    );
+
+    return true;
+  } catch (error) {
+    logger.warn(`[CACHE] Error saving response cache for ${url}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Record that a conditional request came back 304
+ */
+export const markNotModified = async (url) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      'UPDATE http_response_cache SET validated_at = NOW(), hits = hits + 1 WHERE url_hash = ?',
+      [hashUrl(url)]
+    );
+
+    return true;
+  } catch (error) {
+    logger.warn(`[CACHE] Error updating response cache for ${url}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Remove a URL from the cache (e.g. when its stored body has gone)
+ */
+export const deleteCacheEntry = async (url) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute('DELETE FROM http_response_cache WHERE url_hash = ?', [hashUrl(url)]);
+    return true;
+  } catch (error) {
+    logger.warn(`[CACHE] Error deleting response cache for ${url}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get the most recently stored HTML for a URL from domain_pages
+ * @returns {Promise<object|null>} - { html, title, contentType } or null
+ */
+export const getStoredPage = async (url) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      `SELECT raw_html, title, content_type FROM domain_pages
+       WHERE url = ? AND raw_html IS NOT NULL
+       ORDER BY crawled_at DESC LIMIT 1`,
+      [url]
+    );
+
+    if (rows.length === 0 || !rows[0].raw_html) {
+      return null;
+    }
+
+    return {
+      html: rows[0].raw_html,
+      title: rows[0].title,
+      contentType: rows[0].content_type
+    };
+  } catch (error) {
+    logger.warn(`[CACHE] Error reading stored page for ${url}: ${error.message}`);
+    return null;
+  }
+};
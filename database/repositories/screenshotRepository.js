@@ -0,0 +1,145 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a domain_screenshots row to a screenshot object
+ */
+function mapScreenshotRow(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    domainId: row.domain_id,
+    domain: row.domain,
+    pageUrl: row.page_url,
+    viewport: row.viewport,
+    mode: row.capture_mode,
+    width: row.width,
+    height: row.height,
+    storageDriver: row.storage_driver,
+    storageKey: row.storage_key,
+    contentType: row.content_type,
+    byteSize: row.byte_size,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Record a stored screenshot
+ * @returns {Promise<number>} - New screenshot ID
+ */
+export const saveScreenshot = async (screenshot) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `INSERT INTO domain_screenshots
+       (job_id, domain_id, domain, page_url, viewport, capture_mode, width, height,
+        storage_driver, storage_key, content_type, byte_size, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        screenshot.jobId,
+        screenshot.domainId || null,
+        screenshot.domain,
+        screenshot.pageUrl,
+        screenshot.viewport,
+        screenshot.mode,
+        screenshot.width || null,
+        screenshot.height || null,
+        screenshot.storageDriver,
+        screenshot.storageKey,
+        screenshot.contentType || null,
+        screenshot.byteSize || null
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    logger.error(`[SCREENSHOT] Error saving screenshot of ${screenshot.pageUrl}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a screenshot by ID
+ */
+export const getScreenshotById = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute('SELECT * FROM domain_screenshots WHERE id = ?', [id]);
+    return rows.length > 0 ? mapScreenshotRow(rows[0]) : null;
+  } catch (error) {
+    logger.error(`[SCREENSHOT] Error getting screenshot ${id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List a domain's screenshots, newest first
+ * @param {string} domain - Normalized domain
+ * @param {object} filters - { jobId, viewport, mode, limit, offset }
+ */
+export const listScreenshots = async (domain, filters = {}) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const conditions = ['domain = ?'];
+    const params = [domain];
+
+    if (filters.jobId) {
+      conditions.push('job_id = ?');
+      params.push(filters.jobId);
+    }
+    if (filters.viewport) {
+      conditions.push('viewport = ?');
+      params.push(filters.viewport);
+    }
+    if (filters.mode) {
+      conditions.push('capture_mode = ?');
+      params.push(filters.mode);
+    }
+
+    const safeLimit = Number(filters.limit) || 50;
+    const safeOffset = Number(filters.offset) || 0;
+
+    const [rows] = await db.execute(
+      `SELECT * FROM domain_screenshots WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+      params
+    );
+
+    return rows.map(mapScreenshotRow);
+  } catch (error) {
+    logger.error(`[SCREENSHOT] Error listing screenshots for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the job ID of a domain's most recent screenshots
+ */
+export const getLatestScreenshotJobId = async (domain) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute(
+      'SELECT job_id FROM domain_screenshots WHERE domain = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+      [domain]
+    );
+
+    return rows.length > 0 ? rows[0].job_id : null;
+  } catch (error) {
+    logger.error(`[SCREENSHOT] Error getting latest screenshot job for ${domain}: ${error.message}`);
+    throw error;
+  }
+};
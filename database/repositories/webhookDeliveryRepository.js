@@ -0,0 +1,212 @@
+import logger from '../../utils/logger.js';
+import { getPool } from '../../../config/database.js';
+
+/**
+ * Helper function to check database connection
+ */
+function checkDatabaseConnection() {
+  if (!global.dbConnected) {
+    throw new Error('Database not available');
+  }
+  return getPool();
+}
+
+/**
+ * Map a webhook_deliveries row to a delivery object
+ */
+function mapDeliveryRow(row) {
+  return {
+    id: row.id,
+    deliveryId: row.delivery_id,
+    jobId: row.job_id,
+    event: row.event,
+    callbackUrl: row.callback_url,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Create a delivery record
+ * A job has one final event: creating a second one for the same job is refused by the final_job_id unique key.
+ * @param {boolean} final - Whether this is the job's final event (completed, failed, cancelled)
+ * @returns {Promise<number|null>} - Row ID of the new delivery, null if the job's final event already exists
+ */
+export const createDelivery = async ({ deliveryId, jobId, event, callbackUrl, payload, final = false }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `INSERT INTO webhook_deliveries
+       (delivery_id, job_id, event, final_job_id, callback_url, payload, status, attempts, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, NOW(), NOW())`,
+      [deliveryId, jobId, event, final ? jobId : null, callbackUrl, payload]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    if (final && error.code === 'ER_DUP_ENTRY') {
+      return null;
+    }
+    logger.error(`[WEBHOOK] Error creating delivery for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a delivery by row ID
+ */
+export const getDelivery = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [rows] = await db.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return rows.length > 0 ? mapDeliveryRow(rows[0]) : null;
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error getting delivery ${id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Claim a delivery for sending so that only one instance sends it
+ * Deliveries stuck in "sending" for five minutes are assumed abandoned and can be claimed again
+ * @returns {Promise<boolean>} - True if this caller now owns the attempt
+ */
+export const claimDelivery = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `UPDATE webhook_deliveries SET status = 'sending', updated_at = NOW()
+       WHERE id = ? AND (status = 'pending' OR (status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL 5 MINUTE)))`,
+      [id]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error claiming delivery ${id}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {number} id - Delivery row ID
+ * @param {object} outcome - Attempt outcome
+ * @param {string} outcome.status - 'delivered', 'pending' (retry later) or 'failed'
+ * @param {number|null} outcome.statusCode - HTTP status returned by the receiver
+ * @param {string|null} outcome.error - Error message, if any
+ * @param {number|null} outcome.retryInSeconds - Delay before the next attempt when status is 'pending'
+ */
+export const recordAttempt = async (id, { status, statusCode = null, error = null, retryInSeconds = null }) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    await db.execute(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = attempts + 1, last_status_code = ?, last_error = ?,
+           next_attempt_at = ${retryInSeconds !== null ? 'DATE_ADD(NOW(), INTERVAL ? SECOND)' : 'NULL'},
+           delivered_at = ${status === 'delivered' ? 'NOW()' : 'delivered_at'},
+           updated_at = NOW()
+       WHERE id = ?`,
+      retryInSeconds !== null
+        ? [status, statusCode, error, retryInSeconds, id]
+        : [status, statusCode, error, id]
+    );
+
+    return true;
+  } catch (err) {
+    logger.error(`[WEBHOOK] Error recording attempt for delivery ${id}: ${err.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get deliveries that are due for a retry
+ */
+export const getDueDeliveries = async (limit = 10) => {
+  try {
+    const db = checkDatabaseConnection();
+    const safeLimit = Number(limit) || 10;
+
+    const [rows] = await db.execute(
+      `SELECT * FROM webhook_deliveries
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL 5 MINUTE))
+       ORDER BY next_attempt_at ASC
+       LIMIT ${safeLimit}`
+    );
+
+    return rows.map(mapDeliveryRow);
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error getting due deliveries: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * List deliveries with optional filtering
+ */
+export const listDeliveries = async ({ status, jobId, limit = 20, offset = 0 } = {}) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const safeLimit = Number(limit) || 20;
+    const safeOffset = Number(offset) || 0;
+
+    let query = 'SELECT * FROM webhook_deliveries';
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (jobId) {
+      conditions.push('job_id = ?');
+      params.push(jobId);
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT ${safeLimit} OFFSET ${safeOffset}`;
+
+    const [rows] = await db.execute(query, params);
+    return rows.map(mapDeliveryRow);
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error listing deliveries: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Put a delivery back in the pending state so it is sent again
+ */
+export const resetDelivery = async (id) => {
+  try {
+    const db = checkDatabaseConnection();
+
+    const [result] = await db.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND status IN ('failed', 'delivered')`,
+      [id]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error resetting delivery ${id}: ${error.message}`);
+    throw error;
+  }
+};
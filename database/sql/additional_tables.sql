@@ -16,6 +16,8 @@ CREATE TABLE IF NOT EXISTS `domain_images` (
   `score` int DEFAULT '0',
   `is_hero` tinyint(1) DEFAULT '0',
   `is_logo` tinyint(1) DEFAULT '0',
+  `perceptual_hash` varchar(16) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `variant_urls` text COLLATE utf8mb4_unicode_ci,
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -35,10 +37,36 @@ CREATE TABLE IF NOT EXISTS `domain_podcast_episodes` (
   `image_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `published_date` datetime DEFAULT NULL,
   `duration` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `guid` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `duration_seconds` int DEFAULT NULL,
+  `enclosure_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `enclosure_length` bigint DEFAULT NULL,
+  `explicit` tinyint(1) DEFAULT NULL,
+  `episode_type` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `season` int DEFAULT NULL,
+  `season_name` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `episode_number` int DEFAULT NULL,
+  `episode_display` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `transcripts` text COLLATE utf8mb4_unicode_ci,
+  `chapters_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `chapters_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `persons` text COLLATE utf8mb4_unicode_ci,
+  `audio_size_bytes` bigint DEFAULT NULL,
+  `audio_mime_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `audio_format` varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `audio_bitrate_kbps` int DEFAULT NULL,
+  `audio_probed_at` timestamp NULL DEFAULT NULL,
+  `transcript_text` mediumtext COLLATE utf8mb4_unicode_ci,
+  `transcript_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `transcript_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `transcript_language` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `transcript_source` varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `transcript_word_count` int DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  KEY `domain_id` (`domain_id`)
+  KEY `domain_id` (`domain_id`),
+  KEY `domain_guid` (`domain_id`, `guid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Table for storing podcast feeds
@@ -53,6 +81,23 @@ CREATE TABLE IF NOT EXISTS `domain_podcast_feeds` (
   `link_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `feed_type` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT 'rss',
   `episode_count` int DEFAULT '0',
+  `podcast_guid` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `language` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `medium` varchar(30) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `itunes_type` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `explicit` tinyint(1) DEFAULT NULL,
+  `categories` text COLLATE utf8mb4_unicode_ci,
+  `owner_name` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `owner_email` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `complete` tinyint(1) DEFAULT NULL,
+  `new_feed_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `locked` tinyint(1) DEFAULT NULL,
+  `locked_owner` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `funding` text COLLATE utf8mb4_unicode_ci,
+  `persons` text COLLATE utf8mb4_unicode_ci,
+  `platforms` text COLLATE utf8mb4_unicode_ci,
+  `total_duration_seconds` int DEFAULT NULL,
+  `duration_episode_count` int DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -85,6 +130,14 @@ CREATE TABLE IF NOT EXISTS `domain_isbn_data` (
   `image_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `title` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `author` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `subtitle` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `contributors` text COLLATE utf8mb4_unicode_ci,
+  `publisher` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `publication_date` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `format` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `cover_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `metadata_source` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `enriched_at` timestamp NULL DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -107,4 +160,254 @@ CREATE TABLE IF NOT EXISTS `domain_crawl_progress` (
   PRIMARY KEY (`id`),
   KEY `domain_id` (`domain_id`),
   UNIQUE KEY `unique_domain_job` (`domain_id`, `job_id`)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci; 
\ No newline at end of file
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci; 
+
+-- Table for storing URLs skipped because robots.txt disallows them
+CREATE TABLE IF NOT EXISTS `domain_crawl_blocked_urls` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `job_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `url` varchar(512) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `reason` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `domain_id` (`domain_id`),
+  UNIQUE KEY `unique_job_blocked_url` (`job_id`, `url`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Durable job queue shared by all server instances, rows are leased while a worker runs the job
+CREATE TABLE IF NOT EXISTS `scrape_job_queue` (
+  `job_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `priority` varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT 'normal',
+  `status` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT 'queued',
+  `lease_owner` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `lease_expires_at` timestamp NULL DEFAULT NULL,
+  `heartbeat_at` timestamp NULL DEFAULT NULL,
+  `attempts` int DEFAULT '0',
+  `available_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`job_id`),
+  KEY `status_available` (`status`, `available_at`),
+  KEY `lease_expires_at` (`lease_expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Log of webhook deliveries to job callback URLs
+-- final_job_id is set for a job's final event (completed, failed or cancelled), its unique key allows one per job
+CREATE TABLE IF NOT EXISTS `webhook_deliveries` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `delivery_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `job_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `event` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `final_job_id` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `callback_url` varchar(512) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `payload` mediumtext COLLATE utf8mb4_unicode_ci,
+  `status` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT 'pending',
+  `attempts` int DEFAULT '0',
+  `last_status_code` int DEFAULT NULL,
+  `last_error` text COLLATE utf8mb4_unicode_ci,
+  `next_attempt_at` timestamp NULL DEFAULT NULL,
+  `delivered_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_delivery_id` (`delivery_id`),
+  UNIQUE KEY `unique_final_job_id` (`final_job_id`),
+  KEY `job_id` (`job_id`),
+  KEY `status_next_attempt` (`status`, `next_attempt_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Recurring recrawl schedules per domain (cron expressions evaluated in UTC)
+CREATE TABLE IF NOT EXISTS `crawl_schedules` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `cron_expression` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `params` json DEFAULT NULL,
+  `enabled` tinyint(1) DEFAULT '1',
+  `next_run_at` datetime DEFAULT NULL,
+  `last_run_at` datetime DEFAULT NULL,
+  `last_job_id` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `last_status` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `last_message` text COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `domain` (`domain`),
+  KEY `enabled_next_run` (`enabled`, `next_run_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per-job snapshot of what a crawl found, used to diff crawls of the same domain
+CREATE TABLE IF NOT EXISTS `domain_crawl_snapshots` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `job_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `domain_id` int NOT NULL,
+  `domain` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `page_count` int DEFAULT '0',
+  `snapshot` longtext COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_job_snapshot` (`job_id`),
+  KEY `domain_created` (`domain`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- HTTP validators (ETag / Last-Modified) per URL for conditional recrawls, bodies stay in domain_pages
+CREATE TABLE IF NOT EXISTS `http_response_cache` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `url_hash` char(64) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `url` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `etag` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `last_modified` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `status_code` int DEFAULT NULL,
+  `content_type` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `hits` int DEFAULT '0',
+  `fetched_at` datetime DEFAULT NULL,
+  `validated_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `url_hash` (`url_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Whether a domain's pages can be fetched statically or need a headless render
+CREATE TABLE IF NOT EXISTS `domain_fetch_strategy` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `strategy` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'static',
+  `reason` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `static_successes` int DEFAULT '0',
+  `render_escalations` int DEFAULT '0',
+  `decided_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain` (`domain`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Screenshots captured per crawled page, the image itself lives in object storage (local disk or S3)
+CREATE TABLE IF NOT EXISTS `domain_screenshots` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `job_id` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `domain_id` int DEFAULT NULL,
+  `domain` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `page_url` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `viewport` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `capture_mode` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `width` int DEFAULT NULL,
+  `height` int DEFAULT NULL,
+  `storage_driver` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'local',
+  `storage_key` varchar(512) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `content_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `byte_size` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `domain_created` (`domain`, `created_at`),
+  KEY `job_id` (`job_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Typography and W3C design tokens per domain, colors stay in domain_colors
+CREATE TABLE IF NOT EXISTS `domain_design_tokens` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `typography` longtext COLLATE utf8mb4_unicode_ci,
+  `tokens` longtext COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain_id` (`domain_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Best SVG and raster logo per domain, the file itself lives in object storage (local disk or S3)
+CREATE TABLE IF NOT EXISTS `domain_logos` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `variant` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `source` varchar(30) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `source_url` text COLLATE utf8mb4_unicode_ci,
+  `kind` varchar(10) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `format` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `width` int DEFAULT NULL,
+  `height` int DEFAULT NULL,
+  `score` int DEFAULT NULL,
+  `storage_driver` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'local',
+  `storage_key` varchar(512) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `content_type` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `byte_size` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain_variant` (`domain_id`, `variant`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Catalogue lookups per ISBN-13, shared by all domains (found = 0 caches a miss)
+CREATE TABLE IF NOT EXISTS `book_metadata_cache` (
+  `isbn13` varchar(13) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `found` tinyint(1) NOT NULL DEFAULT '0',
+  `metadata` longtext COLLATE utf8mb4_unicode_ci,
+  `sources` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `fetched_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`isbn13`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Book catalogue per domain from JSON-LD, Merchant feeds and ONIX, one row per work
+CREATE TABLE IF NOT EXISTS `domain_books` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `work_key` varchar(40) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `title` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `subtitle` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `contributors` text COLLATE utf8mb4_unicode_ci,
+  `publisher` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `publication_date` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `cover_url` text COLLATE utf8mb4_unicode_ci,
+  `url` text COLLATE utf8mb4_unicode_ci,
+  `sources` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain_work` (`domain_id`, `work_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Editions of the works in domain_books, one row per ISBN-13 with format, price and availability
+CREATE TABLE IF NOT EXISTS `domain_book_editions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `book_id` int NOT NULL,
+  `isbn13` varchar(13) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `format` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `price` decimal(10,2) DEFAULT NULL,
+  `currency` varchar(3) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `availability` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `url` text COLLATE utf8mb4_unicode_ci,
+  `cover_url` text COLLATE utf8mb4_unicode_ci,
+  `sources` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain_isbn13` (`domain_id`, `isbn13`),
+  KEY `book_id` (`book_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Blog articles per domain, with the full text of the ones whose page was crawled
+CREATE TABLE IF NOT EXISTS `domain_blog_articles` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `domain_id` int NOT NULL,
+  `url` varchar(512) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `title` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `author` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `published_at` datetime DEFAULT NULL,
+  `modified_at` datetime DEFAULT NULL,
+  `excerpt` text COLLATE utf8mb4_unicode_ci,
+  `content_text` mediumtext COLLATE utf8mb4_unicode_ci,
+  `headings` text COLLATE utf8mb4_unicode_ci,
+  `word_count` int DEFAULT NULL,
+  `reading_time_minutes` int DEFAULT NULL,
+  `lead_image_url` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `tags` text COLLATE utf8mb4_unicode_ci,
+  `source` varchar(20) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `extracted_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `domain_url` (`domain_id`, `url`),
+  KEY `domain_id` (`domain_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
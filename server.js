@@ -8,6 +8,8 @@ import helmet from 'helmet';
 import setupSocketServer from './src/socket/socketServer.js';
 import logger from './src/utils/logger.js';
 import * as scrapeManager from './src/services/scrapeManager.js';
+import * as schedulerService from './src/services/schedulerService.js';
+import * as browserPool from './src/services/browserPool.js';
 import apiRoutes from './src/api/routes.js';
 import monitorRoutes from './src/api/routes/monitorRoutes.js';
 import domainDataRoutes from './src/routes/domainDataRoutes.js';
@@ -98,7 +100,8 @@ app.get('/config', (req, res) => {
 app.get('/health', (req, res) => {
   res.json({
     status: 'UP',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    browserPool: browserPool.getPoolStats()
   });
 });
 
@@ -156,6 +159,9 @@ const start = async () => {
       // Initialize the scrape manager
       await scrapeManager.init();
       
+      // Start queueing scheduled recrawls
+      schedulerService.start();
+      
       // Start the server
       httpServer.listen(PORT, () => {
         logger.info(`Server running on port ${PORT}`);
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import blogArchiveService from '../blogArchiveService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../__fixtures__/blogArchive', name), 'utf8');
+
+/**
+ * http for the archive that serves fixtures instead of the network
+ * Routes are keyed by URL with only its page parameter kept; a route is a fixture name, { file, headers }
+ * or a function of the URL. Unknown URLs answer 404.
+ */
+const archiveHttp = (routes = {}) => {
+  const requests = [];
+
+  const routeKey = (url) => {
+    const parsed = new URL(url);
+    const page = parsed.searchParams.get('page');
+    parsed.search = page ? `?page=${page}` : '';
+    return parsed.href;
+  };
+
+  return {
+    requests,
+    get: async (url) => {
+      requests.push(url);
+      const route = routes[routeKey(url)];
+      if (!route) {
+        const error = new Error(`Request failed with status code 404`);
+        error.response = { status: 404 };
+        throw error;
+      }
+      if (typeof route === 'function') {
+        return { data: route(url), headers: {} };
+      }
+      const { file, headers = {} } = typeof route === 'string' ? { file: route } : route;
+      const data = fixture(file);
+      return { data: file.endsWith('.json') ? JSON.parse(data) : data, headers };
+    }
+  };
+};
+
+const extractPageArticles = (page) => {
+  const $ = cheerio.load(page.content);
+  return $('article h2 a').map((_, link) => ({
+    title: $(link).text().trim(),
+    url: new URL($(link).attr('href'), page.url).href,
+    source: 'listing'
+  })).get();
+};
+
+const indexPage = (file, url) => {
+  const page = { url, content: fixture(file), blogScore: 10 };
+  return { page, articles: extractPageArticles(page) };
+};
+
+const articleKeys = (articles) => articles.map(article => blogArchiveService.normalizeArticleUrl(article.url));
+
+describe('blogArchiveService', () => {
+  test('follows pagination and counts each article once', async () => {
+    const { page, articles: known } = indexPage('index-pagination.html', 'https://blog.example/blog/');
+    const http = archiveHttp({
+      'https://blog.example/blog/page/2/': 'page-2.html',
+      // Sites that serve their last page for any page number past it
+      'https://blog.example/blog/page/3/': 'page-2.html'
+    });
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(articleKeys(articles)).toEqual([
+      'https://blog.example/blog/translators-fair',
+      'https://blog.example/blog/autumn-list',
+      'https://blog.example/blog/cover-design',
+      'https://blog.example/blog/prize-shortlist'
+    ]);
+    expect(http.requests).toEqual(['https://blog.example/blog/page/2/', 'https://blog.example/blog/page/3/']);
+    expect(archive).toEqual({ method: 'pagination', requests: 2, pagesVisited: 3, totalCount: 4, complete: true });
+  });
+
+  test('stops when pagination links back to a page it has visited', async () => {
+    const { page, articles: known } = indexPage('index-pagination.html', 'https://blog.example/blog/');
+    const http = archiveHttp({ 'https://blog.example/blog/page/2/': 'page-2-loop.html' });
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(articles).toHaveLength(3);
+    expect(http.requests).toEqual(['https://blog.example/blog/page/2/']);
+    expect(archive).toEqual({ method: 'pagination', requests: 1, pagesVisited: 2, totalCount: 3, complete: true });
+  });
+
+  test('uses crawled pages instead of fetching them again', async () => {
+    const { page, articles: known } = indexPage('index-pagination.html', 'https://blog.example/blog/');
+    const http = archiveHttp({ 'https://blog.example/blog/page/3/': 'page-2.html' });
+    const pages = [{ url: 'https://blog.example/blog/page/2/', content: fixture('page-2.html') }];
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { pages, extractPageArticles, http });
+
+    expect(articles).toHaveLength(4);
+    expect(http.requests).toEqual(['https://blog.example/blog/page/3/']);
+    expect(archive).toMatchObject({ requests: 1, pagesVisited: 3, complete: true });
+  });
+
+  test('stops at BLOG_ARCHIVE_MAX_PAGES requests on an endless archive', async () => {
+    const listing = (url) => {
+      const pageNumber = blogArchiveService.pageNumberOf(url);
+      return `<html><head><link rel="next" href="/blog/page/${pageNumber + 1}/"></head><body>
+        <article><h2><a href="/blog/post-${pageNumber}-a/">Post ${pageNumber}a</a></h2></article>
+        <article><h2><a href="/blog/post-${pageNumber}-b/">Post ${pageNumber}b</a></h2></article>
+      </body></html>`;
+    };
+    const routes = {};
+    for (let pageNumber = 2; pageNumber <= 40; pageNumber++) {
+      routes[`https://blog.example/blog/page/${pageNumber}/`] = listing;
+    }
+    const http = archiveHttp(routes);
+    const { page, articles: known } = indexPage('index-pagination.html', 'https://blog.example/blog/');
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(http.requests).toHaveLength(20);
+    expect(http.requests[19]).toBe('https://blog.example/blog/page/21/');
+    expect(articles).toHaveLength(2 + 20 * 2);
+    expect(archive).toEqual({ method: 'pagination', requests: 20, pagesVisited: 21, totalCount: null, complete: false });
+  });
+
+  test('lists WordPress posts through the REST API, deduplicated with the crawled ones', async () => {
+    const { page, articles: known } = indexPage('index-wordpress.html', 'https://blog.example/blog/');
+    const http = archiveHttp({
+      'https://blog.example/wp-json/wp/v2/posts?page=1': { file: 'wp-posts-1.json', headers: { 'x-wp-total': '3', 'x-wp-totalpages': '2' } },
+      'https://blog.example/wp-json/wp/v2/posts?page=2': { file: 'wp-posts-2.json', headers: { 'x-wp-total': '3', 'x-wp-totalpages': '2' } }
+    });
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(articleKeys(articles)).toEqual([
+      'https://blog.example/blog/translators-fair',
+      'https://blog.example/blog/autumn-list',
+      'https://blog.example/blog/reading-slowly'
+    ]);
+    // Crawled articles keep their place, the API only adds the posts the crawl missed
+    expect(articles[0].source).toBe('listing');
+    expect(articles[2]).toMatchObject({
+      title: 'Reading Slowly in a Fast World',
+      excerpt: 'Why we read fewer books last year.',
+      imageUrl: 'https://blog.example/wp-content/uploads/slow.jpg',
+      date: '2024-02-20T08:00:00Z',
+      source: 'wp-json'
+    });
+    expect(archive).toEqual({ method: 'wp-json', requests: 2, pagesVisited: 1, totalCount: 3, complete: true });
+  });
+
+  test('keeps per_page constant across WordPress requests and trims the posts past the limit', async () => {
+    const { page, articles: known } = indexPage('index-wordpress.html', 'https://blog.example/blog/');
+    // A host that caps per_page at 90 posts
+    const posts = (url) => {
+      const pageNumber = Number(new URL(url).searchParams.get('page'));
+      return Array.from({ length: 90 }, (_, index) => ({
+        link: `https://blog.example/blog/post-${pageNumber}-${index}/`,
+        title: { rendered: `Post ${pageNumber}.${index}` }
+      }));
+    };
+    const routes = {};
+    for (let pageNumber = 1; pageNumber <= 8; pageNumber++) {
+      routes[`https://blog.example/wp-json/wp/v2/posts?page=${pageNumber}`] = posts;
+    }
+    const http = archiveHttp(routes);
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(http.requests).toHaveLength(6);
+    expect(http.requests.map(url => new URL(url).searchParams.get('per_page'))).toEqual(Array(6).fill('100'));
+    expect(articles).toHaveLength(500);
+    expect(new Set(articleKeys(articles)).size).toBe(500);
+    expect(archive).toMatchObject({ method: 'wp-json', requests: 6, complete: false });
+  });
+
+  test('falls back to pagination when the WordPress REST API is not available', async () => {
+    const { page, articles: known } = indexPage('index-wordpress.html', 'https://blog.example/blog/');
+    const http = archiveHttp({
+      'https://blog.example/blog/page/2/': 'page-2.html',
+      'https://blog.example/blog/page/3/': 'page-2.html'
+    });
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(articles).toHaveLength(4);
+    expect(http.requests[0]).toMatch(/^https:\/\/blog\.example\/wp-json\/wp\/v2\/posts\?/);
+    expect(archive).toEqual({ method: 'pagination', requests: 3, pagesVisited: 3, totalCount: 4, complete: true });
+  });
+
+  test('loads more from JSON items and HTML fragments without duplicates', async () => {
+    const { page, articles: known } = indexPage('index-load-more.html', 'https://blog.example/stories/');
+    const http = archiveHttp({
+      'https://blog.example/api/stories?page=2': 'load-more-2.json',
+      'https://blog.example/api/stories?page=3': 'load-more-3.json'
+    });
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, known, { extractPageArticles, http });
+
+    expect(articleKeys(articles)).toEqual([
+      'https://blog.example/stories/translators-fair',
+      'https://blog.example/stories/autumn-list',
+      'https://blog.example/stories/cover-design',
+      'https://blog.example/stories/prize-shortlist'
+    ]);
+    expect(articles[2]).toMatchObject({ title: 'How a Cover Gets Made', date: '2024-01-02', source: 'load-more' });
+    expect(http.requests).toEqual(['https://blog.example/api/stories?page=2', 'https://blog.example/api/stories?page=3']);
+    expect(archive).toEqual({ method: 'load-more', requests: 2, pagesVisited: 3, totalCount: 4, complete: true });
+  });
+
+  test('treats an index without pagination as the whole archive', async () => {
+    const page = { url: 'https://blog.example/news/', content: '<html><body><article><h2><a href="/news/one/">One</a></h2></article></body></html>' };
+    const http = archiveHttp();
+
+    const { articles, archive } = await blogArchiveService.enumerateArchive(page, extractPageArticles(page), { extractPageArticles, http });
+
+    expect(articles).toHaveLength(1);
+    expect(http.requests).toEqual([]);
+    expect(archive).toEqual({ method: null, requests: 0, pagesVisited: 1, totalCount: 1, complete: true });
+  });
+});
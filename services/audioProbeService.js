@@ -0,0 +1,162 @@
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import { readCapped } from '../utils/streamUtils.js';
+import { detectAudioFormat, id3TagSize, readMp3Frame, readMp4Duration } from '../utils/audioHeader.js';
+
+/**
+ * Podcast enclosure probing
+ *
+ * Records the real size, MIME type, bitrate and (where the header has it) duration of episode audio
+ * without downloading it: a HEAD request for the size and type, then a ranged GET for the first
+ * bytes of the file. Feeds' enclosure length and type are often wrong or placeholders (0, 1, the
+ * same value for every episode), so these are stored alongside them rather than replacing them.
+ */
+
+const PODCAST_PROBE_MAX_EPISODES = process.env.PODCAST_PROBE_MAX_EPISODES ? parseInt(process.env.PODCAST_PROBE_MAX_EPISODES) : 20;
+const PODCAST_PROBE_RANGE_BYTES = process.env.PODCAST_PROBE_RANGE_BYTES ? parseInt(process.env.PODCAST_PROBE_RANGE_BYTES) : 64 * 1024;
+const PODCAST_PROBE_TIMEOUT = 15000;
+
+// ID3 tags with cover art can be larger than the first range, the first frame is fetched separately
+const FRAME_RANGE_BYTES = 16 * 1024;
+
+/**
+ * Total size from a Content-Range header ("bytes 0-65535/48213734")
+ */
+export const parseContentRange = (value) => {
+  const total = (value || '').match(/\/(\d+)\s*$/)?.[1];
+  return total ? parseInt(total, 10) : null;
+};
+
+/**
+ * GET a byte range of a file (servers that ignore Range send the whole file, which is cut off)
+ * @returns {Promise<{buffer: Buffer, headers: object, status: number}>}
+ */
+const getRange = async (url, start, length) => {
+  const response = await politenessService.politeGet(url, {
+    responseType: 'stream',
+    timeout: PODCAST_PROBE_TIMEOUT,
+    maxRedirects: 10,
+    headers: { Range: `bytes=${start}-${start + length - 1}`, Accept: 'audio/*,video/*;q=0.9,*/*;q=0.5' }
+  });
+
+  const { buffer } = await readCapped(response.data, length, PODCAST_PROBE_TIMEOUT);
+  return { buffer: buffer.subarray(0, length), headers: response.headers, status: response.status };
+};
+
+/**
+ * Probe an enclosure
+ * @param {string} url - Audio (or video) URL
+ * @param {number|null} durationSeconds - Duration from the feed, for the bitrate of formats without one in the header
+ * @returns {Promise<object>} - { url, ok, size, mimeType, format, bitrateKbps, vbr, sampleRate, channels, durationSeconds, error }
+ */
+export const probeEnclosure = async (url, durationSeconds = null) => {
+  const probe = {
+    url,
+    ok: false,
+    size: null,
+    mimeType: null,
+    format: null,
+    bitrateKbps: null,
+    vbr: false,
+    sampleRate: null,
+    channels: null,
+    durationSeconds: null,
+    error: null
+  };
+
+  try {
+    try {
+      const head = await politenessService.politeHead(url, { timeout: PODCAST_PROBE_TIMEOUT, maxRedirects: 10 });
+      probe.mimeType = (head.headers['content-type'] || '').split(';')[0].trim() || null;
+      probe.size = parseInt(head.headers['content-length'], 10) || null;
+    } catch (headError) {
+      // Some hosts (and tracking redirectors) refuse HEAD, the ranged GET still tells us
+      logger.debug(`[PODCAST] HEAD failed for ${url}: ${headError.message}`);
+    }
+
+    const range = await getRange(url, 0, PODCAST_PROBE_RANGE_BYTES);
+    probe.mimeType = (range.headers['content-type'] || '').split(';')[0].trim() || probe.mimeType;
+    if (range.status === 206) {
+      probe.size = parseContentRange(range.headers['content-range']) || probe.size;
+    } else if (!probe.size) {
+      probe.size = parseInt(range.headers['content-length'], 10) || null;
+    }
+
+    probe.format = detectAudioFormat(range.buffer, probe.mimeType || '');
+
+    if (probe.format === 'mp3') {
+      const frameStart = id3TagSize(range.buffer);
+      let frame = readMp3Frame(range.buffer, frameStart);
+
+      if (!frame && frameStart + 4 > range.buffer.length && range.status === 206) {
+        const frameRange = await getRange(url, frameStart, FRAME_RANGE_BYTES);
+        frame = readMp3Frame(frameRange.buffer);
+      }
+
+      if (frame) {
+        Object.assign(probe, {
+          bitrateKbps: frame.bitrateKbps,
+          vbr: frame.vbr,
+          sampleRate: frame.sampleRate,
+          channels: frame.channels,
+          durationSeconds: frame.durationSeconds
+        });
+
+        // The first frame of a VBR file says nothing about the rest, its average is size over duration
+        if (frame.vbr && frame.durationSeconds && probe.size) {
+          probe.bitrateKbps = Math.round(probe.size * 8 / frame.durationSeconds / 1000);
+        }
+        // Constant bitrate: the audio after the tag plays for its size over the bitrate
+        if (!frame.durationSeconds && !frame.vbr && probe.size) {
+          probe.durationSeconds = Math.round((probe.size - frameStart) * 8 / (frame.bitrateKbps * 1000));
+        }
+      }
+    } else if (probe.format === 'mp4') {
+      probe.durationSeconds = readMp4Duration(range.buffer);
+    }
+
+    // Formats whose header we don't read get the average bitrate over the feed's duration
+    const duration = probe.durationSeconds || durationSeconds;
+    if (!probe.bitrateKbps && probe.size && duration) {
+      probe.bitrateKbps = Math.round(probe.size * 8 / duration / 1000) || null;
+    }
+
+    probe.ok = Boolean(probe.format || probe.size);
+  } catch (error) {
+    probe.error = error.message;
+    logger.warn(`[PODCAST] ⚠️ Error probing enclosure ${url}: ${error.message}`);
+  }
+
+  return probe;
+};
+
+/**
+ * Probe the enclosures of a feed's episodes (the first PODCAST_PROBE_MAX_EPISODES, newest first in most feeds)
+ * Sets audio on each probed episode, and duration_seconds where the feed had none.
+ * @param {Array} episodes - Parsed episodes
+ * @returns {Promise<number>} - Number of episodes probed
+ */
+export const probeEpisodes = async (episodes) => {
+  const candidates = episodes.filter(episode => episode.audio_url).slice(0, PODCAST_PROBE_MAX_EPISODES);
+
+  for (const episode of candidates) {
+    const probe = await probeEnclosure(episode.audio_url, episode.duration_seconds ?? null);
+    episode.audio = probe;
+
+    if (probe.durationSeconds && !episode.duration_seconds) {
+      episode.duration_seconds = probe.durationSeconds;
+    }
+  }
+
+  if (candidates.length > 0) {
+    logger.info(`[PODCAST] 🎧 Probed ${candidates.length} enclosures, ${candidates.filter(episode => episode.audio.ok).length} readable`);
+  }
+
+  return candidates.length;
+};
+
+export default {
+  parseContentRange,
+  probeEnclosure,
+  probeEpisodes
+};
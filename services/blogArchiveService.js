@@ -0,0 +1,447 @@
+import * as cheerio from 'cheerio';
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+
+/**
+ * Blog archive traversal
+ *
+ * A crawl usually reaches page one of a blog, so the articles listed there are all the blog extractor
+ * sees. This walks the rest of the archive from the blog index page, trying in order:
+ * the WordPress REST API (/wp-json/wp/v2/posts, which also reports the total), rel=next and /page/N
+ * pagination, then "load more" endpoints (JSON lists or HTML fragments).
+ * Stops at BLOG_ARCHIVE_MAX_PAGES requests or BLOG_ARCHIVE_MAX_ARTICLES articles.
+ */
+
+const BLOG_ARCHIVE_MAX_PAGES = process.env.BLOG_ARCHIVE_MAX_PAGES ? parseInt(process.env.BLOG_ARCHIVE_MAX_PAGES) : 20;
+const BLOG_ARCHIVE_MAX_ARTICLES = process.env.BLOG_ARCHIVE_MAX_ARTICLES ? parseInt(process.env.BLOG_ARCHIVE_MAX_ARTICLES) : 500;
+const BLOG_ARCHIVE_TIMEOUT = 15000;
+
+// Largest page the WordPress REST API serves
+const WP_PER_PAGE = 100;
+
+const PAGE_PARAMS = ['page', 'paged', 'pg', 'p'];
+const LOAD_MORE_PATTERN = /load[\s_-]*more|show[\s_-]*more|more[\s_-]*(posts|articles|stories)|view[\s_-]*more|infinite/i;
+const LOAD_MORE_URL_ATTRIBUTES = ['data-url', 'data-href', 'data-endpoint', 'data-next', 'data-next-url', 'data-next-page', 'data-source', 'data-api', 'href'];
+
+// Requests go through the politeness limits unless a caller brings its own http
+const defaultHttp = {
+  get: (url, options) => politenessService.politeGet(url, options)
+};
+
+const stripHtml = (html) => cheerio.load(`<div>${html || ''}</div>`).text().replace(/\s+/g, ' ').trim();
+
+/**
+ * Comparison form of an article URL (no fragment, query or trailing slash)
+ */
+export const normalizeArticleUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.search = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+const resolveUrl = (href, baseUrl) => {
+  if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Page number in a paginated listing URL (/page/3/, ?page=3, ?paged=3), null if it has none
+ */
+export const pageNumberOf = (url) => {
+  try {
+    const parsed = new URL(url);
+    const pathMatch = parsed.pathname.match(/\/page\/(\d+)\/?$/i);
+    if (pathMatch) return parseInt(pathMatch[1], 10);
+    for (const param of PAGE_PARAMS) {
+      const value = parsed.searchParams.get(param);
+      if (value && /^\d+$/.test(value)) return parseInt(value, 10);
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The same listing URL with another page number
+ */
+export const withPageNumber = (url, pageNumber) => {
+  const parsed = new URL(url);
+  if (/\/page\/\d+\/?$/i.test(parsed.pathname)) {
+    parsed.pathname = parsed.pathname.replace(/\/page\/\d+(\/?)$/i, `/page/${pageNumber}$1`);
+    return parsed.href;
+  }
+  const param = PAGE_PARAMS.find(name => /^\d+$/.test(parsed.searchParams.get(name) || ''));
+  if (param) {
+    parsed.searchParams.set(param, String(pageNumber));
+    return parsed.href;
+  }
+  return null;
+};
+
+/**
+ * URL of the next page of a listing
+ * rel=next first, then pagination links ("next", "older posts"), then a link to page number + 1.
+ * @param {object} $ - Cheerio document of the listing page
+ * @param {string} pageUrl - URL of the listing page
+ * @returns {string|null}
+ */
+export const findNextPageUrl = ($, pageUrl) => {
+  const relNext = $('link[rel~="next"], a[rel~="next"]').first().attr('href');
+  const relNextUrl = resolveUrl(relNext, pageUrl);
+  if (relNextUrl) return relNextUrl;
+
+  let nextUrl = null;
+  $('.pagination a, .nav-links a, .pager a, .page-numbers a, a.page-numbers, .navigation a, .nav-previous a, [class*="paginat"] a').each((_, element) => {
+    if (nextUrl) return;
+    const $link = $(element);
+    const label = `${$link.text()} ${$link.attr('class') || ''} ${$link.attr('aria-label') || ''}`;
+    if (/\bnext\b|older|›|»|→/i.test(label) && !/prev|newer/i.test(label)) {
+      nextUrl = resolveUrl($link.attr('href'), pageUrl);
+    }
+  });
+  if (nextUrl) return nextUrl;
+
+  // A link to page + 1 of this listing, wherever it is
+  const currentPage = pageNumberOf(pageUrl) || 1;
+  const origin = new URL(pageUrl).origin;
+  $('a[href]').each((_, element) => {
+    if (nextUrl) return;
+    const url = resolveUrl($(element).attr('href'), pageUrl);
+    if (url && new URL(url).origin === origin && pageNumberOf(url) === currentPage + 1) {
+      nextUrl = url;
+    }
+  });
+
+  return nextUrl;
+};
+
+/**
+ * A "load more" endpoint on a listing page
+ * @returns {object|null} - { url, maxPages }
+ */
+export const findLoadMoreEndpoint = ($, pageUrl) => {
+  let endpoint = null;
+
+  $('a, button, div, span, [data-url], [data-endpoint], [data-next]').each((_, element) => {
+    if (endpoint) return;
+    const $element = $(element);
+    const label = `${$element.attr('class') || ''} ${$element.attr('id') || ''} ${$element.children().length === 0 ? $element.text() : ''}`;
+    if (!LOAD_MORE_PATTERN.test(label)) return;
+
+    for (const attribute of LOAD_MORE_URL_ATTRIBUTES) {
+      const url = resolveUrl($element.attr(attribute), pageUrl);
+      if (!url) continue;
+
+      // Endpoints that take the page number as a separate attribute
+      const page = parseInt($element.attr('data-page') || $element.attr('data-current-page'), 10);
+      const target = new URL(url);
+      if (!isNaN(page) && !PAGE_PARAMS.some(param => target.searchParams.has(param)) && !/\/page\/\d+/.test(target.pathname)) {
+        target.searchParams.set('page', String(page + 1));
+      }
+
+      const maxPages = parseInt($element.attr('data-max-pages') || $element.attr('data-total-pages') || $element.attr('data-max-page'), 10);
+      endpoint = { url: target.href, maxPages: isNaN(maxPages) ? null : maxPages };
+      return;
+    }
+  });
+
+  return endpoint;
+};
+
+/**
+ * Read a "load more" response
+ * Endpoints send HTML to append, or a JSON list of posts, or JSON wrapping either.
+ * @returns {object} - { html, items: [{ title, url, excerpt, date, imageUrl, author }], nextUrl }
+ */
+export const parseLoadMoreResponse = (data, url) => {
+  let body = data;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return { html: body, items: [], nextUrl: null };
+    }
+  }
+
+  const container = Array.isArray(body) ? { items: body } : (body || {});
+  const nested = container.data && typeof container.data === 'object' && !Array.isArray(container.data) ? container.data : {};
+
+  const html = [container.html, container.content, container.markup, container.posts_html, nested.html, nested.content]
+    .find(value => typeof value === 'string' && value.includes('<')) || null;
+
+  const list = [container.items, container.posts, container.articles, container.results, container.entries, container.data, nested.items, nested.posts]
+    .find(Array.isArray) || [];
+
+  const items = list
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      title: stripHtml(item.title?.rendered ?? item.title ?? item.name ?? item.headline ?? ''),
+      url: resolveUrl(item.link || item.url || item.permalink || item.href || item.path, url),
+      excerpt: stripHtml(item.excerpt?.rendered ?? item.excerpt ?? item.summary ?? item.description ?? ''),
+      date: item.date || item.published_at || item.publishedAt || item.datePublished || item.pubDate || '',
+      imageUrl: resolveUrl(typeof item.image === 'string' ? item.image : (item.image?.url || item.thumbnail || item.featured_image || item.featuredImage), url) || '',
+      author: typeof item.author === 'string' ? item.author : (item.author?.name || '')
+    }))
+    .filter(item => item.title && item.url);
+
+  const next = container.next || container.next_url || container.nextUrl || container.next_page_url || container.nextPageUrl ||
+    container.links?.next || container.pagination?.next || nested.next || nested.next_url;
+
+  return { html, items, nextUrl: typeof next === 'string' ? resolveUrl(next, url) : null };
+};
+
+/**
+ * WordPress REST API root of a site, if the page says it's WordPress
+ */
+export const findWordPressApiRoot = ($, pageUrl) => {
+  const apiLink = resolveUrl($('link[rel="https://api.w.org/"]').attr('href'), pageUrl);
+  if (apiLink) return apiLink;
+
+  const generator = $('meta[name="generator"]').attr('content') || '';
+  if (/wordpress/i.test(generator) || $('link[href*="/wp-content/"], script[src*="/wp-content/"], script[src*="/wp-includes/"]').length > 0) {
+    return `${new URL(pageUrl).origin}/wp-json/`;
+  }
+
+  return null;
+};
+
+/**
+ * URL of a WordPress REST route (sites without pretty permalinks use ?rest_route=)
+ */
+const wordPressRouteUrl = (apiRoot, route, params) => {
+  const url = new URL(apiRoot);
+  if (url.searchParams.has('rest_route')) {
+    url.searchParams.set('rest_route', `/${route}`);
+  } else {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${route}`;
+  }
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, String(value)));
+  return url.href;
+};
+
+/**
+ * List posts through the WordPress REST API
+ * @returns {Promise<object|null>} - { articles, total, requests }, null if the API isn't available
+ */
+const fetchWordPressPosts = async (apiRoot, maxArticles, maxPages, http) => {
+  const articles = [];
+  let total = null;
+  let requests = 0;
+
+  // per_page stays the same on every request so page numbers don't overlap, the extra posts are trimmed below
+  for (let page = 1; requests < maxPages && articles.length < maxArticles; page++) {
+    const url = wordPressRouteUrl(apiRoot, 'wp/v2/posts', {
+      per_page: WP_PER_PAGE,
+      page,
+      _embed: 'author,wp:featuredmedia',
+      _fields: 'link,title,excerpt,date_gmt,date,_links,_embedded'
+    });
+
+    let response;
+    try {
+      requests++;
+      response = await http.get(url, { timeout: BLOG_ARCHIVE_TIMEOUT, headers: { Accept: 'application/json' } });
+    } catch (error) {
+      // Past the last page WordPress answers 400 rest_post_invalid_page_number
+      if (page > 1) break;
+      logger.info(`[BLOG] WordPress REST API not available at ${apiRoot}: ${error.message}`);
+      return null;
+    }
+
+    if (!Array.isArray(response.data)) {
+      if (page > 1) break;
+      logger.info(`[BLOG] WordPress REST API at ${apiRoot} did not return a post list`);
+      return null;
+    }
+
+    if (total === null && response.headers['x-wp-total']) {
+      total = parseInt(response.headers['x-wp-total'], 10);
+    }
+
+    response.data.forEach(post => {
+      const author = post._embedded?.author?.[0]?.name;
+      const media = post._embedded?.['wp:featuredmedia']?.[0];
+      articles.push({
+        title: stripHtml(post.title?.rendered),
+        url: post.link,
+        excerpt: stripHtml(post.excerpt?.rendered),
+        imageUrl: media?.source_url || '',
+        date: post.date_gmt ? `${post.date_gmt}Z` : (post.date || ''),
+        author: author || '',
+        source: 'wp-json'
+      });
+    });
+
+    const totalPages = parseInt(response.headers['x-wp-totalpages'], 10);
+    if (response.data.length === 0 || (totalPages && page >= totalPages)) break;
+  }
+
+  return {
+    articles: articles.filter(article => article.title && article.url).slice(0, maxArticles),
+    total,
+    requests
+  };
+};
+
+/**
+ * Enumerate a blog's archive from its index page
+ * @param {object} indexPage - Crawled blog index page ({ url, content, blogScore })
+ * @param {Array} knownArticles - Articles already found on crawled pages
+ * @param {object} options
+ * @param {Array} options.pages - Crawled pages, used instead of fetching when the archive reaches one
+ * @param {Function} options.extractPageArticles - (page) => articles listed on a page of HTML
+ * @param {object} options.http - { get(url, options) } resolving to { data, headers }, defaults to polite requests
+ * @returns {Promise<object>} - { articles, archive: { method, requests, pagesVisited, totalCount, complete } }
+ */
+export const enumerateArchive = async (indexPage, knownArticles, { pages = [], extractPageArticles, http = defaultHttp }) => {
+  const articles = [];
+  const seen = new Set();
+  const archive = { method: null, requests: 0, pagesVisited: 1, totalCount: null, complete: false };
+
+  // Returns the number of articles that weren't known yet
+  const add = (candidates) => {
+    let added = 0;
+    for (const article of candidates) {
+      const key = normalizeArticleUrl(article.url);
+      if (!key || seen.has(key) || articles.length >= BLOG_ARCHIVE_MAX_ARTICLES) continue;
+      seen.add(key);
+      articles.push(article);
+      added++;
+    }
+    return added;
+  };
+
+  add(knownArticles);
+  if (!indexPage || !indexPage.content) {
+    return { articles, archive };
+  }
+
+  try {
+    const $index = cheerio.load(indexPage.content);
+    const crawledPages = new Map(pages.filter(page => page.url && page.content).map(page => [page.url, page]));
+
+    // 1. WordPress REST API
+    const apiRoot = findWordPressApiRoot($index, indexPage.url);
+    if (apiRoot) {
+      const wordPress = await fetchWordPressPosts(apiRoot, BLOG_ARCHIVE_MAX_ARTICLES, BLOG_ARCHIVE_MAX_PAGES, http);
+      archive.requests += wordPress ? wordPress.requests : 1;
+      if (wordPress && wordPress.articles.length > 0) {
+        add(wordPress.articles);
+        archive.method = 'wp-json';
+        archive.totalCount = wordPress.total ?? articles.length;
+        archive.complete = wordPress.total !== null && articles.length >= wordPress.total;
+        logger.info(`[BLOG] 📚 WordPress REST API lists ${wordPress.total ?? wordPress.articles.length} posts`);
+        return { articles, archive };
+      }
+    }
+
+    // 2. Pagination (rel=next, "older posts", /page/N)
+    const visited = new Set([indexPage.url]);
+    let nextUrl = findNextPageUrl($index, indexPage.url);
+    if (nextUrl) archive.method = 'pagination';
+
+    while (nextUrl && !visited.has(nextUrl) && archive.requests < BLOG_ARCHIVE_MAX_PAGES && articles.length < BLOG_ARCHIVE_MAX_ARTICLES) {
+      visited.add(nextUrl);
+      let content = crawledPages.get(nextUrl)?.content;
+      if (!content) {
+        try {
+          archive.requests++;
+          const response = await http.get(nextUrl, { timeout: BLOG_ARCHIVE_TIMEOUT, responseType: 'text' });
+          content = response.data;
+        } catch (error) {
+          // Pages past the last one (including guessed /page/N URLs) are not found
+          archive.complete = [404, 410].includes(error.response?.status);
+          logger.info(`[BLOG] Archive page ${nextUrl} could not be fetched: ${error.message}`);
+          break;
+        }
+      }
+
+      archive.pagesVisited++;
+      const pageUrl = nextUrl;
+      // A page with nothing new is past the end (or not a listing at all)
+      if (add(extractPageArticles({ url: pageUrl, content, blogScore: indexPage.blogScore })) === 0) {
+        archive.complete = true;
+        break;
+      }
+
+      const $ = cheerio.load(content);
+      nextUrl = findNextPageUrl($, pageUrl);
+      // Listings that only link the first few page numbers
+      if (!nextUrl && pageNumberOf(pageUrl)) {
+        nextUrl = withPageNumber(pageUrl, pageNumberOf(pageUrl) + 1);
+      }
+      // A next link back to a page already seen ends the listing too
+      if (!nextUrl || visited.has(nextUrl)) archive.complete = true;
+    }
+
+    // 3. "Load more" endpoint
+    const loadMore = archive.method ? null : findLoadMoreEndpoint($index, indexPage.url);
+    if (loadMore) {
+      archive.method = 'load-more';
+      let url = loadMore.url;
+      let loaded = 1;
+
+      while (url && !visited.has(url) && archive.requests < BLOG_ARCHIVE_MAX_PAGES && articles.length < BLOG_ARCHIVE_MAX_ARTICLES) {
+        visited.add(url);
+        let response;
+        try {
+          archive.requests++;
+          response = await http.get(url, {
+            timeout: BLOG_ARCHIVE_TIMEOUT,
+            headers: { Accept: 'application/json, text/html;q=0.9', 'X-Requested-With': 'XMLHttpRequest' }
+          });
+        } catch (error) {
+          logger.info(`[BLOG] Load more endpoint ${url} could not be fetched: ${error.message}`);
+          break;
+        }
+
+        archive.pagesVisited++;
+        loaded++;
+        const { html, items, nextUrl: responseNext } = parseLoadMoreResponse(response.data, url);
+        const added = add(items.map(item => ({ ...item, source: 'load-more' }))) +
+          (html ? add(extractPageArticles({ url, content: html, blogScore: indexPage.blogScore })) : 0);
+        if (added === 0 || (loadMore.maxPages && loaded >= loadMore.maxPages)) {
+          archive.complete = true;
+          break;
+        }
+
+        const pageNumber = pageNumberOf(url);
+        url = responseNext || (pageNumber ? withPageNumber(url, pageNumber + 1) : null);
+        if (!url) archive.complete = true;
+      }
+    }
+
+    // Without pagination the index lists everything there is
+    if (!archive.method) {
+      archive.complete = true;
+    } else {
+      logger.info(`[BLOG] 📚 Archive traversal (${archive.method}) visited ${archive.pagesVisited} pages, ${articles.length} articles`);
+    }
+    archive.totalCount = archive.complete ? articles.length : null;
+  } catch (error) {
+    logger.warn(`[BLOG] ⚠️ Error traversing the blog archive from ${indexPage.url}: ${error.message}`);
+  }
+
+  return { articles, archive };
+};
+
+export default {
+  normalizeArticleUrl,
+  pageNumberOf,
+  withPageNumber,
+  findNextPageUrl,
+  findLoadMoreEndpoint,
+  parseLoadMoreResponse,
+  findWordPressApiRoot,
+  enumerateArchive
+};
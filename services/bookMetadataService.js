@@ -0,0 +1,247 @@
+import logger from '../utils/logger.js';
+import * as bookMetadataRepository from '../database/repositories/bookMetadataRepository.js';
+import * as localCatalogueProvider from './catalogueProviders/localCatalogueProvider.js';
+import * as openLibraryProvider from './catalogueProviders/openLibraryProvider.js';
+import * as googleBooksProvider from './catalogueProviders/googleBooksProvider.js';
+import { toIsbn13 } from '../utils/isbnUtils.js';
+
+/**
+ * Book metadata enrichment for ISBNs found on a site
+ *
+ * Catalogue providers are tried in BOOK_METADATA_PROVIDERS order. A provider module exports:
+ *   name          - key used in BOOK_METADATA_PROVIDERS and in the sources of a result
+ *   isAvailable() - whether it is configured
+ *   lookup(isbns) - Promise<{ found: Map<isbn13, metadata>, failed: Array<isbn13> }>, found for the ISBN-13s it knows,
+ *                   failed for the ones it couldn't be asked about (request errors, exhausted quota)
+ * metadata is { isbn13, title, subtitle, contributors: [{ name, role }], publisher, publicationDate, format, coverUrl },
+ * with null for anything the provider doesn't have. Later providers only fill in what earlier ones left
+ * empty, and are skipped for books that are already complete. Lookups are cached; a miss only when every
+ * provider answered, so an outage or a spent quota doesn't hide a book until the miss expires.
+ */
+
+const PROVIDERS = {
+  [localCatalogueProvider.name]: localCatalogueProvider,
+  [openLibraryProvider.name]: openLibraryProvider,
+  [googleBooksProvider.name]: googleBooksProvider
+};
+
+const BOOK_METADATA_PROVIDERS = (process.env.BOOK_METADATA_PROVIDERS || 'local,openlibrary,googlebooks')
+  .split(',')
+  .map(provider => provider.trim().toLowerCase())
+  .filter(Boolean);
+const BOOK_METADATA_CACHE_DAYS = process.env.BOOK_METADATA_CACHE_DAYS ? parseInt(process.env.BOOK_METADATA_CACHE_DAYS) : 30;
+// Misses are retried sooner, catalogues pick up new titles
+const BOOK_METADATA_MISS_CACHE_DAYS = process.env.BOOK_METADATA_MISS_CACHE_DAYS ? parseInt(process.env.BOOK_METADATA_MISS_CACHE_DAYS) : 7;
+const BOOK_METADATA_MAX_ISBNS = process.env.BOOK_METADATA_MAX_ISBNS ? parseInt(process.env.BOOK_METADATA_MAX_ISBNS) : 100;
+
+const FIELDS = ['title', 'subtitle', 'publisher', 'publicationDate', 'format', 'coverUrl'];
+
+// Used instead of book_metadata_cache when the database is down
+const memoryCache = new Map();
+
+/**
+ * Providers to use, in order
+ */
+export const getProviders = () => BOOK_METADATA_PROVIDERS
+  .map(name => {
+    if (!PROVIDERS[name]) {
+      logger.warn(`[BOOKS] Unknown catalogue provider "${name}" in BOOK_METADATA_PROVIDERS`);
+      return null;
+    }
+    return PROVIDERS[name];
+  })
+  .filter(provider => provider && provider.isAvailable());
+
+/**
+ * Whether a book has everything providers can fill in
+ */
+const isComplete = (book) => FIELDS.every(field => field === 'subtitle' || field === 'format' || book[field]) && book.contributors.length > 0;
+
+/**
+ * Fill a book's empty fields from another provider's record
+ */
+const mergeMetadata = (book, record, source) => {
+  let used = false;
+
+  for (const field of FIELDS) {
+    if (!book[field] && record[field]) {
+      book[field] = record[field];
+      used = true;
+    }
+  }
+  if (book.contributors.length === 0 && (record.contributors || []).length > 0) {
+    book.contributors = record.contributors;
+    used = true;
+  }
+  if (used) {
+    book.sources.push(source);
+  }
+
+  return book;
+};
+
+const emptyBook = (isbn13) => ({
+  isbn13,
+  title: null,
+  subtitle: null,
+  contributors: [],
+  publisher: null,
+  publicationDate: null,
+  format: null,
+  coverUrl: null,
+  sources: []
+});
+
+/**
+ * Cached lookups that haven't expired
+ */
+const readCache = async (isbns) => {
+  let cached;
+  if (global.dbConnected) {
+    try {
+      cached = await bookMetadataRepository.getCachedBooks(isbns);
+    } catch (error) {
+      cached = new Map();
+    }
+  } else {
+    cached = new Map(isbns.filter(isbn => memoryCache.has(isbn)).map(isbn => [isbn, memoryCache.get(isbn)]));
+  }
+
+  const fresh = new Map();
+  for (const [isbn, entry] of cached) {
+    const maxAgeDays = entry.found ? BOOK_METADATA_CACHE_DAYS : BOOK_METADATA_MISS_CACHE_DAYS;
+    if (Date.now() - entry.fetchedAt.getTime() < maxAgeDays * 24 * 60 * 60 * 1000) {
+      fresh.set(isbn, entry);
+    }
+  }
+
+  return fresh;
+};
+
+const writeCache = async (isbn, book) => {
+  const metadata = book.sources.length > 0 ? book : null;
+
+  if (!global.dbConnected) {
+    memoryCache.set(isbn, { found: Boolean(metadata), metadata, sources: book.sources, fetchedAt: new Date() });
+    return;
+  }
+
+  try {
+    await bookMetadataRepository.saveCachedBook(isbn, metadata, book.sources);
+  } catch (error) {
+    // Logged by the repository, the lookup result is still returned
+  }
+};
+
+/**
+ * Look up metadata for ISBNs
+ * @param {Array<string>} isbns - ISBN-10s or ISBN-13s (invalid ones are ignored)
+ * @returns {Promise<Map<string, object|null>>} - Metadata by ISBN-13 (with sources), null when no provider knows it;
+ *   ISBNs a provider couldn't be asked about and no other provider knows are left out
+ */
+export const lookupIsbns = async (isbns) => {
+  const isbn13s = [...new Set(isbns.map(toIsbn13).filter(Boolean))].slice(0, BOOK_METADATA_MAX_ISBNS);
+  const results = new Map();
+
+  const cached = await readCache(isbn13s);
+  cached.forEach((entry, isbn) => results.set(isbn, entry.metadata));
+
+  const books = new Map(isbn13s.filter(isbn => !cached.has(isbn)).map(isbn => [isbn, emptyBook(isbn)]));
+  const unanswered = new Set();
+  if (books.size > 0) {
+    for (const provider of getProviders()) {
+      const pending = [...books.values()].filter(book => !isComplete(book)).map(book => book.isbn13);
+      if (pending.length === 0) break;
+
+      const { found, failed } = await provider.lookup(pending);
+      found.forEach((record, isbn) => {
+        if (books.has(isbn)) mergeMetadata(books.get(isbn), record, provider.name);
+      });
+      failed.forEach(isbn => unanswered.add(isbn));
+      logger.info(`[BOOKS] ${provider.name}: ${found.size}/${pending.length} ISBNs found${failed.length > 0 ? `, ${failed.length} not checked` : ''}`);
+    }
+
+    for (const [isbn, book] of books) {
+      // Not found, but a provider couldn't be asked: unknown rather than a miss, try again next time
+      if (book.sources.length === 0 && unanswered.has(isbn)) continue;
+
+      await writeCache(isbn, book);
+      results.set(isbn, book.sources.length > 0 ? book : null);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Enrich the ISBNs found by the isbn extractor
+ * @param {object} isbnResults - { isbns: [{ cleaned }], isbnImages: [{ isbn }] }
+ * @returns {Promise<{books: Array<object>, notFound: Array<string>}>} - books carry the ISBN as found on the site (isbn) and its isbn13
+ */
+export const enrichIsbnResults = async (isbnResults) => {
+  try {
+    const found = [
+      ...(isbnResults?.isbns || []).map(isbn => isbn.cleaned),
+      ...(isbnResults?.isbnImages || []).map(image => image.isbn)
+    ].filter(Boolean);
+
+    const siteIsbns = new Map();
+    for (const isbn of found) {
+      const isbn13 = toIsbn13(isbn);
+      if (isbn13 && !siteIsbns.has(isbn13)) siteIsbns.set(isbn13, isbn);
+    }
+
+    if (siteIsbns.size === 0) {
+      return { books: [], notFound: [] };
+    }
+
+    logger.info(`[BOOKS] Looking up metadata for ${siteIsbns.size} ISBNs`);
+    const metadata = await lookupIsbns([...siteIsbns.keys()]);
+
+    const books = [];
+    const notFound = [];
+    for (const [isbn13, isbn] of siteIsbns) {
+      const book = metadata.get(isbn13);
+      if (book) {
+        books.push({ ...book, isbn });
+      } else if (metadata.has(isbn13)) {
+        notFound.push(isbn13);
+      }
+    }
+
+    logger.info(`[BOOKS] ✅ Enriched ${books.length} ISBNs, ${notFound.length} not found`);
+    return { books, notFound };
+  } catch (error) {
+    logger.error(`[BOOKS] Error enriching ISBNs: ${error.message}`);
+    return { books: [], notFound: [] };
+  }
+};
+
+/**
+ * Save enriched metadata onto a domain's ISBN rows
+ */
+export const saveBookMetadata = async (domainId, books) => {
+  let updated = 0;
+
+  for (const book of books) {
+    try {
+      if (await bookMetadataRepository.updateIsbnMetadata(domainId, book)) {
+        updated += 1;
+      }
+    } catch (error) {
+      // Logged by the repository, carry on with the other books
+    }
+  }
+
+  if (updated > 0) {
+    logger.info(`[BOOKS] Saved metadata for ${updated} ISBNs of domain ID ${domainId}`);
+  }
+  return updated;
+};
+
+export default {
+  getProviders,
+  lookupIsbns,
+  enrichIsbnResults,
+  saveBookMetadata
+};
@@ -0,0 +1,398 @@
+import fs from 'fs';
+import puppeteer from 'puppeteer';
+import logger from '../utils/logger.js';
+
+/**
+ * Puppeteer browser pool
+ *
+ * Renders run in a fixed number of workers, each with its own browser process, so a hung page
+ * or a crashed browser only takes down the job that was using it. Every lease gets a fresh
+ * browser context (no shared cookies or cache between jobs) and is closed when it runs past its
+ * time limit. Browsers are restarted after serving BROWSER_MAX_PAGES pages or when their memory
+ * has grown by more than BROWSER_MAX_MEMORY_GROWTH_MB, and callers queue while every worker is busy.
+ */
+
+// Number of browsers, i.e. renders that can run at once
+const BROWSER_POOL_SIZE = process.env.BROWSER_POOL_SIZE ? parseInt(process.env.BROWSER_POOL_SIZE) : 2;
+// Hard limit on how long a page may be held before its context is closed
+const BROWSER_PAGE_TIMEOUT = process.env.BROWSER_PAGE_TIMEOUT ? parseInt(process.env.BROWSER_PAGE_TIMEOUT) : 120000;
+// Pages a browser serves before it is restarted
+const BROWSER_MAX_PAGES = process.env.BROWSER_MAX_PAGES ? parseInt(process.env.BROWSER_MAX_PAGES) : 50;
+// Memory growth (MB, whole browser process tree) since launch that triggers a restart
+const BROWSER_MAX_MEMORY_GROWTH_MB = process.env.BROWSER_MAX_MEMORY_GROWTH_MB ? parseInt(process.env.BROWSER_MAX_MEMORY_GROWTH_MB) : 512;
+// How long a caller waits for a free browser before giving up
+const BROWSER_QUEUE_TIMEOUT = process.env.BROWSER_QUEUE_TIMEOUT ? parseInt(process.env.BROWSER_QUEUE_TIMEOUT) : 300000;
+// How long closing a context or browser may take before it is treated as hung
+const CLOSE_TIMEOUT = 10000;
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1080',
+    '--disable-features=IsolateOrigins,site-per-process', // Helps with some Cloudflare checks
+    '--disable-web-security', // May help with cross-origin issues
+    '--disable-features=site-per-process',
+    '--disable-blink-features=AutomationControlled', // Hide automation
+  ],
+  defaultViewport: { width: 1920, height: 1080 },
+  ignoreHTTPSErrors: true
+};
+
+const workers = Array.from({ length: Math.max(1, BROWSER_POOL_SIZE) }, (_, index) => ({
+  id: index + 1,
+  browser: null,
+  launching: null,
+  closing: false,
+  busy: false,
+  pagesServed: 0,
+  launchedAt: null,
+  baselineMemoryMb: null,
+  memoryMb: null,
+  restarts: 0
+}));
+
+const waiters = [];
+
+const stats = {
+  leases: 0,
+  launches: 0,
+  restarts: 0,
+  crashes: 0,
+  timeouts: 0,
+  queueTimeouts: 0
+};
+
+/**
+ * Resolve with a promise's value, or reject once ms have passed
+ */
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Resident memory (MB) of a process and all of its children, from /proc
+ * Returns null where /proc isn't available
+ */
+const getProcessTreeMemoryMb = (pid) => {
+  try {
+    let totalKb = 0;
+    const pending = [pid];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+
+      try {
+        const status = fs.readFileSync(`/proc/${current}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (match) totalKb += parseInt(match[1], 10);
+
+        const children = fs.readFileSync(`/proc/${current}/task/${current}/children`, 'utf8').trim();
+        if (children) pending.push(...children.split(/\s+/).map(Number));
+      } catch (error) {
+        // The process exited while we were reading it
+      }
+    }
+
+    return totalKb > 0 ? Math.round(totalKb / 1024) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Current memory of a worker's browser, or null if it can't be measured
+ */
+const measureWorkerMemory = (worker) => {
+  const pid = worker.browser?.process()?.pid;
+  return pid ? getProcessTreeMemoryMb(pid) : null;
+};
+
+/**
+ * Launch a worker's browser if it isn't running
+ */
+const ensureBrowser = async (worker) => {
+  if (worker.browser && worker.browser.connected) {
+    return worker.browser;
+  }
+
+  if (!worker.launching) {
+    worker.launching = (async () => {
+      try {
+        logger.info(`[BROWSER-POOL] Launching browser for worker ${worker.id}`);
+        const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+
+        browser.on('disconnected', () => {
+          if (worker.browser !== browser) return;
+
+          worker.browser = null;
+          if (!worker.closing) {
+            stats.crashes += 1;
+            logger.warn(`[BROWSER-POOL] ⚠️ Browser for worker ${worker.id} disconnected unexpectedly, it will be relaunched on next use`);
+          }
+        });
+
+        worker.browser = browser;
+        worker.closing = false;
+        worker.pagesServed = 0;
+        worker.launchedAt = new Date();
+        worker.baselineMemoryMb = measureWorkerMemory(worker);
+        worker.memoryMb = worker.baselineMemoryMb;
+        stats.launches += 1;
+
+        return browser;
+      } finally {
+        worker.launching = null;
+      }
+    })();
+  }
+
+  return worker.launching;
+};
+
+/**
+ * Close a worker's browser, killing the process if it won't close cleanly
+ */
+const shutdownWorker = async (worker, reason) => {
+  const browser = worker.browser;
+  if (!browser) return;
+
+  logger.info(`[BROWSER-POOL] Closing browser for worker ${worker.id} (${reason})`);
+  worker.closing = true;
+  worker.browser = null;
+
+  try {
+    await withTimeout(browser.close(), CLOSE_TIMEOUT, 'Browser did not close in time');
+  } catch (error) {
+    logger.warn(`[BROWSER-POOL] ⚠️ ${error.message} for worker ${worker.id}, killing it`);
+    try {
+      browser.process()?.kill('SIGKILL');
+    } catch (killError) {
+      logger.error(`[BROWSER-POOL] ❌ Could not kill browser for worker ${worker.id}: ${killError.message}`);
+    }
+  }
+};
+
+/**
+ * Restart a worker's browser; the next lease relaunches it
+ */
+const restartWorker = async (worker, reason) => {
+  try {
+    await shutdownWorker(worker, reason);
+    worker.restarts += 1;
+    stats.restarts += 1;
+  } catch (error) {
+    logger.error(`[BROWSER-POOL] ❌ Error restarting worker ${worker.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Restart a worker that has served too many pages or grown too large
+ */
+const recycleIfNeeded = async (worker) => {
+  try {
+    if (!worker.browser) return;
+
+    if (worker.pagesServed >= BROWSER_MAX_PAGES) {
+      await restartWorker(worker, `served ${worker.pagesServed} pages`);
+      return;
+    }
+
+    worker.memoryMb = measureWorkerMemory(worker);
+    if (worker.memoryMb !== null && worker.baselineMemoryMb !== null) {
+      const growth = worker.memoryMb - worker.baselineMemoryMb;
+      if (growth > BROWSER_MAX_MEMORY_GROWTH_MB) {
+        await restartWorker(worker, `memory grew by ${growth}MB to ${worker.memoryMb}MB`);
+      }
+    }
+  } catch (error) {
+    logger.error(`[BROWSER-POOL] Error checking worker ${worker.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Take a free worker, queueing until one is released
+ */
+const acquireWorker = (queueTimeout = BROWSER_QUEUE_TIMEOUT) => {
+  const idle = workers.find(worker => !worker.busy);
+  if (idle) {
+    idle.busy = true;
+    return Promise.resolve(idle);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null };
+
+    waiter.timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) waiters.splice(index, 1);
+      stats.queueTimeouts += 1;
+      reject(new Error(`No browser became free within ${Math.round(queueTimeout / 1000)}s`));
+    }, queueTimeout);
+
+    waiters.push(waiter);
+    logger.info(`[BROWSER-POOL] All ${workers.length} browsers busy, ${waiters.length} render(s) queued`);
+  });
+};
+
+/**
+ * Hand a worker to the next queued caller, or mark it free
+ */
+const releaseWorker = (worker) => {
+  const waiter = waiters.shift();
+
+  if (waiter) {
+    clearTimeout(waiter.timer);
+    waiter.resolve(worker);
+    return;
+  }
+
+  worker.busy = false;
+};
+
+/**
+ * Close a lease's browser context; a context that won't close means the browser is stuck
+ */
+const closeContext = async (lease) => {
+  if (!lease.context) return;
+
+  const context = lease.context;
+  lease.context = null;
+
+  try {
+    await withTimeout(context.close(), CLOSE_TIMEOUT, 'Browser context did not close in time');
+  } catch (error) {
+    if (lease.worker.browser) {
+      logger.warn(`[BROWSER-POOL] ⚠️ ${error.message} on worker ${lease.worker.id}`);
+      await restartWorker(lease.worker, 'context would not close');
+    }
+  }
+};
+
+/**
+ * Lease a page in a fresh browser context
+ * Call lease.release() when done. If the lease is held longer than the page timeout its context
+ * is closed, which makes any pending page operation fail.
+ * @param {object} options - { pageTimeout, queueTimeout }
+ * @returns {Promise<{page: object, release: Function}>}
+ */
+export const acquirePage = async (options = {}) => {
+  const pageTimeout = options.pageTimeout || BROWSER_PAGE_TIMEOUT;
+  const worker = await acquireWorker(options.queueTimeout);
+
+  const lease = { worker, context: null, page: null, timer: null, released: false };
+
+  try {
+    const browser = await ensureBrowser(worker);
+    lease.context = await browser.createBrowserContext();
+    lease.page = await lease.context.newPage();
+  } catch (error) {
+    logger.error(`[BROWSER-POOL] ❌ Could not open a page on worker ${worker.id}: ${error.message}`);
+    await closeContext(lease);
+    releaseWorker(worker);
+    throw error;
+  }
+
+  stats.leases += 1;
+
+  lease.timer = setTimeout(() => {
+    stats.timeouts += 1;
+    logger.warn(`[BROWSER-POOL] ⚠️ Page on worker ${worker.id} held for over ${Math.round(pageTimeout / 1000)}s, closing it`);
+    closeContext(lease);
+  }, pageTimeout);
+  lease.timer.unref();
+
+  lease.release = async () => {
+    if (lease.released) return;
+    lease.released = true;
+
+    try {
+      clearTimeout(lease.timer);
+      await closeContext(lease);
+      worker.pagesServed += 1;
+      await recycleIfNeeded(worker);
+    } catch (error) {
+      logger.error(`[BROWSER-POOL] Error releasing page on worker ${worker.id}: ${error.message}`);
+    } finally {
+      releaseWorker(worker);
+    }
+  };
+
+  return { page: lease.page, release: lease.release };
+};
+
+/**
+ * Run a function with a leased page, releasing it afterwards
+ * @param {Function} fn - async (page) => result
+ * @param {object} options - { pageTimeout, queueTimeout }
+ */
+export const withPage = async (fn, options = {}) => {
+  const { page, release } = await acquirePage(options);
+
+  try {
+    return await fn(page);
+  } finally {
+    await release();
+  }
+};
+
+/**
+ * Pool state, for /health
+ */
+export const getPoolStats = () => {
+  const now = Date.now();
+
+  return {
+    size: workers.length,
+    busy: workers.filter(worker => worker.busy).length,
+    idle: workers.filter(worker => !worker.busy).length,
+    queued: waiters.length,
+    running: workers.filter(worker => worker.browser).length,
+    limits: {
+      pageTimeoutMs: BROWSER_PAGE_TIMEOUT,
+      maxPagesPerBrowser: BROWSER_MAX_PAGES,
+      maxMemoryGrowthMb: BROWSER_MAX_MEMORY_GROWTH_MB,
+      queueTimeoutMs: BROWSER_QUEUE_TIMEOUT
+    },
+    ...stats,
+    workers: workers.map(worker => ({
+      id: worker.id,
+      running: !!worker.browser,
+      busy: worker.busy,
+      pagesServed: worker.pagesServed,
+      memoryMb: worker.memoryMb,
+      uptimeMs: worker.browser && worker.launchedAt ? now - worker.launchedAt.getTime() : 0,
+      restarts: worker.restarts
+    }))
+  };
+};
+
+/**
+ * Close every browser and fail any queued callers
+ */
+export const closePool = async () => {
+  while (waiters.length > 0) {
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error('Browser pool is shutting down'));
+  }
+
+  await Promise.all(workers.map(worker => shutdownWorker(worker, 'pool closed')));
+  logger.info('[BROWSER-POOL] All browsers closed');
+};
+
+export default {
+  acquirePage,
+  withPage,
+  getPoolStats,
+  closePool
+};
@@ -0,0 +1,83 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { toIsbn13 } from '../../utils/isbnUtils.js';
+
+/**
+ * Google Books catalogue provider
+ * One volumes query per ISBN. Works without GOOGLE_BOOKS_API_KEY, but with a much lower quota.
+ */
+
+const GOOGLE_BOOKS_URL = 'https://www.googleapis.com/books/v1/volumes';
+const GOOGLE_BOOKS_API_KEY = process.env.GOOGLE_BOOKS_API_KEY || null;
+const TIMEOUT = 20000;
+
+export const name = 'googlebooks';
+
+export const isAvailable = () => true;
+
+/**
+ * Map a volume to book metadata
+ */
+const mapVolume = (isbn13, volume) => {
+  const info = volume.volumeInfo || {};
+  const cover = info.imageLinks?.extraLarge || info.imageLinks?.large || info.imageLinks?.thumbnail || null;
+
+  return {
+    isbn13,
+    title: info.title || null,
+    subtitle: info.subtitle || null,
+    contributors: (info.authors || []).map(author => ({ name: author, role: 'author' })),
+    publisher: info.publisher || null,
+    publicationDate: info.publishedDate || null,
+    format: volume.saleInfo?.isEbook ? 'ebook' : null,
+    // Google serves image links over http, and zoom/edge parameters we don't want
+    coverUrl: cover ? cover.replace(/^http:/, 'https:').replace(/&edge=curl/, '') : null
+  };
+};
+
+/**
+ * Look up ISBNs
+ * @param {Array<string>} isbns - ISBN-13s
+ * @returns {Promise<{found: Map<string, object>, failed: Array<string>}>} - Metadata by ISBN-13 for the ISBNs Google Books knows, and the ISBNs it couldn't be asked about
+ */
+export const lookup = async (isbns) => {
+  const found = new Map();
+  const failed = [];
+
+  for (const [i, isbn] of isbns.entries()) {
+    try {
+      const response = await axios.get(GOOGLE_BOOKS_URL, {
+        params: {
+          q: `isbn:${isbn}`,
+          ...(GOOGLE_BOOKS_API_KEY ? { key: GOOGLE_BOOKS_API_KEY } : {})
+        },
+        timeout: TIMEOUT
+      });
+
+      // A query can match other editions, keep the volume that carries this ISBN
+      const volume = (response.data?.items || []).find(item =>
+        (item.volumeInfo?.industryIdentifiers || []).some(identifier => toIsbn13(identifier.identifier) === isbn)
+      );
+
+      if (volume) {
+        found.set(isbn, mapVolume(isbn, volume));
+      }
+    } catch (error) {
+      if (error.response?.status === 429) {
+        logger.warn('[BOOKS] Google Books quota exhausted, skipping the remaining ISBNs');
+        failed.push(...isbns.slice(i));
+        break;
+      }
+      logger.warn(`[BOOKS] Google Books lookup failed for ${isbn}: ${error.message}`);
+      failed.push(isbn);
+    }
+  }
+
+  return { found, failed };
+};
+
+export default {
+  name,
+  isAvailable,
+  lookup
+};
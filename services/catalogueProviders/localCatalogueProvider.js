@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import { parseOnix } from '../../utils/onixParser.js';
+import { parseCsv } from '../../utils/csvParser.js';
+import { toIsbn13 } from '../../utils/isbnUtils.js';
+
+/**
+ * Local catalogue provider
+ * Reads an ONIX (.xml/.onx) or CSV/TSV export named by BOOK_CATALOGUE_FILE, so enrichment works offline
+ * and publishers' own data wins over public sources. The file is indexed once and re-read when it changes.
+ *
+ * CSV columns (case-insensitive, extra columns ignored): isbn (or isbn13, ean), title, subtitle,
+ * contributors (or author/authors, separated by ";"), publisher, publication_date (or pub_date), format
+ * (or binding), cover_url (or image_url).
+ */
+
+const BOOK_CATALOGUE_FILE = process.env.BOOK_CATALOGUE_FILE || null;
+
+let index = null;
+let indexedMtime = null;
+
+export const name = 'local';
+
+export const isAvailable = () => Boolean(BOOK_CATALOGUE_FILE);
+
+/**
+ * First non-empty column out of a list of accepted names
+ */
+const column = (row, ...names) => names.map(key => row[key]).find(value => value) || null;
+
+/**
+ * Map a CSV row to book metadata
+ */
+const mapRow = (row) => {
+  const isbn13 = toIsbn13(column(row, 'isbn13', 'isbn', 'ean', 'gtin'));
+  if (!isbn13) return null;
+
+  const names = (column(row, 'contributors', 'authors', 'author') || '').split(';').map(value => value.trim()).filter(Boolean);
+
+  return {
+    isbn13,
+    title: column(row, 'title'),
+    subtitle: column(row, 'subtitle'),
+    contributors: names.map(contributor => ({ name: contributor, role: 'author' })),
+    publisher: column(row, 'publisher', 'imprint'),
+    publicationDate: column(row, 'publication_date', 'pub_date', 'published'),
+    format: column(row, 'format', 'binding'),
+    coverUrl: column(row, 'cover_url', 'image_url', 'cover')
+  };
+};
+
+/**
+ * Load (or reload) the catalogue file into an index by ISBN-13
+ */
+const loadIndex = async () => {
+  const stats = await fs.stat(BOOK_CATALOGUE_FILE);
+  if (index && indexedMtime === stats.mtimeMs) {
+    return index;
+  }
+
+  const contents = await fs.readFile(BOOK_CATALOGUE_FILE, 'utf8');
+  const isOnix = ['.xml', '.onx', '.onix'].includes(path.extname(BOOK_CATALOGUE_FILE).toLowerCase()) || /^\s*(<\?xml|<ONIXMessage|<ONIXmessage)/i.test(contents);
+  const books = isOnix ? parseOnix(contents) : parseCsv(contents).map(mapRow).filter(Boolean);
+
+  index = new Map(books.map(book => [book.isbn13, book]));
+  indexedMtime = stats.mtimeMs;
+  logger.info(`[BOOKS] Indexed ${index.size} books from ${BOOK_CATALOGUE_FILE} (${isOnix ? 'ONIX' : 'CSV'})`);
+
+  return index;
+};
+
+/**
+ * Look up ISBNs in the catalogue file
+ * @param {Array<string>} isbns - ISBN-13s
+ * @returns {Promise<{found: Map<string, object>, failed: Array<string>}>} - Metadata by ISBN-13 for the ISBNs in the file, and all ISBNs if the file couldn't be read
+ */
+export const lookup = async (isbns) => {
+  const found = new Map();
+
+  try {
+    const catalogue = await loadIndex();
+    for (const isbn of isbns) {
+      if (catalogue.has(isbn)) {
+        found.set(isbn, catalogue.get(isbn));
+      }
+    }
+  } catch (error) {
+    logger.error(`[BOOKS] Could not read the catalogue file ${BOOK_CATALOGUE_FILE}: ${error.message}`);
+    return { found, failed: [...isbns] };
+  }
+
+  return { found, failed: [] };
+};
+
+export default {
+  name,
+  isAvailable,
+  lookup
+};
@@ -0,0 +1,70 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+/**
+ * Open Library catalogue provider
+ * Uses the Books API (bibkeys lookups, up to BATCH_SIZE ISBNs per request). No key needed.
+ */
+
+const OPEN_LIBRARY_URL = process.env.OPEN_LIBRARY_URL || 'https://openlibrary.org';
+const BATCH_SIZE = 50;
+const TIMEOUT = 20000;
+
+export const name = 'openlibrary';
+
+export const isAvailable = () => true;
+
+/**
+ * Map a Books API record (jscmd=data) to book metadata
+ */
+const mapRecord = (isbn13, record) => ({
+  isbn13,
+  title: record.title || null,
+  subtitle: record.subtitle || null,
+  contributors: (record.authors || []).map(author => ({ name: author.name, role: 'author' })).filter(author => author.name),
+  publisher: record.publishers?.[0]?.name || null,
+  publicationDate: record.publish_date || null,
+  format: null,
+  coverUrl: record.cover?.large || record.cover?.medium || null
+});
+
+/**
+ * Look up ISBNs
+ * @param {Array<string>} isbns - ISBN-13s
+ * @returns {Promise<{found: Map<string, object>, failed: Array<string>}>} - Metadata by ISBN-13 for the ISBNs Open Library knows, and the ISBNs it couldn't be asked about
+ */
+export const lookup = async (isbns) => {
+  const found = new Map();
+  const failed = [];
+
+  for (let i = 0; i < isbns.length; i += BATCH_SIZE) {
+    const batch = isbns.slice(i, i + BATCH_SIZE);
+
+    try {
+      const response = await axios.get(`${OPEN_LIBRARY_URL}/api/books`, {
+        params: {
+          bibkeys: batch.map(isbn => `ISBN:${isbn}`).join(','),
+          format: 'json',
+          jscmd: 'data'
+        },
+        timeout: TIMEOUT
+      });
+
+      for (const [key, record] of Object.entries(response.data || {})) {
+        const isbn13 = key.replace(/^ISBN:/, '');
+        found.set(isbn13, mapRecord(isbn13, record));
+      }
+    } catch (error) {
+      logger.warn(`[BOOKS] Open Library lookup failed for ${batch.length} ISBNs: ${error.message}`);
+      failed.push(...batch);
+    }
+  }
+
+  return { found, failed };
+};
+
+export default {
+  name,
+  isAvailable,
+  lookup
+};
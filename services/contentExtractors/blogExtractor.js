@@ -3,6 +3,12 @@ import logger from '../../utils/logger.js';
 import urlParser from '../../utils/urlParser.js';
 import { getPool } from '../../database/db.js';
 import fetch from 'node-fetch';
+import { extractArticleContent, isArticlePage } from '../../utils/articleContentParser.js';
+import * as blogArticleRepository from '../../database/repositories/blogArticleRepository.js';
+import { enumerateArchive, normalizeArticleUrl } from '../blogArchiveService.js';
+
+// Most crawled article pages whose full text is extracted per scrape
+const BLOG_ARTICLE_CONTENT_MAX = process.env.BLOG_ARTICLE_CONTENT_MAX ? parseInt(process.env.BLOG_ARTICLE_CONTENT_MAX) : 200;
 
 /**
  * Blog URL patterns for detecting blog-related content
@@ -89,9 +95,24 @@ export const extract = async (pages) => {
     
     // Extract articles with enhanced detection
     logger.info('[BLOG] Extracting articles from blog pages...');
-    const articles = extractArticles(blogPages);
+    const crawledArticles = extractArticles(blogPages);
     
-    logger.info(`[BLOG] ✅ Extracted ${articles.length} articles`);
+    logger.info(`[BLOG] ✅ Extracted ${crawledArticles.length} articles`);
+    
+    // Follow the index page's pagination for the rest of the archive
+    logger.info('[BLOG] Traversing the blog archive...');
+    const { articles, archive } = await enumerateArchive(blogIndexPage, crawledArticles, {
+      pages,
+      extractPageArticles: (page) => extractArticles([page])
+    });
+    if (articles.length > crawledArticles.length) {
+      logger.info(`[BLOG] ✅ Archive traversal found ${articles.length - crawledArticles.length} more articles (${articles.length} total)`);
+    }
+
+    // Full text of the articles whose pages were crawled
+    logger.info('[BLOG] Extracting article content from crawled article pages...');
+    const contentCount = extractArticleContents(pages, articles);
+    logger.info(`[BLOG] ✅ Extracted full text of ${contentCount} articles`);
     
     // Log some article details
     if (articles.length > 0) {
@@ -105,6 +126,8 @@ export const extract = async (pages) => {
       hasBlog: true,
       blogUrl: blogIndexPage ? blogIndexPage.url : blogPages[0].url,
       articles: articles,
+      archive: archive,
+      postCount: archive.totalCount ?? articles.length,
       rssFeeds: rssFeeds
     };
   } catch (error) {
@@ -746,8 +769,8 @@ function extractArticles(blogPages) {
       }
     }
     
-    // Limit to 15 articles max
-    return finalArticles.slice(0, 15);
+    // The archive traversal caps the total
+    return finalArticles;
   } catch (error) {
     logger.error(`[BLOG] Error extracting articles: ${error.message}`);
     return [];
@@ -1056,6 +1079,58 @@ function calculateTextSimilarity(str1, str2) {
   return matches / totalWords;
 }
 
+/**
+ * Extract the full text of crawled article pages
+ * Listed articles whose page was crawled get content; crawled pages that are articles (JSON-LD
+ * Article or og:type article) but weren't listed are added to articles.
+ * @param {Array} pages - Crawled pages ({ url, content })
+ * @param {Array} articles - Articles found on the blog pages, updated in place
+ * @returns {number} - Number of articles with content
+ */
+function extractArticleContents(pages, articles) {
+  const articlesByUrl = new Map(articles.map(article => [normalizeArticleUrl(article.url), article]));
+  let extracted = 0;
+
+  for (const page of pages) {
+    if (extracted >= BLOG_ARTICLE_CONTENT_MAX) break;
+    if (!page.url || !page.content) continue;
+
+    try {
+      const key = normalizeArticleUrl(page.url);
+      let article = articlesByUrl.get(key);
+      if (!article && !isArticlePage(page.content)) continue;
+
+      const content = extractArticleContent(page.content, page.url);
+      // Pages without a readable body (listing pages marked up as articles, paywalls)
+      if (content.wordCount === 0) continue;
+
+      if (!article) {
+        article = {
+          title: content.title,
+          excerpt: content.excerpt,
+          url: page.url,
+          imageUrl: content.leadImage,
+          date: content.publishedAt,
+          author: content.author,
+          source: 'page'
+        };
+        articles.push(article);
+        articlesByUrl.set(key, article);
+      }
+
+      article.content = content;
+      article.author = article.author || content.author;
+      article.date = article.date || content.publishedAt;
+      article.imageUrl = article.imageUrl || content.leadImage;
+      extracted++;
+    } catch (error) {
+      logger.warn(`[BLOG] ⚠️ Error extracting article content from ${page.url}: ${error.message}`);
+    }
+  }
+
+  return extracted;
+}
+
 /**
  * Save blog URL to domain_blog_info table
  */
@@ -1090,7 +1165,7 @@ export const saveBlogInfo = async (domainId, blogData) => {
           blogData.blogUrl, 
           'Blog', // Default title
           blogType,
-          blogData.articles.length
+          blogData.postCount ?? blogData.articles.length
         ]
       );
       
@@ -1104,7 +1179,7 @@ export const saveBlogInfo = async (domainId, blogData) => {
         [
           blogData.blogUrl,
           blogType,
-          blogData.articles.length,
+          blogData.postCount ?? blogData.articles.length,
           domainId
         ]
       );
@@ -1119,7 +1194,30 @@ export const saveBlogInfo = async (domainId, blogData) => {
   }
 };
 
+/**
+ * Save articles to the domain_blog_articles table, one row per article URL
+ * @returns {Promise<number>} - Number of articles saved
+ */
+export const saveArticles = async (domainId, articles = []) => {
+  let saved = 0;
+
+  for (const article of articles) {
+    if (!article.url) continue;
+    try {
+      await blogArticleRepository.saveArticle(domainId, article);
+      saved++;
+    } catch (error) {
+      logger.warn(`[BLOG] ⚠️ Error saving article ${article.url}: ${error.message}`);
+    }
+  }
+
+  logger.info(`[BLOG] Saved ${saved} of ${articles.length} articles to domain_blog_articles`);
+  return saved;
+};
+
 // Export the extract function
 export default {
-  extract
+  extract,
+  saveBlogInfo,
+  saveArticles
 }; 
\ No newline at end of file
@@ -0,0 +1,675 @@
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import logger from '../../utils/logger.js';
+import * as politenessService from '../politenessService.js';
+import * as bookCatalogueRepository from '../../database/repositories/bookCatalogueRepository.js';
+import { parseOnix } from '../../utils/onixParser.js';
+import { parseCsv } from '../../utils/csvParser.js';
+import { toIsbn13 } from '../../utils/isbnUtils.js';
+
+/**
+ * Book catalogue extractor
+ *
+ * Builds a domain's book catalogue from the structured data publisher sites expose: schema.org
+ * Book/Product JSON-LD (found by the schema extractor), and Google Merchant feeds (RSS, Atom or
+ * tab-separated) and ONIX files linked from the crawled pages. Every source is normalized to editions
+ * (one per ISBN-13, with format, price and availability) grouped into works (title, contributors,
+ * publisher, cover). ISBNs the isbn extractor found on a page stand in for markup that has none.
+ */
+
+const CATALOGUE_MAX_FEEDS = process.env.CATALOGUE_MAX_FEEDS ? parseInt(process.env.CATALOGUE_MAX_FEEDS) : 5;
+const CATALOGUE_FEED_MAX_BYTES = process.env.CATALOGUE_FEED_MAX_BYTES ? parseInt(process.env.CATALOGUE_FEED_MAX_BYTES) : 20 * 1024 * 1024;
+const CATALOGUE_FEED_TIMEOUT = 30000;
+
+// Records are merged in this order, so earlier sources win a field
+const SOURCE_ORDER = ['onix', 'json-ld', 'merchant'];
+
+// schema.org ItemAvailability and Merchant availability values, lowercased without separators
+const AVAILABILITY = {
+  instock: 'in_stock',
+  instoreonly: 'in_stock',
+  onlineonly: 'in_stock',
+  limitedavailability: 'in_stock',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  preorder: 'preorder',
+  presale: 'preorder',
+  backorder: 'backorder',
+  madetoorder: 'backorder',
+  discontinued: 'discontinued'
+};
+
+// Same format names as the ONIX parser uses
+const FORMAT_PATTERNS = [
+  [/board ?book/i, 'board book'],
+  [/hard ?(back|cover)|hardbound/i, 'hardback'],
+  [/paper ?back|soft ?cover|mass ?market/i, 'paperback'],
+  [/audio/i, 'audio'],
+  [/e-?book|kindle|epub/i, 'ebook'],
+  [/graphic ?novel/i, 'graphic novel']
+];
+
+const CURRENCY_SYMBOLS = {
+  '£': 'GBP',
+  '$': 'USD',
+  '€': 'EUR',
+  '¥': 'JPY'
+};
+
+// Format words retailers add to titles, ignored when matching editions to a work
+const TITLE_FORMAT_WORDS = /\b(hard ?back|hard ?cover|paper ?back|e-?book|kindle edition|audio ?book|audio cd|board book)\b/gi;
+
+const ONIX_LINK_PATTERN = /\.(onx|onix)(\?|$)|onix[^/]*\.xml(\?|$)/i;
+const MERCHANT_LINK_PATTERN = /google[-_]?(merchant|shopping|base|products?)|merchant[-_]?(centre|center|feed)|(product|shopping)[-_]?feed/i;
+// Compressed downloads aren't unpacked
+const ARCHIVE_PATTERN = /\.(zip|gz|tgz|7z)(\?|$)/i;
+
+/**
+ * Extract a book catalogue
+ * @param {Array} pages - Crawled pages ({ url, content })
+ * @param {object} options - { schemaMarkup: schema extractor results, isbn: isbn extractor results }
+ * @returns {Promise<object>} - { books: [{ workKey, title, subtitle, contributors, publisher, publicationDate,
+ *   coverUrl, url, sources, editions: [{ isbn13, format, price, currency, availability, url, coverUrl, sources }] }],
+ *   feeds: [{ url, type, items, error }] }
+ */
+export const extract = async (pages, options = {}) => {
+  try {
+    logger.info(`[CATALOGUE] Building the book catalogue from ${pages.length} pages`);
+
+    const pageIsbns = isbnsByPage(options.isbn);
+    const records = jsonLdRecords(options.schemaMarkup, pageIsbns);
+    logger.info(`[CATALOGUE] Found ${records.length} books in JSON-LD`);
+
+    const feeds = [];
+    for (const link of findFeedLinks(pages).slice(0, CATALOGUE_MAX_FEEDS)) {
+      const feed = await readFeed(link);
+      feeds.push({ url: feed.url, type: feed.type, items: feed.records.length, error: feed.error });
+      records.push(...feed.records);
+    }
+
+    const books = mergeRecords(records);
+    addIsbnCovers(books, options.isbn);
+
+    const editions = books.reduce((total, book) => total + book.editions.length, 0);
+    logger.info(`[CATALOGUE] ✅ Catalogue has ${books.length} works and ${editions} editions from ${feeds.length} feeds and JSON-LD`);
+
+    return { books, feeds };
+  } catch (error) {
+    logger.error(`[CATALOGUE] Error building the book catalogue: ${error.message}`);
+    return { books: [], feeds: [] };
+  }
+};
+
+/**
+ * Normalize an availability value (schema.org URL, Merchant value or plain text)
+ */
+export const normalizeAvailability = (value) => {
+  if (!value) return null;
+  const key = String(value).replace(/^.*\//, '').toLowerCase().replace(/[^a-z]/g, '');
+  return AVAILABILITY[key] || null;
+};
+
+/**
+ * Normalize a format (schema.org BookFormatType URL, product type or title)
+ */
+export const normalizeFormat = (...values) => {
+  const text = values.filter(Boolean).join(' ');
+  const match = FORMAT_PATTERNS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse a price with an optional currency ("12.99", "12.99 GBP", "£12.99", "12,99 EUR")
+ * @returns {{price: number|null, currency: string|null}}
+ */
+export const parsePrice = (value, currency = null) => {
+  if (typeof value === 'number') {
+    return { price: value, currency: currency || null };
+  }
+
+  const text = String(value || '');
+  const code = text.match(/\b([A-Z]{3})\b/);
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => text.includes(key));
+  const amount = text.match(/\d[\d.,]*/);
+
+  let price = null;
+  if (amount) {
+    // A comma followed by two digits at the end is a decimal comma
+    const digits = /,\d{2}$/.test(amount[0]) && !amount[0].includes('.')
+      ? amount[0].replace(/\./g, '').replace(',', '.')
+      : amount[0].replace(/,/g, '');
+    price = parseFloat(digits);
+  }
+
+  return {
+    price: Number.isFinite(price) ? price : null,
+    currency: currency || (code ? code[1] : null) || (symbol ? CURRENCY_SYMBOLS[symbol] : null)
+  };
+};
+
+/**
+ * Valid ISBN-13s the isbn extractor found, by page URL
+ */
+const isbnsByPage = (isbnResults) => {
+  const byPage = new Map();
+
+  for (const found of isbnResults?.isbns || []) {
+    const isbn13 = toIsbn13(found.cleaned);
+    if (!isbn13) continue;
+    if (!byPage.has(found.page)) byPage.set(found.page, new Set());
+    byPage.get(found.page).add(isbn13);
+  }
+
+  return byPage;
+};
+
+/**
+ * First element of a value that may be an array
+ */
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Name of a Person/Organization, or the string itself
+ */
+const nameOf = (value) => {
+  const item = first(value);
+  if (!item) return null;
+  return (typeof item === 'string' ? item : item.name || null)?.trim() || null;
+};
+
+/**
+ * URL of an image value (string, ImageObject or a list of either)
+ */
+const imageUrl = (value) => {
+  const image = first(value);
+  if (!image) return null;
+  return typeof image === 'string' ? image : image.url || image.contentUrl || null;
+};
+
+/**
+ * @type values of a JSON-LD node, without the schema.org prefix
+ */
+const typesOf = (node) => [].concat(node['@type'] || []).map(type => String(type).replace(/^.*[/:]/, ''));
+
+/**
+ * ISBN-13 of a Book or Product node
+ * isbn can be any valid ISBN, GTINs and SKUs only count when they're ISBN-13s (978/979 prefixes).
+ */
+const nodeIsbn = (node) => {
+  const identifiers = [].concat(node.identifier || []).map(identifier => {
+    if (typeof identifier !== 'object') return null;
+    return /isbn/i.test(identifier.propertyID || '') ? identifier.value : null;
+  });
+  const fromIsbn = [node.isbn, ...identifiers].map(value => toIsbn13(first(value))).find(Boolean);
+  if (fromIsbn) return fromIsbn;
+
+  return [node.gtin13, node.gtin, node.productID, node.sku]
+    .map(value => String(first(value) || '').replace(/^isbn:/i, '').replace(/[\s-]/g, ''))
+    .filter(value => /^97[89]\d{10}$/.test(value))
+    .map(toIsbn13)
+    .find(Boolean) || null;
+};
+
+/**
+ * Price and availability of the first offer (Offer, list of offers or AggregateOffer)
+ */
+const offerDetails = (offers) => {
+  let offer = first(offers);
+  if (offer && offer['@type'] === 'AggregateOffer' && offer.offers) {
+    offer = first(offer.offers);
+  }
+  if (!offer || typeof offer !== 'object') {
+    return { price: null, currency: null, availability: null, url: null };
+  }
+
+  const specification = first(offer.priceSpecification) || {};
+  const { price, currency } = parsePrice(
+    offer.price ?? offer.lowPrice ?? specification.price,
+    offer.priceCurrency || specification.priceCurrency
+  );
+
+  return { price, currency, availability: normalizeAvailability(offer.availability), url: offer.url || null };
+};
+
+/**
+ * Contributors of a Book or Product node
+ */
+const nodeContributors = (node) => {
+  const roles = [['author', 'author'], ['illustrator', 'illustrator'], ['editor', 'editor'], ['translator', 'translator'], ['readBy', 'narrator']];
+  const contributors = [];
+
+  for (const [property, role] of roles) {
+    for (const person of [].concat(node[property] || [])) {
+      const name = nameOf(person);
+      if (name && !contributors.some(contributor => contributor.name === name && contributor.role === role)) {
+        contributors.push({ name, role });
+      }
+    }
+  }
+
+  return contributors;
+};
+
+/**
+ * One edition of a Book, workExample or Product node
+ */
+const nodeEdition = (node, isbn13, pageUrl) => {
+  const offer = offerDetails(node.offers);
+
+  return {
+    isbn13,
+    format: normalizeFormat(first(node.bookFormat), node.additionalType, node.category),
+    price: offer.price,
+    currency: offer.currency,
+    availability: offer.availability,
+    url: node.url || offer.url || pageUrl,
+    coverUrl: imageUrl(node.image)
+  };
+};
+
+/**
+ * Normalize a Book or Product node into a catalogue record
+ * A Book's workExample entries are its other editions.
+ */
+const jsonLdRecord = (node, pageUrl, pageIsbns) => {
+  const isBook = typesOf(node).includes('Book');
+  const editions = [];
+
+  let isbn13 = nodeIsbn(node);
+  const examples = [].concat(node.workExample || []).filter(example => example && typeof example === 'object');
+
+  // No ISBN in the markup: use the one ISBN printed on the page, if there's exactly one
+  if (!isbn13 && examples.length === 0 && pageIsbns?.size === 1) {
+    isbn13 = [...pageIsbns][0];
+  }
+
+  if (isbn13) editions.push(nodeEdition(node, isbn13, pageUrl));
+  for (const example of examples) {
+    const exampleIsbn = nodeIsbn(example);
+    if (exampleIsbn) editions.push(nodeEdition(example, exampleIsbn, pageUrl));
+  }
+
+  // A Product without an ISBN isn't a book
+  if (!isBook && editions.length === 0) return null;
+
+  return {
+    source: 'json-ld',
+    title: (typeof node.name === 'string' ? node.name.trim() : nameOf(node.name)) || null,
+    subtitle: typeof node.alternativeHeadline === 'string' ? node.alternativeHeadline.trim() : null,
+    contributors: nodeContributors(node),
+    publisher: nameOf(node.publisher) || (isBook ? null : nameOf(node.brand)),
+    publicationDate: node.datePublished ? String(node.datePublished).slice(0, 10) : null,
+    coverUrl: imageUrl(node.image),
+    url: node.url || pageUrl,
+    editions
+  };
+};
+
+/**
+ * Book and Product nodes in a JSON-LD item, including ones nested in ItemLists and the like
+ */
+const collectBookNodes = (value, nodes, depth = 0) => {
+  if (!value || typeof value !== 'object' || depth > 6) return;
+
+  if (Array.isArray(value)) {
+    value.forEach(item => collectBookNodes(item, nodes, depth + 1));
+    return;
+  }
+
+  const types = typesOf(value);
+  if (types.includes('Book') || types.includes('Product')) {
+    nodes.push(value);
+    return;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (!key.startsWith('@')) collectBookNodes(child, nodes, depth + 1);
+  }
+};
+
+/**
+ * Catalogue records from the schema extractor's JSON-LD
+ */
+const jsonLdRecords = (schemaMarkup, pageIsbns) => {
+  const records = [];
+
+  for (const item of schemaMarkup?.markup || []) {
+    if (item.format !== 'json-ld') continue;
+
+    let data;
+    try {
+      data = typeof item.data === 'string' ? JSON.parse(item.data) : item.data;
+    } catch (error) {
+      continue;
+    }
+
+    const nodes = [];
+    collectBookNodes(data, nodes);
+
+    for (const node of nodes) {
+      const record = jsonLdRecord(node, item.url, pageIsbns.get(item.url));
+      if (record) records.push(record);
+    }
+  }
+
+  return records;
+};
+
+/**
+ * ONIX and Merchant feed links on the crawled pages
+ * @returns {Array<{url: string, type: string|null}>} - type is a guess from the URL, null for feeds that need sniffing
+ */
+const findFeedLinks = (pages) => {
+  const links = new Map();
+
+  const add = (href, pageUrl, type) => {
+    try {
+      const url = new URL(href, pageUrl).href;
+      if (ARCHIVE_PATTERN.test(url)) {
+        logger.info(`[CATALOGUE] Skipping compressed catalogue file ${url}`);
+        return;
+      }
+      if (!links.has(url)) links.set(url, { url, type });
+    } catch (error) {
+      // Ignore invalid URLs
+    }
+  };
+
+  for (const page of pages) {
+    if (!page.content) continue;
+    const $ = cheerio.load(page.content);
+
+    $('a[href], link[href]').each((_, element) => {
+      const href = $(element).attr('href');
+      const label = `${href} ${$(element).attr('title') || ''} ${$(element).text()}`;
+
+      if (ONIX_LINK_PATTERN.test(href)) {
+        add(href, page.url, 'onix');
+      } else if (MERCHANT_LINK_PATTERN.test(href)) {
+        add(href, page.url, 'merchant');
+      } else if ($(element).is('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]')
+        && /product|catalog|books/i.test(label)) {
+        add(href, page.url, null);
+      }
+    });
+  }
+
+  // Files that are clearly catalogues go first
+  return [...links.values()].sort((a, b) => Number(!a.type) - Number(!b.type));
+};
+
+/**
+ * Download a feed and parse it by its contents
+ * @returns {Promise<{url, type, records, error}>}
+ */
+const readFeed = async ({ url, type }) => {
+  try {
+    const response = await politenessService.politeGet(url, {
+      timeout: CATALOGUE_FEED_TIMEOUT,
+      responseType: 'text',
+      maxContentLength: CATALOGUE_FEED_MAX_BYTES,
+      headers: { Accept: 'application/xml, text/xml, application/rss+xml, text/tab-separated-values, text/plain;q=0.8, */*;q=0.5' }
+    });
+    const body = typeof response.data === 'string' ? response.data : String(response.data || '');
+
+    if (/<ONIXMessage|<ONIXmessage/i.test(body.slice(0, 4096))) {
+      const records = parseOnix(body).map(onixRecord);
+      logger.info(`[CATALOGUE] ✅ Read ${records.length} products from ONIX file ${url}`);
+      return { url, type: 'onix', records, error: null };
+    }
+
+    if (/xmlns:g=["']http:\/\/base\.google\.com\/ns\/1\.0/.test(body)) {
+      const records = parseMerchantXml(body);
+      logger.info(`[CATALOGUE] ✅ Read ${records.length} books from Merchant feed ${url}`);
+      return { url, type: 'merchant', records, error: null };
+    }
+
+    const header = body.slice(0, body.search(/\r?\n/) === -1 ? 0 : body.search(/\r?\n/)).toLowerCase();
+    if (header.includes('\t') && /\bgtin\b/.test(header)) {
+      const records = parseMerchantTsv(body);
+      logger.info(`[CATALOGUE] ✅ Read ${records.length} books from Merchant feed ${url}`);
+      return { url, type: 'merchant', records, error: null };
+    }
+
+    logger.info(`[CATALOGUE] ${url} is not an ONIX or Merchant feed`);
+    return { url, type: null, records: [], error: type ? 'Unrecognized feed format' : null };
+  } catch (error) {
+    logger.warn(`[CATALOGUE] Could not read feed ${url}: ${error.message}`);
+    return { url, type, records: [], error: error.message };
+  }
+};
+
+/**
+ * Catalogue record from a parsed ONIX product
+ */
+const onixRecord = (product) => ({
+  source: 'onix',
+  title: product.title,
+  subtitle: product.subtitle,
+  contributors: product.contributors,
+  publisher: product.publisher,
+  publicationDate: product.publicationDate,
+  coverUrl: product.coverUrl,
+  url: null,
+  editions: [{
+    isbn13: product.isbn13,
+    format: product.format,
+    price: product.price,
+    currency: product.currency,
+    availability: product.availability,
+    url: null,
+    coverUrl: product.coverUrl
+  }]
+});
+
+/**
+ * Catalogue record from a Merchant item's fields, or null if its GTIN isn't an ISBN
+ */
+const merchantRecord = (item) => {
+  const gtin = [item.gtin, item.id].map(value => (value || '').replace(/[\s-]/g, '')).find(value => /^97[89]\d{10}$/.test(value));
+  const isbn13 = gtin ? toIsbn13(gtin) : null;
+  if (!isbn13) return null;
+
+  const { price, currency } = parsePrice(item.sale_price || item.price);
+
+  return {
+    source: 'merchant',
+    title: item.title || null,
+    subtitle: null,
+    contributors: [],
+    publisher: item.brand || null,
+    publicationDate: null,
+    coverUrl: item.image_link || null,
+    url: item.link || null,
+    editions: [{
+      isbn13,
+      format: normalizeFormat(item.product_type, item.title),
+      price,
+      currency,
+      availability: normalizeAvailability(item.availability),
+      url: item.link || null,
+      coverUrl: item.image_link || null
+    }]
+  };
+};
+
+const MERCHANT_FIELDS = ['id', 'title', 'link', 'image_link', 'price', 'sale_price', 'availability', 'gtin', 'brand', 'product_type'];
+
+/**
+ * Parse a Merchant RSS 2.0 or Atom feed (g: namespace)
+ */
+const parseMerchantXml = (xml) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  return $('item, entry').toArray()
+    .map(element => {
+      const $item = $(element);
+      const item = {};
+
+      // Fields are g:-prefixed, except the RSS/Atom title and link some feeds reuse
+      $item.children().each((_, child) => {
+        const field = child.tagName.replace(/^g:/, '');
+        if (MERCHANT_FIELDS.includes(field) && !item[field]) {
+          item[field] = $(child).text().trim() || (field === 'link' ? $(child).attr('href') || '' : '');
+        }
+      });
+
+      return merchantRecord(item);
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Parse a tab-separated Merchant feed (headers may use spaces or underscores)
+ */
+const parseMerchantTsv = (text) => parseCsv(text, { delimiter: '\t' })
+  .map(row => {
+    const item = {};
+    for (const [key, value] of Object.entries(row)) {
+      item[key.trim().replace(/\s+/g, '_')] = (value || '').trim();
+    }
+    return merchantRecord(item);
+  })
+  .filter(Boolean);
+
+/**
+ * Title used to match editions of a work ("The Hobbit (Paperback)" matches "The Hobbit")
+ */
+const normalizeTitle = (title) => (title || '')
+  .toLowerCase()
+  .replace(TITLE_FORMAT_WORDS, ' ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Fill a target's empty fields from a record
+ */
+const fillFields = (target, record, fields) => {
+  for (const field of fields) {
+    if ((target[field] === null || target[field] === undefined) && record[field] !== null && record[field] !== undefined) {
+      target[field] = record[field];
+    }
+  }
+};
+
+/**
+ * Group records into works
+ * Records join a work that already has one of their ISBNs, then one with the same title and
+ * first contributor, then (for records without contributors) one with the same title.
+ */
+const mergeRecords = (records) => {
+  const works = [];
+  const byIsbn = new Map();
+  const byTitleAndAuthor = new Map();
+  const byTitle = new Map();
+
+  const ordered = [...records].sort((a, b) => SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source));
+
+  for (const record of ordered) {
+    const title = normalizeTitle(record.title);
+    const author = (record.contributors[0]?.name || '').toLowerCase();
+
+    let work = record.editions.map(edition => byIsbn.get(edition.isbn13)).find(Boolean)
+      || (title && author ? byTitleAndAuthor.get(`${title}|${author}`) : null)
+      || (title && !author ? byTitle.get(title) : null);
+
+    if (!work) {
+      if (!title && record.editions.length === 0) continue;
+
+      work = {
+        workKey: null,
+        title: null,
+        subtitle: null,
+        contributors: [],
+        publisher: null,
+        publicationDate: null,
+        coverUrl: null,
+        url: null,
+        sources: [],
+        editions: []
+      };
+      works.push(work);
+    }
+
+    fillFields(work, record, ['title', 'subtitle', 'publisher', 'publicationDate', 'coverUrl', 'url']);
+    if (work.contributors.length === 0) work.contributors = record.contributors;
+    if (!work.sources.includes(record.source)) work.sources.push(record.source);
+
+    for (const edition of record.editions) {
+      let existing = work.editions.find(candidate => candidate.isbn13 === edition.isbn13);
+      if (!existing) {
+        existing = { isbn13: edition.isbn13, format: null, price: null, currency: null, availability: null, url: null, coverUrl: null, sources: [] };
+        work.editions.push(existing);
+        byIsbn.set(edition.isbn13, work);
+      }
+      fillFields(existing, edition, ['format', 'price', 'currency', 'availability', 'url', 'coverUrl']);
+      if (!existing.sources.includes(record.source)) existing.sources.push(record.source);
+    }
+
+    const workTitle = normalizeTitle(work.title);
+    const workAuthor = (work.contributors[0]?.name || '').toLowerCase();
+    if (workTitle) {
+      if (workAuthor && !byTitleAndAuthor.has(`${workTitle}|${workAuthor}`)) byTitleAndAuthor.set(`${workTitle}|${workAuthor}`, work);
+      if (!byTitle.has(workTitle)) byTitle.set(workTitle, work);
+    }
+  }
+
+  for (const work of works) {
+    const identity = work.title
+      ? `${normalizeTitle(work.title)}|${(work.contributors[0]?.name || '').toLowerCase()}`
+      : `isbn|${work.editions[0].isbn13}`;
+    work.workKey = crypto.createHash('sha1').update(identity).digest('hex');
+  }
+
+  return works;
+};
+
+/**
+ * Use the isbn extractor's cover images for editions and works without one
+ */
+const addIsbnCovers = (books, isbnResults) => {
+  const covers = new Map();
+  for (const image of isbnResults?.isbnImages || []) {
+    const isbn13 = toIsbn13(image.isbn);
+    if (isbn13 && image.imageUrl && !covers.has(isbn13)) covers.set(isbn13, image.imageUrl);
+  }
+
+  for (const book of books) {
+    for (const edition of book.editions) {
+      if (!edition.coverUrl && covers.has(edition.isbn13)) edition.coverUrl = covers.get(edition.isbn13);
+    }
+    book.coverUrl = book.coverUrl || book.editions.find(edition => edition.coverUrl)?.coverUrl || null;
+  }
+};
+
+/**
+ * Save a catalogue to domain_books and domain_book_editions
+ * @param {number} domainId - domain_info ID
+ * @param {object} catalogue - Result of extract()
+ */
+export const saveCatalogue = async (domainId, catalogue) => {
+  let saved = 0;
+
+  for (const book of catalogue.books || []) {
+    try {
+      const bookId = await bookCatalogueRepository.saveBook(domainId, book);
+      for (const edition of book.editions) {
+        await bookCatalogueRepository.saveEdition(domainId, bookId, edition);
+      }
+      saved++;
+    } catch (error) {
+      logger.error(`[CATALOGUE] Error saving "${book.title}": ${error.message}`);
+    }
+  }
+
+  logger.info(`[CATALOGUE] ✅ Saved ${saved} of ${(catalogue.books || []).length} works for domain ID ${domainId}`);
+  return saved;
+};
+
+export default {
+  extract,
+  normalizeAvailability,
+  normalizeFormat,
+  parsePrice,
+  saveCatalogue
+};
@@ -1,47 +1,298 @@
 import * as cheerio from 'cheerio';
 import logger from '../../utils/logger.js';
+import { getPool } from '../../database/db.js';
+import * as puppeteerService from '../puppeteerService.js';
+import * as politenessService from '../politenessService.js';
+import { parseCssColor, rgbToHex, contrastRatio, isNeutral, colorDistance, getDominantColors } from '../../utils/colorUtils.js';
+import { detectFormat, decodeImage, readImageSize, isDecodableSize, getSvgColors } from '../../utils/imageDecoder.js';
+
+// How much each place a color was seen counts towards its rank
+const SOURCE_WEIGHTS = {
+  logo: 6,
+  buttons: 4,
+  header: 3,
+  links: 2,
+  headings: 1.5,
+  hero: 1.5,
+  footer: 1,
+  background: 1,
+  text: 1
+};
+
+// Greys rank below real colors, they rarely identify a brand
+const NEUTRAL_WEIGHT = 0.35;
+// Colors closer than this (redmean distance) are treated as the same color
+const MERGE_DISTANCE = 40;
+const PALETTE_SIZE = 10;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+
+const emptyColors = () => ({
+  primaryColor: null,
+  secondaryColors: [],
+  palette: []
+});
 
 /**
  * Extract color information from website pages
+ * The homepage is rendered and its computed styles sampled (header, buttons, links, headings,
+ * background), and the logo and hero images are decoded for their dominant colors. If neither
+ * is possible the homepage CSS is scanned instead.
+ * @param {Array} pages - Crawled pages
+ * @param {object} options - { images } results of the images extractor, { render: false } to skip rendering
  */
-export const extract = async (pages) => {
+export const extract = async (pages, options = {}) => {
   try {
     logger.info('Extracting color information');
     
     // Get only HTML pages
     const htmlPages = pages.filter(page => 
-      page.contentType && page.contentType.includes('text/html')
+      page.content && (!page.contentType || page.contentType.includes('text/html'))
     );
     
     if (htmlPages.length === 0) {
       logger.warn('No HTML pages found for color extraction');
+      return emptyColors();
+    }
+    
+    // Extract colors from the homepage
+    const homepage = htmlPages.find(page => {
+      try {
+        return new URL(page.url).pathname === '/';
+      } catch (error) {
+        return false;
+      }
+    }) || htmlPages[0];
+    
+    // Computed styles from the rendered homepage
+    let computed = null;
+    if (options.render !== false) {
+      try {
+        computed = await politenessService.schedule(homepage.url, () => puppeteerService.sampleComputedStyles(homepage.url));
+      } catch (error) {
+        logger.warn(`[COLORS] Could not render ${homepage.url} for computed styles: ${error.message}`);
+      }
+    }
+    
+    // Logo and hero images found by the images extractor, or the logo seen in the rendered page
+    const logoUrl = pickImageUrl(options.images, 'logo') || computed?.logoUrl || null;
+    const heroUrl = pickImageUrl(options.images, 'hero');
+    
+    let logoColors = [];
+    if (computed?.logoSvg && !pickImageUrl(options.images, 'logo')) {
+      logoColors = getSvgColors(computed.logoSvg);
+    } else if (logoUrl) {
+      logoColors = await extractImageColors(logoUrl);
+    }
+    const heroColors = heroUrl ? await extractImageColors(heroUrl) : [];
+    
+    if (!computed && logoColors.length === 0 && heroColors.length === 0) {
+      logger.info('[COLORS] No rendered styles or image colors available, scanning CSS instead');
+      return { ...extractColorsFromCSS(homepage), method: 'css' };
+    }
+    
+    const colors = buildPalette({ computed, logoColors, heroColors });
+    logger.info(`[COLORS] ✅ Primary color ${colors.primaryColor} from ${colors.palette.length} ranked colors`);
+    
+    return {
+      ...colors,
+      sources: { page: homepage.url, logo: logoUrl, hero: heroUrl },
+      method: computed ? 'computed' : 'images'
+    };
+  } catch (error) {
+    logger.error(`Error extracting colors: ${error.message}`);
+    return emptyColors();
+  }
+};
+
+/**
+ * URL of the first image the images extractor put in a category
+ */
+function pickImageUrl(images, category) {
+  const flag = category === 'logo' ? 'isLogo' : 'isHero';
+  return images?.byCategory?.[category]?.[0]?.url || (images?.all || []).find(image => image[flag])?.url || null;
+}
+
+/**
+ * Download an image and get its dominant colors
+ * @returns {Promise<Array<{hex: string, share: number}>>} - Empty for unsupported formats or failures
+ */
+export const extractImageColors = async (imageUrl) => {
+  try {
+    if (imageUrl.startsWith('data:')) {
+      return [];
+    }
+    
+    const response = await politenessService.politeGet(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxContentLength: MAX_IMAGE_BYTES
+    });
+    
+    const buffer = Buffer.from(response.data);
+    const contentType = response.headers['content-type'] || '';
+    const format = detectFormat(buffer, contentType);
+    
+    if (format === 'svg') {
+      return getSvgColors(buffer.toString('utf8'));
+    }
+    
+    // Decoding allocates width x height x 4 bytes, whatever the file size
+    const size = readImageSize(buffer, contentType);
+    if (size.width && size.height && !isDecodableSize(size)) {
+      logger.info(`[COLORS] Skipping ${imageUrl}: ${size.width}x${size.height} is too large to decode`);
+      return [];
+    }
+    
+    const image = decodeImage(buffer, contentType);
+    if (!image) {
+      logger.info(`[COLORS] Skipping ${imageUrl}: ${format || 'unknown'} images can't be decoded`);
+      return [];
+    }
+    
+    return getDominantColors(image, { maxColors: 5 });
+  } catch (error) {
+    logger.warn(`[COLORS] Could not get colors from ${imageUrl}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Rank the colors seen in computed styles and images
+ * Each source's colors are normalised to shares (by element area for backgrounds, by count
+ * otherwise), weighted by SOURCE_WEIGHTS, then similar colors are merged.
+ */
+function buildPalette({ computed, logoColors, heroColors }) {
+  const entries = [];
+  
+  const addSource = (source, samples) => {
+    const totals = new Map();
+    let total = 0;
+    
+    for (const { value, amount } of samples) {
+      const color = parseCssColor(value);
+      if (!color || color.a < 0.5 || !amount) continue;
+      
+      const hex = rgbToHex(color);
+      totals.set(hex, (totals.get(hex) || 0) + amount);
+      total += amount;
+    }
+    
+    for (const [hex, amount] of totals) {
+      addEntry(hex, source, SOURCE_WEIGHTS[source] * (amount / total));
+    }
+  };
+  
+  const addEntry = (hex, source, score) => {
+    const color = parseCssColor(hex);
+    const existing = entries.find(entry => colorDistance(entry.color, color) < MERGE_DISTANCE);
+    
+    if (existing) {
+      existing.score += score;
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      // Keep the hex of whichever variant contributed most
+      if (score > existing.topScore) {
+        existing.hex = hex;
+        existing.color = color;
+        existing.topScore = score;
+      }
+    } else {
+      entries.push({ hex, color, score, topScore: score, sources: [source] });
+    }
+  };
+  
+  // Page background: body, then html, then white
+  const backgroundColor = [computed?.background, computed?.htmlBackground]
+    .map(parseCssColor)
+    .find(color => color && color.a >= 0.5) || WHITE;
+  const textColor = parseCssColor(computed?.text) || BLACK;
+  
+  if (computed) {
+    addSource('background', [{ value: rgbToHex(backgroundColor), amount: 1 }]);
+    addSource('text', [{ value: rgbToHex(textColor), amount: 1 }]);
+    addSource('header', computed.header.map(sample => ({ value: sample.backgroundColor, amount: sample.area })));
+    addSource('buttons', computed.buttons.map(sample => ({ value: sample.backgroundColor, amount: sample.area * (sample.aboveFold ? 1.5 : 1) })));
+    addSource('links', computed.links.map(sample => ({ value: sample.color, amount: sample.aboveFold ? 1.5 : 1 })));
+    addSource('headings', computed.headings.map(sample => ({ value: sample.color, amount: 1 })));
+    addSource('footer', computed.footer.map(sample => ({ value: sample.backgroundColor, amount: sample.area })));
+  }
+  
+  addSource('logo', logoColors.map(color => ({ value: color.hex, amount: color.share })));
+  addSource('hero', heroColors.map(color => ({ value: color.hex, amount: color.share })));
+  
+  const ranked = entries
+    .map(entry => {
+      const neutral = isNeutral(entry.color);
+      const onWhite = contrastRatio(entry.color, WHITE);
+      const onBlack = contrastRatio(entry.color, BLACK);
+      const onBackground = contrastRatio(entry.color, backgroundColor);
+      
       return {
-        primaryColor: null,
-        secondaryColors: [],
-        palette: []
+        hex: entry.hex,
+        score: Math.round(entry.score * (neutral ? NEUTRAL_WEIGHT : 1) * 1000) / 1000,
+        sources: entry.sources,
+        neutral,
+        contrast: {
+          white: onWhite,
+          black: onBlack,
+          background: onBackground
+        },
+        // Text color to use on top of this color, and whether it passes WCAG AA for body text
+        textColor: onWhite >= onBlack ? '#ffffff' : '#000000',
+        textContrast: Math.max(onWhite, onBlack),
+        wcagAA: Math.max(onWhite, onBlack) >= 4.5
       };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, PALETTE_SIZE);
+  
+  const primary = ranked.find(entry => !entry.neutral) || ranked[0] || null;
+  
+  return {
+    primaryColor: primary ? primary.hex : null,
+    secondaryColors: ranked.filter(entry => entry !== primary).slice(0, 5).map(entry => entry.hex),
+    palette: ranked,
+    background: rgbToHex(backgroundColor),
+    text: rgbToHex(textColor),
+    textContrast: contrastRatio(textColor, backgroundColor)
+  };
+}
+
+/**
+ * Save extracted colors to domain_colors
+ */
+export const saveColors = async (domainId, colors) => {
+  try {
+    if (!colors.primaryColor) {
+      return false;
     }
     
-    // Extract colors from the homepage (first page)
-    const homepage = htmlPages[0];
+    const db = getPool();
     
-    // Extract colors from CSS
-    const colors = extractColorsFromCSS(homepage);
+    const [existingRows] = await db.query(
+      'SELECT id FROM domain_colors WHERE domain_id = ?',
+      [domainId]
+    );
     
-    // If no primary color is found, try to extract from the logo or hero image
-    if (!colors.primaryColor) {
-      // This would require image processing which we've removed since color-thief-node dependency was removed
-      colors.primaryColor = null;
+    if (existingRows.length > 0) {
+      await db.query(
+        'UPDATE domain_colors SET primary_color = ?, secondary_colors = ?, palette = ?, updated_at = NOW() WHERE domain_id = ?',
+        [colors.primaryColor, JSON.stringify(colors.secondaryColors || []), JSON.stringify(colors.palette || []), domainId]
+      );
+    } else {
+      await db.query(
+        'INSERT INTO domain_colors (domain_id, primary_color, secondary_colors, palette, created_at) VALUES (?, ?, ?, ?, NOW())',
+        [domainId, colors.primaryColor, JSON.stringify(colors.secondaryColors || []), JSON.stringify(colors.palette || [])]
+      );
     }
     
-    return colors;
+    logger.info(`[COLORS] Saved colors to domain_colors for domain ID ${domainId}`);
+    return true;
   } catch (error) {
-    logger.error(`Error extracting colors: ${error.message}`);
-    return {
-      primaryColor: null,
-      secondaryColors: [],
-      palette: []
-    };
+    logger.error(`Error saving colors: ${error.message}`);
+    return false;
   }
 };
 
@@ -3,6 +3,18 @@ import logger from '../../utils/logger.js';
 import path from 'path';
 import { URL } from 'url';
 import { getPool } from '../../../config/database.js';
+import * as imageProbeService from '../imageProbeService.js';
+
+// Download images to record their real size and merge variants of the same picture (see imageProbeService)
+const IMAGE_PROBE_ENABLED = process.env.IMAGE_PROBE_ENABLED !== 'false';
+
+// Attributes lazy-loading libraries keep the real image in until it scrolls into view
+const LAZY_SRC_ATTRIBUTES = ['data-src', 'data-lazy', 'data-lazy-src', 'data-original', 'data-echo', 'data-url'];
+const LAZY_SRCSET_ATTRIBUTES = ['data-srcset', 'data-lazy-srcset'];
+const LAZY_BACKGROUND_ATTRIBUTES = ['data-bg', 'data-background', 'data-background-image', 'data-bg-src'];
+
+// src values that stand in for a lazy-loaded image
+const PLACEHOLDER_PATTERN = /(blank|spacer|transparent|placeholder|lazy(load)?|loading|pixel)\.(gif|png|svg)/i;
 
 /**
  * Image Categories
@@ -49,16 +61,20 @@ async function saveImageToDatabase(image, domainId) {
           file_size = ?, 
           file_format = ?, 
           category = ?, 
-          prominence_score = ?
+          prominence_score = ?,
+          perceptual_hash = ?,
+          variant_urls = ?
         WHERE id = ?`,
         [
           image.alt || '',
           image.width || null,
           image.height || null,
           image.fileSize || null,
-          image.fileFormat || '',
-          image.potentialCategories[0] || 'other',
+          image.fileType || '',
+          image.categories[0] || 'other',
           image.score || 0,
+          image.perceptualHash || null,
+          variantUrlsJson(image),
           id
         ]
       );
@@ -69,8 +85,8 @@ async function saveImageToDatabase(image, domainId) {
         `INSERT INTO domain_images 
          (domain_id, url, alt_text, width, height, 
           page_url, category, context, prominence_score,
-          file_name, file_format, file_size, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+          file_name, file_format, file_size, perceptual_hash, variant_urls, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
         [
           domainId,
           image.url,
@@ -83,7 +99,9 @@ async function saveImageToDatabase(image, domainId) {
           image.score || 0,
           image.fileName || '',
           image.fileType || '',
-          image.fileSize || null
+          image.fileSize || null,
+          image.perceptualHash || null,
+          variantUrlsJson(image)
         ]
       );
       logger.debug(`[IMAGES] Saved new image to database: ${image.url}`);
@@ -96,6 +114,15 @@ async function saveImageToDatabase(image, domainId) {
   }
 }
 
+/**
+ * Other URLs of the same picture (srcset candidates and merged variants), as JSON for variant_urls
+ */
+function variantUrlsJson(image) {
+  const urls = new Set([...(image.sources || []), ...(image.variants || [])].map(variant => variant.url));
+  urls.delete(image.url);
+  return urls.size > 0 ? JSON.stringify([...urls]) : null;
+}
+
 /**
  * Get domain ID for a URL
  */
@@ -167,6 +194,189 @@ function calculateDimensions(element, $) {
   return { width, height };
 }
 
+/**
+ * Resolve an image URL against the page, skipping data URIs and placeholders
+ */
+function resolveImageUrl(value, pageUrl) {
+  if (!value) return null;
+
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.startsWith('data:') || PLACEHOLDER_PATTERN.test(trimmed)) return null;
+
+  try {
+    const url = new URL(trimmed, pageUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a srcset into candidates
+ * Follows the HTML parsing rules: URLs may contain commas (e.g. Cloudinary transforms), a
+ * candidate ends at a comma after its descriptor.
+ * @returns {Array<{url: string, width: number|null, density: number|null}>}
+ */
+function parseSrcset(srcset, pageUrl) {
+  const candidates = [];
+  const input = srcset || '';
+  let position = 0;
+
+  while (position < input.length) {
+    while (position < input.length && /[\s,]/.test(input[position])) position++;
+    if (position >= input.length) break;
+
+    let end = position;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+    let rawUrl = input.slice(position, end);
+    position = end;
+
+    let descriptor = '';
+    if (rawUrl.endsWith(',')) {
+      rawUrl = rawUrl.replace(/,+$/, '');
+    } else {
+      while (position < input.length && input[position] !== ',') descriptor += input[position++];
+    }
+
+    const url = resolveImageUrl(rawUrl, pageUrl);
+    if (!url) continue;
+
+    const width = descriptor.match(/(\d+)w/);
+    const density = descriptor.match(/([\d.]+)x/);
+    candidates.push({
+      url,
+      width: width ? parseInt(width[1], 10) : null,
+      density: density ? parseFloat(density[1]) : (width ? null : 1)
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Parse a CSS image-set() / -webkit-image-set() into candidates
+ */
+function parseImageSet(css, pageUrl) {
+  const candidates = [];
+  const imageSet = css.match(/(?:-webkit-)?image-set\(((?:[^()]|\([^()]*\))*)\)/i);
+  if (!imageSet) return candidates;
+
+  const pattern = /(?:url\(\s*)?["']?([^"'()\s,]+)["']?\s*\)?\s*(?:type\([^)]*\)\s*)?([\d.]+x)?/gi;
+  let match;
+  while ((match = pattern.exec(imageSet[1])) !== null) {
+    if (!match[1]) {
+      pattern.lastIndex++;
+      continue;
+    }
+    const url = resolveImageUrl(match[1], pageUrl);
+    if (url) {
+      candidates.push({ url, width: null, density: match[2] ? parseFloat(match[2]) : 1 });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Pick the highest-resolution candidate
+ * Width descriptors win over densities (a density is relative to the rendered width).
+ */
+function pickLargestSource(sources, renderedWidth) {
+  const resolution = (source) => source.width || (source.density || 1) * (renderedWidth || 1000);
+  return sources.reduce((best, source) => (resolution(source) > resolution(best) ? source : best), sources[0]);
+}
+
+/**
+ * All the image URLs an <img> (and the <picture> around it) can show
+ * @returns {{url: string, sources: Array<object>, lazyAttribute: string|null, width: number|null}|null}
+ *   url is the highest-resolution candidate, sources every candidate with the attribute it came from,
+ *   lazyAttribute the lazy-loading attribute that revealed url (or 'loading' for native lazy loading)
+ */
+function resolveImageSources(element, $, pageUrl) {
+  const $element = $(element);
+  const sources = [];
+
+  const add = (candidates, attribute, extra = {}) => {
+    for (const candidate of candidates) {
+      if (!sources.some(source => source.url === candidate.url)) {
+        sources.push({ ...candidate, attribute, ...extra });
+      }
+    }
+  };
+
+  const picture = $element.parent('picture');
+  if (picture.length > 0) {
+    picture.children('source').each((_, source) => {
+      const $source = $(source);
+      const media = $source.attr('media') || null;
+      const type = $source.attr('type') || null;
+      for (const attribute of ['srcset', ...LAZY_SRCSET_ATTRIBUTES]) {
+        add(parseSrcset($source.attr(attribute), pageUrl), attribute, { media, type });
+      }
+    });
+  }
+
+  for (const attribute of ['srcset', ...LAZY_SRCSET_ATTRIBUTES]) {
+    add(parseSrcset($element.attr(attribute), pageUrl), attribute);
+  }
+  for (const attribute of LAZY_SRC_ATTRIBUTES) {
+    const url = resolveImageUrl($element.attr(attribute), pageUrl);
+    if (url) add([{ url, width: null, density: 1 }], attribute);
+  }
+
+  const src = resolveImageUrl($element.attr('src'), pageUrl);
+  if (src) add([{ url: src, width: null, density: 1 }], 'src');
+
+  if (sources.length === 0) return null;
+
+  // Art-directed <source media> crops are kept as variants, but the image itself comes from the default sources
+  const defaultSources = sources.filter(source => !source.media);
+  const renderedWidth = parseInt($element.attr('width'), 10) || null;
+  const best = pickLargestSource(defaultSources.length > 0 ? defaultSources : sources, renderedWidth);
+
+  let lazyAttribute = null;
+  if (best.attribute !== 'src' && best.attribute !== 'srcset') {
+    lazyAttribute = best.attribute;
+  } else if (($element.attr('loading') || '').toLowerCase() === 'lazy') {
+    lazyAttribute = 'loading';
+  }
+
+  return { url: best.url, sources, lazyAttribute, width: best.width };
+}
+
+/**
+ * The background image of an element, from its inline style (url() or image-set()) or a lazy-loading attribute
+ * @returns {{url: string, sources: Array<object>, lazyAttribute: string|null}|null}
+ */
+function resolveBackgroundSources(element, $, pageUrl) {
+  const $element = $(element);
+  const style = $element.attr('style') || '';
+  const sources = [];
+
+  for (const candidate of parseImageSet(style, pageUrl)) {
+    sources.push({ ...candidate, attribute: 'style' });
+  }
+
+  const bgMatch = style.match(/background(-image)?:\s*url\(['"]?([^'")]+)['"]?\)/i);
+  const styleUrl = bgMatch ? resolveImageUrl(bgMatch[2], pageUrl) : null;
+  if (styleUrl && !sources.some(source => source.url === styleUrl)) {
+    sources.push({ url: styleUrl, width: null, density: 1, attribute: 'style' });
+  }
+
+  for (const attribute of LAZY_BACKGROUND_ATTRIBUTES) {
+    const value = ($element.attr(attribute) || '').replace(/^url\(['"]?|['"]?\)$/g, '');
+    const url = resolveImageUrl(value, pageUrl);
+    if (url && !sources.some(source => source.url === url)) {
+      sources.push({ url, width: null, density: 1, attribute });
+    }
+  }
+
+  if (sources.length === 0) return null;
+
+  const best = pickLargestSource(sources, null);
+  return { url: best.url, sources, lazyAttribute: best.attribute === 'style' ? null : best.attribute };
+}
+
 /**
  * Analyze the context of an image element to determine its role on the page
  * @param {Object} element - The image element or its container (for background images)
@@ -397,15 +607,16 @@ function categorizeImage(element, $, context, url, dimensions, pageUrl) {
  * Extract images from page content
  * @param {Array} pages - Array of pages with url and content
  * @param {number} domainId - Optional domain ID for saving to database 
+ * @param {Object} options - { probe: false } to skip downloading images (defaults to IMAGE_PROBE_ENABLED)
  * @returns {Object} - Object with all images and categorized images
  */
-export const extract = async (pages, domainId = null) => {
+export const extract = async (pages, domainId = null, options = {}) => {
   try {
     logger.info('[IMAGE] Extracting images from content');
     
     // Store extracted images
     const images = [];
-    const imagesByCategory = {};
+    let imagesByCategory = {};
     
     // Track unique image URLs to avoid duplicates
     const uniqueImageUrls = new Set();
@@ -424,28 +635,18 @@ export const extract = async (pages, domainId = null) => {
         const $ = cheerio.load(page.content);
         
         // Initial extraction of all img tags
-        $('img[src]').each((_, element) => {
+        $('img').each((_, element) => {
           try {
-            const src = $(element).attr('src');
-            if (!src) return;
-            
-            // Skip data URIs which are too large and not useful for discovery
-            if (src.startsWith('data:')) return;
-            
-            // Skip blank.gif and other tiny placeholder images
-            if (src.includes('blank.gif') || src.includes('spacer.gif') || src.includes('transparent.gif')) return;
+            // src, srcset, the surrounding <picture> and lazy-loading attributes, largest candidate first
+            // (data URIs and placeholder GIFs are skipped)
+            const resolved = resolveImageSources(element, $, page.url);
+            if (!resolved) return;
             
-            // Normalize URL
-            let imageUrl;
-            try {
-              imageUrl = new URL(src, page.url).href;
-            } catch (urlError) {
-              return; // Skip invalid URLs
-            }
+            const imageUrl = resolved.url;
             
             // Skip if we've already processed this exact URL
             if (uniqueImageUrls.has(imageUrl)) return;
-            uniqueImageUrls.add(imageUrl);
+            resolved.sources.forEach(source => uniqueImageUrls.add(source.url));
             
             // Get alt text and other attributes
             const alt = $(element).attr('alt') || '';
@@ -453,8 +654,12 @@ export const extract = async (pages, domainId = null) => {
             const width = parseInt($(element).attr('width'), 10) || 0;
             const height = parseInt($(element).attr('height'), 10) || 0;
             
-            // Calculate image dimensions
+            // Calculate image dimensions (a width descriptor is the real width of the chosen file)
             const dimensions = calculateDimensions(element, $);
+            if (resolved.width) {
+              dimensions.height = dimensions.width && dimensions.height ? Math.round(resolved.width * dimensions.height / dimensions.width) : dimensions.height;
+              dimensions.width = resolved.width;
+            }
             
             // Analyze context for better categorization
             const context = analyzeImageContext(element, $);
@@ -482,7 +687,9 @@ export const extract = async (pages, domainId = null) => {
               isPerson: categories.includes('person'),
               isBookCover: categories.includes('book_cover'),
               isHero: categories.includes('hero'),
-              fileType: getFileExtension(imageUrl)
+              fileType: getFileExtension(imageUrl),
+              sources: resolved.sources,
+              lazyAttribute: resolved.lazyAttribute
             };
             
             // Save image
@@ -502,29 +709,18 @@ export const extract = async (pages, domainId = null) => {
         });
         
         // Additional extraction from background images
-        $('[style*="background"], [style*="background-image"]').each((_, element) => {
+        const backgroundSelector = ['[style*="background"]', ...LAZY_BACKGROUND_ATTRIBUTES.map(attribute => `[${attribute}]`)].join(', ');
+        $(backgroundSelector).each((_, element) => {
           try {
-            const style = $(element).attr('style');
-            if (!style) return;
-            
-            // Extract URL from background-image
-            const bgMatch = style.match(/background(-image)?:\s*url\(['"]?([^'")]+)['"]?\)/i);
-            if (!bgMatch) return;
+            // url() or image-set() in the inline style, or a lazy-loading attribute
+            const resolved = resolveBackgroundSources(element, $, page.url);
+            if (!resolved) return;
             
-            const bgUrl = bgMatch[2];
-            if (!bgUrl || bgUrl.startsWith('data:')) return;
-            
-            // Normalize URL
-            let imageUrl;
-            try {
-              imageUrl = new URL(bgUrl, page.url).href;
-            } catch (urlError) {
-              return; // Skip invalid URLs
-            }
+            const imageUrl = resolved.url;
             
             // Skip if we've already processed this exact URL
             if (uniqueImageUrls.has(imageUrl)) return;
-            uniqueImageUrls.add(imageUrl);
+            resolved.sources.forEach(source => uniqueImageUrls.add(source.url));
             
             // Analyze context
             const context = analyzeImageContext(element, $);
@@ -556,7 +752,9 @@ export const extract = async (pages, domainId = null) => {
               isPerson: categories.includes('person'),
               isBookCover: categories.includes('book_cover'),
               isHero: categories.includes('hero'),
-              fileType: getFileExtension(imageUrl)
+              fileType: getFileExtension(imageUrl),
+              sources: resolved.sources,
+              lazyAttribute: resolved.lazyAttribute
             };
             
             // Save image
@@ -575,25 +773,15 @@ export const extract = async (pages, domainId = null) => {
           }
         });
         
-        // Extract from picture tags
+        // Extract from picture tags (sources of pictures with an <img> were already taken with it)
         $('picture source[srcset]').each((_, element) => {
           try {
             const srcset = $(element).attr('srcset');
             if (!srcset) return;
             
             // Parse srcset to get URLs
-            const srcsetParts = srcset.split(',');
-            for (const part of srcsetParts) {
-              const urlMatch = part.trim().split(/\s+/)[0];
-              if (!urlMatch || urlMatch.startsWith('data:')) continue;
-              
-              // Normalize URL
-              let imageUrl;
-              try {
-                imageUrl = new URL(urlMatch, page.url).href;
-              } catch (urlError) {
-                continue; // Skip invalid URLs
-              }
+            for (const candidate of parseSrcset(srcset, page.url)) {
+              const imageUrl = candidate.url;
               
               // Skip if we've already processed this exact URL
               if (uniqueImageUrls.has(imageUrl)) continue;
@@ -643,69 +831,42 @@ export const extract = async (pages, domainId = null) => {
             logger.warn(`[IMAGE] Error processing picture source: ${sourceError.message}`);
           }
         });
-        
-        // Save images to database if we have a domainId
-        if (domainId) {
-          try {
-            // Check if database pool is available
-            if (!getPool) {
-              logger.error('[IMAGE] Cannot save images to database: getPool is not defined');
-            } else {
-              const db = getPool();
-              let savedCount = 0;
-              
-              // Extract just the current page's images
-              const currentPageImages = images.filter(img => img.sourceUrl === page.url);
-              
-              // Process each image found on this page
-              for (const image of currentPageImages) {
-                try {
-                  // Check if this image already exists for this domain
-                  const [existingRows] = await db.execute(
-                    `SELECT id FROM domain_images WHERE domain_id = ? AND url = ?`,
-                    [domainId, image.url]
-                  );
-                  
-                  if (existingRows.length === 0) {
-                    // Format categories as comma-separated string
-                    const categoriesStr = image.categories.join(',');
-                    
-                    // Insert new image
-                    await db.execute(
-                      `INSERT INTO domain_images 
-                       (domain_id, url, alt_text, width, height, 
-                        page_url, category, context, prominence_score,
-                        file_name, file_format, file_size, created_at) 
-                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-                      [
-                        domainId,
-                        image.url,
-                        image.alt || '',
-                        image.width || 0,
-                        image.height || 0,
-                        image.sourceUrl || '',
-                        image.categories[0] || 'other',
-                        image.context || '',
-                        image.score || 0,
-                        image.fileName || '',
-                        image.fileType || '',
-                        image.fileSize || null
-                      ]
-                    );
-                    savedCount++;
-                  }
-                } catch (imageError) {
-                  logger.warn(`[IMAGE] Error saving individual image to database: ${imageError.message}`);
-                }
-              }
-              
-              if (savedCount > 0) {
-                logger.info(`[IMAGE] Saved ${savedCount} new images to database for page: ${page.url}`);
-              }
-            }
-          } catch (dbError) {
-            logger.error(`[IMAGE] Database error saving images: ${dbError.message}`);
+
+        // Images the render requested but the interception profile blocked (e.g. set by scripts)
+        for (const blocked of page.blockedResources || []) {
+          if (blocked.resourceType !== 'image' || blocked.reason === 'tracker') continue;
+          if (uniqueImageUrls.has(blocked.url)) continue;
+          uniqueImageUrls.add(blocked.url);
+
+          const image = {
+            url: blocked.url,
+            alt: '',
+            title: '',
+            width: 0,
+            height: 0,
+            sourceUrl: page.url,
+            categories: [IMAGE_CATEGORIES.OTHER],
+            context: 'Requested while rendering (not downloaded)',
+            inHeader: false,
+            inFooter: false,
+            inSidebar: false,
+            fromBlockedRequest: true,
+            isLogo: false,
+            isIcon: false,
+            isBanner: false,
+            isProduct: false,
+            isPerson: false,
+            isBookCover: false,
+            isHero: false,
+            fileType: getFileExtension(blocked.url)
+          };
+
+          images.push(image);
+
+          if (!imagesByCategory[IMAGE_CATEGORIES.OTHER]) {
+            imagesByCategory[IMAGE_CATEGORIES.OTHER] = [];
           }
+          imagesByCategory[IMAGE_CATEGORIES.OTHER].push(image);
         }
         
       } catch (pageError) {
@@ -714,7 +875,26 @@ export const extract = async (pages, domainId = null) => {
     }
     
     // Remove duplicate images by URL and cleanup
-    const uniqueImages = [...new Map(images.map(item => [item.url, item])).values()];
+    let uniqueImages = deduplicateImages(images);
+    
+    // Download images for their real dimensions, then merge variants of the same picture
+    if (options.probe ?? IMAGE_PROBE_ENABLED) {
+      uniqueImages = await probeAndCollapse(uniqueImages);
+      imagesByCategory = groupByCategory(uniqueImages);
+    }
+    
+    // Save images to database if we have a domainId
+    if (domainId) {
+      let savedCount = 0;
+      for (const image of uniqueImages) {
+        if (await saveImageToDatabase(image, domainId)) {
+          savedCount++;
+        }
+      }
+      if (savedCount > 0) {
+        logger.info(`[IMAGE] Saved ${savedCount} images to database for domain ID ${domainId}`);
+      }
+    }
     
     logger.info(`[IMAGE] Extracted ${uniqueImages.length} unique images across ${pages.length} pages`);
     
@@ -758,13 +938,12 @@ function extractImagesFromPage(page, isHomepage) {
     // Get all images, including those in srcset
     $('img').each((_, element) => {
       const $img = $(element);
-      const src = $img.attr('src');
+      const resolved = resolveImageSources(element, $, page.url);
       
-      if (!src) return;
+      if (!resolved) return;
       
       try {
-        // Normalize URL
-        const imageUrl = new URL(src, page.url).href;
+        const imageUrl = resolved.url;
         
         // Skip if already seen
         if (seenUrls.has(imageUrl)) return;
@@ -808,6 +987,8 @@ function extractImagesFromPage(page, isHomepage) {
           selector,
           score,
           isHomepage,
+          sources: resolved.sources,
+          lazyAttribute: resolved.lazyAttribute,
           potentialCategories: [] // Will be filled in by categorization logic
         };
         
@@ -818,7 +999,7 @@ function extractImagesFromPage(page, isHomepage) {
         images.push(image);
       } catch (error) {
         // Skip invalid URLs
-        logger.debug(`[IMAGES] Error processing image URL ${src}: ${error.message}`);
+        logger.debug(`[IMAGES] Error processing image URL ${resolved.url}: ${error.message}`);
       }
     });
     
@@ -1222,6 +1403,61 @@ function deduplicateImages(images) {
   return uniqueImages;
 }
 
+/**
+ * Probe images for their real size, format and hash, then collapse variants of the same picture
+ * Images that couldn't be downloaded keep the dimensions from their HTML attributes.
+ */
+async function probeAndCollapse(images) {
+  try {
+    const probes = await imageProbeService.probeImages(images);
+    
+    const probed = images.map(image => {
+      const probe = probes.get(image.url);
+      if (!probe?.ok) return image;
+      
+      return {
+        ...image,
+        width: probe.width || image.width,
+        height: probe.height || image.height,
+        fileSize: probe.fileSize,
+        fileType: probe.format,
+        contentType: probe.contentType,
+        perceptualHash: probe.perceptualHash,
+        contentHash: probe.contentHash,
+        probed: true
+      };
+    });
+    
+    const collapsed = imageProbeService.collapseVariants(probed);
+    if (collapsed.length < probed.length) {
+      logger.info(`[IMAGE] Merged ${probed.length - collapsed.length} variant images into ${collapsed.filter(image => image.variants).length} pictures`);
+    }
+    
+    return collapsed;
+  } catch (error) {
+    logger.error(`[IMAGE] Error probing images: ${error.message}`);
+    return images;
+  }
+}
+
+/**
+ * Group images by each of their categories
+ */
+function groupByCategory(images) {
+  const grouped = {};
+  
+  for (const image of images) {
+    for (const category of image.categories || []) {
+      if (!grouped[category]) {
+        grouped[category] = [];
+      }
+      grouped[category].push(image);
+    }
+  }
+  
+  return grouped;
+}
+
 /**
  * Categorize images based on their detected properties
  */
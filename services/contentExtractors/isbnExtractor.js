@@ -1,6 +1,7 @@
 import * as cheerio from 'cheerio';
 import logger from '../../utils/logger.js';
 import { getPool } from '../../../config/database.js';
+import { isValidIsbn10, isValidIsbn13 } from '../../utils/isbnUtils.js';
 
 /**
  * Extract ISBN numbers from pages
@@ -60,8 +61,8 @@ export const extract = async (pages, domainId = null) => {
           
           // Additional validation with checksum
           const isValid = cleaned.length === 10 ? 
-            validateIsbn10(cleaned) : 
-            validateIsbn13(cleaned);
+            isValidIsbn10(cleaned) : 
+            isValidIsbn13(cleaned);
           
           // Add to results if not already present and valid checksum
           if (isValid && !results.isbns.some(item => item.cleaned === cleaned)) {
@@ -105,8 +106,8 @@ export const extract = async (pages, domainId = null) => {
               
               // Validate with checksum
               const isValid = cleaned.length === 10 ? 
-                validateIsbn10(cleaned) : 
-                validateIsbn13(cleaned);
+                isValidIsbn10(cleaned) : 
+                isValidIsbn13(cleaned);
               
               if (isValid) {
                 logger.debug(`[ISBN] Found ISBN ${cleaned} in book element`);
@@ -156,8 +157,8 @@ export const extract = async (pages, domainId = null) => {
               
               // Validate with checksum
               const isValid = cleaned.length === 10 ? 
-                validateIsbn10(cleaned) : 
-                validateIsbn13(cleaned);
+                isValidIsbn10(cleaned) : 
+                isValidIsbn13(cleaned);
               
               if (isValid) {
                 logger.debug(`[ISBN] Found explicit ISBN ${cleaned}`);
@@ -200,8 +201,8 @@ export const extract = async (pages, domainId = null) => {
                 
                 // Validate with checksum
                 const isValid = cleaned.length === 10 ? 
-                  validateIsbn10(cleaned) : 
-                  validateIsbn13(cleaned);
+                  isValidIsbn10(cleaned) : 
+                  isValidIsbn13(cleaned);
                 
                 if (isValid) {
                   logger.debug(`[ISBN] Found ISBN ${cleaned} in image alt text`);
@@ -229,8 +230,8 @@ export const extract = async (pages, domainId = null) => {
                 
                 // Validate with checksum
                 const isValid = cleaned.length === 10 ? 
-                  validateIsbn10(cleaned) : 
-                  validateIsbn13(cleaned);
+                  isValidIsbn10(cleaned) : 
+                  isValidIsbn13(cleaned);
                 
                 if (isValid) {
                   logger.debug(`[ISBN] Found ISBN ${cleaned} in image title attribute`);
@@ -263,8 +264,8 @@ export const extract = async (pages, domainId = null) => {
               
               // Validate with checksum
               const isValid = cleaned.length === 10 ? 
-                validateIsbn10(cleaned) : 
-                validateIsbn13(cleaned);
+                isValidIsbn10(cleaned) : 
+                isValidIsbn13(cleaned);
               
               if (isValid) {
                 const imgUrl = new URL(src, page.url).href;
@@ -299,8 +300,8 @@ export const extract = async (pages, domainId = null) => {
               
               // Validate with checksum
               const isValid = cleaned.length === 10 ? 
-                validateIsbn10(cleaned) : 
-                validateIsbn13(cleaned);
+                isValidIsbn10(cleaned) : 
+                isValidIsbn13(cleaned);
               
               if (isValid) {
                 logger.debug(`[ISBN] Found ISBN ${cleaned} in metadata`);
@@ -333,8 +334,8 @@ export const extract = async (pages, domainId = null) => {
               
               // Validate with checksum
               const isValid = isbn.length === 10 ? 
-                validateIsbn10(isbn) : 
-                validateIsbn13(isbn);
+                isValidIsbn10(isbn) : 
+                isValidIsbn13(isbn);
               
               if (isValid) {
                 logger.debug(`[ISBN] Found ISBN ${isbn} in schema.org markup`);
@@ -355,7 +356,7 @@ export const extract = async (pages, domainId = null) => {
             const gtin = String(json.gtin13).replace(/[^0-9]/gi, '');
             
             if (gtin.length === 13 && gtin.startsWith('978') || gtin.startsWith('979')) {
-              const isValid = validateIsbn13(gtin);
+              const isValid = isValidIsbn13(gtin);
               
               if (isValid && !results.isbns.some(item => item.cleaned === gtin)) {
                 logger.debug(`[ISBN] Found ISBN in schema.org Product.gtin13`);
@@ -388,8 +389,8 @@ export const extract = async (pages, domainId = null) => {
             
             // Validate with checksum
             const isValid = isbn.length === 10 ? 
-              validateIsbn10(isbn) : 
-              validateIsbn13(isbn);
+              isValidIsbn10(isbn) : 
+              isValidIsbn13(isbn);
             
             if (isValid) {
               logger.debug(`[ISBN] Found ISBN ${isbn} in RDFa/microdata`);
@@ -420,8 +421,8 @@ export const extract = async (pages, domainId = null) => {
             
             // Validate with checksum
             const isValid = cleaned.length === 10 ? 
-              validateIsbn10(cleaned) : 
-              validateIsbn13(cleaned);
+              isValidIsbn10(cleaned) : 
+              isValidIsbn13(cleaned);
             
             if (isValid) {
               logger.debug(`[ISBN] Found ISBN ${cleaned} in code element`);
@@ -597,8 +598,8 @@ function extractIsbnFromUrl(url, results, pageUrl, context, imageUrl = null, alt
       if ((cleaned.length === 10 || cleaned.length === 13)) {
         // Validate with checksum
         const isValid = cleaned.length === 10 ? 
-          validateIsbn10(cleaned) : 
-          validateIsbn13(cleaned);
+          isValidIsbn10(cleaned) : 
+          isValidIsbn13(cleaned);
         
         if (isValid) {
           // Add to appropriate results array based on whether this is an image URL
@@ -637,56 +638,6 @@ function extractIsbnFromUrl(url, results, pageUrl, context, imageUrl = null, alt
   }
 }
 
-/**
- * Normalizes an ISBN by removing all non-ISBN characters
- * @param {string} isbn - The ISBN string to normalize
- * @returns {string} - Normalized ISBN
- */
-function normalizeIsbn(isbn) {
-  return isbn.replace(/[^0-9X]/gi, '');
-}
-
-/**
- * Validates an ISBN-10 number using the checksum algorithm
- * @param {string} isbn - The ISBN-10 to validate (normalized format)
- * @returns {boolean} - Whether the ISBN is valid
- */
-function validateIsbn10(isbn) {
-  if (isbn.length !== 10) return false;
-  
-  // Convert 'X' to '10' for the check digit
-  const digits = isbn.split('').map((char, index) => {
-    if (index === 9 && char.toUpperCase() === 'X') return 10;
-    return parseInt(char, 10);
-  });
-  
-  // Calculate checksum: sum of digits * position (10 to 1) must be divisible by 11
-  const sum = digits.reduce((total, digit, index) => {
-    return total + digit * (10 - index);
-  }, 0);
-  
-  return sum % 11 === 0;
-}
-
-/**
- * Validates an ISBN-13 number using the checksum algorithm
- * @param {string} isbn - The ISBN-13 to validate (normalized format)
- * @returns {boolean} - Whether the ISBN is valid
- */
-function validateIsbn13(isbn) {
-  if (isbn.length !== 13) return false;
-  
-  // Calculate checksum: sum of (digit * (1 or 3 alternating)) must be divisible by 10
-  const sum = isbn.split('').reduce((total, char, index) => {
-    const digit = parseInt(char, 10);
-    // Multiply by 1 for even positions, 3 for odd positions (0-indexed)
-    const weight = index % 2 === 0 ? 1 : 3;
-    return total + (digit * weight);
-  }, 0);
-  
-  return sum % 10 === 0;
-}
-
 /**
  * Extracts ISBNs from all URLs found on a page (links, image sources, etc.)
  * @param {string} pageUrl - The URL of the page
@@ -828,8 +779,8 @@ export const extractIsbnFromPageUrls = async (pageUrl, pageContent, domainId, pa
               
               // Validate with checksum
               const isValid = cleaned.length === 10 ? 
-                validateIsbn10(cleaned) : 
-                validateIsbn13(cleaned);
+                isValidIsbn10(cleaned) : 
+                isValidIsbn13(cleaned);
               
               if (isValid) {
                 logger.info(`[ISBN] Found ISBN ${cleaned} in URL path segment of ${url}`);
@@ -927,8 +878,8 @@ export const scanUrlForIsbn = async (url) => {
           if (cleaned.length === 10 || cleaned.length === 13) {
             // Validate with checksum
             const isValid = cleaned.length === 10 ? 
-              validateIsbn10(cleaned) : 
-              validateIsbn13(cleaned);
+              isValidIsbn10(cleaned) : 
+              isValidIsbn13(cleaned);
             
             if (isValid) {
               logger.info(`[ISBN] Found ISBN ${cleaned} in URL path segment of ${url}`);
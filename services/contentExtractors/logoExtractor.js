@@ -0,0 +1,583 @@
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import logger from '../../utils/logger.js';
+import * as politenessService from '../politenessService.js';
+import * as brandfetchService from '../brandfetchService.js';
+import * as objectStorage from '../objectStorage.js';
+import * as logoRepository from '../../database/repositories/logoRepository.js';
+import { readImageSize } from '../../utils/imageDecoder.js';
+
+/**
+ * Logo detection
+ *
+ * Candidates are collected from the homepage (schema.org Organization.logo, inline SVG in the
+ * header, <img> logos found by the images extractor, icon links, apple-touch-icon, the web app
+ * manifest) and from Brandfetch, then ranked. The best SVG and the best raster are downloaded,
+ * measured and written to object storage.
+ */
+
+// Starting score per source, before format and size adjustments
+const SOURCE_SCORES = {
+  brandfetch: 85,
+  schema: 80,
+  'inline-svg': 75,
+  img: 70,
+  'apple-touch-icon': 40,
+  manifest: 35,
+  'mask-icon': 25,
+  favicon: 20,
+  'favicon-fallback': 10
+};
+
+const SVG_BONUS = 5;
+// Rasters smaller than this (shortest side) are marked down
+const MIN_RASTER_SIZE = 48;
+// How many raster candidates are downloaded to compare their real sizes
+const RASTER_PROBE_LIMIT = 4;
+const MAX_INLINE_SVGS = 3;
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const CANDIDATES_KEPT = 15;
+
+const FILE_EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  gif: 'gif',
+  webp: 'webp',
+  ico: 'ico',
+  svg: 'svg'
+};
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml'
+};
+
+const emptyLogo = () => ({
+  svg: null,
+  raster: null,
+  candidates: []
+});
+
+/**
+ * Find, rank and store a domain's logo
+ * @param {Array} pages - Crawled pages
+ * @param {object} options - { domain, images } results of the images extractor, { brandfetch: false } to skip Brandfetch
+ * @returns {Promise<object>} - { svg, raster, candidates }
+ */
+export const extract = async (pages, options = {}) => {
+  try {
+    logger.info('[LOGO] Looking for logo candidates');
+
+    const htmlPages = pages.filter(page => page.content && (!page.contentType || page.contentType.includes('text/html')));
+    if (htmlPages.length === 0) {
+      logger.warn('[LOGO] No HTML pages found for logo detection');
+      return emptyLogo();
+    }
+
+    const homepage = htmlPages.find(page => {
+      try {
+        return new URL(page.url).pathname === '/';
+      } catch (error) {
+        return false;
+      }
+    }) || htmlPages[0];
+
+    const domain = (options.domain || new URL(homepage.url).hostname).replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+
+    const candidates = [
+      ...collectPageCandidates(homepage),
+      ...collectImageCandidates(options.images),
+      ...await collectManifestCandidates(homepage),
+      ...(options.brandfetch === false ? [] : await collectBrandfetchCandidates(domain))
+    ];
+
+    const ranked = dedupeCandidates(candidates).sort((a, b) => b.score - a.score);
+    if (ranked.length === 0) {
+      logger.info(`[LOGO] No logo candidates found for ${domain}`);
+      return emptyLogo();
+    }
+
+    const svg = await selectSvg(ranked, domain);
+    const raster = await selectRaster(ranked, domain);
+
+    logger.info(`[LOGO] ✅ ${ranked.length} candidates, SVG: ${svg ? svg.source : 'none'}, raster: ${raster ? `${raster.source} ${raster.width}x${raster.height}` : 'none'}`);
+
+    return {
+      svg,
+      raster,
+      candidates: ranked.slice(0, CANDIDATES_KEPT).map(candidate => ({
+        url: publicUrl(candidate.url),
+        source: candidate.source,
+        kind: candidate.kind,
+        format: candidate.format,
+        width: candidate.width,
+        height: candidate.height,
+        score: candidate.score
+      }))
+    };
+  } catch (error) {
+    logger.error(`[LOGO] Error extracting logo: ${error.message}`);
+    return emptyLogo();
+  }
+};
+
+/**
+ * Build a candidate, scoring it from its source and what is known of its format and size
+ */
+function createCandidate({ url = null, svg = null, source, kind, type = '', width = null, height = null, adjustment = 0 }) {
+  const format = svg || /\.svg(\?|#|$)/i.test(url || '') || type.includes('svg') || /^data:image\/svg/i.test(url || '') ? 'svg' : 'raster';
+
+  return {
+    url,
+    svg,
+    source,
+    kind,
+    format,
+    width,
+    height,
+    baseScore: SOURCE_SCORES[source] + adjustment,
+    score: scoreCandidate(SOURCE_SCORES[source] + adjustment, format, width, height)
+  };
+}
+
+/**
+ * Score from the base score, the format and (for rasters) the size
+ */
+function scoreCandidate(baseScore, format, width, height) {
+  if (format === 'svg') {
+    return baseScore + SVG_BONUS;
+  }
+
+  const shortest = Math.min(width || 0, height || 0);
+  if (!shortest) {
+    return baseScore;
+  }
+  if (shortest < MIN_RASTER_SIZE) {
+    return baseScore - 20;
+  }
+  return baseScore + Math.min(15, Math.floor(shortest / 32));
+}
+
+/**
+ * Resolve a URL against the page it was found on
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  if (href.startsWith('data:')) return href;
+
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * URL to report for a candidate (data: URIs are left out, the bytes are in storage)
+ */
+function publicUrl(url) {
+  return url && !url.startsWith('data:') ? url : null;
+}
+
+/**
+ * Largest size in a sizes attribute ("16x16 32x32") or manifest icon
+ */
+function parseSizes(sizes) {
+  let largest = null;
+
+  for (const size of String(sizes || '').split(/\s+/)) {
+    const match = size.match(/^(\d+)x(\d+)$/i);
+    if (match && (!largest || parseInt(match[1]) > largest.width)) {
+      largest = { width: parseInt(match[1]), height: parseInt(match[2]) };
+    }
+  }
+
+  return largest || { width: null, height: null };
+}
+
+/**
+ * Candidates declared in the homepage markup
+ */
+function collectPageCandidates(page) {
+  const html = page.renderedContent || page.content;
+  const $ = cheerio.load(html);
+  const candidates = [];
+  let hasIconLink = false;
+
+  $('link[rel][href]').each((_, element) => {
+    const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+    const url = resolveUrl($(element).attr('href'), page.url);
+    if (!url) return;
+
+    const type = ($(element).attr('type') || '').toLowerCase();
+    const { width, height } = parseSizes($(element).attr('sizes'));
+
+    if (rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')) {
+      candidates.push(createCandidate({ url, source: 'apple-touch-icon', kind: 'icon', type, width: width || 180, height: height || 180 }));
+    } else if (rel.includes('mask-icon')) {
+      candidates.push(createCandidate({ url, source: 'mask-icon', kind: 'icon', type: type || 'image/svg+xml' }));
+    } else if (rel.includes('icon')) {
+      hasIconLink = true;
+      candidates.push(createCandidate({ url, source: 'favicon', kind: 'icon', type, width, height }));
+    }
+  });
+
+  if (!hasIconLink) {
+    candidates.push(createCandidate({ url: resolveUrl('/favicon.ico', page.url), source: 'favicon-fallback', kind: 'icon', width: 16, height: 16 }));
+  }
+
+  for (const logo of findSchemaLogos($)) {
+    const url = resolveUrl(logo.url, page.url);
+    if (url) {
+      candidates.push(createCandidate({ url, source: 'schema', kind: 'logo', width: logo.width, height: logo.height }));
+    }
+  }
+
+  candidates.push(...findInlineSvgs($, page.url));
+
+  return candidates;
+}
+
+/**
+ * Logos of schema.org organizations in the JSON-LD, including publishers nested in other nodes
+ */
+function findSchemaLogos($) {
+  const logos = [];
+
+  const toLogo = (value) => {
+    if (!value) return null;
+    if (typeof value === 'string') return { url: value, width: null, height: null };
+    if (Array.isArray(value)) return toLogo(value[0]);
+    if (typeof value === 'object') {
+      const url = value.url || value.contentUrl || value['@id'];
+      return typeof url === 'string' ? { url, width: parseInt(value.width) || null, height: parseInt(value.height) || null } : null;
+    }
+    return null;
+  };
+
+  const visit = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 6) return;
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, depth + 1));
+      return;
+    }
+
+    const types = [].concat(node['@type'] || []).join(' ');
+    if (node.logo && /Organization|Corporation|Business|Brand|Store|Publisher/i.test(types)) {
+      const logo = toLogo(node.logo);
+      if (logo) logos.push(logo);
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key !== 'logo' && typeof value === 'object') visit(value, depth + 1);
+    });
+  };
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    try {
+      visit(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Invalid JSON-LD blocks are common, skip them
+    }
+  });
+
+  return logos;
+}
+
+/**
+ * Inline SVGs that look like the site logo: marked as a logo, or linking to the homepage from the header
+ */
+function findInlineSvgs($, pageUrl) {
+  const candidates = [];
+  const origin = new URL(pageUrl).origin;
+
+  $('svg').each((_, element) => {
+    if (candidates.length >= MAX_INLINE_SVGS) return false;
+
+    const $svg = $(element);
+    const markup = $.html($svg);
+
+    // Sprite references can't be used on their own
+    if (/<use\b/i.test(markup) && !/<(path|rect|circle|polygon|ellipse)\b/i.test(markup)) return;
+
+    const $scope = $svg.add($svg.parents().slice(0, 4));
+    const marker = $scope.toArray().map(node => [
+      $(node).attr('class'),
+      $(node).attr('id'),
+      $(node).attr('aria-label'),
+      $svg.find('title').first().text()
+    ].join(' ')).join(' ').toLowerCase();
+
+    const homeLink = $svg.closest('a').attr('href');
+    const linksHome = homeLink !== undefined && resolveUrl(homeLink, pageUrl)?.replace(/\/$/, '') === origin;
+    const inHeader = $svg.closest('header, [role="banner"], nav').length > 0;
+
+    let adjustment = null;
+    if (marker.includes('logo')) {
+      adjustment = 0;
+    } else if (linksHome && inHeader) {
+      adjustment = -10;
+    }
+    if (adjustment === null) return;
+
+    const svg = markup.includes('xmlns=') ? markup : markup.replace(/^<svg/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+    const { width, height } = readImageSize(Buffer.from(svg), 'image/svg+xml');
+
+    // Tiny SVGs in the header are usually menu or search icons
+    if (width && height && Math.max(width, height) < 16) return;
+
+    candidates.push(createCandidate({ svg, source: 'inline-svg', kind: 'logo', width, height, adjustment }));
+  });
+
+  return candidates;
+}
+
+/**
+ * <img> logos found by the images extractor
+ */
+function collectImageCandidates(images) {
+  return (images?.all || [])
+    .filter(image => image.isLogo && image.url)
+    .map(image => createCandidate({
+      url: image.url,
+      source: 'img',
+      kind: 'logo',
+      width: image.width || null,
+      height: image.height || null,
+      adjustment: image.inHeader ? 0 : -15
+    }));
+}
+
+/**
+ * Icons declared in the web app manifest
+ */
+async function collectManifestCandidates(page) {
+  try {
+    const $ = cheerio.load(page.renderedContent || page.content);
+    const manifestUrl = resolveUrl($('link[rel="manifest"]').attr('href'), page.url);
+    if (!manifestUrl || manifestUrl.startsWith('data:')) {
+      return [];
+    }
+
+    const response = await politenessService.politeGet(manifestUrl, { timeout: 15000, responseType: 'text' });
+    const manifest = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+
+    return (manifest?.icons || [])
+      .map(icon => {
+        const url = resolveUrl(icon.src, manifestUrl);
+        if (!url) return null;
+
+        const { width, height } = parseSizes(icon.sizes);
+        // Maskable icons have safe-zone padding around the mark
+        const adjustment = String(icon.purpose || '').includes('maskable') ? -5 : 0;
+        return createCandidate({ url, source: 'manifest', kind: 'icon', type: icon.type || '', width, height, adjustment });
+      })
+      .filter(Boolean);
+  } catch (error) {
+    logger.warn(`[LOGO] Could not read the web app manifest of ${page.url}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Logos from Brandfetch (only when BRANDFETCH_API_KEY is set)
+ */
+async function collectBrandfetchCandidates(domain) {
+  if (!process.env.BRANDFETCH_API_KEY) {
+    return [];
+  }
+
+  try {
+    const brand = await brandfetchService.fetchBrandInfo(domain);
+    const candidates = [];
+
+    for (const logo of brand?.logos || []) {
+      const kind = logo.type === 'logo' ? 'logo' : 'icon';
+      // Symbols and icons are still the brand's mark, but a full logo is preferred
+      const adjustment = logo.type === 'logo' ? 0 : logo.type === 'symbol' ? -25 : -35;
+
+      for (const format of logo.formats || []) {
+        if (!format.src) continue;
+        candidates.push(createCandidate({
+          url: format.src,
+          source: 'brandfetch',
+          kind,
+          type: format.format === 'svg' ? 'image/svg+xml' : '',
+          width: format.width || null,
+          height: format.height || null,
+          adjustment: adjustment + (logo.theme === 'dark' ? -3 : 0)
+        }));
+      }
+    }
+
+    return candidates;
+  } catch (error) {
+    logger.warn(`[LOGO] Could not get Brandfetch logos for ${domain}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Keep the best-scored candidate for each URL (inline SVGs by their markup)
+ */
+function dedupeCandidates(candidates) {
+  const byKey = new Map();
+
+  for (const candidate of candidates) {
+    const key = candidate.url || candidate.svg;
+    const existing = byKey.get(key);
+    if (!existing || candidate.score > existing.score) {
+      byKey.set(key, candidate);
+    }
+  }
+
+  return [...byKey.values()];
+}
+
+/**
+ * Get a candidate's bytes: inline markup, a data: URI or a download
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>}
+ */
+async function fetchCandidate(candidate) {
+  try {
+    if (candidate.svg) {
+      return { buffer: Buffer.from(candidate.svg, 'utf8'), contentType: 'image/svg+xml' };
+    }
+
+    if (candidate.url.startsWith('data:')) {
+      const match = candidate.url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+      if (!match) return null;
+      const buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+      return { buffer, contentType: match[1] || '' };
+    }
+
+    const response = await politenessService.politeGet(candidate.url, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxContentLength: MAX_LOGO_BYTES
+    });
+
+    return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || '' };
+  } catch (error) {
+    logger.warn(`[LOGO] Could not download ${candidate.url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a logo to object storage (keyed by its content, so re-crawls don't duplicate it)
+ */
+async function storeLogo(candidate, buffer, format, size, domain) {
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16);
+  const object = await objectStorage.putObject(`logos/${domain}/${hash}.${FILE_EXTENSIONS[format]}`, buffer, CONTENT_TYPES[format]);
+
+  return {
+    url: publicUrl(candidate.url),
+    source: candidate.source,
+    kind: candidate.kind,
+    format,
+    width: size.width,
+    height: size.height,
+    contentType: object.contentType,
+    byteSize: object.size,
+    storageDriver: object.driver,
+    storageKey: object.key,
+    score: scoreCandidate(candidate.baseScore, format === 'svg' ? 'svg' : 'raster', size.width, size.height)
+  };
+}
+
+/**
+ * Download and store the best SVG candidate
+ */
+async function selectSvg(ranked, domain) {
+  for (const candidate of ranked.filter(item => item.format === 'svg')) {
+    const download = await fetchCandidate(candidate);
+    if (!download) continue;
+
+    const size = readImageSize(download.buffer, download.contentType);
+    if (size.format !== 'svg') {
+      logger.info(`[LOGO] Skipping ${candidate.url || 'inline SVG'}: not an SVG`);
+      continue;
+    }
+
+    try {
+      return await storeLogo(candidate, download.buffer, 'svg', size, domain);
+    } catch (error) {
+      logger.warn(`[LOGO] Could not store the SVG logo ${candidate.url || 'inline SVG'}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Download the top raster candidates, re-score them on their real size and store the best
+ */
+async function selectRaster(ranked, domain) {
+  const probed = [];
+
+  for (const candidate of ranked.filter(item => item.format === 'raster').slice(0, RASTER_PROBE_LIMIT)) {
+    const download = await fetchCandidate(candidate);
+    if (!download) continue;
+
+    const size = readImageSize(download.buffer, download.contentType);
+    if (!size.format || size.format === 'svg') {
+      logger.info(`[LOGO] Skipping ${candidate.url}: ${size.format || 'unknown'} is not a raster image`);
+      continue;
+    }
+
+    probed.push({
+      candidate,
+      download,
+      size,
+      score: scoreCandidate(candidate.baseScore, 'raster', size.width, size.height)
+    });
+  }
+
+  const best = probed.sort((a, b) => b.score - a.score)[0];
+  if (!best) {
+    return null;
+  }
+
+  try {
+    return await storeLogo(best.candidate, best.download.buffer, best.size.format, best.size, domain);
+  } catch (error) {
+    logger.warn(`[LOGO] Could not store the logo ${best.candidate.url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the stored logo variants for a domain
+ */
+export const saveLogo = async (domainId, logo) => {
+  try {
+    let saved = 0;
+
+    for (const variant of ['svg', 'raster']) {
+      if (logo[variant]) {
+        await logoRepository.saveLogo(domainId, variant, logo[variant]);
+        saved += 1;
+      }
+    }
+
+    if (saved > 0) {
+      logger.info(`[LOGO] Saved ${saved} logo variant(s) for domain ID ${domainId}`);
+    }
+    return saved > 0;
+  } catch (error) {
+    logger.error(`[LOGO] Error saving logo: ${error.message}`);
+    return false;
+  }
+};
+
+export default {
+  extract,
+  saveLogo
+};
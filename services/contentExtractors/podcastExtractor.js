@@ -1,7 +1,36 @@
 import * as cheerio from 'cheerio';
 import logger from '../../utils/logger.js';
-import axios from 'axios';
+import * as politenessService from '../politenessService.js';
 import { getPool } from '../../../config/database.js';
+import { parsePodcastXml } from '../../utils/podcastFeedParser.js';
+import { findAdapter, feedKey, resolvePlatformLinks, resolveShowUrl } from '../podcastPlatformResolver.js';
+import { probeEpisodes } from '../audioProbeService.js';
+import { harvestTranscripts } from '../transcriptService.js';
+
+/**
+ * true/false/null as a tinyint column value
+ */
+const toTinyInt = (value) => (value === null || value === undefined ? null : (value ? 1 : 0));
+
+// Feeds parsed and harvested during a job, by job ID then feed URL. The Eden API lists the domain's feeds for
+// every crawled page and feed links repeat across pages; each feed is fetched and its media probed once per job.
+const jobFeeds = new Map();
+const MAX_JOB_FEED_CACHES = 20;
+
+/**
+ * Harvested feeds of a job (null without a job ID)
+ */
+const feedCacheFor = (jobId) => {
+  if (!jobId) return null;
+  if (!jobFeeds.has(jobId)) {
+    jobFeeds.set(jobId, new Map());
+    // Jobs that failed before their final run never clear their cache
+    if (jobFeeds.size > MAX_JOB_FEED_CACHES) {
+      jobFeeds.delete(jobFeeds.keys().next().value);
+    }
+  }
+  return jobFeeds.get(jobId);
+};
 
 /**
  * Enhanced podcast extractor
@@ -10,8 +39,11 @@ import { getPool } from '../../../config/database.js';
 const podcastExtractor = {
 /**
  * Extract podcast information from pages
+ * @param {Array} pages - Crawled pages
+ * @param {Object} options - { jobId }, feeds already harvested during the job's crawl are reused
+ * This is the job's last podcast run, its harvested feeds are released afterwards.
  */
-  async extract(pages) {
+  async extract(pages, { jobId = null } = {}) {
   try {
       logger.info('[PODCAST] Extracting podcast information from ' + pages.length + ' pages');
     
@@ -29,7 +61,7 @@ const podcastExtractor = {
       logger.info(`[PODCAST] Found ${podcastPages.length} potential podcast pages`);
     
     // Extract podcast feeds
-      const feeds = await this.extractPodcastFeeds(podcastPages);
+      const feeds = await this.extractPodcastFeeds(podcastPages, { jobId });
     
     // Extract podcast episodes
       const episodes = this.extractPodcastEpisodes(podcastPages);
@@ -44,6 +76,8 @@ const podcastExtractor = {
       feeds: [],
       episodes: []
     };
+  } finally {
+    if (jobId) jobFeeds.delete(jobId);
   }
   },
 
@@ -53,9 +87,11 @@ const podcastExtractor = {
    * @param {string} html - HTML content (optional)
    * @param {number} domainId - Domain ID for saving to database
    * @param {string} domain - The normalized domain name being crawled
+   * @param {Object} options - { jobId }, feeds are harvested (and saved) once per job
    * @returns {Object} Extracted podcast data
    */
-  async extractFromUrl(url, html, domainId, domain) {
+  async extractFromUrl(url, html, domainId, domain, { jobId = null } = {}) {
+    const harvested = feedCacheFor(jobId);
     try {
       logger.info(`[PODCAST] Extracting podcast content from ${url} for domain ${domain}`);
 
@@ -63,7 +99,7 @@ const podcastExtractor = {
       let content = html;
       if (!content) {
         try {
-          const response = await axios.get(url, {
+          const response = await politenessService.politeGet(url, {
             timeout: 10000,
             maxContentLength: 10 * 1024 * 1024, // 10MB max
             headers: {
@@ -90,11 +126,17 @@ const podcastExtractor = {
       if (isDirectFeed) {
         logger.info(`[PODCAST] URL is a direct podcast feed: ${url}`);
         try {
+          if (harvested?.has(url)) {
+             const feedData = harvested.get(url);
+             return { feeds: [feedData], episodes: feedData.episodes || [] };
+          }
           const feedData = await this.parsePodcastFeed(url);
           if (feedData) {
              feedData.sourceUrl = url;
              feedData.discoverySource = 'direct_url';
              feedData.validated = true;
+             await this.harvestFeedMedia(feedData);
+             harvested?.set(url, feedData);
              // Save feed and episodes to database if domain ID provided
              let feedId = null;
              if (domainId) {
@@ -119,7 +161,7 @@ const podcastExtractor = {
           const edenApiUrl = `https://www.eden.co.uk/api/podcasts?search_type=domain&search_value=${domain}`;
           logger.info(`[PODCAST] Querying Eden API: ${edenApiUrl}`);
           try {
-              const apiResponse = await axios.get(edenApiUrl, { timeout: 5000 });
+              const apiResponse = await politenessService.politeGet(edenApiUrl, { timeout: 5000 });
               if (apiResponse.data && apiResponse.data.data && Array.isArray(apiResponse.data.data)) {
                   logger.info(`[PODCAST] Received ${apiResponse.data.data.length} potential feeds from Eden API for ${domain}`);
                   apiResponse.data.data.forEach(item => {
@@ -169,12 +211,23 @@ const podcastExtractor = {
       }
 
 
+      // --- Resolve platform links to the shows' feeds ---
+      const resolvedCandidates = await this.resolvePlatformCandidates(
+          [...potentialFeedUrls.entries()].map(([feedUrl, feedInfo]) => ({ url: feedUrl, ...feedInfo }))
+      );
+      const resolvedFeedUrls = new Map(resolvedCandidates.map(({ url: feedUrl, ...feedInfo }) => [feedUrl, feedInfo]));
+
       // --- Process all potential feeds ---
       const processedFeeds = [];
-      if (potentialFeedUrls.size > 0) {
-          logger.info(`[PODCAST] Processing ${potentialFeedUrls.size} unique potential feed URLs...`);
-          for (const [feedUrl, feedInfo] of potentialFeedUrls.entries()) {
+      if (resolvedFeedUrls.size > 0) {
+          logger.info(`[PODCAST] Processing ${resolvedFeedUrls.size} unique potential feed URLs...`);
+          for (const [feedUrl, feedInfo] of resolvedFeedUrls.entries()) {
               logger.debug(`[PODCAST] Processing potential feed: ${feedUrl} (Source: ${feedInfo.source})`);
+              // Already fetched, harvested and saved for an earlier page of this job
+              if (harvested?.has(feedUrl)) {
+                  processedFeeds.push(harvested.get(feedUrl));
+                  continue;
+              }
               try {
                   const isValid = await this.validatePodcastFeed(feedUrl);
                   if (isValid) {
@@ -183,7 +236,10 @@ const podcastExtractor = {
                           feedData.url = feedUrl;
                           feedData.sourceUrl = url; // Page where this check was initiated
                           feedData.discoverySource = feedInfo.source;
+                          feedData.platforms = feedInfo.platforms;
                           feedData.validated = true;
+                          await this.harvestFeedMedia(feedData, content ? [{ url, content }] : []);
+                          harvested?.set(feedUrl, feedData);
                           processedFeeds.push(feedData);
 
                           // Save feed and episodes to database if domain ID provided
@@ -670,16 +726,19 @@ const rssFeedSelectors = [
 
   /**
    * Extract podcast feeds from pages
+   * Feeds harvested while the job crawled are reused
    */
-  async extractPodcastFeeds(pages) {
+  async extractPodcastFeeds(pages, { jobId = null } = {}) {
+    const harvested = feedCacheFor(jobId);
     try {
       const feeds = [];
-    const seenUrls = new Set();
+      const candidates = [];
+      const seenUrls = new Set();
     
-    for (const page of pages) {
-      if (!page.content) continue;
+      for (const page of pages) {
+        if (!page.content) continue;
       
-      const $ = cheerio.load(page.content);
+        const $ = cheerio.load(page.content);
         
         // Extract feed URLs from this page
         const pageFeeds = this.extractFeedUrlsFromPage($, page.url);
@@ -697,26 +756,46 @@ const rssFeedSelectors = [
             continue;
           }
           
-          // Try to validate as podcast feed
-          try {
-            logger.info(`[PODCAST] Validating feed: ${feed.url}`);
-            const isValid = await this.validatePodcastFeed(feed.url);
+          candidates.push(feed);
+        }
+      }
+      
+      // Platform links (Apple Podcasts, Spotify, hosting show pages) are checked as the shows' feeds
+      const resolvedCandidates = await this.resolvePlatformCandidates(candidates);
+      
+      for (const feed of resolvedCandidates) {
+        if (harvested?.has(feed.url)) {
+          const feedData = harvested.get(feed.url);
+          Object.assign(feed, feedData, { title: feedData.title || feed.title, validated: true, isPodcast: true, parsed: true });
+          feeds.push(feed);
+          continue;
+        }
+
+        // Try to validate as podcast feed
+        try {
+          logger.info(`[PODCAST] Validating feed: ${feed.url}`);
+          const isValid = await this.validatePodcastFeed(feed.url);
+          
+          if (isValid) {
+            feed.validated = true;
+            feed.isPodcast = true;
             
-            if (isValid) {
-              feed.validated = true;
-              feed.items = isValid.items || [];
-              feed.isPodcast = true;
-              
-              // Found a valid podcast feed
-              logger.info(`[PODCAST] Valid podcast feed: ${feed.url}`);
+            // Found a valid podcast feed
+            logger.info(`[PODCAST] Valid podcast feed: ${feed.url}`);
+            
+            // Unresolved platform pages pass validation but don't parse as feeds
+            const feedData = await this.parsePodcastFeed(feed.url);
+            if (feedData) {
+              Object.assign(feed, feedData, { title: feedData.title || feed.title, parsed: true });
+              await this.harvestFeedMedia(feed, pages);
             }
-          } catch (validationError) {
-            logger.warn(`[PODCAST] Failed to validate feed ${feed.url}: ${validationError.message}`);
-            feed.validated = false;
           }
-          
-          feeds.push(feed);
+        } catch (validationError) {
+          logger.warn(`[PODCAST] Failed to validate feed ${feed.url}: ${validationError.message}`);
+          feed.validated = false;
         }
+        
+        feeds.push(feed);
       }
       
       return feeds;
@@ -776,7 +855,7 @@ const rssFeedSelectors = [
       
       // First make a HEAD request to check content-type before downloading the full file
       try {
-        const headResponse = await axios.head(url, {
+        const headResponse = await politenessService.politeHead(url, {
           timeout: 10000,
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
@@ -818,7 +897,7 @@ const rssFeedSelectors = [
       }
       
       // Now proceed with the full request
-      const response = await axios.get(url, {
+      const response = await politenessService.politeGet(url, {
         timeout: 10000,
         maxContentLength: 10 * 1024 * 1024, // 10MB max to avoid huge downloads
         headers: {
@@ -1072,16 +1151,54 @@ const rssFeedSelectors = [
         author: feedData.author || '',
         link_url: feedData.link || feedData.websiteUrl || '',
         feed_type: feedData.type || 'rss',
-        episode_count: feedData.episodeCount || 0
+        episode_count: feedData.episodeCount || 0,
+        podcast_guid: feedData.podcastGuid || null,
+        language: feedData.language || null,
+        medium: feedData.medium || null,
+        itunes_type: feedData.itunesType || null,
+        explicit: toTinyInt(feedData.explicit),
+        categories: JSON.stringify(feedData.categories || []),
+        owner_name: feedData.owner?.name || null,
+        owner_email: feedData.owner?.email || null,
+        complete: toTinyInt(feedData.complete),
+        new_feed_url: feedData.newFeedUrl || null,
+        locked: toTinyInt(feedData.locked),
+        locked_owner: feedData.lockedOwner || null,
+        funding: JSON.stringify(feedData.funding || []),
+        persons: JSON.stringify(feedData.persons || []),
+        total_duration_seconds: feedData.totalDurationSeconds ?? null,
+        duration_episode_count: feedData.durationEpisodeCount ?? null
       };
       
-      // Check if we already have this feed
-      const [existingRows] = await db.execute(
-        'SELECT id FROM domain_podcast_feeds WHERE domain_id = ? AND feed_url = ?',
-        [domainId, normalizedFeedData.feed_url]
-      );
+      // The same show can be found under several URLs, its podcast:guid identifies it
+      const [existingRows] = normalizedFeedData.podcast_guid
+        ? await db.execute(
+          'SELECT id, platforms FROM domain_podcast_feeds WHERE domain_id = ? AND (podcast_guid = ? OR feed_url = ?) ORDER BY podcast_guid = ? DESC LIMIT 1',
+          [domainId, normalizedFeedData.podcast_guid, normalizedFeedData.feed_url, normalizedFeedData.podcast_guid]
+        )
+        : await db.execute(
+          'SELECT id, platforms FROM domain_podcast_feeds WHERE domain_id = ? AND feed_url = ?',
+          [domainId, normalizedFeedData.feed_url]
+        );
+      
+      // Platform listings add up over crawls, a page that links one platform doesn't drop the others
+      let platforms = feedData.platforms || [];
+      if (existingRows.length > 0 && existingRows[0].platforms) {
+        try {
+          const storedPlatforms = JSON.parse(existingRows[0].platforms);
+          platforms = [...storedPlatforms.filter(stored => !platforms.some(platform => platform.url === stored.url)), ...platforms];
+        } catch (parseError) {
+          logger.warn(`[PODCAST] Ignoring unreadable platforms of feed ID ${existingRows[0].id}`);
+        }
+      }
+      normalizedFeedData.platforms = JSON.stringify(platforms);
       
       let feedId = null;
+      const richColumns = [
+        'podcast_guid', 'language', 'medium', 'itunes_type', 'explicit', 'categories', 'owner_name', 'owner_email',
+        'complete', 'new_feed_url', 'locked', 'locked_owner', 'funding', 'persons', 'platforms',
+        'total_duration_seconds', 'duration_episode_count'
+      ];
       
       if (existingRows.length > 0) {
         // Update existing feed
@@ -1090,7 +1207,7 @@ const rssFeedSelectors = [
         await db.execute(
           `UPDATE domain_podcast_feeds 
            SET title = ?, description = ?, image_url = ?, author = ?, 
-               link_url = ?, feed_type = ?, episode_count = ?, updated_at = NOW() 
+               link_url = ?, feed_type = ?, episode_count = ?, ${richColumns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() 
            WHERE id = ?`,
           [
             normalizedFeedData.title,
@@ -1100,6 +1217,7 @@ const rssFeedSelectors = [
             normalizedFeedData.link_url,
             normalizedFeedData.feed_type,
             normalizedFeedData.episode_count,
+            ...richColumns.map(column => normalizedFeedData[column]),
             feedId
           ]
         );
@@ -1110,8 +1228,8 @@ const rssFeedSelectors = [
         const [result] = await db.execute(
           `INSERT INTO domain_podcast_feeds 
            (domain_id, feed_url, title, description, image_url, author, 
-            link_url, feed_type, episode_count, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            link_url, feed_type, episode_count, ${richColumns.join(', ')}, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${richColumns.map(() => '?').join(', ')}, NOW())`,
           [
             normalizedFeedData.domain_id,
             normalizedFeedData.feed_url,
@@ -1121,7 +1239,8 @@ const rssFeedSelectors = [
             normalizedFeedData.author,
             normalizedFeedData.link_url,
             normalizedFeedData.feed_type,
-            normalizedFeedData.episode_count
+            normalizedFeedData.episode_count,
+            ...richColumns.map(column => normalizedFeedData[column])
           ]
         );
         
@@ -1136,6 +1255,20 @@ const rssFeedSelectors = [
     }
   },
 
+  /**
+   * Save the parsed feeds of an extract() result and their episodes
+   * @param {number} domainId - Domain ID
+   * @param {Array} feeds - Feeds from extract()
+   */
+  async saveFeeds(domainId, feeds = []) {
+    for (const feed of feeds.filter(candidate => candidate.parsed)) {
+      const feedId = await this.saveFeedToDatabase(feed, domainId);
+      if (feedId && feed.episodes && feed.episodes.length > 0) {
+        await this.saveEpisodesToDatabase(feed.episodes, domainId, feedId);
+      }
+    }
+  },
+
   /**
    * Deep discovery of podcast feeds by following podcast-related links
    */
@@ -1254,7 +1387,7 @@ const rssFeedSelectors = [
             // Not a direct feed, maybe it's a podcast page
             try {
               // Fetch the page content
-              const response = await axios.get(link, {
+              const response = await politenessService.politeGet(link, {
                 timeout: 8000,
                 maxContentLength: 5 * 1024 * 1024, // 5MB max to avoid huge downloads
                 headers: {
@@ -1351,76 +1484,83 @@ const rssFeedSelectors = [
   },
 
   /**
-   * Extract platform-specific podcast IDs and try to find RSS feeds
-   * @param {string} url - Platform-specific podcast URL
-   * @returns {Array} Array of potential RSS feed URLs
+   * Probe a parsed feed's enclosures and find its episodes' transcripts
+   * Durations the probes find for episodes without one are added to the show's catalogue total.
+   * @param {Object} feedData - Parsed feed
+   * @param {Array} pages - Crawled pages, for transcripts written out on episode pages
    */
-  extractPlatformFeeds(url) {
+  async harvestFeedMedia(feedData, pages = []) {
     try {
-      const feedCandidates = [];
-      
-      // Apple Podcasts
-      // Example: https://podcasts.apple.com/us/podcast/your-podcast/id1234567890
-      if (url.includes('podcasts.apple.com') || url.includes('itunes.apple.com')) {
-        const idMatch = url.match(/\/id(\d+)/);
-        if (idMatch && idMatch[1]) {
-          const podcastId = idMatch[1];
-          
-          // Apple Podcasts doesn't expose the RSS feed directly, but we can try common feed providers
-          // that use the Apple ID in their URLs
-          feedCandidates.push(`https://feeds.buzzsprout.com/${podcastId}.rss`);
-          feedCandidates.push(`https://feeds.transistor.fm/${podcastId}`);
-          feedCandidates.push(`https://www.omnycontent.com/d/playlist/${podcastId}/podcast.rss`);
-          feedCandidates.push(`https://feeds.simplecast.com/${podcastId}`);
-          feedCandidates.push(`https://feeds.libsyn.com/${podcastId}/rss`);
-          feedCandidates.push(`https://feeds.captivate.fm/${podcastId}`);
-        }
-      }
-      
-      // Spotify
-      // Example: https://open.spotify.com/show/abcdef123456
-      if (url.includes('open.spotify.com/show/') || url.includes('spotify.com/show/')) {
-        const idMatch = url.match(/show\/([a-zA-Z0-9]+)/);
-        if (idMatch && idMatch[1]) {
-          const showId = idMatch[1];
-          
-          // Spotify doesn't expose RSS feeds, but we can try checking if the podcast is on common platforms
-          // We add some generic feed URLs to try based on common patterns
-          feedCandidates.push(`https://feeds.transistor.fm/spotify-${showId}`);
-          feedCandidates.push(`https://feeds.buzzsprout.com/spotify-${showId}.rss`);
-        }
-      }
-      
-      // Stitcher
-      // Example: https://www.stitcher.com/show/123456
-      if (url.includes('stitcher.com/show/')) {
-        const idMatch = url.match(/show\/(\d+)/);
-        if (idMatch && idMatch[1]) {
-          const showId = idMatch[1];
-          feedCandidates.push(`https://www.stitcher.com/feed/${showId}`);
-        }
+      const episodes = feedData.episodes || [];
+      const withoutDuration = episodes.filter(episode => !episode.duration_seconds);
+
+      await probeEpisodes(episodes);
+      await harvestTranscripts(episodes, pages);
+
+      withoutDuration.filter(episode => episode.duration_seconds).forEach(episode => {
+        feedData.totalDurationSeconds = (feedData.totalDurationSeconds || 0) + episode.duration_seconds;
+        feedData.durationEpisodeCount = (feedData.durationEpisodeCount || 0) + 1;
+      });
+      feedData.catalogueHours = Math.round((feedData.totalDurationSeconds || 0) / 360) / 10;
+
+      logger.info(`[PODCAST] ⏱️ ${feedData.title}: ${feedData.catalogueHours} hours over ${feedData.durationEpisodeCount || 0} of ${feedData.episodeCount || 0} episodes`);
+    } catch (error) {
+      logger.error(`[PODCAST] Error harvesting media for feed ${feedData.url}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Resolve a podcast platform link to the show's RSS feed
+   * @param {string} url - Platform show page URL
+   * @returns {Promise<Array>} The feed URL, or an empty array if the platform or show isn't known
+   */
+  async extractPlatformFeeds(url) {
+    try {
+      const resolution = await resolveShowUrl(url);
+      return resolution && resolution.feedUrl ? [resolution.feedUrl] : [];
+    } catch (error) {
+      logger.error(`[PODCAST] Error extracting platform-specific feeds from ${url}: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Replace podcast platform links among feed candidates with the shows' RSS feeds
+   * Candidates that lead to the same feed are merged, platforms lists the links the show was found under.
+   * Links that can't be resolved are kept as they are.
+   * @param {Array} candidates - Feed candidates ({ url, title, ... })
+   * @returns {Promise<Array>} Candidates, one per feed
+   */
+  async resolvePlatformCandidates(candidates) {
+    const platformUrls = candidates.filter(candidate => findAdapter(candidate.url)).map(candidate => candidate.url);
+    const { shows } = await resolvePlatformLinks(platformUrls);
+
+    const showsByLink = new Map();
+    shows.forEach(show => show.platforms.forEach(platform => showsByLink.set(platform.url, show)));
+
+    const merged = new Map();
+    for (const candidate of candidates) {
+      const show = showsByLink.get(candidate.url);
+      const url = show ? show.feedUrl : candidate.url;
+      const key = feedKey(url);
+
+      if (!merged.has(key)) {
+        // The platform label of a resolved link no longer describes the candidate, it's now the feed
+        const { platform, ...rest } = candidate;
+        merged.set(key, show
+          ? { ...rest, url, title: show.title || candidate.title, platforms: [] }
+          : { ...candidate, platforms: [] });
       }
-      
-      // iHeartRadio
-      // Example: https://www.iheart.com/podcast/123-name-45678/
-      if (url.includes('iheart.com/podcast/')) {
-        const idMatch = url.match(/podcast\/(\d+)-/);
-        if (idMatch && idMatch[1]) {
-          const showId = idMatch[1];
-          feedCandidates.push(`https://feeds.megaphone.fm/iheart-${showId}`);
+
+      const target = merged.get(key);
+      (show ? show.platforms : []).forEach(platform => {
+        if (!target.platforms.some(existing => existing.url === platform.url)) {
+          target.platforms.push(platform);
         }
-      }
-      
-      // Log discovered candidates
-      if (feedCandidates.length > 0) {
-        logger.info(`[PODCAST] Generated ${feedCandidates.length} potential feed URLs from platform link: ${url}`);
-      }
-      
-      return feedCandidates;
-  } catch (error) {
-      logger.error(`[PODCAST] Error extracting platform-specific feeds from ${url}: ${error.message}`);
-    return [];
+      });
     }
+
+    return [...merged.values()];
   },
 
   /**
@@ -1631,6 +1771,7 @@ const rssFeedSelectors = [
       for (const episode of episodes) {
         try {
           // Normalize the episode object to match database schema
+          const publishedDate = new Date(episode.published_date || episode.pubDate || '');
           const episodeData = {
             domain_id: domainId,
             feed_id: feedId,
@@ -1639,31 +1780,81 @@ const rssFeedSelectors = [
             audio_url: episode.audio_url || episode.audioUrl || '',
             page_url: episode.page_url || episode.sourceUrl || '',
             image_url: episode.image_url || episode.imageUrl || '',
-            published_date: episode.published_date || episode.pubDate || null,
+            published_date: isNaN(publishedDate.getTime()) ? null : publishedDate,
             duration: episode.duration || ''
           };
+          const richData = {
+            guid: episode.guid ? episode.guid.slice(0, 255) : null,
+            duration_seconds: episode.duration_seconds ?? null,
+            enclosure_type: episode.enclosure_type || null,
+            enclosure_length: episode.enclosure_length ?? null,
+            explicit: toTinyInt(episode.explicit),
+            episode_type: episode.episode_type || null,
+            season: episode.season ?? null,
+            season_name: episode.season_name || null,
+            episode_number: episode.episode_number ?? null,
+            episode_display: episode.episode_display || null,
+            transcripts: JSON.stringify(episode.transcripts || []),
+            chapters_url: episode.chapters?.url || null,
+            chapters_type: episode.chapters?.type || null,
+            persons: JSON.stringify(episode.persons || [])
+          };
+          // Probe and transcript columns are only written when this crawl has them, so an episode
+          // past the probe or transcript limits keeps what an earlier crawl found
+          if (episode.audio && episode.audio.ok) {
+            Object.assign(richData, {
+              audio_size_bytes: episode.audio.size,
+              audio_mime_type: episode.audio.mimeType ? episode.audio.mimeType.slice(0, 100) : null,
+              audio_format: episode.audio.format,
+              audio_bitrate_kbps: episode.audio.bitrateKbps,
+              audio_probed_at: new Date()
+            });
+          }
+          if (episode.transcript) {
+            Object.assign(richData, {
+              transcript_text: episode.transcript.text,
+              transcript_url: episode.transcript.url ? episode.transcript.url.slice(0, 512) : null,
+              transcript_type: episode.transcript.type,
+              transcript_language: episode.transcript.language,
+              transcript_source: episode.transcript.source,
+              transcript_word_count: episode.transcript.wordCount
+            });
+          }
+          const richColumns = Object.keys(richData);
           
-          // Check if we already have this episode by audio_url to avoid duplicates
-          const [existingRows] = await db.execute(
-            'SELECT id FROM domain_podcast_episodes WHERE domain_id = ? AND audio_url = ?',
-            [domainId, episodeData.audio_url]
-          );
+          // Episodes are matched by GUID, which survives enclosure URL changes (new hosts, tracking prefixes),
+          // then by audio URL (episodes without a GUID, and rows saved before GUIDs were stored)
+          let existingRows = [];
+          if (richData.guid) {
+            [existingRows] = await db.execute(
+              'SELECT id FROM domain_podcast_episodes WHERE domain_id = ? AND guid = ? LIMIT 1',
+              [domainId, richData.guid]
+            );
+          }
+          if (existingRows.length === 0 && (episodeData.audio_url || !richData.guid)) {
+            [existingRows] = await db.execute(
+              'SELECT id FROM domain_podcast_episodes WHERE domain_id = ? AND audio_url = ? AND (guid IS NULL OR guid = ?) LIMIT 1',
+              [domainId, episodeData.audio_url, richData.guid || '']
+            );
+          }
           
           if (existingRows.length > 0) {
             // Update existing episode
             await db.execute(
               `UPDATE domain_podcast_episodes 
-               SET feed_id = ?, title = ?, description = ?, page_url = ?, 
-                   image_url = ?, published_date = ?, duration = ?, updated_at = NOW() 
+               SET feed_id = ?, title = ?, description = ?, audio_url = ?, page_url = ?, 
+                   image_url = ?, published_date = ?, duration = ?, ${richColumns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() 
                WHERE id = ?`,
               [
                 episodeData.feed_id, 
                 episodeData.title, 
                 episodeData.description,
+                episodeData.audio_url,
                 episodeData.page_url,
                 episodeData.image_url,
                 episodeData.published_date,
                 episodeData.duration,
+                ...Object.values(richData),
                 existingRows[0].id
               ]
             );
@@ -1674,8 +1865,8 @@ const rssFeedSelectors = [
             await db.execute(
               `INSERT INTO domain_podcast_episodes 
                (domain_id, feed_id, title, description, audio_url, page_url, image_url, 
-                published_date, duration, created_at)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                published_date, duration, ${richColumns.join(', ')}, created_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${richColumns.map(() => '?').join(', ')}, NOW())`,
               [
                 episodeData.domain_id,
                 episodeData.feed_id,
@@ -1685,7 +1876,8 @@ const rssFeedSelectors = [
                 episodeData.page_url,
                 episodeData.image_url,
                 episodeData.published_date,
-                episodeData.duration
+                episodeData.duration,
+                ...Object.values(richData)
               ]
             );
             
@@ -1713,7 +1905,7 @@ const rssFeedSelectors = [
       logger.info(`[PODCAST] Parsing podcast feed: ${url}`);
       
       // Fetch the feed content
-      const response = await axios.get(url, {
+      const response = await politenessService.politeGet(url, {
         timeout: 15000,
         maxContentLength: 10 * 1024 * 1024, // 10MB max
         headers: {
@@ -1722,135 +1914,12 @@ const rssFeedSelectors = [
         }
       });
       
-      // Parse the XML
-      const $ = cheerio.load(response.data, { xmlMode: true });
-      
-      // Check if this is a valid feed
-      const hasChannel = $('channel').length > 0;
-      const hasFeed = $('feed').length > 0; // For Atom feeds
-      
-      if (!hasChannel && !hasFeed) {
+      const feedData = parsePodcastXml(response.data, url);
+      if (!feedData) {
         logger.warn(`[PODCAST] Not a valid RSS/Atom feed: ${url}`);
         return null;
       }
       
-      // Extract feed data
-      let feedData = {
-        url: url,
-        title: '',
-        description: '',
-        author: '',
-        image: '',
-        link: '',
-        episodeCount: 0,
-        episodes: []
-      };
-      
-      if (hasChannel) {
-        // RSS format
-        feedData.title = $('channel > title').text().trim();
-        feedData.description = $('channel > description').text().trim();
-        feedData.author = $('channel > itunes\\:author').text().trim() || 
-                         $('channel > author').text().trim() || 
-                         $('channel > managingEditor').text().trim();
-        feedData.link = $('channel > link').text().trim();
-        
-        // Get image
-        if ($('channel > itunes\\:image').length > 0) {
-          feedData.image = $('channel > itunes\\:image').attr('href');
-        } else if ($('channel > image > url').length > 0) {
-          feedData.image = $('channel > image > url').text().trim();
-        }
-        
-        // Get episodes
-        const items = $('item');
-        feedData.episodeCount = items.length;
-        
-        items.each((index, element) => {
-          if (index >= 20) return false; // Limit to 20 episodes
-          
-          const $item = $(element);
-          
-          const episode = {
-            title: $item.find('title').text().trim(),
-            description: $item.find('description').text().trim() || 
-                        $item.find('itunes\\:summary').text().trim(),
-            published_date: $item.find('pubDate').text().trim(),
-            guid: $item.find('guid').text().trim()
-          };
-          
-          // Get audio URL
-          const $enclosure = $item.find('enclosure[type^="audio"]');
-          if ($enclosure.length > 0) {
-            episode.audio_url = $enclosure.attr('url');
-            episode.duration = $item.find('itunes\\:duration').text().trim();
-          }
-          
-          // Get episode image
-          if ($item.find('itunes\\:image').length > 0) {
-            episode.image_url = $item.find('itunes\\:image').attr('href');
-          }
-          
-          // Get episode link
-          episode.page_url = $item.find('link').text().trim();
-          
-          // Add to episodes array
-          feedData.episodes.push(episode);
-        });
-      } else if (hasFeed) {
-        // Atom format
-        feedData.title = $('feed > title').text().trim();
-        feedData.description = $('feed > subtitle').text().trim();
-        feedData.author = $('feed > author > name').text().trim();
-        
-        // Get link
-        $('feed > link').each((_, element) => {
-          const rel = $(element).attr('rel');
-          if (!rel || rel === 'alternate') {
-            feedData.link = $(element).attr('href');
-          }
-        });
-        
-        // Get image
-        if ($('feed > logo').length > 0) {
-          feedData.image = $('feed > logo').text().trim();
-        }
-        
-        // Get episodes
-        const entries = $('entry');
-        feedData.episodeCount = entries.length;
-        
-        entries.each((index, element) => {
-          if (index >= 20) return false; // Limit to 20 episodes
-          
-          const $entry = $(element);
-          
-          const episode = {
-            title: $entry.find('title').text().trim(),
-            description: $entry.find('summary').text().trim() || 
-                        $entry.find('content').text().trim(),
-            published_date: $entry.find('published').text().trim() || 
-                          $entry.find('updated').text().trim(),
-            guid: $entry.find('id').text().trim()
-          };
-          
-          // Get link
-          $entry.find('link').each((_, linkElement) => {
-            const rel = $(linkElement).attr('rel');
-            const type = $(linkElement).attr('type');
-            
-            if (type && type.startsWith('audio/')) {
-              episode.audio_url = $(linkElement).attr('href');
-            } else if (!rel || rel === 'alternate') {
-              episode.page_url = $(linkElement).attr('href');
-            }
-          });
-          
-          // Add to episodes array
-          feedData.episodes.push(episode);
-        });
-      }
-      
       logger.info(`[PODCAST] Successfully parsed podcast feed: ${feedData.title} with ${feedData.episodeCount} episodes`);
       return feedData;
     } catch (error) {
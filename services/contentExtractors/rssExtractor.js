@@ -9,7 +9,7 @@
 
 import logger from '../../utils/logger.js';
 import * as cheerio from 'cheerio';
-import axios from 'axios';
+import * as politenessService from '../politenessService.js';
 import Parser from 'rss-parser';
 import { normalizeUrl } from '../../utils/urlUtils.js';
 import { getPool } from '../../database/db.js';
@@ -294,7 +294,7 @@ function findFeedUrls(domain, pages) {
 async function parseFeed(url) {
   try {
     // First, check if the URL returns valid XML
-    const response = await axios.get(url, {
+    const response = await politenessService.politeGet(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
         'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*'
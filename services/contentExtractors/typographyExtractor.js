@@ -0,0 +1,551 @@
+import * as cheerio from 'cheerio';
+import logger from '../../utils/logger.js';
+import * as puppeteerService from '../puppeteerService.js';
+import * as politenessService from '../politenessService.js';
+import * as designTokenRepository from '../../database/repositories/designTokenRepository.js';
+
+/**
+ * Typography and design token extraction
+ *
+ * Typefaces come from Google Fonts and Adobe Fonts links, @font-face rules (inline and in the
+ * site's own stylesheets) and the computed fonts of the rendered homepage. The result includes a
+ * W3C design tokens (DTCG) document with font families, weights, sizes, line heights and radii.
+ */
+
+// Same-site stylesheets fetched to look for @font-face rules
+const MAX_STYLESHEETS = 3;
+const MAX_STYLESHEET_BYTES = 2 * 1024 * 1024;
+
+const GENERIC_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+  'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', '-apple-system', 'blinkmacsystemfont',
+  'inherit', 'initial'
+];
+
+// Fonts that come with the OS rather than being chosen and loaded by the site
+const SYSTEM_FAMILIES = [
+  'arial', 'helvetica', 'helvetica neue', 'times', 'times new roman', 'georgia', 'verdana', 'tahoma',
+  'trebuchet ms', 'courier', 'courier new', 'segoe ui', 'roboto', 'san francisco', 'sf pro text'
+];
+
+const WEIGHT_NAMES = {
+  100: 'thin',
+  200: 'extra-light',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semi-bold',
+  700: 'bold',
+  800: 'extra-bold',
+  900: 'black'
+};
+
+const emptyTypography = () => ({
+  typefaces: [],
+  headingFont: null,
+  bodyFont: null,
+  baseFontSize: null,
+  scale: {},
+  borderRadius: {},
+  providers: { googleFonts: [], adobeFonts: [] },
+  tokens: {}
+});
+
+/**
+ * Split a CSS font-family list into names
+ */
+const parseFontStack = (value) => {
+  if (!value) return [];
+  return value.split(',').map(name => name.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+};
+
+/**
+ * First family in a stack that isn't a generic keyword
+ */
+const primaryFamily = (stack) => stack.find(name => !GENERIC_FAMILIES.includes(name.toLowerCase())) || stack[0] || null;
+
+/**
+ * Normalize a CSS font-weight to a number
+ */
+const parseWeight = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'normal') return 400;
+  if (text === 'bold') return 700;
+  const weight = parseInt(text, 10);
+  return isNaN(weight) ? null : weight;
+};
+
+/**
+ * Expand a weight or weight range ("100 900" on variable fonts) to the standard weights it covers
+ */
+const expandWeights = (value) => {
+  const parts = String(value || '').trim().split(/\s+/).map(parseWeight).filter(weight => weight !== null);
+  if (parts.length === 2) {
+    return Object.keys(WEIGHT_NAMES).map(Number).filter(weight => weight >= parts[0] && weight <= parts[1]);
+  }
+  return parts;
+};
+
+/**
+ * Families and weights requested from a Google Fonts URL (css and css2 APIs)
+ */
+export const parseGoogleFontsUrl = (href) => {
+  try {
+    const url = new URL(href, 'https://fonts.googleapis.com');
+    const families = [];
+
+    const css2Families = url.searchParams.getAll('family');
+    for (const param of css2Families) {
+      // css v1 packs several families with "|"; css2 uses one family param each
+      for (const entry of param.split('|')) {
+        const [name, spec = ''] = entry.split(':');
+        const weights = new Set();
+        const styles = new Set(['normal']);
+
+        if (spec.includes('@')) {
+          // css2: ital,wght@0,400;0,700;1,400 or wght@400;700 or wght@100..900
+          const [axes, values] = spec.split('@');
+          const axisNames = axes.split(',');
+          for (const tuple of values.split(';')) {
+            const parts = tuple.split(',');
+            axisNames.forEach((axis, index) => {
+              if (axis === 'wght') {
+                const range = parts[index].split('..');
+                expandWeights(range.join(' ')).forEach(weight => weights.add(weight));
+              }
+              if (axis === 'ital' && parts[index] === '1') {
+                styles.add('italic');
+              }
+            });
+          }
+        } else if (spec) {
+          // css v1: 400,700italic
+          for (const variant of spec.split(',')) {
+            const weight = parseWeight(variant.replace(/italic|i$/i, '') || '400');
+            if (weight) weights.add(weight);
+            if (/i(talic)?$/i.test(variant)) styles.add('italic');
+          }
+        }
+
+        if (name) {
+          // Google Fonts serves the regular weight when none is requested
+          if (weights.size === 0) weights.add(400);
+          families.push({
+            family: name.replace(/\+/g, ' ').trim(),
+            weights: [...weights].sort((a, b) => a - b),
+            styles: [...styles]
+          });
+        }
+      }
+    }
+
+    return families;
+  } catch (error) {
+    logger.warn(`[TYPOGRAPHY] Could not parse Google Fonts URL ${href}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * @font-face rules in a stylesheet
+ * @returns {Array<{family: string, weights: number[], style: string, srcUrls: string[]}>}
+ */
+export const parseFontFaces = (css) => {
+  const faces = [];
+  const pattern = /@font-face\s*{([^}]*)}/gi;
+  let match;
+
+  while ((match = pattern.exec(css)) !== null) {
+    const body = match[1];
+    const family = body.match(/font-family\s*:\s*([^;]+)/i)?.[1];
+    if (!family) continue;
+
+    const weight = body.match(/font-weight\s*:\s*([^;]+)/i)?.[1] || '400';
+    const style = body.match(/font-style\s*:\s*([^;]+)/i)?.[1]?.trim() || 'normal';
+    const srcUrls = [...(body.match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/gi) || [])]
+      .map(src => src.replace(/^url\(\s*['"]?|['"]?\s*\)$/g, ''));
+
+    faces.push({
+      family: family.trim().replace(/^["']|["']$/g, ''),
+      weights: expandWeights(weight),
+      style,
+      srcUrls
+    });
+  }
+
+  return faces;
+};
+
+/**
+ * Fetch a stylesheet's text, or '' on failure
+ */
+const fetchStylesheet = async (url) => {
+  try {
+    const response = await politenessService.politeGet(url, {
+      timeout: 10000,
+      responseType: 'text',
+      maxContentLength: MAX_STYLESHEET_BYTES
+    });
+    return typeof response.data === 'string' ? response.data : '';
+  } catch (error) {
+    logger.warn(`[TYPOGRAPHY] Could not fetch stylesheet ${url}: ${error.message}`);
+    return '';
+  }
+};
+
+/**
+ * Collect font providers and @font-face rules from a page's HTML
+ */
+const collectDeclaredFonts = async (page) => {
+  const $ = cheerio.load(page.content);
+  const declared = [];
+  const providers = { googleFonts: [], adobeFonts: [] };
+
+  const inlineCss = $('style').map((_, element) => $(element).html() || '').get().join('\n');
+
+  // Google Fonts from <link> tags and @import rules
+  const googleUrls = new Set();
+  $('link[href*="fonts.googleapis.com"]').each((_, element) => googleUrls.add($(element).attr('href')));
+  for (const match of inlineCss.matchAll(/@import\s+(?:url\()?\s*['"]?([^'")\s]*fonts\.googleapis\.com[^'")\s]*)/gi)) {
+    googleUrls.add(match[1]);
+  }
+  for (const href of googleUrls) {
+    providers.googleFonts.push(href);
+    for (const font of parseGoogleFontsUrl(href)) {
+      declared.push({ ...font, source: 'google-fonts', provider: 'google' });
+    }
+  }
+
+  // Adobe Fonts kits (use.typekit.net/<kit>.css or .js); the CSS names the families
+  const kitIds = new Set();
+  $('link[href*="use.typekit.net"], script[src*="use.typekit.net"]').each((_, element) => {
+    const href = $(element).attr('href') || $(element).attr('src');
+    const kitId = href?.match(/use\.typekit\.net\/([a-z0-9]+)\.(?:css|js)/i)?.[1];
+    if (kitId) kitIds.add(kitId);
+  });
+  for (const kitId of kitIds) {
+    providers.adobeFonts.push(kitId);
+    const kitCss = await fetchStylesheet(`https://use.typekit.net/${kitId}.css`);
+    for (const face of parseFontFaces(kitCss)) {
+      declared.push({ family: face.family, weights: face.weights, styles: [face.style], source: 'adobe-fonts', provider: 'adobe' });
+    }
+  }
+
+  // Self-hosted @font-face rules, inline and in the site's own stylesheets
+  const stylesheetUrls = $('link[rel="stylesheet"][href]')
+    .map((_, element) => {
+      try {
+        return new URL($(element).attr('href'), page.url).href;
+      } catch (error) {
+        return null;
+      }
+    })
+    .get()
+    .filter(href => href && new URL(href).hostname === new URL(page.url).hostname)
+    .slice(0, MAX_STYLESHEETS);
+
+  const stylesheets = [inlineCss];
+  for (const href of stylesheetUrls) {
+    stylesheets.push(await fetchStylesheet(href));
+  }
+
+  for (const css of stylesheets) {
+    for (const face of parseFontFaces(css)) {
+      declared.push({ family: face.family, weights: face.weights, styles: [face.style], source: 'font-face', provider: 'self-hosted' });
+    }
+  }
+
+  return { declared, providers };
+};
+
+/**
+ * Line height as a unitless ratio
+ */
+const lineHeightRatio = (lineHeight, fontSize) => {
+  const size = parseFloat(fontSize);
+  if (!lineHeight || lineHeight === 'normal' || !size) return null;
+  if (lineHeight.endsWith('px')) return Math.round((parseFloat(lineHeight) / size) * 100) / 100;
+  const ratio = parseFloat(lineHeight);
+  return isNaN(ratio) ? null : ratio;
+};
+
+/**
+ * Most common value in a list
+ */
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+/**
+ * Merge declared fonts and computed usage into one entry per typeface
+ */
+const buildTypefaces = (declared, computed) => {
+  const typefaces = new Map();
+
+  const getTypeface = (family) => {
+    const key = family.toLowerCase();
+    if (!typefaces.has(key)) {
+      typefaces.set(key, {
+        family,
+        provider: SYSTEM_FAMILIES.includes(key) ? 'system' : null,
+        sources: [],
+        roles: [],
+        weights: new Set(),
+        styles: new Set()
+      });
+    }
+    return typefaces.get(key);
+  };
+
+  for (const font of declared) {
+    const typeface = getTypeface(font.family);
+    typeface.provider = typeface.provider === 'system' || !typeface.provider ? font.provider : typeface.provider;
+    if (!typeface.sources.includes(font.source)) typeface.sources.push(font.source);
+    font.weights.forEach(weight => typeface.weights.add(weight));
+    (font.styles || []).forEach(style => typeface.styles.add(style));
+  }
+
+  for (const face of computed?.fontFaces || []) {
+    const typeface = getTypeface(face.family.replace(/^["']|["']$/g, ''));
+    if (!typeface.sources.includes('document-fonts')) typeface.sources.push('document-fonts');
+    expandWeights(face.weight).forEach(weight => typeface.weights.add(weight));
+    typeface.styles.add(face.style);
+  }
+
+  for (const [role, font] of Object.entries(computed?.elements || {})) {
+    if (!font) continue;
+    const family = primaryFamily(parseFontStack(font.fontFamily));
+    if (!family) continue;
+
+    const typeface = getTypeface(family);
+    if (!typeface.sources.includes('computed')) typeface.sources.push('computed');
+    if (!typeface.roles.includes(role)) typeface.roles.push(role);
+    const weight = parseWeight(font.fontWeight);
+    if (weight) typeface.weights.add(weight);
+  }
+
+  return [...typefaces.values()]
+    .map(typeface => ({
+      ...typeface,
+      provider: typeface.provider || 'unknown',
+      weights: [...typeface.weights].sort((a, b) => a - b),
+      styles: [...typeface.styles]
+    }))
+    // Typefaces the page actually uses come first
+    .sort((a, b) => b.roles.length - a.roles.length);
+};
+
+/**
+ * Token-safe name for a family
+ */
+const tokenName = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Build a W3C design tokens (DTCG) document
+ * @param {object} typography - Extracted typography
+ * @param {object|null} colors - Colors extractor result, if it ran
+ */
+export const buildDesignTokens = (typography, colors = null) => {
+  const tokens = {};
+
+  if (colors?.primaryColor) {
+    tokens.color = {
+      primary: { $type: 'color', $value: colors.primaryColor }
+    };
+    (colors.secondaryColors || []).forEach((hex, index) => {
+      tokens.color[`secondary-${index + 1}`] = { $type: 'color', $value: hex };
+    });
+    if (colors.background) tokens.color.background = { $type: 'color', $value: colors.background };
+    if (colors.text) tokens.color.text = { $type: 'color', $value: colors.text };
+  }
+
+  const font = { family: {}, weight: {}, size: {}, lineHeight: {} };
+
+  if (typography.headingFont) {
+    font.family.heading = { $type: 'fontFamily', $value: typography.headingFont.stack };
+  }
+  if (typography.bodyFont) {
+    font.family.body = { $type: 'fontFamily', $value: typography.bodyFont.stack };
+  }
+  const roleFamilies = [typography.headingFont?.family, typography.bodyFont?.family];
+  for (const typeface of typography.typefaces) {
+    if (typeface.provider === 'system' || typeface.roles.length > 0 || roleFamilies.includes(typeface.family)) continue;
+    font.family[tokenName(typeface.family)] = { $type: 'fontFamily', $value: [typeface.family] };
+  }
+
+  const weights = new Set(typography.typefaces.filter(typeface => typeface.roles.length > 0).flatMap(typeface => typeface.weights));
+  for (const weight of [...weights].sort((a, b) => a - b)) {
+    font.weight[WEIGHT_NAMES[weight] || String(weight)] = { $type: 'fontWeight', $value: weight };
+  }
+
+  if (typography.baseFontSize) {
+    font.size.base = { $type: 'dimension', $value: typography.baseFontSize };
+  }
+
+  const composite = {};
+  for (const [role, style] of Object.entries(typography.scale)) {
+    if (style.fontSize) {
+      font.size[role] = { $type: 'dimension', $value: style.fontSize };
+    }
+    if (style.lineHeight) {
+      font.lineHeight[role] = { $type: 'number', $value: style.lineHeight };
+    }
+
+    const familyRef = /^h\d$/.test(role) ? 'heading' : 'body';
+    if (style.fontSize && font.family[familyRef]) {
+      composite[role] = {
+        $type: 'typography',
+        $value: {
+          fontFamily: `{font.family.${familyRef}}`,
+          fontSize: `{font.size.${role}}`,
+          fontWeight: style.fontWeight || 400,
+          letterSpacing: style.letterSpacing || '0px',
+          lineHeight: style.lineHeight || 1.2
+        }
+      };
+    }
+  }
+
+  // Leave out empty groups
+  tokens.font = Object.fromEntries(Object.entries(font).filter(([, group]) => Object.keys(group).length > 0));
+  if (Object.keys(composite).length > 0) {
+    tokens.typography = composite;
+  }
+
+  const radius = {};
+  for (const [name, value] of Object.entries(typography.borderRadius)) {
+    radius[name] = { $type: 'dimension', $value: value };
+  }
+  if (Object.keys(radius).length > 0) {
+    tokens.radius = radius;
+  }
+
+  return tokens;
+};
+
+/**
+ * Extract typography from website pages
+ * @param {Array} pages - Crawled pages
+ * @param {object} options - { colors } result of the colors extractor, { render: false } to skip rendering
+ */
+export const extract = async (pages, options = {}) => {
+  try {
+    logger.info('[TYPOGRAPHY] Extracting typography');
+
+    const htmlPages = pages.filter(page => page.content && (!page.contentType || page.contentType.includes('text/html')));
+    if (htmlPages.length === 0) {
+      logger.warn('[TYPOGRAPHY] No HTML pages found for typography extraction');
+      return emptyTypography();
+    }
+
+    const homepage = htmlPages.find(page => {
+      try {
+        return new URL(page.url).pathname === '/';
+      } catch (error) {
+        return false;
+      }
+    }) || htmlPages[0];
+
+    const { declared, providers } = await collectDeclaredFonts(homepage);
+
+    let computed = null;
+    if (options.render !== false) {
+      try {
+        computed = await politenessService.schedule(homepage.url, () => puppeteerService.sampleTypography(homepage.url));
+      } catch (error) {
+        logger.warn(`[TYPOGRAPHY] Could not render ${homepage.url}: ${error.message}`);
+      }
+    }
+
+    const typefaces = buildTypefaces(declared, computed);
+    const elements = computed?.elements || {};
+
+    const fontFor = (...roles) => {
+      const font = roles.map(role => elements[role]).find(Boolean);
+      if (!font) return null;
+      const stack = parseFontStack(font.fontFamily);
+      return { family: primaryFamily(stack), stack };
+    };
+
+    const scale = {};
+    for (const [role, font] of Object.entries(elements)) {
+      if (!font) continue;
+      scale[role] = {
+        fontSize: font.fontSize,
+        fontWeight: parseWeight(font.fontWeight),
+        lineHeight: lineHeightRatio(font.lineHeight, font.fontSize),
+        letterSpacing: font.letterSpacing === 'normal' ? null : font.letterSpacing,
+        textTransform: font.textTransform === 'none' ? null : font.textTransform
+      };
+    }
+
+    const borderRadius = {};
+    for (const [name, values] of Object.entries(computed?.radii || {})) {
+      const radius = mostCommon(values);
+      if (radius) borderRadius[name] = radius;
+    }
+
+    // Without a render, the declared fonts are the best guess at heading and body faces
+    const fallbackFamily = typefaces.find(typeface => typeface.provider !== 'system')?.family || null;
+
+    const typography = {
+      typefaces,
+      headingFont: fontFor('h1', 'h2', 'h3') || (fallbackFamily ? { family: fallbackFamily, stack: [fallbackFamily] } : null),
+      bodyFont: fontFor('paragraph', 'body') || (fallbackFamily ? { family: fallbackFamily, stack: [fallbackFamily] } : null),
+      baseFontSize: elements.paragraph?.fontSize || elements.body?.fontSize || null,
+      scale,
+      borderRadius,
+      providers,
+      method: computed ? 'computed' : 'static'
+    };
+
+    typography.tokens = buildDesignTokens(typography, options.colors);
+
+    logger.info(`[TYPOGRAPHY] ✅ Found ${typefaces.length} typefaces (heading: ${typography.headingFont?.family || 'unknown'}, body: ${typography.bodyFont?.family || 'unknown'})`);
+    return typography;
+  } catch (error) {
+    logger.error(`[TYPOGRAPHY] Error extracting typography: ${error.message}`);
+    return emptyTypography();
+  }
+};
+
+/**
+ * Save typography and its design tokens for a domain
+ */
+export const saveTypography = async (domainId, typography) => {
+  try {
+    if (typography.typefaces.length === 0 && Object.keys(typography.tokens || {}).length === 0) {
+      return false;
+    }
+
+    await designTokenRepository.saveDesignTokens(domainId, {
+      typography: {
+        typefaces: typography.typefaces,
+        headingFont: typography.headingFont,
+        bodyFont: typography.bodyFont,
+        baseFontSize: typography.baseFontSize,
+        scale: typography.scale,
+        borderRadius: typography.borderRadius,
+        providers: typography.providers
+      },
+      tokens: typography.tokens
+    });
+
+    logger.info(`[TYPOGRAPHY] Saved design tokens for domain ID ${domainId}`);
+    return true;
+  } catch (error) {
+    logger.error(`[TYPOGRAPHY] Error saving typography: ${error.message}`);
+    return false;
+  }
+};
+
+export default {
+  extract,
+  parseGoogleFontsUrl,
+  parseFontFaces,
+  buildDesignTokens,
+  saveTypography
+};
@@ -5,6 +5,12 @@ import { URL } from 'url';
 import { getPool } from '../../config/database.js';
 import * as domainDataRepository from '../database/repositories/domainDataRepository.js';
 import * as puppeteerService from './puppeteerService.js';
+import * as robotsService from './robotsService.js';
+import * as sitemapService from './sitemapService.js';
+import * as extractorRegistry from './extractorRegistry.js';
+import * as politenessService from './politenessService.js';
+import * as responseCacheService from './responseCacheService.js';
+import * as fetchPlanner from './fetchPlanner.js';
 
 /**
  * Normalize URL to ensure consistent format
@@ -91,20 +97,21 @@ const isSameDomain = (url, domain) => {
 /**
  * Save page HTML to database
  */
-const savePageHtml = async (domainId, jobId, url, title, htmlContent, statusCode, contentType) => {
+const savePageHtml = async (domainId, jobId, url, title, htmlContent, statusCode, contentType, fetcher = null) => {
   try {
     const db = getPool();
     
     // Corrected query to use raw_html column
     const query = `
       INSERT INTO domain_pages 
-      (domain_id, job_id, url, title, raw_html, status_code, content_type, crawled_at) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+      (domain_id, job_id, url, title, raw_html, status_code, content_type, fetcher, crawled_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
       ON DUPLICATE KEY UPDATE 
       title = VALUES(title), 
       raw_html = VALUES(raw_html), 
       status_code = VALUES(status_code), 
       content_type = VALUES(content_type), 
+      fetcher = VALUES(fetcher), 
       crawled_at = NOW()
     `;
     
@@ -115,7 +122,8 @@ const savePageHtml = async (domainId, jobId, url, title, htmlContent, statusCode
       title || null, // Ensure title is handled if null/undefined
       htmlContent,   // Use the passed htmlContent variable for raw_html column
       statusCode,
-      contentType
+      contentType,
+      fetcher        // Which fetcher produced the HTML: axios, puppeteer or cache
     ]);
     
     logger.info(`[DISCOVERY] Saved page details for ${url} (Status: ${statusCode})`);
@@ -176,43 +184,24 @@ async function fetchWithRetry(url, options = {}, retries = 3, delay = 1000) {
   try {
     logger.info(`[CRAWLER] Fetching content for ${url}`);
     
-    // Try to fetch using Puppeteer first for more reliable content extraction
-    try {
-      const puppeteerService = await import('./puppeteerService.js');
-      const { content, metadata } = await puppeteerService.getPageContent(url, { timeout: 30000 });
-      
-      logger.info(`[CRAWLER] Successfully fetched ${url} using Puppeteer`);
-      return { 
-        data: content,
-        metadata: metadata || {},
-        source: 'puppeteer'
-      };
-    } catch (puppeteerError) {
-      logger.warn(`[CRAWLER] Puppeteer fetch failed for ${url}, falling back to Axios: ${puppeteerError.message}`);
-      // Fall back to Axios
+    // If we've fetched this URL before, a conditional request may let us reuse the stored HTML
+    const revalidated = await responseCacheService.revalidate(url, options.headers);
+    if (revalidated) {
+      return revalidated;
     }
     
-    // Axios fallback
-    const axios = (await import('axios')).default;
-    const axiosOptions = {
-      timeout: 20000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        ...options.headers
-      },
-      ...options
-    };
+    // Static fetch first, headless render only when the page needs it
+    const response = await fetchPlanner.fetchPage(url, options);
     
-    const response = await axios.get(url, axiosOptions);
+    // Some sites rate limit with a 200 and a "too many requests" page
+    if (response.source === 'axios' && isProtected({ status: response.statusCode, headers: response.headers, data: response.data }) === 'Rate Limited') {
+      politenessService.reportResponse(url, 429, response.headers);
+    }
     
-    logger.info(`[CRAWLER] Successfully fetched ${url} using Axios`);
-    return {
-      data: response.data,
-      headers: response.headers,
-      source: 'axios'
-    };
+    await responseCacheService.rememberResponse(url, response.headers, response.statusCode);
+    
+    logger.info(`[CRAWLER] Successfully fetched ${url} using ${response.source === 'puppeteer' ? 'Puppeteer' : 'Axios'}`);
+    return response;
   } catch (error) {
     if (retries > 0) {
       logger.warn(`[CRAWLER] ⚠️ Error fetching ${url}: ${error.message}. Retrying in ${delay}ms...`);
@@ -263,6 +252,27 @@ const saveCrawlProgress = async (domainId, jobId, totalPages, crawledPages, curr
   }
 };
 
+/**
+ * Record a URL that was skipped because robots.txt disallows it
+ */
+const saveBlockedUrl = async (domainId, jobId, url, reason) => {
+  try {
+    const db = getPool();
+    
+    await db.execute(
+      `INSERT INTO domain_crawl_blocked_urls (domain_id, job_id, url, reason, created_at)
+       VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [domainId, jobId, url, reason]
+    );
+    
+    return true;
+  } catch (error) {
+    logger.error(`[CRAWLER] ❌ Error saving blocked URL ${url}: ${error.message}`);
+    return false;
+  }
+};
+
 /**
  * Check if a crawl can be resumed
  */
@@ -316,8 +326,14 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
     maxPages: 25, // Maximum number of pages to crawl
     respectCrawlFrequency: true, // Whether to respect the 24-hour crawl frequency
     maxLoopDetectionSize: 1000, // Maximum size of the URL queue before suspecting a loop
-    crawlDelay: { min: 1000, max: 3000 }, // Delay between requests in milliseconds
+    crawlDelay: { min: 1000, max: 3000 }, // Delay between requests in milliseconds (min is applied per host by politenessService)
     maxQueueSize: 1000, // Maximum number of URLs to keep in the queue
+    ignoreRobots: false, // Whether to skip robots.txt checks (must be requested explicitly)
+    useSitemaps: true, // Whether to seed the queue from sitemap.xml and robots.txt sitemaps
+    renderProfile: null, // Interception profile for pages that need rendering (see interceptionProfiles)
+    shouldStop: null, // Called before each page, the crawl stops when it returns true
+    extractors: null, // The job's extractor selection, its per-page extractors run as each page is crawled (null = defaults)
+    maxSitemapSeeds: 200, // Maximum number of sitemap URLs to add to the queue
     priorityUrls: ['/', '/about', '/contact', '/blog', '/news', '/podcasts', '/podcast'] // High priority URLs to crawl first
   };
   
@@ -328,6 +344,19 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
   const normalizedDomain = domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
   const baseUrl = `https://${normalizedDomain}`;
   
+  if (crawlOptions.ignoreRobots) {
+    logger.warn(`[CRAWLER] ⚠️ robots.txt checks disabled for ${domain}${jobId ? ` (job ${jobId})` : ''} by ignoreRobots option`);
+  }
+  
+  // Feed this crawl's delay and the site's robots.txt Crawl-delay into the shared per-host scheduler
+  politenessService.setMinInterval(baseUrl, crawlOptions.crawlDelay.min);
+  if (!crawlOptions.ignoreRobots) {
+    const robotsDelay = await robotsService.getCrawlDelay(baseUrl);
+    if (robotsDelay !== null) {
+      politenessService.setMinInterval(baseUrl, robotsDelay, { robots: true });
+    }
+  }
+  
   // Get domain ID from database - UPDATED to use domain_info instead of domains
   let domainId = null;
   try {
@@ -368,6 +397,8 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
   let crawledCount = resumeData.canResume ? resumeData.progress.pages_crawled : 0;
   // Counter for priority pages
   let priorityPagesCount = 0;
+  // URLs skipped because robots.txt disallows them
+  const blockedUrls = [];
   // Track start time for loop detection
   const startTime = Date.now();
   // Track last queue size check for loop detection
@@ -392,6 +423,7 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
         pages.push({
           url: pageRow.url,
           title: pageRow.title,
+          content: pageRow.html,
           depth: 1 // Assume depth 1 for simplicity
         });
       }
@@ -425,10 +457,41 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
     await saveCrawlProgress(domainId, jobId, 0, 0, baseUrl, 'processing');
   }
   
+  // Seed the queue with sitemap URLs, ranked by <priority> and <lastmod>
+  if (crawlOptions.useSitemaps && !resumeData.canResume) {
+    try {
+      const sitemapEntries = await sitemapService.collectSitemapUrls(baseUrl, {
+        filter: loc => isSameDomain(loc, normalizedDomain),
+        maxUrls: crawlOptions.maxSitemapSeeds
+      });
+      
+      const homepageUrl = normalizeUrl(baseUrl, baseUrl);
+      let seededCount = 0;
+      for (const entry of sitemapEntries) {
+        const seedUrl = normalizeUrl(entry.url, baseUrl);
+        if (!seedUrl || seedUrl === homepageUrl || urlQueue.some(item => item.url === seedUrl)) continue;
+        
+        // Seeds sit at depth 1 so they rank ahead of links found while crawling
+        urlQueue.push({ url: seedUrl, depth: 1, priority: 0, score: entry.score, source: 'sitemap' });
+        seededCount++;
+      }
+      
+      logger.info(`[CRAWLER] 🗺️ Seeded ${seededCount} URLs from sitemaps for ${domain}`);
+    } catch (error) {
+      logger.error(`[CRAWLER] ❌ Error seeding queue from sitemaps: ${error.message}`);
+    }
+  }
+  
   logger.info(`[CRAWLER] Starting crawl with queue of ${urlQueue.length} URLs`);
   
   // Process URLs up to the specified depth
   while (urlQueue.length > 0) {
+    // The job was cancelled or handed to another worker
+    if (crawlOptions.shouldStop && crawlOptions.shouldStop()) {
+      logger.info(`[CRAWLER] ⏹️ Crawl of ${domain} stopped after ${crawledCount} pages`);
+      break;
+    }
+    
     // Check if we've reached the maximum number of pages
     if (crawledCount >= crawlOptions.maxPages) {
       // Modified: Only break if there are no priority URLs left in the queue
@@ -441,10 +504,11 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
       }
     }
     
-    // Sort queue by priority and depth
+    // Sort queue by priority, depth and sitemap score
     urlQueue.sort((a, b) => {
       if (a.priority !== b.priority) return b.priority - a.priority;
-      return a.depth - b.depth;
+      if (a.depth !== b.depth) return a.depth - b.depth;
+      return (b.score || 0) - (a.score || 0);
     });
     
     // If queue is too large, trim it while preserving high-priority URLs
@@ -520,44 +584,41 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
     // Mark as discovered in this session
     discoveredUrls.add(url);
     
+    // Honour robots.txt unless the job explicitly opted out
+    if (!crawlOptions.ignoreRobots) {
+      const robotsCheck = await robotsService.checkUrl(url);
+      if (!robotsCheck.allowed) {
+        logger.info(`[CRAWLER] 🚫 Skipping ${url} - ${robotsCheck.reason}`);
+        blockedUrls.push({ url, reason: robotsCheck.reason });
+        
+        if (domainId && jobId) {
+          await saveBlockedUrl(domainId, jobId, url, robotsCheck.reason);
+        }
+        continue;
+      }
+    }
+    
     logger.info(`[CRAWLER] Processing page ${crawledCount+1}/${crawlOptions.maxPages}: ${url}`);
     
     try {
       // Fetch the page with enhanced retry logic
-      const response = await fetchWithRetry(url);
+      const response = await fetchWithRetry(url, { renderProfile: crawlOptions.renderProfile });
       
       // Parse HTML
       const $ = cheerio.load(response.data);
       const title = $('title').text().trim() || url.split('/').pop() || 'Home Page';
       
-      // For reliability, if the HTML seems too minimal, retry with Puppeteer
-      if (response.data.length < 1000 || !$('a').length || !$('img').length) {
-        logger.warn(`[CRAWLER] Detected potentially incomplete HTML for ${url}, retrying with Puppeteer`);
-        try {
-          const puppeteerService = await import('./puppeteerService.js');
-          const { content, metadata } = await puppeteerService.getPageContent(url, { timeout: 30000 });
-          
-          // If Puppeteer returns good content, use it instead
-          if (content && content.length > response.data.length) {
-            logger.info(`[CRAWLER] Using enhanced Puppeteer content for ${url}`);
-            response.data = content;
-            // Re-parse the HTML
-            $ = cheerio.load(content);
-          }
-        } catch (puppeteerError) {
-          logger.warn(`[CRAWLER] Enhanced Puppeteer extraction failed for ${url}: ${puppeteerError.message}`);
-          // Continue with original content
-        }
-      }
-      
       // Save page info
       const page = {
         url,
         title,
         depth: currentDepth,
         content: response.data,
+        renderedContent: response.source === 'puppeteer' ? response.data : null,
         fetchTime: new Date().toISOString(),
-        source: response.source || 'unknown'
+        source: response.source || 'unknown',
+        // Requests the render's interception profile blocked (e.g. image URLs that weren't downloaded)
+        blockedResources: response.blockedRequests || []
       };
       pages.push(page);
       
@@ -574,8 +635,9 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
               url,
               title,
               response.data,
-              200, // Assuming success status code
-              'text/html' // Assuming content type
+              response.statusCode || 200,
+              response.headers?.['content-type'] || 'text/html',
+              response.source || null
             );
             
             // Get the page ID from the database
@@ -595,76 +657,20 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
             }
           }
           
-          // Process images
-          const imageExtractor = (await import('./contentExtractors/enhancedImageExtractor.js')).default;
-          const imageResults = await imageExtractor.extract([{
-            url,
-            content: response.data,
-            title,
-            pageId: pageId  // Pass the page ID to the extractor
-          }], domainId);  // Pass the domain ID to the extractor
-          logger.info(`[CRAWLER] Extracted ${imageResults.all.length} images from ${url}`);
-          
-          // Process social media links
-          const socialMediaExtractor = (await import('./contentExtractors/socialMediaExtractor.js')).default;
-          const socialResults = await socialMediaExtractor.extractSocialMedia(url, response.data, domainId, response.data);
-          logger.info(`[CRAWLER] Extracted ${socialResults.links.length} social links from ${url}`);
-          
-          // Process schema.org structured data
-          const schemaExtractor = (await import('./contentExtractors/schemaMarkupExtractor.js')).default;
-          
-          // Now call the schema extractor with the pageId
-          const schemaResults = await schemaExtractor.extractSchemaMarkup(url, response.data, domainId, pageId);
-          if (schemaResults.markup.length > 0) {
-            logger.info(`[CRAWLER] Extracted ${schemaResults.markup.length} schema.org items from ${url}`);
-            
-            // Log the most common schema types found
-            const schemaTypes = [...new Set(schemaResults.markup.map(item => item.schema_type))];
-            logger.info(`[CRAWLER] Schema types found: ${schemaTypes.slice(0, 5).join(', ')}${schemaTypes.length > 5 ? '...' : ''}`);
-          }
-          
-          // Process ISBNs on the page - add ISBN extractor here
-          const isbnExtractor = (await import('./contentExtractors/isbnExtractor.js')).default;
-          const isbnResults = await isbnExtractor.extract([{
-            url,
-            content: response.data,
-            title,
-            pageId: pageId
-          }], domainId);
-          
-          if (isbnResults && isbnResults.isbns.length > 0) {
-            logger.info(`[CRAWLER] [ISBN] Extracted ${isbnResults.isbns.length} ISBNs from ${url}`);
-            
-            // ISBNs are now saved directly in the extract method if domainId is provided
-          }
-          
-          // Also extract ISBNs from all URLs found on the page (links, images, etc.)
-          const urlIsbnResults = await isbnExtractor.extractIsbnFromPageUrls(url, response.data, domainId, pageId);
-          if (urlIsbnResults && urlIsbnResults.urlIsbns && urlIsbnResults.urlIsbns.length > 0) {
-            logger.info(`[CRAWLER] [ISBN] Found ${urlIsbnResults.urlIsbns.length} ISBNs in URLs on page ${url}`);
-            
-            // ISBNs from URLs are now saved directly inside the extractIsbnFromPageUrls function
-          }
-          
-          // Process podcast content
-          const podcastExtractor = (await import('./contentExtractors/podcastExtractor.js')).default;
-          // Pass the normalizedDomain to the extractor
-          const podcastResults = await podcastExtractor.extractFromUrl(url, response.data, domainId, normalizedDomain);
-          
-          if (podcastResults && podcastResults.feeds && podcastResults.feeds.length > 0) {
-            logger.info(`[CRAWLER] [PODCAST] Found ${podcastResults.feeds.length} podcast feeds on ${url}`);
-            
-            // Log feed details
-            podcastResults.feeds.forEach((feed, index) => {
-              logger.info(`[CRAWLER] [PODCAST] Feed ${index+1}: ${feed.title} - ${feed.url} (Validated: ${feed.validated ? 'Yes' : 'No'})`);
+          // Run the job's per-page extractors (images, social, schema, ISBN, podcast...) through the registry;
+          // each one saves what it finds for this page
+          const pageExtractors = extractorRegistry.getPerPageExtractorNames(crawlOptions.extractors);
+          if (pageExtractors.length > 0) {
+            await extractorRegistry.runExtractors(pageExtractors, {
+              domain: normalizedDomain,
+              domainId,
+              jobId,
+              pages: [{ ...page, pageId }],
+              perPage: true,
+              saveToDatabase: true
             });
+            logger.info(`[CRAWLER] Ran ${pageExtractors.join(', ')} on ${url}`);
           }
-          
-          if (podcastResults && podcastResults.episodes && podcastResults.episodes.length > 0) {
-            logger.info(`[CRAWLER] [PODCAST] Found ${podcastResults.episodes.length} podcast episodes on ${url}`);
-          }
-          
-          // Additional extractors can be added here
         } catch (extractionError) {
           logger.error(`[CRAWLER] ❌ Error during content extraction for ${url}: ${extractionError.message}`);
         }
@@ -767,11 +773,7 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
       }
     }
     
-    // Add a small delay to avoid overwhelming the server
-    // Use a random delay between min and max values
-    const randomDelay = crawlOptions.crawlDelay.min + 
-      Math.floor(Math.random() * (crawlOptions.crawlDelay.max - crawlOptions.crawlDelay.min));
-    await new Promise(resolve => setTimeout(resolve, randomDelay));
+    // Request spacing is handled per host by politenessService, shared with every other job
   }
   
   // Get crawl statistics if domain ID is available
@@ -784,6 +786,7 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
       logger.info(`[CRAWLER] - Max crawl count: ${stats.maxCrawlCount}`);
       logger.info(`[CRAWLER] - Average crawl count: ${typeof stats.avgCrawlCount === 'number' ? stats.avgCrawlCount.toFixed(2) : '0.00'}`);
       logger.info(`[CRAWLER] - Priority pages crawled: ${priorityPagesCount}`);
+      logger.info(`[CRAWLER] - URLs blocked by robots.txt: ${blockedUrls.length}`);
     } catch (error) {
       logger.error(`[CRAWLER] ❌ Error getting crawl statistics: ${error.message}`);
     }
@@ -819,24 +822,15 @@ export const discoverPages = async (domain, depth = 2, jobId = null, options = {
 
 /**
  * Extract content from a page
+ * @param {string} url - Page URL
+ * @param {object} options - { renderProfile } for pages that need rendering
  */
-export const extractPageContent = async (url) => {
+export const extractPageContent = async (url, options = {}) => {
   logger.info(`Extracting content from ${url}`);
   
   try {
     // Fetch the page with retry logic
-    const response = await fetchWithRetry(url);
-    
-    // Check if we have puppeteer results
-    if (response.puppeteerResult) {
-      return {
-        url,
-        title: response.puppeteerResult.title,
-        content: response.puppeteerResult.text,
-        links: response.puppeteerResult.links,
-        images: response.puppeteerResult.images
-      };
-    }
+    const response = await fetchWithRetry(url, { renderProfile: options.renderProfile });
     
     // Parse HTML
     const $ = cheerio.load(response.data);
@@ -855,25 +849,31 @@ export const extractPageContent = async (url) => {
       }
     });
     
-    // Extract main content
-    const content = $('body').text().trim();
+    // Extract main content (extractors get the HTML, the text is kept alongside it)
+    const text = $('body').text().trim();
     
     // Extract images using the enhanced image extractor
     const imageExtractor = (await import('./contentExtractors/enhancedImageExtractor.js')).default;
+    // Probing downloads every image, the job's images extractor does that once for all pages
     const imageResults = await imageExtractor.extract([{
       url,
       content: response.data,
-      title
-    }]);
+      title,
+      blockedResources: response.blockedRequests || []
+    }], null, { probe: false });
     
     logger.info(`[CONTENT] Extracted ${imageResults.all.length} images from ${url}`);
     
     return {
       url,
       title,
-      content,
+      content: response.data,
+      text,
+      // Set when the page was rendered, response.data is then the DOM after JavaScript ran
+      renderedContent: response.source === 'puppeteer' ? response.data : null,
       links,
-      images: imageResults.all // Use the enhanced image results
+      images: imageResults.all, // Use the enhanced image results
+      blockedResources: response.blockedRequests || []
     };
   } catch (error) {
     logger.error(`Error extracting content from ${url}: ${error.message}`);
@@ -883,6 +883,8 @@ export const extractPageContent = async (url) => {
       url,
       title: url.split('/').pop() || 'Unknown',
       content: '',
+      text: '',
+      renderedContent: null,
       links: [],
       images: []
     };
@@ -897,247 +899,21 @@ async function processSiteData(domainId, jobId, pages, options = {}) {
     const domainName = pages[0]?.url ? new URL(pages[0].url).hostname : '';
     logger.info(`[DISCOVERY] Domain name: ${domainName}`);
     
-    // Save pages to database
-    await savePagesToDatabase(domainId, pages);
-    
-    // Run all extraction tasks in parallel for efficiency
-    const [images, videos, socialMedia, rss, blog, content, schemaMarkup] = await Promise.allSettled([
-      // Extract images with enhanced extractor
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting images`);
-          const imageExtractor = (await import('./contentExtractors/enhancedImageExtractor.js')).default;
-          const imageResults = await imageExtractor.extract(pages);
-          logger.info(`[DISCOVERY] Found ${imageResults.all.length} unique images`);
-          return imageResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] Image extraction failed: ${error.message}`);
-          return { all: [], byCategory: {} };
-        }
-      })(),
-      
-      // Extract videos
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting videos`);
-          const videoExtractor = (await import('./contentExtractors/videoExtractor.js')).default;
-          const videoResults = await videoExtractor.extract(pages);
-          logger.info(`[DISCOVERY] Found ${videoResults.all.length} videos`);
-          return videoResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] Video extraction failed: ${error.message}`);
-          return { all: [], byCategory: {} };
-        }
-      })(),
-      
-      // Extract social media links with improved extractor
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting social media profiles`);
-          const socialMediaExtractor = (await import('./contentExtractors/socialMediaExtractor.js')).default;
-          
-          // Use both HTML and raw_html for better extraction
-          // Try each page, as social links might be in footers on different pages
-          let allSocialLinks = [];
-          
-          for (const page of pages) {
-            if (!page.content) continue;
-            
-            // Check if this is a likely page to have social links (homepage, about, contact)
-            const isLikelySocialPage = 
-              page.url.endsWith(domainName) || 
-              page.url.endsWith(domainName + '/') ||
-              page.url.includes('/about') || 
-              page.url.includes('/contact') ||
-              page.url.includes('/connect') ||
-              page.url.includes('/follow');
-            
-            // Prioritize these pages for deeper scanning
-            if (isLikelySocialPage) {
-              logger.info(`[DISCOVERY] Scanning likely social media page: ${page.url}`);
-              const socialResults = await socialMediaExtractor.extractSocialMedia(page.url, page.content, domainId, page.content);
-              if (socialResults.links && socialResults.links.length > 0) {
-                allSocialLinks.push(...socialResults.links);
-                logger.info(`[DISCOVERY] Found ${socialResults.links.length} social links on ${page.url}`);
-              }
-            } else {
-              // Quick scan for other pages
-              const socialResults = await socialMediaExtractor.extractSocialMedia(page.url, page.content, domainId);
-              if (socialResults.links && socialResults.links.length > 0) {
-                allSocialLinks.push(...socialResults.links);
-              }
-            }
-          }
-          
-          // Deduplicate by URL
-          const seen = new Set();
-          allSocialLinks = allSocialLinks.filter(link => {
-            if (seen.has(link.url)) return false;
-            seen.add(link.url);
-            return true;
-          });
-          
-          logger.info(`[DISCOVERY] Found ${allSocialLinks.length} unique social media profiles`);
-          return { links: allSocialLinks };
-        } catch (error) {
-          logger.error(`[DISCOVERY] Social media extraction failed: ${error.message}`);
-          return { links: [] };
-        }
-      })(),
-      
-      // Extract RSS feeds with improved extractor
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting RSS feeds`);
-          const rssExtractor = (await import('./contentExtractors/rssExtractor.js')).default;
-          const rssResults = await rssExtractor.extract(domainName, pages, domainId);
-          logger.info(`[DISCOVERY] Found ${rssResults.feeds.length} RSS feeds with ${rssResults.recentItems.length} items`);
-          return rssResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] RSS extraction failed: ${error.message}`);
-          return { feeds: [], recentItems: [] };
-        }
-      })(),
-      
-      // Extract blog info with enhanced blog extractor
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting blog content with enhanced detection`);
-          const blogExtractor = (await import('./contentExtractors/blogExtractor.js')).default;
-          const blogResults = await blogExtractor.extract(pages);
-          
-          if (blogResults.hasBlog) {
-            logger.info(`[DISCOVERY] Found blog at ${blogResults.blogUrl} with ${blogResults.articles.length} articles`);
-            // Save blog information to database
-            if (domainId) {
-              await blogExtractor.saveBlogInfo(domainId, blogResults);
-              logger.info(`[DISCOVERY] Saved blog information to database`);
-            }
-          } else {
-            logger.info(`[DISCOVERY] No blog found on website`);
-          }
-          
-          // Log RSS feeds found during blog detection if any
-          if (blogResults.rssFeeds && blogResults.rssFeeds.length > 0) {
-            logger.info(`[DISCOVERY] Blog extractor found ${blogResults.rssFeeds.length} potential RSS feeds`);
-          }
-          
-          return blogResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] Blog extraction failed: ${error.message}`);
-          return { hasBlog: false, blogUrl: null, articles: [] };
-        }
-      })(),
-      
-      // Extract text content
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting text content`);
-          const contentExtractor = (await import('./contentExtractors/contentExtractor.js')).default;
-          const contentResults = await contentExtractor.extract(pages, domainId);
-          logger.info(`[DISCOVERY] Extracted text content for ${contentResults.length} pages`);
-          return contentResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] Content extraction failed: ${error.message}`);
-          return [];
-        }
-      })(),
-      
-      // Extract schema.org structured data
-      (async () => {
-        try {
-          logger.info(`[DISCOVERY] Extracting schema.org structured data`);
-          const schemaExtractor = (await import('./contentExtractors/schemaMarkupExtractor.js')).default;
-          const schemaResults = await schemaExtractor.extract(pages);
-          
-          // Process extracted schema data for database storage
-          if (domainId && schemaResults.markup && schemaResults.markup.length > 0) {
-            logger.info(`[DISCOVERY] Found ${schemaResults.markup.length} schema.org items`);
-            
-            // Count schema types for logging
-            const schemaTypes = {};
-            schemaResults.markup.forEach(item => {
-              schemaTypes[item.schema_type] = (schemaTypes[item.schema_type] || 0) + 1;
-            });
-            
-            // Log the most common schema types
-            const topSchemaTypes = Object.entries(schemaTypes)
-              .sort((a, b) => b[1] - a[1])
-              .slice(0, 5)
-              .map(([type, count]) => `${type} (${count})`)
-              .join(', ');
-            
-            logger.info(`[DISCOVERY] Top schema.org types: ${topSchemaTypes}`);
-            
-            // Store schema data for each page
-            for (const page of pages) {
-              if (!page.pageId) continue;
-              
-              const pageSchemaItems = schemaResults.markup.filter(item => item.url === page.url);
-              if (pageSchemaItems.length > 0) {
-                try {
-                  await schemaExtractor.processPage({
-                    url: page.url,
-                    content: page.content,
-                    domainId: domainId,
-                    pageId: page.pageId
-                  });
-                  logger.info(`[DISCOVERY] Saved ${pageSchemaItems.length} schema items for ${page.url}`);
-                } catch (error) {
-                  logger.error(`[DISCOVERY] Error saving schema data for ${page.url}: ${error.message}`);
-                }
-              }
-            }
-          } else {
-            logger.info(`[DISCOVERY] No schema.org markup found`);
-          }
-          
-          return schemaResults;
-        } catch (error) {
-          logger.error(`[DISCOVERY] Schema.org extraction failed: ${error.message}`);
-          return { markup: [] };
-        }
-      })()
-    ]);
-    
-    // Process extraction results
-    const processedData = {
+    // Run the selected extractors through the same registry as scrape jobs; each one saves its own data
+    const extracted = await extractorRegistry.runExtractors(options.extractors, {
+      domain: domainName,
       domainId,
       jobId,
-      images: images.status === 'fulfilled' ? images.value : { all: [], byCategory: {} },
-      videos: videos.status === 'fulfilled' ? videos.value : { all: [], byCategory: {} },
-      socialMedia: socialMedia.status === 'fulfilled' ? socialMedia.value : { links: [] },
-      rss: rss.status === 'fulfilled' ? rss.value : { feeds: [], recentItems: [] },
-      blog: blog.status === 'fulfilled' ? blog.value : { hasBlog: false, blogUrl: null, articles: [] },
-      content: content.status === 'fulfilled' ? content.value : [],
-      schemaMarkup: schemaMarkup.status === 'fulfilled' ? schemaMarkup.value : { markup: [] }
-    };
-    
-    // Save extraction results to database
-    await saveSiteDataToDatabase(processedData);
-    
-    // Additional extraction for all discovered URLs (not just crawled pages)
-    try {
-      logger.info(`[DISCOVERY] Extracting additional data from all discovered URLs`);
-      
-      // Extract ISBNs from all discovered URLs
-      const isbnExtractor = await import('./contentExtractors/isbnExtractor.js');
-      const urlIsbnResults = await isbnExtractor.extractFromDiscoveredUrls(domainId, jobId);
-      logger.info(`[DISCOVERY] Found ${urlIsbnResults.length} additional ISBNs from all discovered URLs`);
-      
-      // Add these to the processedData (for reporting purposes)
-      if (urlIsbnResults.length > 0) {
-        if (!processedData.additionalData) {
-          processedData.additionalData = {};
-        }
-        processedData.additionalData.urlIsbns = urlIsbnResults;
-      }
-    } catch (additionalError) {
-      logger.error(`[DISCOVERY] Error during additional data extraction: ${additionalError.message}`);
-    }
+      pages,
+      saveToDatabase: !!domainId
+    });
     
     logger.info(`[DISCOVERY] Processed site data for domain ID ${domainId}`);
-    return processedData;
+    return {
+      domainId,
+      jobId,
+      ...extracted
+    };
   } catch (error) {
     logger.error(`[DISCOVERY] Error processing site data: ${error.message}`);
     logger.error(error.stack);
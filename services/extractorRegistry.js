@@ -0,0 +1,468 @@
+import logger from '../utils/logger.js';
+import * as generalExtractor from './contentExtractors/generalExtractor.js';
+import * as blogExtractor from './contentExtractors/blogExtractor.js';
+import * as enhancedImageExtractor from './contentExtractors/enhancedImageExtractor.js';
+import * as colorExtractor from './contentExtractors/colorExtractor.js';
+import * as typographyExtractor from './contentExtractors/typographyExtractor.js';
+import * as logoExtractor from './contentExtractors/logoExtractor.js';
+import * as bookMetadataService from './bookMetadataService.js';
+import * as bookCatalogueExtractor from './contentExtractors/bookCatalogueExtractor.js';
+import * as socialMediaExtractor from './contentExtractors/socialMediaExtractor.js';
+import * as videoExtractor from './contentExtractors/videoExtractor.js';
+import * as isbnExtractor from './contentExtractors/isbnExtractor.js';
+import * as appExtractor from './contentExtractors/appExtractor.js';
+import * as rssExtractor from './contentExtractors/rssExtractor.js';
+import podcastExtractor from './contentExtractors/podcastExtractor.js';
+import schemaMarkupExtractor from './contentExtractors/schemaMarkupExtractor.js';
+
+/**
+ * Extractor registry
+ *
+ * Every content extractor is registered here behind one contract so that the job pipeline
+ * (scrapeManager) and the discovery pipeline run the same code for the same params.extractors.
+ *
+ * A definition looks like:
+ * {
+ *   name: 'blog',                 // what callers put in params.extractors
+ *   description: '...',
+ *   resultKey: 'blog',            // key the result is stored under in the job results
+ *   dependencies: [],             // extractors that must run first (their results are in context.results)
+ *   inputs: ['html'],             // what the extractor reads, see EXTRACTOR_INPUTS
+ *   defaultEnabled: true,         // run when a job doesn't choose its extractors
+ *   perPage: false,               // also run on each page as the crawl fetches it (context.perPage is then true)
+ *   emptyResult: () => ({}),      // result used when the extractor is skipped or fails
+ *   extract: async (context) => result,
+ *   save: async (context, result) => {}   // optional persistence hook, only called with a domainId
+ * }
+ *
+ * context is { domain, domainId, jobId, pages: [{ url, title, content, text?, renderedContent?, blockedResources? }], results, saveToDatabase }
+ * content is the fetched HTML, text its body text, renderedContent the HTML after JavaScript rendering (rendered pages only)
+ * blockedResources lists requests a render's interception profile blocked: [{ url, resourceType, reason }]
+ */
+
+// Inputs an extractor can declare, and how to tell whether the run can provide them
+export const EXTRACTOR_INPUTS = {
+  html: {
+    description: 'HTML of the crawled pages',
+    isAvailable: (context) => context.pages.some(page => page.content)
+  },
+  renderedDom: {
+    description: 'HTML of the crawled pages after JavaScript rendering',
+    isAvailable: (context) => context.pages.some(page => page.renderedContent)
+  },
+  feeds: {
+    description: 'RSS/Atom feeds discovered by the rss extractor',
+    isAvailable: (context) => (context.results.rss?.feeds || []).length > 0
+  }
+};
+
+const extractors = new Map();
+
+/**
+ * Register an extractor
+ * @param {object} definition - Extractor definition (see above)
+ */
+export const registerExtractor = (definition) => {
+  if (!definition?.name || typeof definition.extract !== 'function') {
+    throw new Error('Extractor definitions need a name and an extract function');
+  }
+
+  for (const input of definition.inputs || []) {
+    if (!EXTRACTOR_INPUTS[input]) {
+      throw new Error(`Extractor ${definition.name} declares unknown input "${input}"`);
+    }
+  }
+
+  extractors.set(definition.name, {
+    resultKey: definition.name,
+    description: '',
+    dependencies: [],
+    inputs: ['html'],
+    defaultEnabled: false,
+    perPage: false,
+    emptyResult: () => null,
+    ...definition
+  });
+};
+
+/**
+ * Get a registered extractor by name
+ */
+export const getExtractor = (name) => extractors.get(name) || null;
+
+/**
+ * Describe the registered extractors (for the API)
+ */
+export const listExtractors = () => {
+  return [...extractors.values()].map(extractor => ({
+    name: extractor.name,
+    description: extractor.description,
+    resultKey: extractor.resultKey,
+    dependencies: extractor.dependencies,
+    inputs: extractor.inputs,
+    defaultEnabled: extractor.defaultEnabled,
+    perPage: extractor.perPage,
+    persists: typeof extractor.save === 'function'
+  }));
+};
+
+/**
+ * Names of the extractors that run when a job doesn't choose
+ */
+export const getDefaultExtractorNames = () => {
+  return [...extractors.values()].filter(extractor => extractor.defaultEnabled).map(extractor => extractor.name);
+};
+
+/**
+ * Names of the extractors in a selection (the default set if empty), with their dependencies, that run on each crawled page
+ */
+export const getPerPageExtractorNames = (names) => {
+  const selected = Array.isArray(names) && names.length > 0 ? names : getDefaultExtractorNames();
+  return resolveExtractors(selected.filter(name => extractors.has(name)))
+    .filter(extractor => extractor.perPage)
+    .map(extractor => extractor.name);
+};
+
+/**
+ * Names in a list that aren't registered extractors
+ */
+export const findUnknownExtractors = (names = []) => {
+  return names.filter(name => !extractors.has(name));
+};
+
+/**
+ * Expand a selection with its dependencies and order it so dependencies run first
+ * @param {Array<string>} names - Selected extractor names
+ * @returns {Array<object>} - Extractor definitions in run order
+ */
+export const resolveExtractors = (names) => {
+  const ordered = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (name, requiredBy) => {
+    if (visited.has(name)) return;
+
+    const extractor = extractors.get(name);
+    if (!extractor) {
+      throw new Error(requiredBy
+        ? `Extractor ${requiredBy} depends on unknown extractor "${name}"`
+        : `Unknown extractor "${name}"`);
+    }
+
+    if (visiting.has(name)) {
+      throw new Error(`Extractor dependency cycle at "${name}"`);
+    }
+
+    visiting.add(name);
+    for (const dependency of extractor.dependencies) {
+      visit(dependency, name);
+    }
+    visiting.delete(name);
+
+    visited.add(name);
+    ordered.push(extractor);
+  };
+
+  for (const name of names) {
+    visit(name, null);
+  }
+
+  return ordered;
+};
+
+/**
+ * Run a selection of extractors over a set of pages
+ * Extractors run one at a time in dependency order. A failing extractor is logged and
+ * contributes its empty result; it never stops the others.
+ * @param {Array<string>} names - Extractor names, defaults to the default set
+ * @param {object} context - Run context (domain, domainId, jobId, pages, saveToDatabase)
+ * @returns {Promise<object>} - Results keyed by each extractor's resultKey
+ */
+export const runExtractors = async (names, context) => {
+  const selected = Array.isArray(names) && names.length > 0 ? names : getDefaultExtractorNames();
+
+  const unknown = findUnknownExtractors(selected);
+  if (unknown.length > 0) {
+    logger.warn(`[EXTRACTORS] Ignoring unknown extractors: ${unknown.join(', ')}`);
+  }
+
+  const runContext = {
+    saveToDatabase: true,
+    ...context,
+    pages: context.pages || [],
+    results: {}
+  };
+
+  const plan = resolveExtractors(selected.filter(name => extractors.has(name)));
+  logger.info(`[EXTRACTORS] Running ${plan.map(extractor => extractor.name).join(', ')} for ${runContext.domain}`);
+
+  for (const extractor of plan) {
+    const missingInputs = extractor.inputs.filter(input => !EXTRACTOR_INPUTS[input].isAvailable(runContext));
+    if (missingInputs.length > 0) {
+      logger.info(`[EXTRACTORS] ⏭️ Skipping ${extractor.name}: no ${missingInputs.join(', ')} available`);
+      runContext.results[extractor.resultKey] = extractor.emptyResult();
+      continue;
+    }
+
+    let result;
+    try {
+      result = await extractor.extract(runContext);
+    } catch (error) {
+      logger.error(`[EXTRACTORS] ❌ Extractor ${extractor.name} failed: ${error.message}`);
+      runContext.results[extractor.resultKey] = extractor.emptyResult();
+      continue;
+    }
+
+    runContext.results[extractor.resultKey] = result;
+
+    if (extractor.save && runContext.saveToDatabase && runContext.domainId) {
+      try {
+        await extractor.save(runContext, result);
+      } catch (error) {
+        logger.error(`[EXTRACTORS] ❌ Error saving ${extractor.name} results: ${error.message}`);
+      }
+    }
+  }
+
+  return runContext.results;
+};
+
+/**
+ * Domain ID to hand to extractors that save as they go, or null when saving is off
+ */
+const savingDomainId = (context) => (context.saveToDatabase ? context.domainId || null : null);
+
+// === Built-in extractors ===
+
+registerExtractor({
+  name: 'general',
+  description: 'Site structure, navigation, prominent links and contact details',
+  defaultEnabled: true,
+  emptyResult: () => ({ siteStructure: {}, navigationStructure: {}, prominentLinks: [], contactInfo: {} }),
+  extract: (context) => generalExtractor.extract(context.pages)
+});
+
+registerExtractor({
+  name: 'images',
+  description: 'Categorized images (hero, brand, product, content...), size variants merged; saved to domain_images after the crawl',
+  defaultEnabled: true,
+  perPage: true,
+  emptyResult: () => ({ all: [], byCategory: {} }),
+  extract: async (context) => {
+    // Images are probed (downloaded) and saved once, in the run over all pages, not for each page during the crawl:
+    // size variants are only merged there, saving per page would store every variant as its own image
+    const images = context.perPage
+      ? await enhancedImageExtractor.extract(context.pages, null, { probe: false })
+      : await enhancedImageExtractor.extract(context.pages, savingDomainId(context));
+    logger.info(`[EXTRACTORS] ✅ Found ${images.all.length} images in ${Object.keys(images.byCategory).length} categories`);
+    return images;
+  }
+});
+
+registerExtractor({
+  name: 'social',
+  description: 'Social media profile links; saved to domain_opengraph as found',
+  resultKey: 'socialMedia',
+  defaultEnabled: true,
+  perPage: true,
+  emptyResult: () => ({ links: [] }),
+  extract: async (context) => {
+    const domainId = savingDomainId(context);
+    const links = [];
+    const seenUrls = new Set();
+
+    for (const page of context.pages) {
+      if (!page.content) continue;
+
+      const pageResults = await socialMediaExtractor.extractSocialMedia(page.url, page.content, domainId, page.content);
+      for (const link of pageResults.links || []) {
+        if (!seenUrls.has(link.url)) {
+          seenUrls.add(link.url);
+          links.push(link);
+        }
+      }
+    }
+
+    logger.info(`[EXTRACTORS] ✅ Found ${links.length} social media links`);
+    return { links };
+  }
+});
+
+registerExtractor({
+  name: 'blog',
+  description: 'Blog location, metadata and the full article archive (pagination, load more, WordPress REST), with the full text of crawled article pages',
+  defaultEnabled: true,
+  emptyResult: () => ({ hasBlog: false, blogUrl: null, articles: [] }),
+  extract: async (context) => {
+    const blog = await blogExtractor.extract(context.pages);
+    if (blog.hasBlog) {
+      logger.info(`[EXTRACTORS] ✅ Found blog at ${blog.blogUrl} with ${blog.articles.length} articles`);
+    }
+    return blog;
+  },
+  save: async (context, blog) => {
+    if (blog.hasBlog) {
+      await blogExtractor.saveBlogInfo(context.domainId, blog);
+      await blogExtractor.saveArticles(context.domainId, blog.articles);
+      // Full text lives in domain_blog_articles from here on, keep it out of the job results and domain_info.data
+      blog.articles = blog.articles.map(({ content, ...article }) => article);
+    }
+  }
+});
+
+registerExtractor({
+  name: 'videos',
+  description: 'Embedded and linked videos',
+  defaultEnabled: true,
+  emptyResult: () => [],
+  extract: (context) => videoExtractor.extract(context.pages),
+  save: (context, videos) => videoExtractor.saveVideos(context.domainId, videos)
+});
+
+registerExtractor({
+  name: 'isbn',
+  description: 'ISBNs and book cover images, and ISBNs in the URLs pages link to; saved to domain_isbn_data as found',
+  defaultEnabled: true,
+  perPage: true,
+  emptyResult: () => ({ isbns: [], isbnImages: [], urlIsbns: [] }),
+  extract: async (context) => {
+    const domainId = savingDomainId(context);
+    const isbnData = await isbnExtractor.extract(context.pages, domainId);
+
+    // ISBNs in link and image URLs are stored per page, so only pages saved to domain_pages are scanned
+    const urlIsbns = [];
+    for (const page of context.pages) {
+      if (!page.pageId || !page.content) continue;
+      const pageResults = await isbnExtractor.extractIsbnFromPageUrls(page.url, page.content, domainId, page.pageId);
+      urlIsbns.push(...(pageResults.urlIsbns || []));
+    }
+
+    logger.info(`[EXTRACTORS] ✅ Found ${isbnData.isbns.length} ISBNs${urlIsbns.length > 0 ? `, ${urlIsbns.length} in page URLs` : ''}`);
+    return { ...isbnData, urlIsbns };
+  }
+});
+
+registerExtractor({
+  name: 'books',
+  description: 'Title, contributors, publisher, date, format and cover for the ISBNs found, from the local catalogue, Open Library and Google Books; saved to domain_isbn_data',
+  resultKey: 'bookMetadata',
+  dependencies: ['isbn'],
+  emptyResult: () => ({ books: [], notFound: [] }),
+  extract: (context) => bookMetadataService.enrichIsbnResults(context.results.isbn),
+  save: (context, bookMetadata) => bookMetadataService.saveBookMetadata(context.domainId, bookMetadata.books)
+});
+
+registerExtractor({
+  name: 'catalogue',
+  description: 'Book catalogue (works, editions per format with ISBN, price and availability) from JSON-LD Book/Product markup, Google Merchant feeds and ONIX files; saved to domain_books and domain_book_editions',
+  resultKey: 'bookCatalogue',
+  dependencies: ['schema', 'isbn'],
+  emptyResult: () => ({ books: [], feeds: [] }),
+  extract: (context) => bookCatalogueExtractor.extract(context.pages, {
+    schemaMarkup: context.results.schemaMarkup,
+    isbn: context.results.isbn
+  }),
+  save: (context, catalogue) => bookCatalogueExtractor.saveCatalogue(context.domainId, catalogue)
+});
+
+registerExtractor({
+  name: 'colors',
+  description: 'Ranked brand palette with contrast ratios, from the rendered homepage\'s computed styles and its logo and hero images',
+  dependencies: ['images'],
+  emptyResult: () => ({ primaryColor: null, secondaryColors: [], palette: [] }),
+  extract: (context) => colorExtractor.extract(context.pages, { images: context.results.images }),
+  save: (context, colors) => colorExtractor.saveColors(context.domainId, colors)
+});
+
+registerExtractor({
+  name: 'typography',
+  description: 'Typefaces, weights, type scale and border radii, as W3C design tokens; saved to domain_design_tokens',
+  dependencies: ['colors'],
+  emptyResult: () => ({ typefaces: [], headingFont: null, bodyFont: null, scale: {}, borderRadius: {}, tokens: {} }),
+  extract: (context) => typographyExtractor.extract(context.pages, { colors: context.results.colors }),
+  save: (context, typography) => typographyExtractor.saveTypography(context.domainId, typography)
+});
+
+registerExtractor({
+  name: 'logo',
+  description: 'Best SVG and raster logo from schema.org, inline SVG, icons, the web manifest and Brandfetch; stored and saved to domain_logos',
+  dependencies: ['images'],
+  emptyResult: () => ({ svg: null, raster: null, candidates: [] }),
+  extract: (context) => logoExtractor.extract(context.pages, { domain: context.domain, images: context.results.images }),
+  save: (context, logo) => logoExtractor.saveLogo(context.domainId, logo)
+});
+
+registerExtractor({
+  name: 'apps',
+  description: 'Mobile app store links',
+  emptyResult: () => ({ hasApps: false, apps: [] }),
+  extract: (context) => appExtractor.extract(context.pages),
+  save: (context, appData) => appExtractor.saveAppLinks(context.domainId, appData)
+});
+
+registerExtractor({
+  name: 'rss',
+  description: 'RSS/Atom feeds and their recent items; saved to domain_rss_feeds as found',
+  emptyResult: () => ({ feeds: [], recentItems: [] }),
+  extract: (context) => rssExtractor.extract(context.domain, context.pages, savingDomainId(context))
+});
+
+registerExtractor({
+  name: 'podcast',
+  description: 'Podcast feeds and episodes, with iTunes and Podcasting 2.0 fields and the platforms each show is listed on; saved to domain_podcast_feeds and domain_podcast_episodes',
+  defaultEnabled: true,
+  perPage: true,
+  emptyResult: () => ({ feeds: [], episodes: [] }),
+  extract: async (context) => {
+    // During the crawl each page is also checked for a direct feed and looked up in the Eden API; it saves as it goes
+    if (context.perPage) {
+      const [page] = context.pages;
+      return podcastExtractor.extractFromUrl(page.url, page.content, savingDomainId(context), context.domain, { jobId: context.jobId });
+    }
+    return podcastExtractor.extract(context.pages, { jobId: context.jobId });
+  },
+  save: async (context, podcasts) => {
+    if (!context.perPage) {
+      await podcastExtractor.saveFeeds(context.domainId, podcasts.feeds);
+    }
+  }
+});
+
+registerExtractor({
+  name: 'schema',
+  description: 'schema.org structured data (JSON-LD, microdata)',
+  resultKey: 'schemaMarkup',
+  defaultEnabled: true,
+  perPage: true,
+  emptyResult: () => ({ markup: [] }),
+  extract: (context) => schemaMarkupExtractor.extract(context.pages),
+  save: async (context, schemaResults) => {
+    // Markup is stored per page, so only pages saved to domain_pages can be linked
+    for (const page of context.pages) {
+      if (!page.pageId) continue;
+
+      const hasMarkup = (schemaResults.markup || []).some(item => item.url === page.url);
+      if (hasMarkup) {
+        await schemaMarkupExtractor.processPage({
+          url: page.url,
+          content: page.content,
+          domainId: context.domainId,
+          pageId: page.pageId
+        });
+      }
+    }
+  }
+});
+
+export default {
+  EXTRACTOR_INPUTS,
+  registerExtractor,
+  getExtractor,
+  listExtractors,
+  getDefaultExtractorNames,
+  getPerPageExtractorNames,
+  findUnknownExtractors,
+  resolveExtractors,
+  runExtractors
+};
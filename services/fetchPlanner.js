@@ -0,0 +1,294 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import * as fetchStrategyRepository from '../database/repositories/fetchStrategyRepository.js';
+
+/**
+ * Fetch planner
+ *
+ * Pages are fetched statically (axios) first. A headless render (Puppeteer) is only used when the
+ * static response looks like a JavaScript shell, a Cloudflare-style challenge or an empty body.
+ * Once a domain has needed rendering a few times it goes render-first, and is retried statically
+ * after STRATEGY_TTL in case the site has changed.
+ */
+
+// Escalations before a domain is switched to render-first
+const RENDER_AFTER_ESCALATIONS = 2;
+// How long a render-first decision stands before static fetching is tried again
+const STRATEGY_TTL = 7 * 24 * 60 * 60 * 1000;
+// Below this much visible text a page is treated as empty or a shell
+const MIN_BODY_TEXT = 200;
+
+const STATIC_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+const CHALLENGE_MARKERS = [
+  'Checking your browser before accessing',
+  'cf-browser-verification',
+  'challenge-platform',
+  'cf_chl_opt',
+  'Just a moment...',
+  'Enable JavaScript and cookies to continue',
+  'DDoS protection by'
+];
+
+// Mount points used by client-rendered apps (React, Vue, Next, Nuxt, Angular, Gatsby)
+const APP_ROOT_SELECTORS = '#root, #app, #__next, #__nuxt, #___gatsby, [data-reactroot], app-root';
+
+// Per-domain strategies, backed by domain_fetch_strategy
+const strategies = new Map();
+
+/**
+ * Strategies are per site, so www. and the bare domain share one
+ */
+const getDomainKey = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decide whether a static response needs a headless render
+ * @param {string} html - Response body
+ * @param {object} response - { status, headers }
+ * @returns {string|null} - Reason to render ('cloudflare-challenge', 'js-shell', 'empty-body'), or null
+ *   (always null for 4xx/5xx responses that aren't a Cloudflare challenge)
+ */
+export const detectRenderNeed = (html, { status = 200, headers = {} } = {}) => {
+  const body = typeof html === 'string' ? html : '';
+
+  if (CHALLENGE_MARKERS.some(marker => body.includes(marker))) {
+    return 'cloudflare-challenge';
+  }
+
+  const isCloudflare = (headers['server'] || '').toLowerCase().includes('cloudflare') || !!headers['cf-ray'];
+  if (isCloudflare && (status === 403 || status === 503)) {
+    return 'cloudflare-challenge';
+  }
+
+  // Error pages are errors, rendering them wouldn't find the content
+  if (status >= 400) {
+    return null;
+  }
+
+  if (body.trim().length === 0) {
+    return 'empty-body';
+  }
+
+  const $ = cheerio.load(body);
+  const scriptCount = $('script').length;
+  const noscriptText = $('noscript').text();
+  const hasAppRoot = $(APP_ROOT_SELECTORS).length > 0;
+
+  $('script, style, noscript, template').remove();
+  const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+  const linkCount = $('a[href]').length;
+
+  if (bodyText.length < MIN_BODY_TEXT && linkCount < 3) {
+    if (hasAppRoot || scriptCount > 0) {
+      return 'js-shell';
+    }
+    return 'empty-body';
+  }
+
+  if (/enable javascript/i.test(noscriptText) && hasAppRoot && bodyText.length < MIN_BODY_TEXT * 2) {
+    return 'js-shell';
+  }
+
+  return null;
+};
+
+/**
+ * Get the current strategy for a domain
+ */
+const getDomainStrategy = async (domain) => {
+  let state = strategies.get(domain);
+
+  if (!state) {
+    const stored = global.dbConnected ? await fetchStrategyRepository.getStrategy(domain) : null;
+    state = stored || {
+      domain,
+      strategy: 'unknown',
+      reason: null,
+      staticSuccesses: 0,
+      renderEscalations: 0,
+      decidedAt: null
+    };
+    strategies.set(domain, state);
+  }
+
+  // Give render-first domains another static chance once the decision is old
+  if (state.strategy === 'render' && state.decidedAt && Date.now() - new Date(state.decidedAt).getTime() > STRATEGY_TTL) {
+    logger.info(`[FETCH] Render-first decision for ${domain} has expired, trying static fetches again`);
+    state.strategy = 'unknown';
+    state.renderEscalations = 0;
+  }
+
+  return state;
+};
+
+/**
+ * Persist a strategy change
+ */
+const saveDomainStrategy = async (state) => {
+  if (global.dbConnected) {
+    await fetchStrategyRepository.saveStrategy(state.domain, state);
+  }
+};
+
+/**
+ * Record that a static fetch was good enough
+ */
+const recordStaticSuccess = async (state) => {
+  state.staticSuccesses += 1;
+
+  if (state.strategy !== 'static') {
+    state.strategy = 'static';
+    state.reason = null;
+    state.decidedAt = new Date();
+    logger.info(`[FETCH] ${state.domain} serves usable HTML, using static fetches`);
+    await saveDomainStrategy(state);
+  }
+};
+
+/**
+ * Record that a static fetch had to be escalated to a render
+ */
+const recordEscalation = async (state, reason) => {
+  state.renderEscalations += 1;
+  state.reason = reason;
+
+  if (state.strategy !== 'render' && state.renderEscalations >= RENDER_AFTER_ESCALATIONS) {
+    state.strategy = 'render';
+    state.decidedAt = new Date();
+    logger.info(`[FETCH] ${state.domain} needed rendering ${state.renderEscalations} times (${reason}), switching to render-first`);
+  }
+
+  await saveDomainStrategy(state);
+};
+
+/**
+ * Render a page with Puppeteer
+ */
+const fetchRendered = async (url, renderProfile) => {
+  const puppeteerService = await import('./puppeteerService.js');
+  const { content, metadata, statusCode, headers, blockedRequests } = await politenessService.schedule(url, () =>
+    puppeteerService.getPageContent(url, { timeout: 30000, profile: renderProfile })
+  );
+
+  return {
+    data: content,
+    metadata: metadata || {},
+    statusCode,
+    headers: headers || {},
+    blockedRequests: blockedRequests || [],
+    source: 'puppeteer'
+  };
+};
+
+/**
+ * Fetch a page statically with axios
+ * Non-2xx responses are returned rather than thrown so challenge pages can be recognised
+ */
+const fetchStatic = async (url, options = {}) => {
+  const response = await politenessService.schedule(url, () => axios.get(url, {
+    timeout: 20000,
+    ...options,
+    headers: { ...STATIC_HEADERS, ...options.headers },
+    responseType: 'text',
+    validateStatus: () => true
+  }));
+
+  return {
+    data: typeof response.data === 'string' ? response.data : String(response.data ?? ''),
+    headers: response.headers,
+    statusCode: response.status,
+    source: 'axios'
+  };
+};
+
+/**
+ * Build the error thrown for an unusable response, shaped like an axios error
+ */
+const httpError = (url, result) => {
+  const error = new Error(`Request failed with status code ${result.statusCode}`);
+  error.response = { status: result.statusCode, headers: result.headers };
+  return error;
+};
+
+/**
+ * Fetch a page, rendering it only when needed
+ * @param {string} url - Page URL
+ * @param {object} options - Extra axios options for the static fetch, plus renderProfile (interception profile for renders)
+ * @returns {Promise<object>} - { data, headers, statusCode, metadata?, blockedRequests?, source: 'axios'|'puppeteer', renderReason? }
+ */
+export const fetchPage = async (url, { renderProfile, ...options } = {}) => {
+  const domain = getDomainKey(url);
+  const state = domain ? await getDomainStrategy(domain) : null;
+
+  if (state?.strategy === 'render') {
+    try {
+      const rendered = await fetchRendered(url, renderProfile);
+      logger.info(`[FETCH] Rendered ${url} (render-first domain)`);
+      return { ...rendered, renderReason: state.reason };
+    } catch (error) {
+      logger.warn(`[FETCH] Render of ${url} failed, trying a static fetch: ${error.message}`);
+    }
+  }
+
+  const staticResult = await fetchStatic(url, options);
+  const renderReason = detectRenderNeed(staticResult.data, {
+    status: staticResult.statusCode,
+    headers: staticResult.headers
+  });
+
+  if (!renderReason) {
+    if (staticResult.statusCode >= 400) {
+      throw httpError(url, staticResult);
+    }
+
+    if (state && state.strategy !== 'render') {
+      await recordStaticSuccess(state);
+    }
+
+    return staticResult;
+  }
+
+  logger.info(`[FETCH] Static fetch of ${url} looks like ${renderReason}, rendering with Puppeteer`);
+  if (state) {
+    await recordEscalation(state, renderReason);
+  }
+
+  try {
+    const rendered = await fetchRendered(url, renderProfile);
+    return { ...rendered, renderReason };
+  } catch (error) {
+    logger.warn(`[FETCH] Render of ${url} failed: ${error.message}`);
+
+    // A thin static page is still better than nothing
+    if (staticResult.statusCode < 400 && staticResult.data) {
+      return staticResult;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Current in-memory strategies, for diagnostics
+ */
+export const getStrategies = () => {
+  return [...strategies.values()].map(state => ({ ...state }));
+};
+
+export default {
+  detectRenderNeed,
+  fetchPage,
+  getStrategies
+};
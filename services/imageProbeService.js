@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import { readImageSize, decodeImage, isDecodableSize } from '../utils/imageDecoder.js';
+import { perceptualHash, hammingDistance } from '../utils/imageHash.js';
+import { readCapped } from '../utils/streamUtils.js';
+
+/**
+ * Image probing
+ *
+ * Downloads images found by the images extractor (up to a byte cap) to record their real
+ * dimensions, format and size, and a perceptual hash. collapseVariants() then merges CDN
+ * variants, srcset sizes and resized copies of the same picture into one image.
+ */
+
+const IMAGE_PROBE_MAX_BYTES = process.env.IMAGE_PROBE_MAX_BYTES ? parseInt(process.env.IMAGE_PROBE_MAX_BYTES) : 5 * 1024 * 1024;
+const IMAGE_PROBE_CONCURRENCY = process.env.IMAGE_PROBE_CONCURRENCY ? parseInt(process.env.IMAGE_PROBE_CONCURRENCY) : 4;
+const IMAGE_PROBE_MAX_IMAGES = process.env.IMAGE_PROBE_MAX_IMAGES ? parseInt(process.env.IMAGE_PROBE_MAX_IMAGES) : 150;
+const IMAGE_PROBE_TIMEOUT = 15000;
+
+// Hashes at most this many bits apart are the same picture
+const PHASH_THRESHOLD = 6;
+// ...as long as their aspect ratios are this close (crops hash alike but aren't the same image)
+const ASPECT_RATIO_TOLERANCE = 0.05;
+
+// Query parameters image CDNs use to pick a size, crop, format or quality
+const VARIANT_PARAMS = new Set([
+  'w', 'h', 'width', 'height', 'size', 'resize', 'fit', 'crop', 'quality', 'q', 'auto',
+  'format', 'fm', 'dpr', 'scale', 'sz', 'im', 'ssl', 'strip', 'v', 'ver', 'version'
+]);
+
+/**
+ * Download an image and measure it
+ * Images larger than IMAGE_PROBE_MAX_BYTES are cut off: their size still comes from the header,
+ * but they get no hash. Neither do images with more pixels than the decoder's cap.
+ * @param {string} url - Image URL
+ * @returns {Promise<object>} - { url, ok, status, format, width, height, fileSize, contentType, perceptualHash, contentHash, truncated, error }
+ */
+export const probeImage = async (url) => {
+  const probe = {
+    url,
+    ok: false,
+    status: null,
+    format: null,
+    width: null,
+    height: null,
+    fileSize: null,
+    contentType: null,
+    perceptualHash: null,
+    contentHash: null,
+    truncated: false,
+    error: null
+  };
+
+  try {
+    const response = await politenessService.politeGet(url, {
+      responseType: 'stream',
+      timeout: IMAGE_PROBE_TIMEOUT,
+      headers: { Accept: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5' }
+    });
+
+    probe.status = response.status;
+    probe.contentType = response.headers['content-type'] || null;
+
+    const { buffer, truncated } = await readCapped(response.data, IMAGE_PROBE_MAX_BYTES, IMAGE_PROBE_TIMEOUT);
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+
+    probe.truncated = truncated;
+    probe.fileSize = truncated ? (declaredLength || null) : buffer.length;
+
+    const size = readImageSize(buffer, probe.contentType || '');
+    probe.format = size.format;
+    probe.width = size.width;
+    probe.height = size.height;
+    probe.ok = Boolean(size.format);
+
+    if (!truncated && size.format) {
+      probe.contentHash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+      // Images too large to decode (a small file can declare huge dimensions) get no perceptual hash
+      if ((size.format === 'png' || size.format === 'jpeg') && isDecodableSize(size)) {
+        const image = decodeImage(buffer, probe.contentType || '');
+        if (image) {
+          probe.perceptualHash = perceptualHash(image);
+        }
+      }
+    }
+  } catch (error) {
+    probe.status = error.response?.status || probe.status;
+    probe.error = error.message;
+  }
+
+  return probe;
+};
+
+/**
+ * Probe a list of images with a small pool of workers
+ * @param {Array<object>} images - Images with a url
+ * @returns {Promise<Map<string, object>>} - Probe results by URL
+ */
+export const probeImages = async (images) => {
+  const urls = [...new Set(images.map(image => image.url).filter(url => url && !url.startsWith('data:')))];
+  const queue = urls.slice(0, IMAGE_PROBE_MAX_IMAGES);
+  const probes = new Map();
+
+  if (urls.length > queue.length) {
+    logger.info(`[IMAGE-PROBE] Probing the first ${queue.length} of ${urls.length} images`);
+  }
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      probes.set(url, await probeImage(url));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, IMAGE_PROBE_CONCURRENCY) }, worker));
+
+  const failed = [...probes.values()].filter(probe => !probe.ok).length;
+  logger.info(`[IMAGE-PROBE] ✅ Probed ${probes.size} images (${failed} failed)`);
+
+  return probes;
+};
+
+/**
+ * URL with its size markers removed, so variants of one file share a key
+ * e.g. photo-300x200.jpg, photo@2x.jpg and photo.jpg?w=800&q=75 all become photo.jpg
+ */
+export const variantKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !VARIANT_PARAMS.has(name.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    const pathname = parsed.pathname
+      .replace(/-\d{2,5}x\d{2,5}(?=\.\w+$)/, '')
+      .replace(/@\d(\.\d)?x(?=\.\w+$)/, '')
+      .replace(/-scaled(?=\.\w+$)/, '')
+      .replace(/\.(webp|avif)$/i, '');
+
+    return `${parsed.host}${pathname}${params.length > 0 ? `?${new URLSearchParams(params)}` : ''}`.toLowerCase();
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Whether two probed images are the same picture by their perceptual hashes and shape
+ */
+const isSamePicture = (first, second) => {
+  if (!first.perceptualHash || !second.perceptualHash) return false;
+  if (!first.width || !first.height || !second.width || !second.height) return false;
+
+  const ratio = (first.width / first.height) / (second.width / second.height);
+  if (Math.abs(1 - ratio) > ASPECT_RATIO_TOLERANCE) return false;
+
+  return hammingDistance(first.perceptualHash, second.perceptualHash) <= PHASH_THRESHOLD;
+};
+
+/**
+ * Merge variants of the same picture into one image
+ * Images are grouped by variant URL, identical bytes and perceptual hash. The largest image of a
+ * group is kept, with the others listed in its variants and their categories and flags merged in.
+ * @param {Array<object>} images - Images, with probe fields (width, height, perceptualHash, contentHash) where probed
+ * @returns {Array<object>} - One image per picture, in first-seen order
+ */
+export const collapseVariants = (images) => {
+  const parent = images.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  const byKey = new Map();
+  images.forEach((image, index) => {
+    for (const key of [`url:${variantKey(image.url)}`, image.contentHash ? `bytes:${image.contentHash}` : null]) {
+      if (!key) continue;
+      if (byKey.has(key)) {
+        union(byKey.get(key), index);
+      } else {
+        byKey.set(key, index);
+      }
+    }
+  });
+
+  const hashed = images.map((image, index) => ({ image, index })).filter(({ image }) => image.perceptualHash);
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (isSamePicture(hashed[i].image, hashed[j].image)) {
+        union(hashed[i].index, hashed[j].index);
+      }
+    }
+  }
+
+  const groups = new Map();
+  images.forEach((image, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(image);
+  });
+
+  return [...groups.values()].map(group => {
+    if (group.length === 1) return group[0];
+
+    const area = (image) => (image.width || 0) * (image.height || 0);
+    const canonical = group.reduce((best, image) => (area(image) > area(best) ? image : best), group[0]);
+    const merged = { ...canonical };
+
+    merged.categories = [...new Set(group.flatMap(image => image.categories || []))];
+    for (const flag of ['isLogo', 'isIcon', 'isBanner', 'isProduct', 'isPerson', 'isBookCover', 'isHero', 'inHeader']) {
+      merged[flag] = group.some(image => image[flag]);
+    }
+    merged.alt = canonical.alt || group.find(image => image.alt)?.alt || '';
+    merged.sources = [...new Map(group.flatMap(image => image.sources || []).map(source => [source.url, source])).values()];
+    merged.variants = group
+      .filter(image => image !== canonical)
+      .map(image => ({ url: image.url, width: image.width || null, height: image.height || null }));
+
+    return merged;
+  });
+};
+
+export default {
+  probeImage,
+  probeImages,
+  variantKey,
+  collapseVariants
+};
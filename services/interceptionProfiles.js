@@ -0,0 +1,190 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Request interception profiles for rendered fetches
+ *
+ * A profile says which resource types a Puppeteer page may download and whether requests to
+ * known ad/analytics hosts are dropped. Blocked requests are aborted but recorded, so extractors
+ * can still see (for example) the image URLs a page asked for without the crawler fetching them.
+ * Jobs choose a profile with params.renderProfile.
+ */
+
+export const INTERCEPTION_PROFILES = {
+  'text-only': {
+    description: 'HTML, scripts and stylesheets only; images, media, fonts and trackers are blocked',
+    blockResourceTypes: ['image', 'media', 'font'],
+    blockTrackers: true
+  },
+  'with-images': {
+    description: 'Everything except media, fonts and trackers',
+    blockResourceTypes: ['media', 'font'],
+    blockTrackers: true
+  },
+  'full': {
+    description: 'Nothing is blocked',
+    blockResourceTypes: [],
+    blockTrackers: false
+  }
+};
+
+// Used for crawl renders when a job doesn't pick a profile
+export const DEFAULT_RENDER_PROFILE = process.env.DEFAULT_RENDER_PROFILE && INTERCEPTION_PROFILES[process.env.DEFAULT_RENDER_PROFILE]
+  ? process.env.DEFAULT_RENDER_PROFILE
+  : 'text-only';
+
+// Ad, analytics and tag-manager hosts (subdomains match too)
+const TRACKER_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googletagservices.com',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'connect.facebook.net',
+  'analytics.twitter.com',
+  'ads-twitter.com',
+  'snap.licdn.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'fullstory.com',
+  'mixpanel.com',
+  'segment.com',
+  'segment.io',
+  'amplitude.com',
+  'heapanalytics.com',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'chartbeat.com',
+  'newrelic.com',
+  'nr-data.net',
+  'adnxs.com',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'amazon-adsystem.com',
+  'pubmatic.com',
+  'rubiconproject.com',
+  'casalemedia.com',
+  'moatads.com'
+];
+
+/**
+ * Whether a URL belongs to a known ad/analytics host
+ */
+export const isTrackerUrl = (url) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return TRACKER_HOSTS.some(tracker => host === tracker || host.endsWith(`.${tracker}`));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a profile name is known
+ */
+export const isKnownProfile = (name) => Object.prototype.hasOwnProperty.call(INTERCEPTION_PROFILES, name);
+
+/**
+ * Get a profile, falling back to the default for unknown names
+ */
+export const getProfile = (name) => {
+  if (name && !isKnownProfile(name)) {
+    logger.warn(`[INTERCEPT] Unknown render profile "${name}", using ${DEFAULT_RENDER_PROFILE}`);
+  }
+
+  const profileName = isKnownProfile(name) ? name : DEFAULT_RENDER_PROFILE;
+  return { name: profileName, ...INTERCEPTION_PROFILES[profileName] };
+};
+
+/**
+ * Describe the profiles (for validation messages and the API)
+ */
+export const listProfiles = () => {
+  return Object.entries(INTERCEPTION_PROFILES).map(([name, profile]) => ({
+    name,
+    description: profile.description,
+    blockResourceTypes: profile.blockResourceTypes,
+    blockTrackers: profile.blockTrackers,
+    isDefault: name === DEFAULT_RENDER_PROFILE
+  }));
+};
+
+/**
+ * Turn on request interception for a page according to a profile
+ * Must be called before the page navigates.
+ * @param {object} page - Puppeteer page
+ * @param {string} profileName - Profile name
+ * @returns {Promise<Array<object>>} - Live list of blocked requests: { url, resourceType, reason }
+ */
+export const applyProfile = async (page, profileName) => {
+  const profile = getProfile(profileName);
+  const blockedRequests = [];
+
+  if (profile.blockResourceTypes.length === 0 && !profile.blockTrackers) {
+    return blockedRequests;
+  }
+
+  await page.setRequestInterception(true);
+
+  page.on('request', (req) => {
+    if (req.isInterceptResolutionHandled()) return;
+
+    try {
+      const url = req.url();
+      const resourceType = req.resourceType();
+      let reason = null;
+
+      // Data URIs are already in the page
+      if (!url.startsWith('data:')) {
+        if (profile.blockTrackers && isTrackerUrl(url)) {
+          reason = 'tracker';
+        } else if (profile.blockResourceTypes.includes(resourceType)) {
+          reason = `${profile.name} profile`;
+        }
+      }
+
+      if (reason) {
+        blockedRequests.push({ url, resourceType, reason });
+        logger.debug(`[INTERCEPT] Blocked ${resourceType} ${url} (${reason})`);
+        req.abort('blockedbyclient');
+      } else {
+        req.continue();
+      }
+    } catch (error) {
+      logger.warn(`[INTERCEPT] Error handling intercepted request: ${error.message}`);
+    }
+  });
+
+  return blockedRequests;
+};
+
+/**
+ * Log a one-line summary of what a profile blocked on a page
+ */
+export const logBlockedSummary = (url, profileName, blockedRequests) => {
+  if (blockedRequests.length === 0) return;
+
+  const counts = {};
+  for (const request of blockedRequests) {
+    const key = request.reason === 'tracker' ? 'tracker' : request.resourceType;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  const summary = Object.entries(counts).map(([key, count]) => `${count} ${key}`).join(', ');
+  logger.info(`[INTERCEPT] ${url} (${getProfile(profileName).name}): blocked ${blockedRequests.length} requests (${summary})`);
+};
+
+export default {
+  INTERCEPTION_PROFILES,
+  DEFAULT_RENDER_PROFILE,
+  isTrackerUrl,
+  isKnownProfile,
+  getProfile,
+  listProfiles,
+  applyProfile,
+  logBlockedSummary
+};
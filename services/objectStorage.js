@@ -0,0 +1,242 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+/**
+ * Object storage for binary crawl artefacts (screenshots, images)
+ *
+ * Objects go to local disk by default, or to an S3-compatible store (AWS S3, MinIO, R2...)
+ * when OBJECT_STORAGE_DRIVER=s3. S3 requests are signed with AWS Signature V4 directly, so no
+ * SDK is needed. Callers keep the returned { driver, key } and read objects back through here.
+ */
+
+const OBJECT_STORAGE_DRIVER = process.env.OBJECT_STORAGE_DRIVER === 's3' ? 's3' : 'local';
+const OBJECT_STORAGE_DIR = process.env.OBJECT_STORAGE_DIR || path.join(process.cwd(), 'storage');
+
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || '').replace(/\/$/, '');
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_BUCKET = process.env.S3_BUCKET || '';
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || '';
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || '';
+// Path-style URLs (endpoint/bucket/key) are needed by most self-hosted stores
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE !== 'false';
+const S3_TIMEOUT = 30000;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json'
+};
+
+/**
+ * Reject keys that could escape the storage root
+ */
+const normalizeKey = (key) => {
+  const normalized = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+
+  if (!normalized || normalized.split('/').some(segment => segment === '..' || segment === '')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Guess a content type from a key's extension
+ */
+const contentTypeForKey = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// === Local disk ===
+
+const localPath = (key) => path.join(OBJECT_STORAGE_DIR, ...key.split('/'));
+
+const putLocal = async (key, body) => {
+  const filePath = localPath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, body);
+};
+
+const getLocal = async (key) => fs.readFile(localPath(key));
+
+const deleteLocal = async (key) => {
+  try {
+    await fs.unlink(localPath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// === S3-compatible ===
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * URI-encode a key the way S3 expects (RFC 3986, slashes kept)
+ */
+const encodeKey = (key) => key.split('/').map(segment =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+).join('/');
+
+/**
+ * URL of an object in the bucket
+ */
+const objectUrl = (key) => {
+  const endpoint = new URL(S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`);
+
+  if (S3_FORCE_PATH_STYLE) {
+    return new URL(`${endpoint.origin}/${S3_BUCKET}/${encodeKey(key)}`);
+  }
+
+  return new URL(`${endpoint.protocol}//${S3_BUCKET}.${endpoint.host}/${encodeKey(key)}`);
+};
+
+/**
+ * Sign a request with AWS Signature V4
+ * @returns {object} - Headers to send, including Authorization
+ */
+const signS3Request = (method, url, headers, payloadHash) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp), S3_REGION), 's3'), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+const checkS3Config = () => {
+  if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+};
+
+const putS3 = async (key, body, contentType) => {
+  checkS3Config();
+  const url = objectUrl(key);
+  const headers = signS3Request('PUT', url, { 'content-type': contentType }, sha256Hex(body));
+  delete headers.host;
+
+  await axios.put(url.href, body, { headers, timeout: S3_TIMEOUT, maxBodyLength: Infinity });
+};
+
+const getS3 = async (key) => {
+  checkS3Config();
+  const url = objectUrl(key);
+  const headers = signS3Request('GET', url, {}, sha256Hex(''));
+  delete headers.host;
+
+  const response = await axios.get(url.href, { headers, timeout: S3_TIMEOUT, responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+};
+
+const deleteS3 = async (key) => {
+  checkS3Config();
+  const url = objectUrl(key);
+  const headers = signS3Request('DELETE', url, {}, sha256Hex(''));
+  delete headers.host;
+
+  await axios.delete(url.href, { headers, timeout: S3_TIMEOUT });
+};
+
+// === Public API ===
+
+/**
+ * Driver new objects are written to ('local' or 's3')
+ */
+export const getDriver = () => OBJECT_STORAGE_DRIVER;
+
+/**
+ * Store an object
+ * @param {string} key - Storage key, e.g. screenshots/example.com/<jobId>/home-desktop.jpg
+ * @param {Buffer} body - Object bytes
+ * @param {string} contentType - MIME type, guessed from the key if omitted
+ * @returns {Promise<{driver: string, key: string, size: number, contentType: string}>}
+ */
+export const putObject = async (key, body, contentType = null) => {
+  try {
+    const normalizedKey = normalizeKey(key);
+    const type = contentType || contentTypeForKey(normalizedKey);
+
+    if (OBJECT_STORAGE_DRIVER === 's3') {
+      await putS3(normalizedKey, body, type);
+    } else {
+      await putLocal(normalizedKey, body);
+    }
+
+    return { driver: OBJECT_STORAGE_DRIVER, key: normalizedKey, size: body.length, contentType: type };
+  } catch (error) {
+    logger.error(`[STORAGE] ❌ Error storing ${key} (${OBJECT_STORAGE_DRIVER}): ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Read an object back
+ * @param {string} key - Storage key
+ * @param {string} driver - Driver the object was written with (defaults to the current one)
+ * @returns {Promise<Buffer|null>} - Object bytes, or null if it doesn't exist
+ */
+export const getObject = async (key, driver = OBJECT_STORAGE_DRIVER) => {
+  try {
+    const normalizedKey = normalizeKey(key);
+    return driver === 's3' ? await getS3(normalizedKey) : await getLocal(normalizedKey);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.response?.status === 404) {
+      return null;
+    }
+    logger.error(`[STORAGE] ❌ Error reading ${key} (${driver}): ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete an object; missing objects are ignored
+ */
+export const deleteObject = async (key, driver = OBJECT_STORAGE_DRIVER) => {
+  try {
+    const normalizedKey = normalizeKey(key);
+
+    if (driver === 's3') {
+      await deleteS3(normalizedKey);
+    } else {
+      await deleteLocal(normalizedKey);
+    }
+  } catch (error) {
+    logger.error(`[STORAGE] ❌ Error deleting ${key} (${driver}): ${error.message}`);
+    throw error;
+  }
+};
+
+export default {
+  getDriver,
+  putObject,
+  getObject,
+  deleteObject
+};
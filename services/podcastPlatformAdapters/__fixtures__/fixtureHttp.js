@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * http for adapters that serves fixture files instead of the network
+ * @param {object} routes - URL → fixture file name
+ * @returns {object} - { getText, getJson, requests }, unknown URLs throw
+ */
+export const fixtureHttp = (routes = {}) => {
+  const requests = [];
+
+  const read = (url) => {
+    requests.push(url);
+    if (!routes[url]) {
+      throw new Error(`No fixture for ${url}`);
+    }
+    return fs.readFileSync(path.join(__dirname, routes[url]), 'utf8');
+  };
+
+  return {
+    requests,
+    getText: async (url) => read(url),
+    getJson: async (url) => JSON.parse(read(url))
+  };
+};
+
+export default fixtureHttp;
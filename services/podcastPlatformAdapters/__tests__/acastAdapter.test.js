@@ -0,0 +1,24 @@
+import acastAdapter from '../acastAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('acastAdapter', () => {
+  test('matches show pages and feeds', () => {
+    expect(acastAdapter.matches('https://shows.acast.com/daily-bookshelf')).toBe(true);
+    expect(acastAdapter.matches('https://feeds.acast.com/public/shows/daily-bookshelf')).toBe(true);
+    expect(acastAdapter.matches('https://www.acast.com/')).toBe(false);
+  });
+
+  test('maps shows to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(acastAdapter.resolve('https://shows.acast.com/daily-bookshelf/episodes/chapter-one', http)).resolves.toEqual({
+      feedUrl: 'https://feeds.acast.com/public/shows/daily-bookshelf',
+      showId: 'daily-bookshelf',
+      title: null
+    });
+    await expect(acastAdapter.resolve('https://feeds.acast.com/public/shows/daily-bookshelf', http)).resolves.toMatchObject({
+      showId: 'daily-bookshelf'
+    });
+    expect(http.requests).toEqual([]);
+  });
+});
@@ -0,0 +1,36 @@
+import anchorAdapter from '../anchorAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('anchorAdapter', () => {
+  test('matches Anchor and Spotify for Podcasters show pages', () => {
+    expect(anchorAdapter.matches('https://anchor.fm/daily-bookshelf')).toBe(true);
+    expect(anchorAdapter.matches('https://podcasters.spotify.com/pod/show/daily-bookshelf')).toBe(true);
+    expect(anchorAdapter.matches('https://creators.spotify.com/pod/show/daily-bookshelf/episodes/Chapter-One-e2abc')).toBe(true);
+    expect(anchorAdapter.matches('https://podcasters.spotify.com/')).toBe(false);
+  });
+
+  test('returns feed URLs as they are', async () => {
+    const http = fixtureHttp();
+
+    await expect(anchorAdapter.resolve('https://anchor.fm/s/a1b2c3d4/podcast/rss', http)).resolves.toEqual({
+      feedUrl: 'https://anchor.fm/s/a1b2c3d4/podcast/rss',
+      showId: 'a1b2c3d4',
+      title: null
+    });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('reads the feed from show pages with escaped slashes', async () => {
+    const url = 'https://podcasters.spotify.com/pod/show/daily-bookshelf';
+    const http = fixtureHttp({ [url]: 'anchor-show.html' });
+
+    await expect(anchorAdapter.resolve(url, http)).resolves.toMatchObject({ feedUrl: 'https://anchor.fm/s/a1b2c3d4/podcast/rss' });
+  });
+
+  test('returns null for pages without a feed', async () => {
+    const url = 'https://anchor.fm/missing-show';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(anchorAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
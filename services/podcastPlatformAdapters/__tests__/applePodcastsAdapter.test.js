@@ -0,0 +1,47 @@
+import applePodcastsAdapter from '../applePodcastsAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+const LOOKUP_URL = 'https://itunes.apple.com/lookup?id=1200361736&entity=podcast';
+
+describe('applePodcastsAdapter', () => {
+  test('matches Apple Podcasts show pages', () => {
+    expect(applePodcastsAdapter.matches('https://podcasts.apple.com/us/podcast/the-daily-bookshelf/id1200361736')).toBe(true);
+    expect(applePodcastsAdapter.matches('https://itunes.apple.com/gb/podcast/id1200361736?mt=2')).toBe(true);
+    expect(applePodcastsAdapter.matches('https://podcasts.apple.com/us/genre/podcasts-arts/id1301')).toBe(true);
+    expect(applePodcastsAdapter.matches('https://www.apple.com/apple-podcasts/')).toBe(false);
+    expect(applePodcastsAdapter.matches('not a url')).toBe(false);
+  });
+
+  test('resolves the feed through the lookup API', async () => {
+    const http = fixtureHttp({ [LOOKUP_URL]: 'apple-lookup.json' });
+
+    const show = await applePodcastsAdapter.resolve('https://podcasts.apple.com/us/podcast/the-daily-bookshelf/id1200361736?i=1000600000000', http);
+
+    expect(show).toEqual({
+      feedUrl: 'https://feeds.buzzsprout.com/1234567.rss',
+      showId: '1200361736',
+      title: 'The Daily Bookshelf'
+    });
+    expect(http.requests).toEqual([LOOKUP_URL]);
+  });
+
+  test('returns null when Apple has no feed for the ID', async () => {
+    const http = fixtureHttp({ [LOOKUP_URL]: 'apple-lookup-empty.json' });
+
+    await expect(applePodcastsAdapter.resolve('https://podcasts.apple.com/us/podcast/id1200361736', http)).resolves.toBeNull();
+  });
+
+  test('searchApple only accepts an exact title match', async () => {
+    const searchUrl = 'https://itunes.apple.com/search?media=podcast&entity=podcast&limit=10&term=The%20Daily%20Bookshelf';
+    const http = fixtureHttp({ [searchUrl]: 'apple-search.json' });
+
+    await expect(applePodcastsAdapter.searchApple('The Daily Bookshelf', http)).resolves.toEqual({
+      feedUrl: 'https://feeds.buzzsprout.com/1234567.rss',
+      showId: '1200361736',
+      title: 'The Daily Bookshelf'
+    });
+
+    const otherUrl = 'https://itunes.apple.com/search?media=podcast&entity=podcast&limit=10&term=Daily%20Bookshelf';
+    await expect(applePodcastsAdapter.searchApple('Daily Bookshelf', fixtureHttp({ [otherUrl]: 'apple-search.json' }))).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+import buzzsproutAdapter from '../buzzsproutAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('buzzsproutAdapter', () => {
+  test('matches Buzzsprout URLs', () => {
+    expect(buzzsproutAdapter.matches('https://www.buzzsprout.com/1234567')).toBe(true);
+    expect(buzzsproutAdapter.matches('https://dailybookshelf.buzzsprout.com/')).toBe(true);
+    expect(buzzsproutAdapter.matches('https://example.com/')).toBe(false);
+  });
+
+  test('maps show IDs to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(buzzsproutAdapter.resolve('https://www.buzzsprout.com/1234567/episodes/9876543', http)).resolves.toEqual({
+      feedUrl: 'https://feeds.buzzsprout.com/1234567.rss',
+      showId: '1234567',
+      title: null
+    });
+    await expect(buzzsproutAdapter.resolve('https://feeds.buzzsprout.com/1234567.rss', http)).resolves.toMatchObject({
+      feedUrl: 'https://feeds.buzzsprout.com/1234567.rss'
+    });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('reads the feed from show sites', async () => {
+    const url = 'https://dailybookshelf.buzzsprout.com/';
+    const http = fixtureHttp({ [url]: 'buzzsprout-site.html' });
+
+    await expect(buzzsproutAdapter.resolve(url, http)).resolves.toMatchObject({ feedUrl: 'https://feeds.buzzsprout.com/1234567.rss', showId: '1234567' });
+  });
+
+  test('returns null for pages without a feed', async () => {
+    const url = 'https://www.buzzsprout.com/features';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(buzzsproutAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
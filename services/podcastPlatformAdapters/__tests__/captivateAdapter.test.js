@@ -0,0 +1,40 @@
+import captivateAdapter from '../captivateAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('captivateAdapter', () => {
+  test('matches show sites and feeds', () => {
+    expect(captivateAdapter.matches('https://daily-bookshelf.captivate.fm/')).toBe(true);
+    expect(captivateAdapter.matches('https://feeds.captivate.fm/daily-bookshelf/')).toBe(true);
+    expect(captivateAdapter.matches('https://www.captivate.fm/pricing')).toBe(false);
+  });
+
+  test('reads the feed from show sites', async () => {
+    const url = 'https://daily-bookshelf.captivate.fm/';
+    const http = fixtureHttp({ [url]: 'captivate-site.html' });
+
+    await expect(captivateAdapter.resolve(url, http)).resolves.toEqual({
+      feedUrl: 'https://feeds.captivate.fm/daily-bookshelf/',
+      showId: 'daily-bookshelf',
+      title: null
+    });
+  });
+
+  test('uses a feed the site advertises elsewhere', async () => {
+    const url = 'https://bookshelf.captivate.fm/';
+    const http = fixtureHttp({ [url]: 'captivate-custom-feed.html' });
+
+    await expect(captivateAdapter.resolve(url, http)).resolves.toEqual({
+      feedUrl: 'https://bookshelf.captivate.fm/feed.xml',
+      showId: 'bookshelf',
+      title: 'The Daily Bookshelf'
+    });
+  });
+
+  test('falls back to the usual feed address when the site can\'t be read', async () => {
+    const http = fixtureHttp();
+
+    await expect(captivateAdapter.resolve('https://daily-bookshelf.captivate.fm/episode/chapter-one', http)).resolves.toMatchObject({
+      feedUrl: 'https://feeds.captivate.fm/daily-bookshelf/'
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import libsynAdapter from '../libsynAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('libsynAdapter', () => {
+  test('matches show subdomains and numeric feeds', () => {
+    expect(libsynAdapter.matches('https://dailybookshelf.libsyn.com/chapter-one')).toBe(true);
+    expect(libsynAdapter.matches('https://feeds.libsyn.com/123456/rss')).toBe(true);
+    expect(libsynAdapter.matches('https://www.libsyn.com/')).toBe(false);
+    expect(libsynAdapter.matches('https://traffic.libsyn.com/dailybookshelf/ep1.mp3')).toBe(false);
+  });
+
+  test('maps shows to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(libsynAdapter.resolve('https://dailybookshelf.libsyn.com/chapter-one', http)).resolves.toEqual({
+      feedUrl: 'https://dailybookshelf.libsyn.com/rss',
+      showId: 'dailybookshelf',
+      title: null
+    });
+    await expect(libsynAdapter.resolve('https://feeds.libsyn.com/123456/rss', http)).resolves.toEqual({
+      feedUrl: 'https://feeds.libsyn.com/123456/rss',
+      showId: '123456',
+      title: null
+    });
+    expect(http.requests).toEqual([]);
+  });
+});
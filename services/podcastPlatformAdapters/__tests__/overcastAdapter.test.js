@@ -0,0 +1,38 @@
+import overcastAdapter from '../overcastAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+const LOOKUP_URL = 'https://itunes.apple.com/lookup?id=1200361736&entity=podcast';
+
+describe('overcastAdapter', () => {
+  test('matches show and episode links', () => {
+    expect(overcastAdapter.matches('https://overcast.fm/itunes1200361736/the-daily-bookshelf')).toBe(true);
+    expect(overcastAdapter.matches('https://overcast.fm/+AbCdEfG')).toBe(true);
+    expect(overcastAdapter.matches('https://overcast.fm/')).toBe(false);
+  });
+
+  test('resolves show links through the iTunes ID without fetching the page', async () => {
+    const http = fixtureHttp({ [LOOKUP_URL]: 'apple-lookup.json' });
+
+    const show = await overcastAdapter.resolve('https://overcast.fm/itunes1200361736/the-daily-bookshelf', http);
+
+    expect(show).toEqual({ feedUrl: 'https://feeds.buzzsprout.com/1234567.rss', showId: 'itunes1200361736', title: 'The Daily Bookshelf' });
+    expect(http.requests).toEqual([LOOKUP_URL]);
+  });
+
+  test('follows episode links to the show', async () => {
+    const http = fixtureHttp({
+      'https://overcast.fm/+AbCdEfG': 'overcast-episode.html',
+      [LOOKUP_URL]: 'apple-lookup.json'
+    });
+
+    const show = await overcastAdapter.resolve('https://overcast.fm/+AbCdEfG', http);
+
+    expect(show.feedUrl).toBe('https://feeds.buzzsprout.com/1234567.rss');
+  });
+
+  test('returns null when the page has no show link', async () => {
+    const http = fixtureHttp({ 'https://overcast.fm/+Missing': 'no-feed.html' });
+
+    await expect(overcastAdapter.resolve('https://overcast.fm/+Missing', http)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import podbeanAdapter from '../podbeanAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('podbeanAdapter', () => {
+  test('matches Podbean URLs', () => {
+    expect(podbeanAdapter.matches('https://dailybookshelf.podbean.com/')).toBe(true);
+    expect(podbeanAdapter.matches('https://www.podbean.com/podcast-detail/abc12-3def4/The-Daily-Bookshelf')).toBe(true);
+    expect(podbeanAdapter.matches('https://example.com/podbean.com')).toBe(false);
+  });
+
+  test('maps show subdomains to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(podbeanAdapter.resolve('https://dailybookshelf.podbean.com/e/chapter-one/', http)).resolves.toEqual({
+      feedUrl: 'https://feed.podbean.com/dailybookshelf/feed.xml',
+      showId: 'dailybookshelf',
+      title: null
+    });
+    await expect(podbeanAdapter.resolve('https://feed.podbean.com/dailybookshelf/feed.xml', http)).resolves.toMatchObject({
+      feedUrl: 'https://feed.podbean.com/dailybookshelf/feed.xml'
+    });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('reads the feed from directory pages', async () => {
+    const url = 'https://www.podbean.com/podcast-detail/abc12-3def4/The-Daily-Bookshelf';
+    const http = fixtureHttp({ [url]: 'podbean-directory.html' });
+
+    await expect(podbeanAdapter.resolve(url, http)).resolves.toEqual({
+      feedUrl: 'https://feed.podbean.com/dailybookshelf/feed.xml',
+      showId: 'dailybookshelf',
+      title: null
+    });
+  });
+
+  test('returns null for directory pages without a feed', async () => {
+    const url = 'https://www.podbean.com/site/podcatcher/index';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(podbeanAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
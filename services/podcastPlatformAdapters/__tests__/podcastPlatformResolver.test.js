@@ -0,0 +1,58 @@
+import podcastPlatformResolver from '../../podcastPlatformResolver.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('podcastPlatformResolver', () => {
+  test('finds the adapter for a platform link', () => {
+    expect(podcastPlatformResolver.findAdapter('https://podcasts.apple.com/us/podcast/id1200361736').name).toBe('apple');
+    expect(podcastPlatformResolver.findAdapter('https://anchor.fm/daily-bookshelf').name).toBe('anchor');
+    expect(podcastPlatformResolver.findAdapter('https://www.stitcher.com/show/daily-bookshelf')).toBeNull();
+    expect(podcastPlatformResolver.findAdapter(undefined)).toBeNull();
+  });
+
+  test('feedKey ignores scheme, www. and trailing slashes', () => {
+    expect(podcastPlatformResolver.feedKey('http://www.Example.com/feed/')).toBe(podcastPlatformResolver.feedKey('https://example.com/feed'));
+    expect(podcastPlatformResolver.feedKey('https://example.com/feed?format=rss')).not.toBe(podcastPlatformResolver.feedKey('https://example.com/feed'));
+  });
+
+  test('groups the platforms a show is listed on under its feed', async () => {
+    const http = fixtureHttp({
+      'https://itunes.apple.com/lookup?id=1200361736&entity=podcast': 'apple-lookup.json',
+      'https://open.spotify.com/show/4rOoJ6Egrf8K2IrywzwOMk': 'spotify-show.html',
+      'https://itunes.apple.com/search?media=podcast&entity=podcast&limit=10&term=The%20Daily%20Bookshelf': 'apple-search.json',
+      'https://www.spreaker.com/show/missing': 'no-feed.html'
+    });
+
+    const { shows, unresolved } = await podcastPlatformResolver.resolvePlatformLinks([
+      'https://podcasts.apple.com/us/podcast/the-daily-bookshelf/id1200361736',
+      'https://open.spotify.com/show/4rOoJ6Egrf8K2IrywzwOMk',
+      'https://www.buzzsprout.com/1234567',
+      'https://shows.acast.com/another-show',
+      'https://www.spreaker.com/show/missing',
+      'https://www.stitcher.com/show/daily-bookshelf'
+    ], http);
+
+    expect(shows).toEqual([
+      {
+        feedUrl: 'https://feeds.buzzsprout.com/1234567.rss',
+        title: 'The Daily Bookshelf',
+        platforms: [
+          { platform: 'apple', url: 'https://podcasts.apple.com/us/podcast/the-daily-bookshelf/id1200361736', showId: '1200361736' },
+          { platform: 'spotify', url: 'https://open.spotify.com/show/4rOoJ6Egrf8K2IrywzwOMk', showId: '4rOoJ6Egrf8K2IrywzwOMk' },
+          { platform: 'buzzsprout', url: 'https://www.buzzsprout.com/1234567', showId: '1234567' }
+        ]
+      },
+      {
+        feedUrl: 'https://feeds.acast.com/public/shows/another-show',
+        title: null,
+        platforms: [{ platform: 'acast', url: 'https://shows.acast.com/another-show', showId: 'another-show' }]
+      }
+    ]);
+    expect(unresolved).toEqual([{ platform: 'spreaker', url: 'https://www.spreaker.com/show/missing', error: null }]);
+  });
+
+  test('records fetch errors as unresolved', async () => {
+    const resolution = await podcastPlatformResolver.resolveShowUrl('https://anchor.fm/daily-bookshelf', fixtureHttp());
+
+    expect(resolution).toMatchObject({ platform: 'anchor', feedUrl: null, error: 'No fixture for https://anchor.fm/daily-bookshelf' });
+  });
+});
@@ -0,0 +1,35 @@
+import simplecastAdapter from '../simplecastAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('simplecastAdapter', () => {
+  test('matches show sites and feeds', () => {
+    expect(simplecastAdapter.matches('https://daily-bookshelf.simplecast.com/')).toBe(true);
+    expect(simplecastAdapter.matches('https://feeds.simplecast.com/Xy12AbC3')).toBe(true);
+    expect(simplecastAdapter.matches('https://www.simplecast.com/')).toBe(false);
+  });
+
+  test('reads the feed from show sites', async () => {
+    const url = 'https://daily-bookshelf.simplecast.com/';
+    const http = fixtureHttp({ [url]: 'simplecast-site.html' });
+
+    await expect(simplecastAdapter.resolve(url, http)).resolves.toEqual({
+      feedUrl: 'https://feeds.simplecast.com/Xy12AbC3',
+      showId: 'Xy12AbC3',
+      title: null
+    });
+  });
+
+  test('returns feed URLs as they are', async () => {
+    const http = fixtureHttp();
+
+    await expect(simplecastAdapter.resolve('https://feeds.simplecast.com/Xy12AbC3', http)).resolves.toMatchObject({ feedUrl: 'https://feeds.simplecast.com/Xy12AbC3' });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('returns null for sites without a feed', async () => {
+    const url = 'https://missing.simplecast.com/';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(simplecastAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+import spotifyAdapter from '../spotifyAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+const SHOW_URL = 'https://open.spotify.com/show/4rOoJ6Egrf8K2IrywzwOMk';
+const SEARCH_URL = 'https://itunes.apple.com/search?media=podcast&entity=podcast&limit=10&term=The%20Daily%20Bookshelf';
+
+describe('spotifyAdapter', () => {
+  test('matches show pages only', () => {
+    expect(spotifyAdapter.matches(SHOW_URL)).toBe(true);
+    expect(spotifyAdapter.matches('https://open.spotify.com/intl-de/show/4rOoJ6Egrf8K2IrywzwOMk?si=abc')).toBe(true);
+    expect(spotifyAdapter.matches('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk')).toBe(false);
+    expect(spotifyAdapter.matches('https://podcasters.spotify.com/pod/show/daily-bookshelf')).toBe(false);
+  });
+
+  test('finds the show in the Apple directory by its title', async () => {
+    const http = fixtureHttp({ [SHOW_URL]: 'spotify-show.html', [SEARCH_URL]: 'apple-search.json' });
+
+    const show = await spotifyAdapter.resolve(SHOW_URL, http);
+
+    expect(show).toEqual({
+      feedUrl: 'https://feeds.buzzsprout.com/1234567.rss',
+      showId: '4rOoJ6Egrf8K2IrywzwOMk',
+      title: 'The Daily Bookshelf'
+    });
+  });
+
+  test('returns null when the page has no title', async () => {
+    const http = fixtureHttp({ [SHOW_URL]: 'no-feed.html', 'https://itunes.apple.com/search?media=podcast&entity=podcast&limit=10&term=Page': 'apple-search.json' });
+
+    await expect(spotifyAdapter.resolve(SHOW_URL, http)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import spreakerAdapter from '../spreakerAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('spreakerAdapter', () => {
+  test('matches show pages', () => {
+    expect(spreakerAdapter.matches('https://www.spreaker.com/show/4872331')).toBe(true);
+    expect(spreakerAdapter.matches('https://www.spreaker.com/podcast/the-daily-bookshelf--4872331')).toBe(true);
+    expect(spreakerAdapter.matches('https://www.spreaker.com/pricing')).toBe(false);
+  });
+
+  test('maps show IDs in the URL to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(spreakerAdapter.resolve('https://www.spreaker.com/podcast/the-daily-bookshelf--4872331', http)).resolves.toEqual({
+      feedUrl: 'https://www.spreaker.com/show/4872331/episodes/feed',
+      showId: '4872331',
+      title: null
+    });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('reads the show ID from slug pages', async () => {
+    const url = 'https://www.spreaker.com/show/the-daily-bookshelf';
+    const http = fixtureHttp({ [url]: 'spreaker-show.html' });
+
+    await expect(spreakerAdapter.resolve(url, http)).resolves.toMatchObject({ feedUrl: 'https://www.spreaker.com/show/4872331/episodes/feed' });
+  });
+
+  test('returns null for pages without a show ID', async () => {
+    const url = 'https://www.spreaker.com/show/missing';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(spreakerAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import transistorAdapter from '../transistorAdapter.js';
+import { fixtureHttp } from '../__fixtures__/fixtureHttp.js';
+
+describe('transistorAdapter', () => {
+  test('matches Transistor URLs', () => {
+    expect(transistorAdapter.matches('https://daily-bookshelf.transistor.fm/')).toBe(true);
+    expect(transistorAdapter.matches('https://share.transistor.fm/s/abc123de')).toBe(true);
+    expect(transistorAdapter.matches('https://transistor.example.com/')).toBe(false);
+  });
+
+  test('maps show subdomains to their feed without fetching', async () => {
+    const http = fixtureHttp();
+
+    await expect(transistorAdapter.resolve('https://daily-bookshelf.transistor.fm/episodes/chapter-one', http)).resolves.toEqual({
+      feedUrl: 'https://feeds.transistor.fm/daily-bookshelf',
+      showId: 'daily-bookshelf',
+      title: null
+    });
+    expect(http.requests).toEqual([]);
+  });
+
+  test('reads the feed from share pages', async () => {
+    const url = 'https://share.transistor.fm/s/abc123de';
+    const http = fixtureHttp({ [url]: 'transistor-share.html' });
+
+    await expect(transistorAdapter.resolve(url, http)).resolves.toMatchObject({ feedUrl: 'https://feeds.transistor.fm/daily-bookshelf' });
+  });
+
+  test('returns null for share pages without a feed', async () => {
+    const url = 'https://share.transistor.fm/s/missing';
+    const http = fixtureHttp({ [url]: 'no-feed.html' });
+
+    await expect(transistorAdapter.resolve(url, http)).resolves.toBeNull();
+  });
+});
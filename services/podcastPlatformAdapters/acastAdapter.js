@@ -0,0 +1,36 @@
+/**
+ * Acast adapter
+ * Show pages are shows.acast.com/name (or embed.acast.com/name), the feed is feeds.acast.com/public/shows/name.
+ */
+
+export const name = 'acast';
+
+export const label = 'Acast';
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /^(shows|embed|feeds|play)\.acast\.com$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+export const resolve = async (url) => {
+  const parsed = parse(url);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const slug = parsed.hostname.startsWith('feeds.')
+    ? (segments[0] === 'public' && segments[1] === 'shows' ? segments[2] : segments[0])
+    : segments[0];
+
+  return slug ? { feedUrl: `https://feeds.acast.com/public/shows/${slug}`, showId: slug, title: null } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
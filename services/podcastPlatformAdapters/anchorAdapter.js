@@ -0,0 +1,42 @@
+/**
+ * Anchor (Spotify for Podcasters) adapter
+ * Feeds are anchor.fm/s/<station id>/podcast/rss. Show pages (anchor.fm/name, creators.spotify.com/pod/show/name,
+ * podcasters.spotify.com/pod/show/name) embed the station ID.
+ */
+
+export const name = 'anchor';
+
+export const label = 'Spotify for Podcasters (Anchor)';
+
+const FEED_PATTERN = /anchor\.fm\\?\/s\\?\/([0-9a-f]+)\\?\/podcast\\?\/rss/;
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)anchor\.fm$/.test(parsed.hostname)) return parsed;
+    if (/^(podcasters|creators)\.spotify\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/pod/show/')) return parsed;
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+const feedOf = (id) => ({ feedUrl: `https://anchor.fm/s/${id}/podcast/rss`, showId: id, title: null });
+
+export const resolve = async (url, http) => {
+  const direct = url.match(FEED_PATTERN)?.[1];
+  if (direct) return feedOf(direct);
+
+  const html = await http.getText(url);
+  const id = html.match(FEED_PATTERN)?.[1] || html.match(/"stationId"\s*:\s*"?([0-9a-f]+)"?/)?.[1];
+  return id ? feedOf(id) : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
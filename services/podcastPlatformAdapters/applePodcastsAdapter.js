@@ -0,0 +1,58 @@
+/**
+ * Apple Podcasts adapter
+ * Show pages carry the iTunes collection ID (/id1234567890), which the iTunes lookup API maps to the feed.
+ * lookupAppleId and searchApple are shared with adapters for apps built on the Apple directory.
+ */
+
+const ITUNES_API_URL = process.env.ITUNES_API_URL || 'https://itunes.apple.com';
+
+export const name = 'apple';
+
+export const label = 'Apple Podcasts';
+
+/**
+ * iTunes collection ID in an Apple Podcasts URL
+ */
+const appleId = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (!/(^|\.)(podcasts|itunes)\.apple\.com$/.test(parsed.hostname)) return null;
+    return parsed.pathname.match(/\/id(\d+)/)?.[1] || parsed.searchParams.get('id') || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(appleId(url));
+
+/**
+ * Feed of an iTunes collection ID
+ * @returns {Promise<{feedUrl, showId, title}|null>}
+ */
+export const lookupAppleId = async (id, http) => {
+  const data = await http.getJson(`${ITUNES_API_URL}/lookup?id=${encodeURIComponent(id)}&entity=podcast`);
+  const show = (data?.results || []).find(result => result.feedUrl);
+  return show ? { feedUrl: show.feedUrl, showId: String(id), title: show.collectionName || null } : null;
+};
+
+/**
+ * Feed of the show in the Apple directory with exactly this title
+ * @returns {Promise<{feedUrl, showId, title}|null>}
+ */
+export const searchApple = async (title, http) => {
+  const data = await http.getJson(`${ITUNES_API_URL}/search?media=podcast&entity=podcast&limit=10&term=${encodeURIComponent(title)}`);
+  const normalize = (value) => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const show = (data?.results || []).find(result => result.feedUrl && normalize(result.collectionName) === normalize(title));
+  return show ? { feedUrl: show.feedUrl, showId: String(show.collectionId), title: show.collectionName } : null;
+};
+
+export const resolve = async (url, http) => lookupAppleId(appleId(url), http);
+
+export default {
+  name,
+  label,
+  matches,
+  resolve,
+  lookupAppleId,
+  searchApple
+};
@@ -0,0 +1,40 @@
+/**
+ * Buzzsprout adapter
+ * Show IDs are in buzzsprout.com/1234567 URLs, the feed is feeds.buzzsprout.com/1234567.rss.
+ * Custom show sites (name.buzzsprout.com) embed it.
+ */
+
+export const name = 'buzzsprout';
+
+export const label = 'Buzzsprout';
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)buzzsprout\.com$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+const feedOf = (id) => ({ feedUrl: `https://feeds.buzzsprout.com/${id}.rss`, showId: id, title: null });
+
+export const resolve = async (url, http) => {
+  const parsed = parse(url);
+
+  const id = parsed.pathname.match(/^\/(\d+)(\.rss)?(\/|$)/)?.[1];
+  if (id) return feedOf(id);
+
+  const html = await http.getText(url);
+  const embedded = html.match(/feeds\.buzzsprout\.com\\?\/(\d+)\.rss/)?.[1] || html.match(/buzzsprout\.com\\?\/(\d+)\\?\//)?.[1];
+  return embedded ? feedOf(embedded) : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
@@ -0,0 +1,66 @@
+import { findFeedLinks } from '../../utils/feedLinks.js';
+
+/**
+ * Captivate adapter
+ * Show sites (name.captivate.fm) advertise their feed (feeds.captivate.fm/name/), which is assumed
+ * when the page can't be read.
+ */
+
+export const name = 'captivate';
+
+export const label = 'Captivate';
+
+// Captivate's own subdomains, not shows
+const RESERVED_SUBDOMAINS = ['www', 'feeds', 'player', 'app', 'help', 'podcasts', 'assets'];
+
+const FEED_PATTERN = /feeds\.captivate\.fm\\?\/([\w-]+)/;
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)captivate\.fm$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const subdomainOf = (parsed) => parsed.hostname.split('.').slice(0, -2).join('.');
+
+export const matches = (url) => {
+  const parsed = parse(url);
+  if (!parsed) return false;
+  const subdomain = subdomainOf(parsed);
+  return subdomain === 'feeds' || (Boolean(subdomain) && !RESERVED_SUBDOMAINS.includes(subdomain));
+};
+
+const feedOf = (slug) => ({ feedUrl: `https://feeds.captivate.fm/${slug}/`, showId: slug, title: null });
+
+export const resolve = async (url, http) => {
+  const parsed = parse(url);
+  const subdomain = subdomainOf(parsed);
+
+  if (subdomain === 'feeds') {
+    const slug = parsed.pathname.split('/')[1];
+    return slug ? feedOf(slug) : null;
+  }
+
+  try {
+    const html = await http.getText(url);
+    const slug = html.match(FEED_PATTERN)?.[1];
+    if (slug) return feedOf(slug);
+
+    const feed = findFeedLinks(html, url)[0];
+    if (feed) return { feedUrl: feed.url, showId: subdomain, title: feed.title };
+  } catch (error) {
+    // Fall back to the usual feed address
+  }
+
+  return feedOf(subdomain);
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
@@ -0,0 +1,48 @@
+/**
+ * Libsyn adapter
+ * Shows are name.libsyn.com with the feed at name.libsyn.com/rss, numeric feeds are feeds.libsyn.com/12345/rss.
+ */
+
+export const name = 'libsyn';
+
+export const label = 'Libsyn';
+
+// Libsyn's own subdomains, not shows
+const RESERVED_SUBDOMAINS = ['www', 'feeds', 'traffic', 'html5-player', 'play', 'login', 'four', 'five', 'support'];
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)libsyn\.com$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const subdomainOf = (parsed) => parsed.hostname.split('.').slice(0, -2).join('.');
+
+export const matches = (url) => {
+  const parsed = parse(url);
+  if (!parsed) return false;
+  const subdomain = subdomainOf(parsed);
+  return subdomain === 'feeds' ? /^\/\d+\/rss/.test(parsed.pathname) : Boolean(subdomain) && !RESERVED_SUBDOMAINS.includes(subdomain);
+};
+
+export const resolve = async (url) => {
+  const parsed = parse(url);
+  const subdomain = subdomainOf(parsed);
+
+  if (subdomain === 'feeds') {
+    const id = parsed.pathname.match(/^\/(\d+)\/rss/)[1];
+    return { feedUrl: `https://feeds.libsyn.com/${id}/rss`, showId: id, title: null };
+  }
+
+  return { feedUrl: `https://${subdomain}.libsyn.com/rss`, showId: subdomain, title: null };
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
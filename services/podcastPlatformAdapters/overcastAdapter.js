@@ -0,0 +1,40 @@
+import { lookupAppleId } from './applePodcastsAdapter.js';
+
+/**
+ * Overcast adapter
+ * Overcast show URLs embed the iTunes ID (overcast.fm/itunes1234567890/show-name), episode share
+ * links (overcast.fm/+abc) link back to the show.
+ */
+
+export const name = 'overcast';
+
+export const label = 'Overcast';
+
+const isOvercast = (url) => {
+  try {
+    return /(^|\.)overcast\.fm$/.test(new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const matches = (url) => isOvercast(url) && /\/(itunes\d+|\+[\w-]+)/.test(url);
+
+export const resolve = async (url, http) => {
+  let id = url.match(/\/itunes(\d+)/)?.[1];
+
+  if (!id) {
+    const html = await http.getText(url);
+    id = html.match(/\/itunes(\d+)/)?.[1];
+  }
+
+  const show = id ? await lookupAppleId(id, http) : null;
+  return show ? { ...show, showId: `itunes${id}` } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
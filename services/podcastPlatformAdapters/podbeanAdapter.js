@@ -0,0 +1,54 @@
+import { findFeedLinks } from '../../utils/feedLinks.js';
+
+/**
+ * Podbean adapter
+ * Shows live on their own subdomain (name.podbean.com), with the feed at feed.podbean.com/name/feed.xml.
+ * Directory pages on www.podbean.com link to the feed.
+ */
+
+export const name = 'podbean';
+
+export const label = 'Podbean';
+
+// Podbean's own subdomains, not shows
+const RESERVED_SUBDOMAINS = ['www', 'feed', 'mcdn', 'pbcdn1', 'imglf', 'm', 'api', 'help', 'blog'];
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)podbean\.com$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+export const resolve = async (url, http) => {
+  const parsed = parse(url);
+  const subdomain = parsed.hostname.split('.').slice(0, -2).join('.');
+
+  if (subdomain === 'feed') {
+    const slug = parsed.pathname.split('/')[1];
+    return slug ? { feedUrl: `https://feed.podbean.com/${slug}/feed.xml`, showId: slug, title: null } : null;
+  }
+  if (subdomain && !RESERVED_SUBDOMAINS.includes(subdomain)) {
+    return { feedUrl: `https://feed.podbean.com/${subdomain}/feed.xml`, showId: subdomain, title: null };
+  }
+
+  const html = await http.getText(url);
+  const slug = html.match(/feed\.podbean\.com\\?\/([\w-]+)\\?\/feed\.xml/)?.[1];
+  if (slug) {
+    return { feedUrl: `https://feed.podbean.com/${slug}/feed.xml`, showId: slug, title: null };
+  }
+
+  const feed = findFeedLinks(html, url)[0];
+  return feed ? { feedUrl: feed.url, showId: null, title: feed.title } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
@@ -0,0 +1,59 @@
+import { findFeedLinks } from '../../utils/feedLinks.js';
+
+/**
+ * Simplecast adapter
+ * Show sites (name.simplecast.com) link to their feed at feeds.simplecast.com/<id>, which isn't
+ * derivable from the show name.
+ */
+
+export const name = 'simplecast';
+
+export const label = 'Simplecast';
+
+// Simplecast's own subdomains, not shows
+const RESERVED_SUBDOMAINS = ['www', 'feeds', 'player', 'dashboard', 'api', 'help', 'cdn'];
+
+const FEED_PATTERN = /feeds\.simplecast\.com\\?\/([\w-]+)/;
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)simplecast\.com$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const subdomainOf = (parsed) => parsed.hostname.split('.').slice(0, -2).join('.');
+
+export const matches = (url) => {
+  const parsed = parse(url);
+  if (!parsed) return false;
+  const subdomain = subdomainOf(parsed);
+  return subdomain === 'feeds' || (Boolean(subdomain) && !RESERVED_SUBDOMAINS.includes(subdomain));
+};
+
+const feedOf = (id) => ({ feedUrl: `https://feeds.simplecast.com/${id}`, showId: id, title: null });
+
+export const resolve = async (url, http) => {
+  const parsed = parse(url);
+
+  if (subdomainOf(parsed) === 'feeds') {
+    const id = parsed.pathname.split('/')[1];
+    return id ? feedOf(id) : null;
+  }
+
+  const html = await http.getText(url);
+  const id = html.match(FEED_PATTERN)?.[1];
+  if (id) return feedOf(id);
+
+  const feed = findFeedLinks(html, url)[0];
+  return feed ? { feedUrl: feed.url, showId: null, title: feed.title } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
@@ -0,0 +1,41 @@
+import * as cheerio from 'cheerio';
+import { searchApple } from './applePodcastsAdapter.js';
+
+/**
+ * Spotify adapter
+ * Spotify doesn't publish feeds, so the show's title (from the show page) is looked up in the
+ * Apple directory and only an exact title match is accepted.
+ */
+
+export const name = 'spotify';
+
+export const label = 'Spotify';
+
+const showId = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'open.spotify.com') return null;
+    return parsed.pathname.match(/^\/(?:[\w-]+\/)?show\/([A-Za-z0-9]+)/)?.[1] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(showId(url));
+
+export const resolve = async (url, http) => {
+  const html = await http.getText(url);
+  const $ = cheerio.load(html);
+  const title = ($('meta[property="og:title"]').attr('content') || $('title').text().replace(/\s*\|\s*Podcast on Spotify\s*$/i, '')).trim();
+  if (!title) return null;
+
+  const show = await searchApple(title, http);
+  return show ? { feedUrl: show.feedUrl, showId: showId(url), title: show.title } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
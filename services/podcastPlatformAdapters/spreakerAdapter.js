@@ -0,0 +1,40 @@
+/**
+ * Spreaker adapter
+ * Feeds are www.spreaker.com/show/<numeric id>/episodes/feed. Show pages with a slug
+ * (spreaker.com/podcast/name--123456 or /show/name) carry the ID in the URL or the page.
+ */
+
+export const name = 'spreaker';
+
+export const label = 'Spreaker';
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)spreaker\.com$/.test(parsed.hostname) && /^\/(show|podcast)\//.test(parsed.pathname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+const feedOf = (id) => ({ feedUrl: `https://www.spreaker.com/show/${id}/episodes/feed`, showId: id, title: null });
+
+export const resolve = async (url, http) => {
+  const { pathname } = parse(url);
+
+  const id = pathname.match(/^\/show\/(\d+)(\/|$)/)?.[1] || pathname.match(/^\/podcast\/[\w-]*--(\d+)(\/|$)/)?.[1];
+  if (id) return feedOf(id);
+
+  const html = await http.getText(url);
+  const embedded = html.match(/spreaker\.com\\?\/show\\?\/(\d+)\\?\/episodes\\?\/feed/)?.[1] || html.match(/"show_id"\s*:\s*(\d+)/)?.[1];
+  return embedded ? feedOf(embedded) : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
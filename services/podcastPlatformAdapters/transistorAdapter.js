@@ -0,0 +1,56 @@
+import { findFeedLinks } from '../../utils/feedLinks.js';
+
+/**
+ * Transistor adapter
+ * Shows are name.transistor.fm with the feed at feeds.transistor.fm/name. Episode share links
+ * (share.transistor.fm/s/abc123) are resolved through the page.
+ */
+
+export const name = 'transistor';
+
+export const label = 'Transistor';
+
+// Transistor's own subdomains, not shows
+const RESERVED_SUBDOMAINS = ['www', 'feeds', 'share', 'dashboard', 'media', 'help', 'developers'];
+
+const FEED_PATTERN = /feeds\.transistor\.fm\\?\/([\w-]+)/;
+
+const parse = (url) => {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)transistor\.fm$/.test(parsed.hostname) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const matches = (url) => Boolean(parse(url));
+
+const feedOf = (slug) => ({ feedUrl: `https://feeds.transistor.fm/${slug}`, showId: slug, title: null });
+
+export const resolve = async (url, http) => {
+  const parsed = parse(url);
+  const subdomain = parsed.hostname.split('.').slice(0, -2).join('.');
+
+  if (subdomain === 'feeds') {
+    const slug = parsed.pathname.split('/')[1];
+    return slug ? feedOf(slug) : null;
+  }
+  if (subdomain && !RESERVED_SUBDOMAINS.includes(subdomain)) {
+    return feedOf(subdomain);
+  }
+
+  const html = await http.getText(url);
+  const slug = html.match(FEED_PATTERN)?.[1];
+  if (slug) return feedOf(slug);
+
+  const feed = findFeedLinks(html, url)[0];
+  return feed ? { feedUrl: feed.url, showId: null, title: feed.title } : null;
+};
+
+export default {
+  name,
+  label,
+  matches,
+  resolve
+};
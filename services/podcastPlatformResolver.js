@@ -0,0 +1,175 @@
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import * as applePodcastsAdapter from './podcastPlatformAdapters/applePodcastsAdapter.js';
+import * as overcastAdapter from './podcastPlatformAdapters/overcastAdapter.js';
+import * as spotifyAdapter from './podcastPlatformAdapters/spotifyAdapter.js';
+import * as podbeanAdapter from './podcastPlatformAdapters/podbeanAdapter.js';
+import * as buzzsproutAdapter from './podcastPlatformAdapters/buzzsproutAdapter.js';
+import * as anchorAdapter from './podcastPlatformAdapters/anchorAdapter.js';
+import * as libsynAdapter from './podcastPlatformAdapters/libsynAdapter.js';
+import * as transistorAdapter from './podcastPlatformAdapters/transistorAdapter.js';
+import * as captivateAdapter from './podcastPlatformAdapters/captivateAdapter.js';
+import * as simplecastAdapter from './podcastPlatformAdapters/simplecastAdapter.js';
+import * as spreakerAdapter from './podcastPlatformAdapters/spreakerAdapter.js';
+import * as acastAdapter from './podcastPlatformAdapters/acastAdapter.js';
+
+/**
+ * Resolution of podcast platform links (Apple Podcasts, Spotify, hosting show pages) to the shows' RSS feeds
+ *
+ * Adapters are tried in ADAPTERS order, the first one whose matches() accepts a URL resolves it. An adapter module exports:
+ *   name               - platform key recorded against a show
+ *   label              - display name
+ *   matches(url)       - whether the URL is one of the platform's show pages or feeds
+ *   resolve(url, http) - Promise<{ feedUrl, showId, title }|null>
+ * http is { getText(url), getJson(url) }, adapters do all their fetching through it so they can be run against
+ * fixtures. title is null when the adapter doesn't see it. Resolutions (including misses) are cached for the process,
+ * lookups that failed (timeouts, 5xx, rate limits) are not.
+ */
+
+const ADAPTERS = [
+  applePodcastsAdapter,
+  overcastAdapter,
+  spotifyAdapter,
+  podbeanAdapter,
+  buzzsproutAdapter,
+  anchorAdapter,
+  libsynAdapter,
+  transistorAdapter,
+  captivateAdapter,
+  simplecastAdapter,
+  spreakerAdapter,
+  acastAdapter
+];
+
+const PODCAST_PLATFORM_TIMEOUT = process.env.PODCAST_PLATFORM_TIMEOUT ? parseInt(process.env.PODCAST_PLATFORM_TIMEOUT) : 10000;
+const PODCAST_PLATFORM_CACHE_SIZE = process.env.PODCAST_PLATFORM_CACHE_SIZE ? parseInt(process.env.PODCAST_PLATFORM_CACHE_SIZE) : 1000;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Platform requests under the per-host limits
+ */
+const defaultHttp = {
+  getText: async (url) => {
+    const response = await politenessService.politeGet(url, {
+      timeout: PODCAST_PLATFORM_TIMEOUT,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return typeof response.data === 'string' ? response.data : String(response.data ?? '');
+  },
+  getJson: async (url) => {
+    const response = await politenessService.politeGet(url, {
+      timeout: PODCAST_PLATFORM_TIMEOUT,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' }
+    });
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  }
+};
+
+// Resolutions through defaultHttp, by show URL
+const cache = new Map();
+
+/**
+ * Adapter for a URL, null if it isn't a supported platform
+ */
+export const findAdapter = (url) => {
+  if (typeof url !== 'string') return null;
+  return ADAPTERS.find(adapter => adapter.matches(url)) || null;
+};
+
+/**
+ * Comparison key of a feed URL (scheme, www., trailing slash and case of the host ignored)
+ */
+export const feedKey = (feedUrl) => {
+  try {
+    const parsed = new URL(feedUrl);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch (error) {
+    return feedUrl;
+  }
+};
+
+/**
+ * Resolve a platform show page to its RSS feed
+ * @param {string} url - Show page URL
+ * @param {object} http - { getText, getJson }, defaults to polite requests
+ * @returns {Promise<object|null>} - { platform, label, url, feedUrl, showId, title, error }, feedUrl null when it
+ * couldn't be resolved, or null if no adapter handles the URL
+ */
+export const resolveShowUrl = async (url, http = defaultHttp) => {
+  const adapter = findAdapter(url);
+  if (!adapter) return null;
+
+  const useCache = http === defaultHttp;
+  if (useCache && cache.has(url)) {
+    return cache.get(url);
+  }
+
+  const resolution = { platform: adapter.name, label: adapter.label, url, feedUrl: null, showId: null, title: null, error: null };
+  // Timeouts, 5xx and rate limits may not happen next time; only answers (including "no such show") are cached
+  let definitive = true;
+
+  try {
+    const show = await adapter.resolve(url, http);
+    if (show?.feedUrl) {
+      Object.assign(resolution, { feedUrl: show.feedUrl, showId: show.showId || null, title: show.title || null });
+      logger.info(`[PODCAST] 🔗 Resolved ${adapter.label} link ${url} to ${show.feedUrl}`);
+    } else {
+      logger.info(`[PODCAST] No feed found for ${adapter.label} link ${url}`);
+    }
+  } catch (error) {
+    resolution.error = error.message;
+    definitive = [404, 410].includes(error.response?.status);
+    logger.warn(`[PODCAST] ⚠️ Error resolving ${adapter.label} link ${url}: ${error.message}`);
+  }
+
+  if (useCache && definitive) {
+    if (cache.size >= PODCAST_PLATFORM_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(url, resolution);
+  }
+
+  return resolution;
+};
+
+/**
+ * Resolve platform links to shows, grouping the links that lead to the same feed
+ * @param {string[]} urls - Show page URLs
+ * @param {object} http - { getText, getJson }, defaults to polite requests
+ * @returns {Promise<object>} - { shows: [{ feedUrl, title, platforms: [{ platform, url, showId }] }], unresolved: [{ platform, url, error }] }
+ */
+export const resolvePlatformLinks = async (urls, http = defaultHttp) => {
+  const shows = new Map();
+  const unresolved = [];
+
+  for (const url of [...new Set(urls)]) {
+    const resolution = await resolveShowUrl(url, http);
+    if (!resolution) continue;
+
+    if (!resolution.feedUrl) {
+      unresolved.push({ platform: resolution.platform, url, error: resolution.error });
+      continue;
+    }
+
+    const key = feedKey(resolution.feedUrl);
+    if (!shows.has(key)) {
+      shows.set(key, { feedUrl: resolution.feedUrl, title: resolution.title, platforms: [] });
+    }
+
+    const show = shows.get(key);
+    show.title = show.title || resolution.title;
+    show.platforms.push({ platform: resolution.platform, url, showId: resolution.showId });
+  }
+
+  return { shows: [...shows.values()], unresolved };
+};
+
+export default {
+  findAdapter,
+  feedKey,
+  resolveShowUrl,
+  resolvePlatformLinks
+};
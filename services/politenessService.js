@@ -0,0 +1,316 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-host politeness scheduler
+ *
+ * Every outbound request to a crawled site (page fetches, Puppeteer renders, feed validation,
+ * sitemaps, robots.txt) goes through one token bucket per host, shared by all jobs and extractors
+ * in this process. Each host gets a minimum interval between requests and a cap on requests in
+ * flight. 429 and 503 responses slow the host down and honour Retry-After. Successful responses
+ * gradually bring it back to its base rate.
+ */
+
+// Base minimum interval between requests to one host
+const HOST_MIN_INTERVAL = process.env.HOST_MIN_INTERVAL ? parseInt(process.env.HOST_MIN_INTERVAL) : 1000;
+// Requests that can be sent back to back after a host has been idle
+const HOST_BURST = process.env.HOST_BURST ? parseInt(process.env.HOST_BURST) : 2;
+// Requests allowed in flight to one host at once
+const HOST_MAX_CONCURRENCY = process.env.HOST_MAX_CONCURRENCY ? parseInt(process.env.HOST_MAX_CONCURRENCY) : 2;
+// Upper bound on the adaptive interval (robots.txt Crawl-delay can go above it), and on how long we'll honour Retry-After
+const HOST_MAX_INTERVAL = 60000;
+const MAX_RETRY_AFTER = 10 * 60 * 1000;
+// Forget hosts that have been idle this long
+const HOST_IDLE_TTL = 30 * 60 * 1000;
+
+const hosts = new Map();
+
+/**
+ * Get the host key for a URL
+ */
+const getHostKey = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Forget hosts that have been idle for a while
+ */
+const pruneIdleHosts = () => {
+  const now = Date.now();
+
+  for (const [host, state] of hosts) {
+    if (state.inFlight === 0 && state.waiters.length === 0 && now - state.lastUsed > HOST_IDLE_TTL) {
+      hosts.delete(host);
+    }
+  }
+};
+
+/**
+ * Get (or create) the state for a host
+ */
+const getHostState = (host) => {
+  let state = hosts.get(host);
+
+  if (!state) {
+    pruneIdleHosts();
+
+    state = {
+      host,
+      tokens: HOST_BURST,
+      // Bucket size, 1 once robots.txt asks for a delay between requests
+      burst: HOST_BURST,
+      lastRefill: Date.now(),
+      // Floor set by the crawler (robots.txt Crawl-delay, job crawlDelay)
+      minInterval: HOST_MIN_INTERVAL,
+      // Current interval, raised by 429/503 responses
+      interval: HOST_MIN_INTERVAL,
+      blockedUntil: 0,
+      inFlight: 0,
+      waiters: [],
+      timer: null,
+      lastUsed: Date.now(),
+      stats: { requests: 0, throttled: 0, retryAfter: 0 }
+    };
+    hosts.set(host, state);
+  }
+
+  return state;
+};
+
+/**
+ * Add the tokens earned since the last refill
+ */
+const refill = (state) => {
+  const now = Date.now();
+  const earned = (now - state.lastRefill) / state.interval;
+
+  if (earned > 0) {
+    state.tokens = Math.min(state.burst, state.tokens + earned);
+    state.lastRefill = now;
+  }
+};
+
+/**
+ * Let waiting requests through while the host allows it, then sleep until it next does
+ */
+const pump = (state) => {
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  while (state.waiters.length > 0) {
+    const now = Date.now();
+    refill(state);
+
+    if (state.inFlight >= HOST_MAX_CONCURRENCY) {
+      // A release will pump again
+      return;
+    }
+
+    let wait = 0;
+    if (state.blockedUntil > now) {
+      wait = state.blockedUntil - now;
+    } else if (state.tokens < 1) {
+      wait = Math.ceil((1 - state.tokens) * state.interval);
+    }
+
+    if (wait > 0) {
+      state.timer = setTimeout(() => pump(state), wait);
+      return;
+    }
+
+    state.tokens -= 1;
+    state.inFlight += 1;
+    state.lastUsed = now;
+    state.stats.requests += 1;
+
+    const resolve = state.waiters.shift();
+    resolve();
+  }
+};
+
+/**
+ * Wait for permission to send a request to a URL's host
+ * @param {string} url - URL about to be requested
+ * @returns {Promise<Function>} - Call the returned function once the request has finished
+ */
+export const acquire = async (url) => {
+  const host = getHostKey(url);
+  if (!host) {
+    return () => {};
+  }
+
+  const state = getHostState(host);
+
+  await new Promise(resolve => {
+    state.waiters.push(resolve);
+    pump(state);
+  });
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    state.inFlight = Math.max(0, state.inFlight - 1);
+    state.lastUsed = Date.now();
+    pump(state);
+  };
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Tell the scheduler how a host responded so it can adapt
+ * @param {string} url - Requested URL
+ * @param {number|null} status - HTTP status code, if there was a response
+ * @param {object} headers - Response headers, if any
+ */
+export const reportResponse = (url, status, headers = {}) => {
+  const host = getHostKey(url);
+  if (!host || !status) {
+    return;
+  }
+
+  const state = getHostState(host);
+
+  if (status === 429 || status === 503) {
+    const retryAfter = parseRetryAfter(headers?.['retry-after']);
+    const previousInterval = state.interval;
+
+    // Back off: double the interval, and pause the host for Retry-After (or one interval)
+    state.interval = Math.max(state.minInterval, Math.min(HOST_MAX_INTERVAL, state.interval * 2));
+    const pause = retryAfter !== null ? Math.min(retryAfter, MAX_RETRY_AFTER) : state.interval;
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + pause);
+    state.tokens = 0;
+
+    state.stats.throttled += 1;
+    if (retryAfter !== null) state.stats.retryAfter += 1;
+
+    logger.warn(`[POLITENESS] ⚠️ ${host} responded ${status}${retryAfter !== null ? ` (Retry-After ${Math.round(retryAfter / 1000)}s)` : ''}. Pausing ${Math.round(pause / 1000)}s, interval ${previousInterval}ms → ${state.interval}ms`);
+    return;
+  }
+
+  if (status < 400 && state.interval > state.minInterval) {
+    // Recover slowly towards the base rate
+    state.interval = Math.max(state.minInterval, Math.floor(state.interval * 0.9));
+  }
+};
+
+/**
+ * Raise a host's minimum interval (e.g. from robots.txt Crawl-delay); never lowers it below the default
+ * A robots.txt Crawl-delay is honoured as given, with no burst: every request waits the full delay.
+ * @param {string} url - Any URL on the host
+ * @param {number} intervalMs - Minimum milliseconds between requests
+ * @param {object} options - { robots: true } when the interval comes from robots.txt
+ */
+export const setMinInterval = (url, intervalMs, { robots = false } = {}) => {
+  const host = getHostKey(url);
+  if (!host || !intervalMs) {
+    return;
+  }
+
+  const state = getHostState(host);
+  const minInterval = robots
+    ? Math.max(HOST_MIN_INTERVAL, intervalMs)
+    : Math.min(HOST_MAX_INTERVAL, Math.max(HOST_MIN_INTERVAL, intervalMs));
+
+  if (robots && state.burst > 1) {
+    state.burst = 1;
+    state.tokens = Math.min(state.tokens, 1);
+  }
+
+  if (minInterval > state.minInterval) {
+    state.minInterval = minInterval;
+    state.interval = Math.max(state.interval, minInterval);
+    logger.info(`[POLITENESS] Minimum interval for ${host} set to ${minInterval}ms`);
+  }
+};
+
+/**
+ * Run a request function under the host's limits and learn from its outcome
+ * The function may return an axios-style response ({ status, headers }) or a Puppeteer result
+ * ({ statusCode, headers }); thrown axios errors are inspected for error.response.
+ * @param {string} url - URL being requested
+ * @param {Function} requestFn - Function that performs the request
+ */
+export const schedule = async (url, requestFn) => {
+  const release = await acquire(url);
+
+  try {
+    const result = await requestFn();
+    reportResponse(url, result?.status ?? result?.statusCode ?? null, result?.headers);
+    return result;
+  } catch (error) {
+    if (error.response) {
+      reportResponse(url, error.response.status, error.response.headers);
+    }
+    throw error;
+  } finally {
+    release();
+  }
+};
+
+/**
+ * axios.get under the host's limits
+ */
+export const politeGet = (url, config = {}) => schedule(url, () => axios.get(url, config));
+
+/**
+ * axios.head under the host's limits
+ */
+export const politeHead = (url, config = {}) => schedule(url, () => axios.head(url, config));
+
+/**
+ * Current per-host state, for diagnostics
+ */
+export const getHostStats = () => {
+  pruneIdleHosts();
+  const now = Date.now();
+
+  return [...hosts.values()].map(state => ({
+    host: state.host,
+    intervalMs: state.interval,
+    minIntervalMs: state.minInterval,
+    inFlight: state.inFlight,
+    waiting: state.waiters.length,
+    pausedForMs: Math.max(0, state.blockedUntil - now),
+    ...state.stats
+  }));
+};
+
+export default {
+  acquire,
+  parseRetryAfter,
+  reportResponse,
+  setMinInterval,
+  schedule,
+  politeGet,
+  politeHead,
+  getHostStats
+};
@@ -1,66 +1,25 @@
-import puppeteer from 'puppeteer';
 import logger from '../utils/logger.js';
 import * as cheerio from 'cheerio';
-
-// Store a browser instance to reuse
-let browserInstance = null;
+import * as browserPool from './browserPool.js';
+import * as interceptionProfiles from './interceptionProfiles.js';
 
 /**
- * Get or create a Puppeteer browser instance
- */
-export const getBrowser = async () => {
-  if (!browserInstance) {
-    logger.info('Launching new Puppeteer browser instance with enhanced settings');
-    browserInstance = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920,1080',
-        '--disable-features=IsolateOrigins,site-per-process', // Helps with some Cloudflare checks
-        '--disable-web-security', // May help with cross-origin issues
-        '--disable-features=site-per-process',
-        '--disable-blink-features=AutomationControlled', // Hide automation
-      ],
-      defaultViewport: { width: 1920, height: 1080 },
-      ignoreHTTPSErrors: true
-    });
-    
-    // Handle browser disconnection
-    browserInstance.on('disconnected', () => {
-      logger.info('Puppeteer browser disconnected');
-      browserInstance = null;
-    });
-  }
-  
-  return browserInstance;
-};
-
-/**
- * Closes the browser instance if it exists
+ * Closes every browser in the pool
  */
 export const closeBrowser = async () => {
-  if (browserInstance) {
-    await browserInstance.close();
-    browserInstance = null;
-    logger.info('Puppeteer browser closed');
-  }
+  await browserPool.closePool();
 };
 
 /**
  * Fetch a URL using Puppeteer to bypass Cloudflare protection
  * @param {string} url - URL to fetch
- * @param {object} options - Additional options
- * @returns {Promise<{content: string, html: string}>} - Page content and HTML
+ * @param {object} options - Additional options ({ profile } picks an interception profile, default 'full')
+ * @returns {Promise<object>} - Title, HTML, text, links, images and blocked requests
  */
 export const fetchWithPuppeteer = async (url, options = {}) => {
   logger.info(`[PUPPETEER] Fetching ${url} with enhanced browser settings`);
   
-  const browser = await getBrowser();
-  const page = await browser.newPage();
+  const { page, release } = await browserPool.acquirePage();
   
   try {
     logger.info(`[PUPPETEER] Setting up browser fingerprint for ${url}`);
@@ -120,6 +79,10 @@ export const fetchWithPuppeteer = async (url, options = {}) => {
     // Set cookie handling and cache
     await page.setCacheEnabled(true);
     
+    // Block resources according to the interception profile
+    const profile = options.profile || 'full';
+    const blockedRequests = await interceptionProfiles.applyProfile(page, profile);
+    
     // Set default timeout (30 seconds)
     page.setDefaultNavigationTimeout(60000); // Increased timeout for Cloudflare
     
@@ -181,7 +144,8 @@ export const fetchWithPuppeteer = async (url, options = {}) => {
       html,
       text: await page.evaluate(() => document.body.innerText),
       links: [],
-      images: []
+      images: [],
+      blockedRequests
     };
     
     // Extract links
@@ -212,14 +176,15 @@ export const fetchWithPuppeteer = async (url, options = {}) => {
     });
     logger.info(`[PUPPETEER] Extracted ${result.images.length} images from ${url}`);
     
+    interceptionProfiles.logBlockedSummary(url, profile, blockedRequests);
     logger.info(`[PUPPETEER] ✅ Successfully fetched ${url} with Puppeteer`);
     return result;
   } catch (error) {
     logger.error(`[PUPPETEER] ❌ Error fetching ${url} with Puppeteer: ${error.message}`);
     throw error;
   } finally {
-    // Close the page to free resources
-    await page.close();
+    // Close the page and hand the browser back to the pool
+    await release();
   }
 };
 
@@ -229,10 +194,12 @@ export const fetchWithPuppeteer = async (url, options = {}) => {
  * @returns {Promise<boolean>} - True if URL needs Puppeteer
  */
 export const testIfUrlNeedsPuppeteer = async (url) => {
+  let lease = null;
+  
   try {
     logger.info(`[PUPPETEER] Testing if ${url} needs protection bypass`);
-    const browser = await getBrowser();
-    const page = await browser.newPage();
+    lease = await browserPool.acquirePage();
+    const page = lease.page;
     
     // Set up more realistic browser fingerprint
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36 Edg/121.0.2277.128');
@@ -255,8 +222,6 @@ export const testIfUrlNeedsPuppeteer = async (url) => {
              bodyText.includes('protected by');
     });
     
-    await page.close();
-    
     if (protectionDetected) {
       logger.info(`[PUPPETEER] ⚠️ Protection detected for ${url}, will use Puppeteer`);
     } else {
@@ -269,21 +234,21 @@ export const testIfUrlNeedsPuppeteer = async (url) => {
     // If there's an error, assume we need Puppeteer to be safe
     logger.info(`[PUPPETEER] Assuming ${url} needs protection bypass due to test error`);
     return true;
+  } finally {
+    if (lease) await lease.release();
   }
 };
 
 /**
  * Get a page's content using Puppeteer
  * @param {string} url - URL to fetch
- * @param {object} options - Additional options
- * @returns {Promise<{content: string, metadata: object}>} - Page content and metadata
+ * @param {object} options - Additional options ({ timeout, profile })
+ * @returns {Promise<{content: string, metadata: object, statusCode: number|null, headers: object, blockedRequests: Array}>} - Page content, metadata, response status and the requests the profile blocked
  */
 export async function getPageContent(url, options = {}) {
-  const browser = await getBrowser();
-  let page = null;
+  const { page, release } = await browserPool.acquirePage();
   
   try {
-    page = await browser.newPage();
     
     // Set viewport and user agent
     await page.setViewport({ width: 1280, height: 800 });
@@ -298,22 +263,14 @@ export async function getPageContent(url, options = {}) {
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
     });
     
-    // Block certain resource types to speed up page load
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const resourceType = req.resourceType();
-      if (resourceType === 'image' || resourceType === 'font' || resourceType === 'media') {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
+    // Block resources according to the interception profile (options.profile, default DEFAULT_RENDER_PROFILE)
+    const blockedRequests = await interceptionProfiles.applyProfile(page, options.profile);
     
     // Set timeout for navigation
     const timeout = options.timeout || 30000;
     
     // Navigate to URL with improved wait options
-    await page.goto(url, {
+    const response = await page.goto(url, {
       waitUntil: ['domcontentloaded', 'load'],
       timeout: timeout
     });
@@ -349,12 +306,282 @@ export async function getPageContent(url, options = {}) {
       };
     });
     
-    return { content, metadata };
+    interceptionProfiles.logBlockedSummary(url, options.profile, blockedRequests);
+    
+    // Status and headers let the politeness scheduler react to 429/503
+    return {
+      content,
+      metadata,
+      statusCode: response ? response.status() : null,
+      headers: response ? response.headers() : {},
+      blockedRequests
+    };
   } catch (error) {
     logger.error(`[PUPPETEER] Error getting page content for ${url}: ${error.message}`);
     throw error;
   } finally {
-    if (page) await page.close();
-    // Don't close the browser instance, just the page
+    // Close the page and hand the browser back to the pool
+    await release();
+  }
+}
+
+// Viewports used for screenshots
+export const SCREENSHOT_VIEWPORTS = {
+  desktop: {
+    viewport: { width: 1440, height: 900, deviceScaleFactor: 1 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+  },
+  mobile: {
+    viewport: { width: 390, height: 844, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'
+  }
+};
+
+// 'above-fold' is the first screen, 'full-page' the whole scrollable page (up to SCREENSHOT_MAX_HEIGHT)
+export const SCREENSHOT_MODES = ['above-fold', 'full-page'];
+
+// Very long pages are cut off here so screenshots stay a usable size
+const SCREENSHOT_MAX_HEIGHT = process.env.SCREENSHOT_MAX_HEIGHT ? parseInt(process.env.SCREENSHOT_MAX_HEIGHT) : 8000;
+const SCREENSHOT_QUALITY = 80;
+
+/**
+ * Capture screenshots of a page at one or more viewports
+ * Each viewport is rendered in its own page so the site can serve its mobile layout.
+ * @param {string} url - URL to capture
+ * @param {object} options - { viewports: ['desktop', 'mobile'], modes: ['above-fold', 'full-page'], profile, timeout }
+ * @returns {Promise<Array<object>>} - [{ viewport, mode, buffer, format, width, height, statusCode }]
+ */
+export const captureScreenshots = async (url, options = {}) => {
+  const viewports = (options.viewports || Object.keys(SCREENSHOT_VIEWPORTS)).filter(name => SCREENSHOT_VIEWPORTS[name]);
+  const modes = (options.modes || SCREENSHOT_MODES).filter(mode => SCREENSHOT_MODES.includes(mode));
+  const captures = [];
+
+  for (const viewportName of viewports) {
+    const { viewport, userAgent } = SCREENSHOT_VIEWPORTS[viewportName];
+    const { page, release } = await browserPool.acquirePage();
+
+    try {
+      logger.info(`[PUPPETEER] Capturing ${viewportName} screenshots of ${url}`);
+
+      await page.setUserAgent(userAgent);
+      await page.setViewport(viewport);
+
+      // Screenshots need images, so block only media, fonts and trackers by default
+      const profile = options.profile || 'with-images';
+      const blockedRequests = await interceptionProfiles.applyProfile(page, profile);
+
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: options.timeout || 30000
+      });
+
+      // Let late layout shifts and fade-ins finish
+      await new Promise(resolve => setTimeout(resolve, 1500));
+
+      const statusCode = response ? response.status() : null;
+
+      for (const mode of modes) {
+        let screenshotOptions = { type: 'jpeg', quality: SCREENSHOT_QUALITY };
+        let height = viewport.height;
+
+        if (mode === 'full-page') {
+          const pageHeight = await page.evaluate(() => Math.max(
+            document.documentElement.scrollHeight,
+            document.body ? document.body.scrollHeight : 0
+          ));
+          height = Math.min(pageHeight, SCREENSHOT_MAX_HEIGHT);
+
+          screenshotOptions = pageHeight > SCREENSHOT_MAX_HEIGHT
+            ? { ...screenshotOptions, clip: { x: 0, y: 0, width: viewport.width, height }, captureBeyondViewport: true }
+            : { ...screenshotOptions, fullPage: true };
+        }
+
+        const buffer = Buffer.from(await page.screenshot(screenshotOptions));
+
+        captures.push({
+          viewport: viewportName,
+          mode,
+          buffer,
+          format: 'jpeg',
+          width: viewport.width,
+          height,
+          statusCode
+        });
+      }
+
+      interceptionProfiles.logBlockedSummary(url, profile, blockedRequests);
+      logger.info(`[PUPPETEER] ✅ Captured ${modes.length} ${viewportName} screenshot(s) of ${url}`);
+    } catch (error) {
+      logger.error(`[PUPPETEER] ❌ Error capturing ${viewportName} screenshots of ${url}: ${error.message}`);
+    } finally {
+      await release();
+    }
   }
-} 
\ No newline at end of file
+
+  return captures;
+};
+
+/**
+ * Sample computed colors from a rendered page (for brand color extraction)
+ * Background colors come with the element's area so larger surfaces can count for more.
+ * @param {string} url - URL to render
+ * @param {object} options - { profile, timeout }
+ * @returns {Promise<object>} - { background, htmlBackground, text, header, buttons, links, headings, footer, logoUrl, logoSvg }
+ */
+export const sampleComputedStyles = async (url, options = {}) => {
+  const { page, release } = await browserPool.acquirePage();
+
+  try {
+    logger.info(`[PUPPETEER] Sampling computed styles of ${url}`);
+
+    await page.setUserAgent(SCREENSHOT_VIEWPORTS.desktop.userAgent);
+    await page.setViewport(SCREENSHOT_VIEWPORTS.desktop.viewport);
+
+    // Stylesheets are needed, images are not (logo and hero images are decoded separately)
+    const profile = options.profile || 'text-only';
+    const blockedRequests = await interceptionProfiles.applyProfile(page, profile);
+
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: options.timeout || 30000
+    });
+
+    const styles = await page.evaluate(() => {
+      const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+      };
+
+      const sample = (selector, properties, limit) => Array.from(document.querySelectorAll(selector))
+        .filter(isVisible)
+        .slice(0, limit)
+        .map(element => {
+          const rect = element.getBoundingClientRect();
+          const style = window.getComputedStyle(element);
+          const entry = {
+            area: Math.round(rect.width * rect.height),
+            aboveFold: rect.top < window.innerHeight
+          };
+          properties.forEach(property => { entry[property] = style[property]; });
+          return entry;
+        });
+
+      const logoImage = document.querySelector('img[class*="logo" i], img[id*="logo" i], img[alt*="logo" i], img[src*="logo" i], [class*="logo" i] img, header img');
+      const logoSvg = document.querySelector('svg[class*="logo" i], [class*="logo" i] svg, header a svg');
+
+      return {
+        background: window.getComputedStyle(document.body).backgroundColor,
+        htmlBackground: window.getComputedStyle(document.documentElement).backgroundColor,
+        text: window.getComputedStyle(document.body).color,
+        header: sample('header, [role="banner"], .header, #header, .site-header, nav', ['backgroundColor', 'color'], 5),
+        buttons: sample('button, .btn, .button, [class*="btn-"], [class*="button" i], input[type="submit"], a[role="button"]', ['backgroundColor', 'color', 'borderColor'], 30),
+        links: sample('a[href]', ['color'], 150),
+        headings: sample('h1, h2, h3', ['color'], 20),
+        footer: sample('footer, [role="contentinfo"]', ['backgroundColor', 'color'], 2),
+        logoUrl: logoImage ? (logoImage.currentSrc || logoImage.src || null) : null,
+        logoSvg: !logoImage && logoSvg ? logoSvg.outerHTML.slice(0, 50000) : null
+      };
+    });
+
+    interceptionProfiles.logBlockedSummary(url, profile, blockedRequests);
+    logger.info(`[PUPPETEER] ✅ Sampled ${styles.buttons.length} buttons, ${styles.links.length} links and ${styles.header.length} header elements on ${url}`);
+    return styles;
+  } catch (error) {
+    logger.error(`[PUPPETEER] ❌ Error sampling computed styles of ${url}: ${error.message}`);
+    throw error;
+  } finally {
+    await release();
+  }
+};
+
+/**
+ * Sample typography from a rendered page: computed fonts of headings, body text and controls,
+ * border radii, and the font faces the page declares
+ * @param {string} url - URL to render
+ * @param {object} options - { profile, timeout }
+ * @returns {Promise<object>} - { elements: { body, h1, ... }, radii: { button, input, card }, fontFaces }
+ */
+export const sampleTypography = async (url, options = {}) => {
+  const { page, release } = await browserPool.acquirePage();
+
+  try {
+    logger.info(`[PUPPETEER] Sampling typography of ${url}`);
+
+    await page.setUserAgent(SCREENSHOT_VIEWPORTS.desktop.userAgent);
+    await page.setViewport(SCREENSHOT_VIEWPORTS.desktop.viewport);
+
+    // Stylesheets carry the @font-face rules; the font files themselves aren't needed
+    const profile = options.profile || 'text-only';
+    const blockedRequests = await interceptionProfiles.applyProfile(page, profile);
+
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: options.timeout || 30000
+    });
+
+    const typography = await page.evaluate(() => {
+      const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const firstVisible = (selector) => Array.from(document.querySelectorAll(selector)).find(isVisible) || null;
+
+      const fontOf = (element) => {
+        if (!element) return null;
+        const style = window.getComputedStyle(element);
+        return {
+          fontFamily: style.fontFamily,
+          fontSize: style.fontSize,
+          fontWeight: style.fontWeight,
+          fontStyle: style.fontStyle,
+          lineHeight: style.lineHeight,
+          letterSpacing: style.letterSpacing,
+          textTransform: style.textTransform
+        };
+      };
+
+      const radiiOf = (selector) => Array.from(document.querySelectorAll(selector))
+        .filter(isVisible)
+        .slice(0, 30)
+        .map(element => window.getComputedStyle(element).borderTopLeftRadius);
+
+      return {
+        elements: {
+          body: fontOf(document.body),
+          paragraph: fontOf(firstVisible('main p, article p, p')),
+          h1: fontOf(firstVisible('h1')),
+          h2: fontOf(firstVisible('h2')),
+          h3: fontOf(firstVisible('h3')),
+          h4: fontOf(firstVisible('h4')),
+          link: fontOf(firstVisible('main a, article a, a')),
+          navigation: fontOf(firstVisible('nav a, header a')),
+          button: fontOf(firstVisible('button, .btn, .button, input[type="submit"], a[role="button"]'))
+        },
+        radii: {
+          button: radiiOf('button, .btn, .button, [class*="btn-"], input[type="submit"], a[role="button"]'),
+          input: radiiOf('input[type="text"], input[type="email"], input[type="search"], textarea, select'),
+          card: radiiOf('[class*="card" i], [class*="tile" i]'),
+          image: radiiOf('main img, article img')
+        },
+        fontFaces: Array.from(document.fonts || []).map(face => ({
+          family: face.family,
+          weight: face.weight,
+          style: face.style,
+          status: face.status
+        }))
+      };
+    });
+
+    interceptionProfiles.logBlockedSummary(url, profile, blockedRequests);
+    logger.info(`[PUPPETEER] ✅ Sampled typography of ${url} (${typography.fontFaces.length} font faces)`);
+    return typography;
+  } catch (error) {
+    logger.error(`[PUPPETEER] ❌ Error sampling typography of ${url}: ${error.message}`);
+    throw error;
+  } finally {
+    await release();
+  }
+};
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import * as fetchPlanner from './fetchPlanner.js';
+import * as responseCacheRepository from '../database/repositories/responseCacheRepository.js';
+
+// Set RESPONSE_CACHE_ENABLED=false to always fetch pages in full
+const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE_ENABLED !== 'false';
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+/**
+ * Store the ETag/Last-Modified of a full response so the next crawl can revalidate it
+ * @param {string} url - Fetched URL
+ * @param {object} headers - Response headers (lower-cased keys, as axios and Puppeteer give them)
+ * @param {number} statusCode - Response status
+ */
+export const rememberResponse = async (url, headers = {}, statusCode = 200) => {
+  if (!RESPONSE_CACHE_ENABLED || !global.dbConnected || !headers) {
+    return false;
+  }
+
+  const etag = headers['etag'] || null;
+  const lastModified = headers['last-modified'] || null;
+
+  // Nothing to revalidate with
+  if (!etag && !lastModified) {
+    return false;
+  }
+
+  if (statusCode && (statusCode < 200 || statusCode >= 300)) {
+    return false;
+  }
+
+  return responseCacheRepository.saveCacheEntry(url, {
+    etag,
+    lastModified,
+    statusCode: statusCode || 200,
+    contentType: headers['content-type'] || null
+  });
+};
+
+/**
+ * Revalidate a URL with If-None-Match/If-Modified-Since
+ * @param {string} url - URL to fetch
+ * @param {object} extraHeaders - Additional request headers
+ * @returns {Promise<object|null>} - { data, headers, source } when the conditional request
+ *   answered the fetch (304 from the stored page, or a fresh 200), null to fall back to a normal fetch
+ */
+export const revalidate = async (url, extraHeaders = {}) => {
+  if (!RESPONSE_CACHE_ENABLED || !global.dbConnected) {
+    return null;
+  }
+
+  const entry = await responseCacheRepository.getCacheEntry(url);
+  if (!entry || (!entry.etag && !entry.lastModified)) {
+    return null;
+  }
+
+  // A 304 is only useful if we still have the body it refers to
+  const storedPage = await responseCacheRepository.getStoredPage(url);
+  if (!storedPage) {
+    await responseCacheRepository.deleteCacheEntry(url);
+    return null;
+  }
+
+  const headers = { ...DEFAULT_HEADERS, ...extraHeaders };
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+  try {
+    const response = await politenessService.schedule(url, () => axios.get(url, {
+      timeout: 20000,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    }));
+
+    if (response.status === 304) {
+      logger.info(`[CACHE] ♻️ ${url} not modified, reusing stored HTML`);
+      await responseCacheRepository.markNotModified(url);
+      return {
+        data: storedPage.html,
+        headers: { ...response.headers, 'content-type': storedPage.contentType || response.headers['content-type'] },
+        statusCode: 200,
+        source: 'cache'
+      };
+    }
+
+    // Changed since last time. Use this response as the new copy unless it needs a headless render
+    logger.info(`[CACHE] ${url} changed since last crawl (HTTP ${response.status})`);
+    if (fetchPlanner.detectRenderNeed(response.data, response)) {
+      return null;
+    }
+
+    await rememberResponse(url, response.headers, response.status);
+    return {
+      data: response.data,
+      headers: response.headers,
+      statusCode: response.status,
+      source: 'axios'
+    };
+  } catch (error) {
+    logger.warn(`[CACHE] Conditional request for ${url} failed, doing a full fetch: ${error.message}`);
+    return null;
+  }
+};
+
+export default {
+  rememberResponse,
+  revalidate
+};
@@ -0,0 +1,291 @@
+import * as politenessService from './politenessService.js';
+import logger from '../utils/logger.js';
+
+// Product token used to pick our group out of robots.txt
+export const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'DiscoveryCrawler';
+
+// robots.txt may be cached for up to 24 hours (RFC 9309)
+const ROBOTS_CACHE_TTL = 24 * 60 * 60 * 1000;
+const ROBOTS_MAX_SIZE = 500 * 1024;
+const ROBOTS_TIMEOUT = 10000;
+
+// Parsed robots.txt files keyed by origin (scheme + host + port)
+const robotsCache = new Map();
+
+/**
+ * Parse the raw text of a robots.txt file
+ * @param {string} text - robots.txt body
+ * @returns {{groups: Array, sitemaps: Array<string>}} - User-agent groups and declared sitemaps
+ */
+export const parseRobotsTxt = (text = '') => {
+  const groups = [];
+  const sitemaps = [];
+  let currentGroup = null;
+  let lastLineWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r\n|\r|\n/)) {
+    // Strip comments and surrounding whitespace
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) continue;
+
+    const field = line.substring(0, separatorIndex).trim().toLowerCase();
+    const value = line.substring(separatorIndex + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!currentGroup || !lastLineWasAgent) {
+        currentGroup = { agents: [], rules: [], crawlDelay: null };
+        groups.push(currentGroup);
+      }
+      currentGroup.agents.push(value.toLowerCase());
+      lastLineWasAgent = true;
+      continue;
+    }
+
+    lastLineWasAgent = false;
+
+    // Sitemap lines are not tied to any group
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    // Rules before the first user-agent line are ignored
+    if (!currentGroup) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        currentGroup.rules.push({ type: field, pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) {
+        currentGroup.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+};
+
+/**
+ * Convert a robots.txt path pattern into a regular expression
+ * Supports the "*" wildcard and the "$" end-of-path anchor
+ */
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Product token of a user agent ("DiscoveryCrawler/1.0" -> "discoverycrawler")
+ */
+const productToken = (value) => value.split('/')[0].trim().toLowerCase();
+
+/**
+ * Pick the rules that apply to our user agent
+ * Groups naming our product token (exactly, ignoring case, as in RFC 9309) win over the "*" group;
+ * matching groups are merged
+ */
+const selectGroupRules = (parsed, userAgent = CRAWLER_USER_AGENT) => {
+  const agent = productToken(userAgent);
+
+  const specificGroups = parsed.groups.filter(group =>
+    group.agents.some(token => token !== '*' && productToken(token) === agent)
+  );
+  const groups = specificGroups.length > 0
+    ? specificGroups
+    : parsed.groups.filter(group => group.agents.includes('*'));
+
+  const rules = groups.flatMap(group => group.rules).map(rule => ({
+    ...rule,
+    regex: patternToRegex(rule.pattern)
+  }));
+
+  const delays = groups
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+
+  return {
+    rules,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+/**
+ * Check a path against a set of rules
+ * The longest matching pattern wins; Allow wins a tie
+ * @returns {{allowed: boolean, rule: object|null}}
+ */
+export const matchRules = (rules, path) => {
+  let bestRule = null;
+
+  for (const rule of rules) {
+    if (!rule.regex.test(path)) continue;
+
+    if (
+      !bestRule ||
+      rule.pattern.length > bestRule.pattern.length ||
+      (rule.pattern.length === bestRule.pattern.length && rule.type === 'allow')
+    ) {
+      bestRule = rule;
+    }
+  }
+
+  return {
+    allowed: !bestRule || bestRule.type === 'allow',
+    rule: bestRule
+  };
+};
+
+/**
+ * Fetch robots.txt for an origin
+ * 4xx means no restrictions, 5xx means the whole site is off limits (RFC 9309)
+ */
+const fetchRobots = async (origin) => {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    logger.info(`[ROBOTS] Fetching ${robotsUrl}`);
+    const response = await politenessService.politeGet(robotsUrl, {
+      timeout: ROBOTS_TIMEOUT,
+      maxContentLength: ROBOTS_MAX_SIZE,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': `Mozilla/5.0 (compatible; ${CRAWLER_USER_AGENT}/1.0)`,
+        'Accept': 'text/plain,*/*;q=0.8'
+      }
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      const parsed = parseRobotsTxt(typeof response.data === 'string' ? response.data : '');
+      logger.info(`[ROBOTS] Parsed ${robotsUrl}: ${parsed.groups.length} groups, ${parsed.sitemaps.length} sitemaps`);
+      return { status: 'ok', statusCode: response.status, ...parsed };
+    }
+
+    if (response.status >= 500) {
+      logger.warn(`[ROBOTS] ⚠️ ${robotsUrl} returned ${response.status}, treating site as disallowed`);
+      return { status: 'unreachable', statusCode: response.status, groups: [], sitemaps: [] };
+    }
+
+    logger.info(`[ROBOTS] No robots.txt at ${origin} (status ${response.status}), all paths allowed`);
+    return { status: 'missing', statusCode: response.status, groups: [], sitemaps: [] };
+  } catch (error) {
+    // Network failures will surface again on the page fetch itself, so don't block the crawl here
+    logger.warn(`[ROBOTS] ⚠️ Could not fetch ${robotsUrl}: ${error.message}. Allowing all paths`);
+    return { status: 'error', statusCode: null, groups: [], sitemaps: [] };
+  }
+};
+
+/**
+ * Get the parsed robots.txt policy for the origin of a URL, using the cache when fresh
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<object>} - Policy with rules, crawlDelay (seconds), sitemaps and fetch status
+ */
+export const getRobotsPolicy = async (url) => {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_CACHE_TTL) {
+    return cached;
+  }
+
+  const fetched = await fetchRobots(origin);
+  const { rules, crawlDelay } = selectGroupRules(fetched);
+
+  const policy = {
+    origin,
+    status: fetched.status,
+    statusCode: fetched.statusCode,
+    rules,
+    crawlDelay,
+    sitemaps: fetched.sitemaps,
+    fetchedAt: Date.now()
+  };
+
+  robotsCache.set(origin, policy);
+  return policy;
+};
+
+/**
+ * Check whether our crawler may fetch a URL
+ * @param {string} url - URL to check
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+export const checkUrl = async (url) => {
+  try {
+    const parsedUrl = new URL(url);
+    const path = `${parsedUrl.pathname}${parsedUrl.search}`;
+
+    // robots.txt itself is always fetchable
+    if (parsedUrl.pathname === '/robots.txt') {
+      return { allowed: true, reason: null };
+    }
+
+    const policy = await getRobotsPolicy(url);
+
+    if (policy.status === 'unreachable') {
+      return {
+        allowed: false,
+        reason: `robots.txt unavailable (HTTP ${policy.statusCode}), site treated as disallowed`
+      };
+    }
+
+    const { allowed, rule } = matchRules(policy.rules, path);
+
+    return {
+      allowed,
+      reason: allowed ? null : `Disallowed by robots.txt rule "Disallow: ${rule.pattern}"`
+    };
+  } catch (error) {
+    logger.warn(`[ROBOTS] Error checking ${url}: ${error.message}`);
+    return { allowed: true, reason: null };
+  }
+};
+
+/**
+ * Get the Crawl-delay for the origin of a URL
+ * @param {string} url - URL on the site
+ * @returns {Promise<number|null>} - Delay in milliseconds, or null if none is declared
+ */
+export const getCrawlDelay = async (url) => {
+  try {
+    const policy = await getRobotsPolicy(url);
+    return policy.crawlDelay !== null ? Math.round(policy.crawlDelay * 1000) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Clear cached robots.txt policies
+ * @param {string} [origin] - Only clear this origin
+ */
+export const clearCache = (origin = null) => {
+  if (origin) {
+    robotsCache.delete(origin);
+  } else {
+    robotsCache.clear();
+  }
+};
+
+export default {
+  CRAWLER_USER_AGENT,
+  parseRobotsTxt,
+  matchRules,
+  getRobotsPolicy,
+  checkUrl,
+  getCrawlDelay,
+  clearCache
+};
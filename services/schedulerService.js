@@ -0,0 +1,170 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { getNextRun } from '../utils/cron.js';
+import * as crawlScheduleRepository from '../database/repositories/crawlScheduleRepository.js';
+import * as scrapeManager from './scrapeManager.js';
+import * as extractorRegistry from './extractorRegistry.js';
+import * as interceptionProfiles from './interceptionProfiles.js';
+import * as screenshotService from './screenshotService.js';
+
+const SCHEDULER_INTERVAL = process.env.SCHEDULER_INTERVAL ? parseInt(process.env.SCHEDULER_INTERVAL) : 60000;
+
+// Job params used when a schedule doesn't specify them
+const DEFAULT_SCHEDULE_PARAMS = {
+  depth: 1,
+  priority: 'low',
+  forceRecrawl: false
+};
+
+let schedulerTimer = null;
+let isTicking = false;
+
+/**
+ * Build a scrape job for a scheduled run, mirroring the defaults applied by POST /api/scrape
+ */
+const buildScheduledJob = (schedule) => {
+  const params = { ...DEFAULT_SCHEDULE_PARAMS, ...schedule.params };
+
+  params.depth = parseInt(params.depth, 10) || 1;
+  if (params.depth < 1 || params.depth > 3) {
+    params.depth = 1;
+  }
+  if (!['low', 'normal', 'high'].includes(params.priority)) {
+    params.priority = 'low';
+  }
+  params.forceRecrawl = params.forceRecrawl === true;
+  params.ignoreRobots = params.ignoreRobots === true;
+  params.useSitemaps = params.useSitemaps !== false;
+  // Schedules are checked when saved, but may name extractors or profiles that have since been removed
+  if (Array.isArray(params.extractors)) {
+    const unknownExtractors = extractorRegistry.findUnknownExtractors(params.extractors);
+    if (unknownExtractors.length > 0) {
+      logger.warn(`[SCHEDULER] ⚠️ Schedule ${schedule.id} names unknown extractors ${unknownExtractors.join(', ')}, skipping them`);
+      params.extractors = params.extractors.filter(name => !unknownExtractors.includes(name));
+    }
+  }
+  if (!Array.isArray(params.extractors) || params.extractors.length === 0) {
+    params.extractors = extractorRegistry.getDefaultExtractorNames();
+  }
+  if (params.renderProfile !== undefined && params.renderProfile !== null && !interceptionProfiles.isKnownProfile(params.renderProfile)) {
+    logger.warn(`[SCHEDULER] ⚠️ Schedule ${schedule.id} names unknown renderProfile "${params.renderProfile}", using the default`);
+    params.renderProfile = null;
+  }
+  params.renderProfile = params.renderProfile || null;
+  if (screenshotService.validateOptions(params.screenshots).length > 0) {
+    logger.warn(`[SCHEDULER] ⚠️ Schedule ${schedule.id} has invalid screenshot options, taking none`);
+    params.screenshots = false;
+  }
+  params.screenshots = params.screenshots || false;
+  params.callbackUrl = params.callbackUrl || null;
+  params.scheduleId = schedule.id;
+
+  return {
+    jobId: uuidv4(),
+    domain: schedule.domain,
+    status: 'queued',
+    params,
+    priority: params.priority,
+    depth: params.depth,
+    extractors: params.extractors,
+    callbackUrl: params.callbackUrl,
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Run one due schedule: claim it, then queue a job unless the domain is already busy
+ */
+const runSchedule = async (schedule) => {
+  let nextRunAt;
+  try {
+    nextRunAt = getNextRun(schedule.cronExpression);
+  } catch (error) {
+    logger.error(`[SCHEDULER] ❌ Schedule ${schedule.id} has an invalid cron expression "${schedule.cronExpression}": ${error.message}`);
+    await crawlScheduleRepository.updateSchedule(schedule.id, { enabled: false });
+    await crawlScheduleRepository.recordRunResult(schedule.id, { status: 'error', message: `Disabled: ${error.message}` });
+    return;
+  }
+
+  // Another instance may already have taken this run
+  const claimed = await crawlScheduleRepository.claimRun(schedule.id, schedule.nextRunAt, nextRunAt);
+  if (!claimed) {
+    return;
+  }
+
+  const busy = await crawlScheduleRepository.hasActiveJobForDomain(schedule.domain);
+  if (busy) {
+    logger.info(`[SCHEDULER] ⏭️ Skipping scheduled crawl of ${schedule.domain} (schedule ${schedule.id}): a job is already active. Next run ${nextRunAt.toISOString()}`);
+    await crawlScheduleRepository.recordRunResult(schedule.id, {
+      status: 'skipped',
+      message: 'A job for this domain was already queued or processing'
+    });
+    return;
+  }
+
+  try {
+    const job = buildScheduledJob(schedule);
+    await scrapeManager.queueJob(job);
+
+    logger.info(`[SCHEDULER] ✅ Queued scheduled crawl of ${schedule.domain} as job ${job.jobId} (schedule ${schedule.id}). Next run ${nextRunAt.toISOString()}`);
+    await crawlScheduleRepository.recordRunResult(schedule.id, {
+      status: 'queued',
+      jobId: job.jobId,
+      message: null
+    });
+  } catch (error) {
+    logger.error(`[SCHEDULER] ❌ Error queueing scheduled crawl of ${schedule.domain}: ${error.message}`);
+    await crawlScheduleRepository.recordRunResult(schedule.id, { status: 'error', message: error.message });
+  }
+};
+
+/**
+ * Check for due schedules and run them
+ */
+export const tick = async () => {
+  if (isTicking) {
+    return;
+  }
+
+  isTicking = true;
+
+  try {
+    const dueSchedules = await crawlScheduleRepository.getDueSchedules();
+
+    for (const schedule of dueSchedules) {
+      await runSchedule(schedule);
+    }
+  } catch (error) {
+    logger.error(`[SCHEDULER] Error running due schedules: ${error.message}`);
+  } finally {
+    isTicking = false;
+  }
+};
+
+/**
+ * Start the scheduler loop
+ */
+export const start = () => {
+  if (!schedulerTimer) {
+    schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL);
+    schedulerTimer.unref();
+    logger.info(`[SCHEDULER] Recrawl scheduler started (checking every ${Math.round(SCHEDULER_INTERVAL / 1000)}s)`);
+    tick();
+  }
+};
+
+/**
+ * Stop the scheduler loop
+ */
+export const stop = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+export default {
+  tick,
+  start,
+  stop
+};
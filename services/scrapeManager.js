@@ -6,67 +6,70 @@ import * as brandfetchService from './brandfetchService.js';
 import * as aiAnalysisService from './aiAnalysisService.js';
 import io from '../utils/io.js';
 import * as puppeteerService from './puppeteerService.js';
+import * as jobQueueRepository from '../database/repositories/jobQueueRepository.js';
+import * as webhookService from './webhookService.js';
+import * as snapshotService from './snapshotService.js';
+import * as screenshotService from './screenshotService.js';
+import * as extractorRegistry from './extractorRegistry.js';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
 
-// Import content extractors
-import * as generalExtractor from './contentExtractors/generalExtractor.js';
-import * as blogExtractor from './contentExtractors/blogExtractor.js';
-import * as imageExtractor from './contentExtractors/imageExtractor.js';
-import * as enhancedImageExtractor from './contentExtractors/enhancedImageExtractor.js';
-import * as colorExtractor from './contentExtractors/colorExtractor.js';
-import * as socialMediaExtractor from './contentExtractors/socialMediaExtractor.js';
-import * as videoExtractor from './contentExtractors/videoExtractor.js';
-import * as isbnExtractor from './contentExtractors/isbnExtractor.js';
-import * as appExtractor from './contentExtractors/appExtractor.js';
-import * as rssExtractor from './contentExtractors/rssExtractor.js';
-import * as podcastExtractor from './contentExtractors/podcastExtractor.js';
-
-// In-memory job queue and active jobs
-const jobQueue = {
-  high: [],
-  normal: [],
-  low: []
-};
-
+// Jobs running on this instance, and a small cache of recently finished ones
+// The queue itself lives in the scrape_job_queue table so every instance shares it
 const activeJobs = new Map();
 const completedJobs = new Map();
 const MAX_COMPLETED_JOBS = 100; // Maximum number of completed jobs to keep in memory
 const MAX_CONCURRENT_JOBS = process.env.MAX_CONCURRENT_JOBS ? parseInt(process.env.MAX_CONCURRENT_JOBS) : 5;
 
+// Lease settings for the durable queue
+const JOB_LEASE_SECONDS = process.env.JOB_LEASE_SECONDS ? parseInt(process.env.JOB_LEASE_SECONDS) : 120;
+const JOB_HEARTBEAT_INTERVAL = process.env.JOB_HEARTBEAT_INTERVAL ? parseInt(process.env.JOB_HEARTBEAT_INTERVAL) : 30000;
+const JOB_POLL_INTERVAL = process.env.JOB_POLL_INTERVAL ? parseInt(process.env.JOB_POLL_INTERVAL) : 5000;
+const MAX_JOB_ATTEMPTS = process.env.MAX_JOB_ATTEMPTS ? parseInt(process.env.MAX_JOB_ATTEMPTS) : 3;
+
+// Identifies this instance as a lease owner (DYNO is set on Heroku)
+const WORKER_ID = `${process.env.DYNO || os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`;
+
+let pollTimer = null;
+let isClaiming = false;
+
 // Initialize the scrape manager
 export const init = async () => {
-  logger.info('Initializing scrape manager...');
+  logger.info(`Initializing scrape manager (worker ${WORKER_ID})...`);
   
-  // Load any pending jobs from the database
+  // Make sure jobs created before the durable queue existed are queued
   try {
-    const pendingJobs = await domainDataRepository.getPendingJobs();
+    const backfilled = await jobQueueRepository.backfillPendingJobs();
     
-    if (pendingJobs && pendingJobs.length > 0) {
-      logger.info(`Found ${pendingJobs.length} pending jobs to resume`);
-      
-      pendingJobs.forEach(job => {
-        if (job.status === 'processing') {
-          // Reset to queued for jobs that were processing when the service stopped
-          job.status = 'queued';
-        }
-        
-        // Ensure job.priority exists and is valid
-        const priority = job.priority && ['high', 'normal', 'low'].includes(job.priority) 
-          ? job.priority 
-          : 'normal';
-        
-        jobQueue[priority].push(job);
-      });
+    if (backfilled > 0) {
+      logger.info(`Queued ${backfilled} pending jobs that had no queue entry`);
     }
-    
-    // Start the job processor
-    processNextJob();
-    return true;
   } catch (error) {
     logger.error(`Error initializing scrape manager: ${error.message}`);
-    // Continue without database jobs
-    processNextJob();
-    return false;
   }
+  
+  // Poll the shared queue so jobs queued by other instances, and jobs whose
+  // lease expired after a worker crashed, are picked up without a restart
+  if (!pollTimer) {
+    pollTimer = setInterval(processNextJob, JOB_POLL_INTERVAL);
+    pollTimer.unref();
+  }
+  
+  // Retry webhook deliveries that failed earlier
+  webhookService.startRetryLoop();
+  
+  // Start the job processor
+  processNextJob();
+  return true;
+};
+
+// Stop polling the queue (used on shutdown)
+export const stop = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  webhookService.stopRetryLoop();
 };
 
 // Helper function to emit socket events safely
@@ -86,8 +89,8 @@ export const queueJob = async (job) => {
     // Save job to database
     await domainDataRepository.saveJob(job);
     
-    // Add to in-memory queue
-    jobQueue[job.priority].push(job);
+    // Add to the shared queue
+    await jobQueueRepository.enqueueJob(job);
     
     // Process next job if not at capacity
     if (activeJobs.size < MAX_CONCURRENT_JOBS) {
@@ -105,32 +108,91 @@ export const queueJob = async (job) => {
   }
 };
 
-// Process the next job in the queue
+// Claim jobs from the shared queue until this instance is at capacity
 const processNextJob = async () => {
-  // If at capacity, don't process more jobs
-  if (activeJobs.size >= MAX_CONCURRENT_JOBS) {
+  // Only one claim loop at a time per instance
+  if (isClaiming) {
     return;
   }
   
-  // Find the next job to process (high priority first)
-  let nextJob = null;
+  isClaiming = true;
   
-  if (jobQueue.high.length > 0) {
-    nextJob = jobQueue.high.shift();
-  } else if (jobQueue.normal.length > 0) {
-    nextJob = jobQueue.normal.shift();
-  } else if (jobQueue.low.length > 0) {
-    nextJob = jobQueue.low.shift();
+  try {
+    // Claim the next job (high priority first) while we have capacity
+    while (activeJobs.size < MAX_CONCURRENT_JOBS) {
+      const nextJob = await jobQueueRepository.claimNextJob(WORKER_ID, JOB_LEASE_SECONDS);
+      
+      if (!nextJob) {
+        break;
+      }
+      
+      // Jobs that keep killing their worker are given up on
+      if (nextJob.attempts > MAX_JOB_ATTEMPTS) {
+        logger.error(`[JOB] ❌ Job ${nextJob.jobId} exceeded ${MAX_JOB_ATTEMPTS} attempts, marking as failed`);
+        await jobQueueRepository.removeJob(nextJob.jobId);
+        const abandonedAt = new Date().toISOString();
+        const abandonMessage = `Job abandoned after ${MAX_JOB_ATTEMPTS} attempts`;
+        await domainDataRepository.updateJobStatus(nextJob.jobId, 'failed', null, abandonedAt, abandonMessage);
+        webhookService.dispatchJobEvent({
+          ...nextJob,
+          status: 'failed',
+          message: abandonMessage,
+          error: abandonMessage,
+          completedAt: abandonedAt
+        });
+        continue;
+      }
+      
+      if (nextJob.attempts > 1) {
+        logger.info(`[JOB] 🔄 Picked up job ${nextJob.jobId} again (attempt ${nextJob.attempts})`);
+      }
+      
+      // Mark as active before yielding so the capacity check stays accurate
+      activeJobs.set(nextJob.jobId, nextJob);
+      runLeasedJob(nextJob);
+    }
+  } catch (error) {
+    logger.error(`Error claiming next job: ${error.message}`);
+  } finally {
+    isClaiming = false;
+  }
+};
+
+// A job stops where it is when it's cancelled, or when its lease is lost (it expired and another
+// worker reclaimed it, or the job was removed from the queue); whoever did that owns its final status
+const isJobStopped = (job) => job.status === 'cancelled' || job.leaseLost === true;
+
+// Drop a stopped job without touching its status, results or webhooks
+const stopIfHalted = (job) => {
+  if (!isJobStopped(job)) {
+    return false;
   }
   
-  if (nextJob) {
-    // Process the job
-    processJob(nextJob);
+  logger.warn(`[JOB] ⏹️ Stopping job ${job.jobId}: ${job.status === 'cancelled' ? 'it was cancelled' : 'its lease was lost'}`);
+  if (activeJobs.get(job.jobId) === job) {
+    activeJobs.delete(job.jobId);
+  }
+  processNextJob();
+  return true;
+};
+
+// Run a claimed job, keeping its lease alive until it finishes
+const runLeasedJob = async (job) => {
+  const heartbeat = setInterval(async () => {
+    const stillOwned = await jobQueueRepository.heartbeatJob(job.jobId, WORKER_ID, JOB_LEASE_SECONDS);
     
-    // Check if we can process more jobs
-    if (activeJobs.size < MAX_CONCURRENT_JOBS) {
-      processNextJob();
+    if (!stillOwned && !job.leaseLost) {
+      job.leaseLost = true;
+      logger.warn(`[JOB] ⚠️ Lost lease on job ${job.jobId}; it was cancelled or reclaimed by another worker`);
     }
+  }, JOB_HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  
+  try {
+    await processJob(job);
+  } finally {
+    clearInterval(heartbeat);
+    await jobQueueRepository.completeJob(job.jobId, WORKER_ID);
   }
 };
 
@@ -209,6 +271,12 @@ const processJob = async (job) => {
       logger.info(`[JOB] Force recrawl requested, ignoring crawl frequency limit.`);
     }
     
+    // robots.txt is honoured unless the job explicitly opts out
+    const ignoreRobots = job.params?.ignoreRobots === true;
+    if (ignoreRobots) {
+      logger.warn(`[JOB] ⚠️ Job ${job.jobId} requested ignoreRobots, robots.txt rules will not be applied.`);
+    }
+    
     // Use depth from job.params, default to 1 if not specified
     const crawlDepth = job.params?.depth || 1; 
     logger.info(`[JOB] Using crawl depth: ${crawlDepth}`); // Add log to confirm depth
@@ -218,9 +286,15 @@ const processJob = async (job) => {
       maxPages: maxPagesForPass1, // Always pass a value, never undefined
       userAgent: job.userAgent,
       respectCrawlFrequency: !forceRecrawl, 
+      ignoreRobots,
+      useSitemaps: job.params?.useSitemaps !== false,
+      renderProfile: job.params?.renderProfile || null,
+      extractors: job.params?.extractors || null,
+      shouldStop: () => isJobStopped(job),
       domainInfoId: domainInfoId
     });
     logger.info(`[JOB] 📋 Discovered ${initialPages.length} pages for ${job.domain}`);
+    if (stopIfHalted(job)) return;
     
     // Check if any pages were discovered
     if (!initialPages || initialPages.length === 0) {
@@ -287,10 +361,17 @@ const processJob = async (job) => {
         message: job.message
       });
       
+      if (stopIfHalted(job)) return;
+      
       try {
         await domainDataRepository.saveResults(job.jobId, minimalResults);
         logger.info(`[JOB] Saved minimal results for job ${job.jobId}`);
         
+        // Keep a record of this crawl for change detection
+        await snapshotService.captureSnapshot(job, domainInfoId, minimalResults);
+        
+        if (stopIfHalted(job)) return;
+        
         // Complete the job
         job.status = 'complete';
         job.progress = 100;
@@ -300,6 +381,9 @@ const processJob = async (job) => {
         // Update job status in database
         await domainDataRepository.updateJobStatus(job.jobId, 'complete', job.startedAt, job.completedAt);
         
+        // Notify the job's callback URL
+        webhookService.dispatchJobEvent(job);
+        
         // Notify clients of job completion
         emitSocketEvent(`job-${job.jobId}`, 'job-update', {
           jobId: job.jobId,
@@ -335,9 +419,10 @@ const processJob = async (job) => {
     // Extract content from pages
     const pageContents = [];
     for (let i = 0; i < initialPages.length; i++) {
+      if (stopIfHalted(job)) return;
       const page = initialPages[i];
       logger.info(`[JOB] Extracting content from page ${i+1}/${initialPages.length}: ${page.url}`);
-      const content = await discoveryService.extractPageContent(page.url);
+      const content = await discoveryService.extractPageContent(page.url, { renderProfile: job.params?.renderProfile });
       pageContents.push(content);
       
       // Update progress incrementally
@@ -368,95 +453,29 @@ const processJob = async (job) => {
     const pagesWithContent = initialPages.map((page, index) => ({
       url: page.url,
       title: page.title,
-      content: pageContents[index]?.content || ''
+      content: pageContents[index]?.content || page.content || '',
+      text: pageContents[index]?.text || '',
+      renderedContent: pageContents[index]?.renderedContent || page.renderedContent || null,
+      blockedResources: pageContents[index]?.blockedResources || page.blockedResources || []
     }));
     
-    // Process all extractors and save directly to database
-    logger.info(`[JOB] Running content extractors for ${job.domain}`);
-    
-    // Extract enhanced image data
-    // Note: Images are now saved to database directly by the extractor
-    let enhancedImageData = null;
-    try {
-      logger.info(`[JOB] Running enhanced image extractor`);
-      enhancedImageData = await enhancedImageExtractor.extract(pagesWithContent, {
-        domainId: domainInfoId,
-        saveToDatabase: true
-      });
-      logger.info(`[JOB] ✅ Image extraction complete. Found ${enhancedImageData.all.length} images categorized into ${Object.keys(enhancedImageData.byCategory).length} categories`);
-    } catch (error) {
-      logger.error(`[JOB] ❌ Error extracting enhanced image data: ${error.message}`);
-      logger.error(error.stack);
-    }
-    
-    // Extract social media data
-    // Note: Social links are now saved to database directly by the extractor
-    let socialMediaData = null;
-    try {
-      logger.info(`[JOB] Running social media extractor`);
-      socialMediaData = await socialMediaExtractor.extract(pagesWithContent);
-      logger.info(`[JOB] ✅ Social media extraction complete. Found ${Object.keys(socialMediaData.links).length} social platforms`);
-    } catch (error) {
-      logger.error(`[JOB] ❌ Error extracting social media data: ${error.message}`);
-    }
-    
-    // Extract blog content
-    let blogData = null;
-    try {
-      logger.info(`[JOB] Running blog extractor`);
-      blogData = await blogExtractor.extract(pagesWithContent);
-      if (blogData.hasBlog) {
-        logger.info(`[JOB] ✅ Blog extraction complete. Found blog at ${blogData.blogUrl} with ${blogData.articles.length} articles`);
-        
-        // Save blog data right away
-        if (domainInfoId) {
-          await blogExtractor.saveBlogInfo(domainInfoId, blogData);
-        }
-      } else {
-        logger.info(`[JOB] ℹ️ No blog found on ${job.domain}`);
-      }
-    } catch (error) {
-      logger.error(`[JOB] ❌ Error extracting blog data: ${error.message}`);
-    }
-    
-    // Extract video content
-    let videoData = null;
-    try {
-      logger.info(`[JOB] Running video extractor`);
-      videoData = await videoExtractor.extract(pagesWithContent);
-      if (videoData && videoData.length > 0) {
-        logger.info(`[JOB] ✅ Video extraction complete. Found ${videoData.length} videos`);
-        
-        // Save video data right away
-        if (domainInfoId) {
-          await videoExtractor.saveVideos(domainInfoId, videoData);
-        }
-      } else {
-        logger.info(`[JOB] ℹ️ No videos found on ${job.domain}`);
-      }
-    } catch (error) {
-      logger.error(`[JOB] ❌ Error extracting video data: ${error.message}`);
-    }
-    
-    // Extract ISBN data
-    let isbnData = null;
-    try {
-      logger.info(`[JOB] Running ISBN extractor`);
-      isbnData = await isbnExtractor.extract(pagesWithContent);
-      if (isbnData && isbnData.isbns.length > 0) {
-        logger.info(`[JOB] ✅ ISBN extraction complete. Found ${isbnData.isbns.length} ISBNs and ${isbnData.isbnImages.length} ISBN images`);
-      } else {
-        logger.info(`[JOB] ℹ️ No ISBNs found on ${job.domain}`);
-      }
-    } catch (error) {
-      logger.error(`[JOB] ❌ Error extracting ISBN data: ${error.message}`);
-    }
+    // Run the job's extractors; each one saves its own data as it goes
+    const extracted = await extractorRegistry.runExtractors(job.params?.extractors, {
+      domain: job.domain,
+      domainId: domainInfoId,
+      jobId: job.jobId,
+      pages: pagesWithContent,
+      saveToDatabase: !!domainInfoId
+    });
+    if (stopIfHalted(job)) return;
     
     // Process the extracted content
     const results = {
+      // Output of any extractors that don't have a fallback below (apps, rss, podcast, schemaMarkup...)
+      ...extracted,
       domain: job.domain,
       scrapedAt: new Date().toISOString(),
-      general: {
+      general: extracted.general || {
         siteStructure: {
           title: initialPages.length > 0 ? `${initialPages[0].title}` : `${job.domain} Website`,
           meta: {
@@ -486,12 +505,12 @@ const processJob = async (job) => {
           footerNav: []
         }
       },
-      blog: blogData || {
+      blog: extracted.blog || {
         hasBlog: false,
         blogUrl: null,
         articles: []
       },
-      images: enhancedImageData || {
+      images: extracted.images || {
         // Fallback to simple image extraction if enhanced fails
         heroImages: pageContents.flatMap(content => 
           content.images.map(image => ({
@@ -503,22 +522,35 @@ const processJob = async (job) => {
         ).slice(0, 3),
         brandImages: []
       },
-      colors: {
+      colors: extracted.colors?.primaryColor ? extracted.colors : {
         primaryColor: '#4285f4',
         secondaryColors: ['#ea4335', '#fbbc05', '#34a853'],
         palette: ['#4285f4', '#ea4335', '#fbbc05', '#34a853', '#ffffff', '#000000']
       },
-      isbn: isbnData || {
+      isbn: extracted.isbn || {
         isbns: [],
         isbnImages: []
       },
-      socialMedia: socialMediaData || {
-        links: {},
+      socialMedia: extracted.socialMedia || {
+        links: [],
         content: {}
       },
-      videos: videoData || []
+      videos: extracted.videos || []
     };
     
+    // Screenshots of the homepage and key pages, if the job asked for them
+    if (job.params?.screenshots) {
+      job.message = 'Capturing screenshots';
+      emitSocketEvent(`job-${job.jobId}`, 'job-update', {
+        jobId: job.jobId,
+        status: job.status,
+        progress: job.progress,
+        message: job.message
+      });
+      
+      results.screenshots = await screenshotService.captureForJob(job, domainInfoId, initialPages);
+    }
+    
     // Update progress
     job.progress = 70;
     job.message = 'Fetching brand data and generating AI analysis';
@@ -531,6 +563,8 @@ const processJob = async (job) => {
       message: job.message
     });
     
+    if (stopIfHalted(job)) return;
+    
     // Store the website data in domain_info
     if (domainInfoId) {
       try {
@@ -599,6 +633,8 @@ const processJob = async (job) => {
       message: job.message
     });
     
+    if (stopIfHalted(job)) return;
+    
     // Save results to database
     try {
       if (!global.dbConnected) {
@@ -615,11 +651,16 @@ const processJob = async (job) => {
           [domainInfoId]
         );
       }
+      
+      // Keep a record of this crawl for change detection
+      await snapshotService.captureSnapshot(job, domainInfoId, results);
     } catch (error) {
       logger.error(`[JOB] ❌ Error saving results: ${error.message}`);
       throw new Error(`Failed to save results: ${error.message}`);
     }
     
+    if (stopIfHalted(job)) return;
+    
     // Complete the job
     job.status = 'complete';
     job.progress = 100;
@@ -634,6 +675,9 @@ const processJob = async (job) => {
       // Don't throw here, we've already completed the main work
     }
     
+    // Notify the job's callback URL
+    webhookService.dispatchJobEvent(job);
+    
     // Notify clients of job completion
     emitSocketEvent(`job-${job.jobId}`, 'job-update', {
       jobId: job.jobId,
@@ -660,6 +704,8 @@ const processJob = async (job) => {
     logger.error(`[JOB] ❌ Error processing job ${job.jobId}: ${error.message}`);
     logger.error(error.stack);
     
+    if (stopIfHalted(job)) return;
+    
     // Update job status to failed
     job.status = 'failed';
     job.progress = 0;
@@ -683,6 +729,9 @@ const processJob = async (job) => {
       logger.error(`[JOB] ❌ Error updating job status: ${dbError.message}`);
     }
     
+    // Notify the job's callback URL
+    webhookService.dispatchJobEvent(job);
+    
     // Remove from active jobs and add to completed jobs
     activeJobs.delete(job.jobId);
     completedJobs.set(job.jobId, job);
@@ -726,9 +775,15 @@ export const cancelJob = async (jobId) => {
       job.message = 'Job cancelled by user';
       job.completedAt = new Date().toISOString();
       
+      // processJob checks the status between stages and stops; the queue entry goes so no worker picks it up again
+      await jobQueueRepository.removeJob(jobId);
+      
       // Update job status in database
       await domainDataRepository.updateJobStatus(job.jobId, 'cancelled', job.startedAt, job.completedAt);
       
+      // Notify the job's callback URL
+      webhookService.dispatchJobEvent(job);
+      
       // Remove from active jobs and add to completed jobs
       activeJobs.delete(jobId);
       completedJobs.set(jobId, job);
@@ -739,21 +794,17 @@ export const cancelJob = async (jobId) => {
       return { success: true, message: 'Job cancelled successfully' };
     }
     
-    // Check if job is in queue
-    for (const priority of ['high', 'normal', 'low']) {
-      const index = jobQueue[priority].findIndex(job => job.jobId === jobId);
+    // Drop the job from the shared queue (queued, or leased by another instance)
+    const removedFromQueue = await jobQueueRepository.removeJob(jobId);
+    if (removedFromQueue) {
+      // Update job status in database
+      await domainDataRepository.updateJobStatus(jobId, 'cancelled', null, new Date().toISOString());
       
-      if (index !== -1) {
-        const job = jobQueue[priority][index];
-        
-        // Remove from queue
-        jobQueue[priority].splice(index, 1);
-        
-        // Update job status in database
-        await domainDataRepository.updateJobStatus(job.jobId, 'cancelled', null, new Date().toISOString());
-        
-        return { success: true, message: 'Job cancelled successfully' };
-      }
+      // Notify the job's callback URL
+      const cancelledJob = await domainDataRepository.getJobStatus(jobId);
+      webhookService.dispatchJobEvent(cancelledJob);
+      
+      return { success: true, message: 'Job cancelled successfully' };
     }
     
     // Job not found in memory, try to cancel in database
@@ -781,64 +832,4 @@ export const listJobs = async (status, limit, offset) => {
     throw new Error(`Failed to list jobs: ${error.message}`);
   }
 };
-
-// Extract content using specified extractors
-const extractContent = async (domain, pages, extractors) => {
-  const results = {
-    domain
-  };
-  
-  try {
-    // Extract general information
-    if (extractors.includes('general')) {
-      results.general = await generalExtractor.extract(pages);
-    }
-    
-    // Extract blog content
-    if (extractors.includes('blog')) {
-      results.blog = await blogExtractor.extract(pages);
-    }
-    
-    // Extract images
-    if (extractors.includes('images')) {
-      results.images = await enhancedImageExtractor.extract(pages);
-    }
-    
-    // Extract colors
-    if (extractors.includes('colors')) {
-      results.colors = await colorExtractor.extract(pages);
-    }
-    
-    // Extract social media
-    if (extractors.includes('social')) {
-      results.socialMedia = await socialMediaExtractor.extract(pages);
-    }
-    
-    // Extract videos
-    if (extractors.includes('videos')) {
-      results.videos = await videoExtractor.extract(pages);
-    }
-    
-    // Extract ISBN data
-    if (extractors.includes('isbn')) {
-      const isbnData = await isbnExtractor.extract(pages);
-      results.isbnData = isbnData.isbns;
-      results.isbnImages = isbnData.images;
-    }
-    
-    // Extract app links (new)
-    if (extractors.includes('apps')) {
-      results.apps = await appExtractor.extract(pages);
-    }
-    
-    // Extract RSS and podcast feeds (new)
-    if (extractors.includes('rss') || extractors.includes('podcast')) {
-      results.podcastInfo = await podcastExtractor.extract(pages);
-    }
-    
-    return results;
-  } catch (error) {
-    logger.error(`Error extracting content: ${error.message}`);
-    throw error;
-  }
-}; 
\ No newline at end of file
+ 
\ No newline at end of file
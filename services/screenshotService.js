@@ -0,0 +1,210 @@
+import logger from '../utils/logger.js';
+import * as puppeteerService from './puppeteerService.js';
+import * as politenessService from './politenessService.js';
+import * as objectStorage from './objectStorage.js';
+import * as screenshotRepository from '../database/repositories/screenshotRepository.js';
+
+/**
+ * Screenshots of the homepage and key pages of a crawl
+ *
+ * Enabled per job with params.screenshots: true, or an object
+ * { viewports: ['desktop', 'mobile'], modes: ['above-fold', 'full-page'], maxPages: 5 }.
+ * Images are written to object storage and referenced from domain_screenshots.
+ */
+
+// Pages captured per job unless the job asks for fewer (or more, up to the hard cap)
+const SCREENSHOT_MAX_PAGES = process.env.SCREENSHOT_MAX_PAGES ? parseInt(process.env.SCREENSHOT_MAX_PAGES) : 5;
+const SCREENSHOT_PAGE_CAP = 20;
+
+// Pages worth capturing after the homepage, most useful first
+const KEY_PAGE_PATTERNS = [
+  /^\/(about|about-us|who-we-are|our-story)\/?$/i,
+  /^\/(shop|store|books|catalogue|catalog|products)\/?$/i,
+  /^\/(blog|news|articles)\/?$/i,
+  /^\/(podcast|podcasts|listen)\/?$/i,
+  /^\/(events|whats-on)\/?$/i,
+  /^\/(contact|contact-us)\/?$/i
+];
+
+/**
+ * Check a params.screenshots value
+ * @returns {Array<string>} - Validation messages, empty if valid
+ */
+export const validateOptions = (value) => {
+  const errors = [];
+
+  if (value === undefined || value === null || typeof value === 'boolean') {
+    return errors;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return ['screenshots must be a boolean or an object'];
+  }
+
+  const viewports = Object.keys(puppeteerService.SCREENSHOT_VIEWPORTS);
+  if (value.viewports !== undefined) {
+    if (!Array.isArray(value.viewports) || value.viewports.some(name => !viewports.includes(name))) {
+      errors.push(`screenshots.viewports must be a list of: ${viewports.join(', ')}`);
+    }
+  }
+
+  if (value.modes !== undefined) {
+    if (!Array.isArray(value.modes) || value.modes.some(mode => !puppeteerService.SCREENSHOT_MODES.includes(mode))) {
+      errors.push(`screenshots.modes must be a list of: ${puppeteerService.SCREENSHOT_MODES.join(', ')}`);
+    }
+  }
+
+  if (value.maxPages !== undefined) {
+    const maxPages = parseInt(value.maxPages, 10);
+    if (isNaN(maxPages) || maxPages < 1 || maxPages > SCREENSHOT_PAGE_CAP) {
+      errors.push(`screenshots.maxPages must be between 1 and ${SCREENSHOT_PAGE_CAP}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Turn params.screenshots into capture options, or null when screenshots are off
+ */
+const resolveOptions = (value) => {
+  if (!value) return null;
+
+  const options = typeof value === 'object' ? value : {};
+
+  return {
+    viewports: Array.isArray(options.viewports) && options.viewports.length > 0 ? options.viewports : Object.keys(puppeteerService.SCREENSHOT_VIEWPORTS),
+    modes: Array.isArray(options.modes) && options.modes.length > 0 ? options.modes : puppeteerService.SCREENSHOT_MODES,
+    maxPages: Math.min(SCREENSHOT_PAGE_CAP, parseInt(options.maxPages, 10) || SCREENSHOT_MAX_PAGES)
+  };
+};
+
+/**
+ * Pick the homepage and key pages from a crawl
+ * @param {Array<object>} pages - Crawled pages ({ url, depth })
+ * @param {number} maxPages - How many to pick
+ * @returns {Array<string>} - URLs to capture
+ */
+export const selectKeyPages = (pages, maxPages) => {
+  const candidates = pages
+    .map(page => {
+      try {
+        return { url: page.url, path: new URL(page.url).pathname, depth: page.depth || 0 };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const selected = [];
+  const add = (url) => {
+    if (url && !selected.includes(url) && selected.length < maxPages) {
+      selected.push(url);
+    }
+  };
+
+  add(candidates.find(page => page.path === '/' || page.path === '')?.url || candidates[0]?.url);
+
+  for (const pattern of KEY_PAGE_PATTERNS) {
+    add(candidates.find(page => pattern.test(page.path))?.url);
+  }
+
+  // Fill up with the shallowest remaining pages
+  [...candidates].sort((a, b) => a.depth - b.depth).forEach(page => add(page.url));
+
+  return selected;
+};
+
+/**
+ * Storage key for a screenshot
+ */
+const buildStorageKey = (domain, jobId, pageUrl, viewport, mode, format) => {
+  let slug = 'home';
+  try {
+    const path = new URL(pageUrl).pathname.replace(/^\/+|\/+$/g, '');
+    if (path) {
+      slug = path.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'page';
+    }
+  } catch (error) {
+    slug = 'page';
+  }
+
+  return `screenshots/${domain}/${jobId}/${slug}-${viewport}-${mode}.${format === 'jpeg' ? 'jpg' : format}`;
+};
+
+/**
+ * Capture, store and record screenshots for a job
+ * Never throws; failures are logged and the captures that worked are returned.
+ * @param {object} job - Scrape job (params.screenshots decides what is captured)
+ * @param {number|null} domainId - domain_info ID
+ * @param {Array<object>} pages - Crawled pages
+ * @returns {Promise<Array<object>>} - Summaries of the stored screenshots
+ */
+export const captureForJob = async (job, domainId, pages) => {
+  const options = resolveOptions(job.params?.screenshots);
+  if (!options) {
+    return [];
+  }
+
+  const domain = job.domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  const stored = [];
+
+  try {
+    const urls = selectKeyPages(pages || [], options.maxPages);
+    logger.info(`[SCREENSHOT] Capturing ${urls.length} page(s) of ${domain} at ${options.viewports.join(', ')} (${options.modes.join(', ')})`);
+
+    for (const pageUrl of urls) {
+      const captures = await politenessService.schedule(pageUrl, () =>
+        puppeteerService.captureScreenshots(pageUrl, { viewports: options.viewports, modes: options.modes })
+      );
+
+      for (const capture of captures) {
+        try {
+          const key = buildStorageKey(domain, job.jobId, pageUrl, capture.viewport, capture.mode, capture.format);
+          const object = await objectStorage.putObject(key, capture.buffer, `image/${capture.format}`);
+
+          const screenshot = {
+            jobId: job.jobId,
+            domainId,
+            domain,
+            pageUrl,
+            viewport: capture.viewport,
+            mode: capture.mode,
+            width: capture.width,
+            height: capture.height,
+            storageDriver: object.driver,
+            storageKey: object.key,
+            contentType: object.contentType,
+            byteSize: object.size
+          };
+
+          const id = global.dbConnected ? await screenshotRepository.saveScreenshot(screenshot) : null;
+
+          stored.push({
+            id,
+            pageUrl,
+            viewport: capture.viewport,
+            mode: capture.mode,
+            width: capture.width,
+            height: capture.height,
+            imageUrl: id ? `/api/screenshots/${id}/image` : null
+          });
+        } catch (error) {
+          logger.error(`[SCREENSHOT] ❌ Error storing ${capture.viewport} ${capture.mode} screenshot of ${pageUrl}: ${error.message}`);
+        }
+      }
+    }
+
+    logger.info(`[SCREENSHOT] ✅ Stored ${stored.length} screenshot(s) for ${domain}`);
+  } catch (error) {
+    logger.error(`[SCREENSHOT] ❌ Error capturing screenshots for ${domain}: ${error.message}`);
+  }
+
+  return stored;
+};
+
+export default {
+  validateOptions,
+  selectKeyPages,
+  captureForJob
+};
@@ -0,0 +1,218 @@
+import * as politenessService from './politenessService.js';
+import zlib from 'zlib';
+import * as cheerio from 'cheerio';
+import logger from '../utils/logger.js';
+import * as robotsService from './robotsService.js';
+
+// Limits to keep huge publisher sitemaps from swamping a crawl
+const MAX_SITEMAP_FILES = 25;
+const MAX_SITEMAP_URLS = 5000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // Sitemap protocol limit (uncompressed)
+const SITEMAP_TIMEOUT = 20000;
+
+// Locations tried when robots.txt does not declare any sitemaps
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+// Default <priority> per the sitemap protocol
+const DEFAULT_PRIORITY = 0.5;
+
+/**
+ * Fetch a sitemap file, transparently handling gzipped sitemaps
+ * @param {string} url - Sitemap URL
+ * @returns {Promise<string|null>} - Sitemap XML or null if it could not be fetched
+ */
+export const fetchSitemap = async (url) => {
+  try {
+    const response = await politenessService.politeGet(url, {
+      timeout: SITEMAP_TIMEOUT,
+      maxContentLength: MAX_SITEMAP_BYTES,
+      responseType: 'arraybuffer',
+      validateStatus: status => status >= 200 && status < 300,
+      headers: {
+        'User-Agent': `Mozilla/5.0 (compatible; ${robotsService.CRAWLER_USER_AGENT}/1.0)`,
+        'Accept': 'application/xml, text/xml, application/x-gzip, */*;q=0.8'
+      }
+    });
+
+    let buffer = Buffer.from(response.data);
+
+    // Gzipped sitemaps are detected by their magic bytes, whatever the extension or headers say
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+
+    return buffer.toString('utf8');
+  } catch (error) {
+    logger.warn(`[SITEMAP] Could not fetch ${url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {{type: string, entries: Array<{loc: string, lastmod: Date|null, priority: number|null, changefreq: string|null}>}}
+ */
+export const parseSitemap = (xml) => {
+  const $ = cheerio.load(xml || '', { xmlMode: true });
+
+  const readEntry = (element) => {
+    const $entry = $(element);
+    const loc = $entry.children('loc').first().text().trim();
+    const lastmodText = $entry.children('lastmod').first().text().trim();
+    const priorityText = $entry.children('priority').first().text().trim();
+    const lastmod = lastmodText ? new Date(lastmodText) : null;
+    const priority = priorityText ? parseFloat(priorityText) : null;
+
+    return {
+      loc,
+      lastmod: lastmod && !isNaN(lastmod.getTime()) ? lastmod : null,
+      priority: priority !== null && !isNaN(priority) ? Math.min(Math.max(priority, 0), 1) : null,
+      changefreq: $entry.children('changefreq').first().text().trim() || null
+    };
+  };
+
+  if ($('sitemapindex').length > 0) {
+    return {
+      type: 'index',
+      entries: $('sitemapindex > sitemap').map((_, el) => readEntry(el)).get().filter(entry => entry.loc)
+    };
+  }
+
+  if ($('urlset').length > 0) {
+    return {
+      type: 'urlset',
+      entries: $('urlset > url').map((_, el) => readEntry(el)).get().filter(entry => entry.loc)
+    };
+  }
+
+  return { type: 'unknown', entries: [] };
+};
+
+/**
+ * Score a sitemap entry for crawl ordering
+ * Combines <priority> with how recently the page changed according to <lastmod>
+ */
+export const scoreEntry = (entry, now = Date.now()) => {
+  let score = entry.priority !== null ? entry.priority : DEFAULT_PRIORITY;
+
+  if (entry.lastmod) {
+    const ageInDays = (now - entry.lastmod.getTime()) / (24 * 60 * 60 * 1000);
+    if (ageInDays <= 30) {
+      score += 0.3;
+    } else if (ageInDays <= 180) {
+      score += 0.15;
+    } else if (ageInDays <= 365) {
+      score += 0.05;
+    }
+  }
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Find the sitemap URLs to start from for a site
+ * Uses Sitemap: lines from robots.txt and falls back to the conventional locations
+ */
+const findSitemapLocations = async (baseUrl) => {
+  const locations = [];
+
+  try {
+    const policy = await robotsService.getRobotsPolicy(baseUrl);
+    locations.push(...policy.sitemaps);
+  } catch (error) {
+    logger.warn(`[SITEMAP] Could not read robots.txt sitemaps for ${baseUrl}: ${error.message}`);
+  }
+
+  if (locations.length === 0) {
+    locations.push(...DEFAULT_SITEMAP_PATHS.map(path => `${baseUrl}${path}`));
+  }
+
+  return [...new Set(locations)];
+};
+
+/**
+ * Collect and rank page URLs from a site's sitemaps
+ * Follows sitemap index files breadth-first, most recently modified children first
+ * @param {string} baseUrl - Site base URL, e.g. https://example.com
+ * @param {object} options - Options
+ * @param {Function} [options.filter] - Predicate deciding whether a page URL is kept
+ * @param {number} [options.maxUrls] - Maximum number of page URLs to return
+ * @param {number} [options.maxSitemaps] - Maximum number of sitemap files to fetch
+ * @returns {Promise<Array<{url: string, lastmod: Date|null, priority: number|null, score: number, sitemap: string}>>}
+ */
+export const collectSitemapUrls = async (baseUrl, options = {}) => {
+  const {
+    filter = () => true,
+    maxUrls = MAX_SITEMAP_URLS,
+    maxSitemaps = MAX_SITEMAP_FILES
+  } = options;
+
+  const queue = await findSitemapLocations(baseUrl);
+  const visited = new Set();
+  const entriesByUrl = new Map();
+  const now = Date.now();
+
+  logger.info(`[SITEMAP] Starting sitemap discovery for ${baseUrl} from ${queue.length} location(s)`);
+
+  while (queue.length > 0 && visited.size < maxSitemaps) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const xml = await fetchSitemap(sitemapUrl);
+    if (!xml) continue;
+
+    const { type, entries } = parseSitemap(xml);
+
+    if (type === 'index') {
+      // Newest child sitemaps usually hold the pages that matter most
+      const children = [...entries].sort((a, b) => (b.lastmod?.getTime() || 0) - (a.lastmod?.getTime() || 0));
+      queue.push(...children.map(child => child.loc));
+      logger.info(`[SITEMAP] ${sitemapUrl} is a sitemap index with ${entries.length} child sitemaps`);
+      continue;
+    }
+
+    if (type !== 'urlset') {
+      logger.warn(`[SITEMAP] ${sitemapUrl} is not a valid sitemap`);
+      continue;
+    }
+
+    let added = 0;
+    for (const entry of entries) {
+      if (!filter(entry.loc)) continue;
+
+      const score = scoreEntry(entry, now);
+      const existing = entriesByUrl.get(entry.loc);
+      if (!existing || existing.score < score) {
+        entriesByUrl.set(entry.loc, {
+          url: entry.loc,
+          lastmod: entry.lastmod,
+          priority: entry.priority,
+          score,
+          sitemap: sitemapUrl
+        });
+        added++;
+      }
+    }
+
+    logger.info(`[SITEMAP] Parsed ${entries.length} URLs from ${sitemapUrl} (${added} kept)`);
+
+    // Stop fetching once we hold far more candidates than will ever be crawled
+    if (entriesByUrl.size >= maxUrls * 2) break;
+  }
+
+  const ranked = [...entriesByUrl.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxUrls);
+
+  logger.info(`[SITEMAP] ✅ Collected ${ranked.length} ranked URLs from ${visited.size} sitemap file(s) for ${baseUrl}`);
+  return ranked;
+};
+
+export default {
+  fetchSitemap,
+  parseSitemap,
+  scoreEntry,
+  collectSitemapUrls
+};
@@ -0,0 +1,219 @@
+import logger from '../utils/logger.js';
+import { getPool } from '../../config/database.js';
+import * as crawlSnapshotRepository from '../database/repositories/crawlSnapshotRepository.js';
+
+/**
+ * Parse a JSON column that may already have been parsed by the driver
+ */
+const parseJsonColumn = (value, defaultValue) => {
+  if (value === null || value === undefined) return defaultValue;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return defaultValue;
+  }
+};
+
+/**
+ * Run a snapshot query, treating a missing table as "no data"
+ */
+const selectRows = async (db, sql, params) => {
+  try {
+    const [rows] = await db.execute(sql, params);
+    return rows;
+  } catch (error) {
+    logger.warn(`[SNAPSHOT] Snapshot query failed, treating as empty: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Build the snapshot for a finished job from its results and the per-domain tables
+ * The per-domain tables are overwritten by the next crawl, so this is the only record of what they held
+ * @param {object} job - The job that just finished
+ * @param {number} domainId - domain_info ID
+ * @param {object} results - Results object saved for the job
+ * @returns {Promise<object>} - Snapshot data
+ */
+export const buildSnapshot = async (job, domainId, results = {}) => {
+  const db = getPool();
+
+  const pageRows = await selectRows(db,
+    'SELECT url, title, status_code FROM domain_pages WHERE domain_id = ? AND job_id = ?',
+    [domainId, job.jobId]
+  );
+
+  const isbnRows = await selectRows(db,
+    'SELECT isbn, title, page_url FROM domain_isbn_data WHERE domain_id = ?',
+    [domainId]
+  );
+
+  const episodeRows = await selectRows(db,
+    'SELECT title, audio_url, page_url, published_date FROM domain_podcast_episodes WHERE domain_id = ?',
+    [domainId]
+  );
+
+  const colorRows = await selectRows(db,
+    'SELECT primary_color, secondary_colors, palette FROM domain_colors WHERE domain_id = ?',
+    [domainId]
+  );
+
+  const socialRows = await selectRows(db,
+    'SELECT social_links FROM domain_social_podcast WHERE domain_id = ?',
+    [domainId]
+  );
+
+  // Social links come from both the page extractor and Brandfetch
+  const socialLinks = {};
+  const pageLinks = Array.isArray(results.socialMedia?.links) ? results.socialMedia.links : [];
+  for (const link of pageLinks) {
+    if (link?.url) {
+      socialLinks[link.url] = { platform: link.platform || 'Unknown', url: link.url };
+    }
+  }
+  const brandLinks = parseJsonColumn(socialRows[0]?.social_links, {});
+  for (const [platform, url] of Object.entries(brandLinks || {})) {
+    if (url && !socialLinks[url]) {
+      socialLinks[url] = { platform, url };
+    }
+  }
+
+  // Only real colors from domain_colors are snapshotted, not the placeholder palette in results
+  const colorRow = colorRows[0];
+  const colors = colorRow ? {
+    primaryColor: colorRow.primary_color || null,
+    secondaryColors: parseJsonColumn(colorRow.secondary_colors, []),
+    palette: parseJsonColumn(colorRow.palette, [])
+  } : null;
+
+  return {
+    capturedAt: new Date().toISOString(),
+    pages: pageRows.map(row => ({ url: row.url, title: row.title, statusCode: row.status_code })),
+    blogArticles: (results.blog?.articles || [])
+      .filter(article => article.url)
+      .map(article => ({ url: article.url, title: article.title || null, date: article.date || null })),
+    isbns: isbnRows.map(row => ({ isbn: row.isbn, title: row.title, pageUrl: row.page_url })),
+    podcastEpisodes: episodeRows.map(row => ({
+      title: row.title,
+      audioUrl: row.audio_url,
+      pageUrl: row.page_url,
+      publishedDate: row.published_date
+    })),
+    socialLinks: Object.values(socialLinks),
+    colors
+  };
+};
+
+/**
+ * Capture and store the snapshot for a finished job
+ * Never throws; a failed snapshot must not fail the job
+ */
+export const captureSnapshot = async (job, domainId, results) => {
+  if (!domainId || !global.dbConnected) {
+    return false;
+  }
+
+  try {
+    const data = await buildSnapshot(job, domainId, results);
+    await crawlSnapshotRepository.saveSnapshot({
+      jobId: job.jobId,
+      domainId,
+      domain: job.domain,
+      data
+    });
+
+    logger.info(`[SNAPSHOT] 📸 Captured snapshot for job ${job.jobId} (${data.pages.length} pages, ${data.isbns.length} ISBNs, ${data.podcastEpisodes.length} episodes)`);
+    return true;
+  } catch (error) {
+    logger.error(`[SNAPSHOT] ❌ Error capturing snapshot for job ${job.jobId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Compare two lists of items by key
+ */
+const diffByKey = (fromItems = [], toItems = [], getKey) => {
+  const fromMap = new Map(fromItems.map(item => [getKey(item), item]));
+  const toMap = new Map(toItems.map(item => [getKey(item), item]));
+
+  return {
+    added: toItems.filter(item => !fromMap.has(getKey(item))),
+    removed: fromItems.filter(item => !toMap.has(getKey(item)))
+  };
+};
+
+/**
+ * Normalize a color value (string or Brandfetch color object) for comparison
+ */
+const normalizeColor = (color) => {
+  const hex = typeof color === 'string' ? color : color?.hex;
+  return hex ? hex.toLowerCase() : null;
+};
+
+/**
+ * Compare the brand colors of two snapshots
+ */
+const diffColors = (fromColors, toColors) => {
+  const fromPalette = new Set((fromColors?.palette || []).map(normalizeColor).filter(Boolean));
+  const toPalette = new Set((toColors?.palette || []).map(normalizeColor).filter(Boolean));
+
+  const fromPrimary = normalizeColor(fromColors?.primaryColor);
+  const toPrimary = normalizeColor(toColors?.primaryColor);
+
+  const added = [...toPalette].filter(color => !fromPalette.has(color));
+  const removed = [...fromPalette].filter(color => !toPalette.has(color));
+
+  return {
+    changed: fromPrimary !== toPrimary || added.length > 0 || removed.length > 0,
+    primaryColor: { from: fromPrimary, to: toPrimary },
+    added,
+    removed
+  };
+};
+
+/**
+ * Diff two snapshots
+ * @param {object} fromSnapshot - Older snapshot (from the repository)
+ * @param {object} toSnapshot - Newer snapshot (from the repository)
+ * @returns {object} - Changes between the two crawls
+ */
+export const diffSnapshots = (fromSnapshot, toSnapshot) => {
+  const from = fromSnapshot.data || {};
+  const to = toSnapshot.data || {};
+
+  const pages = diffByKey(from.pages, to.pages, page => page.url);
+  const blogArticles = diffByKey(from.blogArticles, to.blogArticles, article => article.url);
+  const isbns = diffByKey(from.isbns, to.isbns, item => item.isbn);
+  const podcastEpisodes = diffByKey(from.podcastEpisodes, to.podcastEpisodes,
+    episode => episode.audioUrl || episode.pageUrl || episode.title);
+  const socialLinks = diffByKey(from.socialLinks, to.socialLinks, link => link.url);
+  const colors = diffColors(from.colors, to.colors);
+
+  return {
+    from: { jobId: fromSnapshot.jobId, capturedAt: fromSnapshot.createdAt },
+    to: { jobId: toSnapshot.jobId, capturedAt: toSnapshot.createdAt },
+    summary: {
+      pagesAdded: pages.added.length,
+      pagesRemoved: pages.removed.length,
+      newBlogArticles: blogArticles.added.length,
+      newIsbns: isbns.added.length,
+      newPodcastEpisodes: podcastEpisodes.added.length,
+      socialLinksChanged: socialLinks.added.length > 0 || socialLinks.removed.length > 0,
+      colorsChanged: colors.changed
+    },
+    pages,
+    blogArticles: { added: blogArticles.added },
+    isbns: { added: isbns.added },
+    podcastEpisodes: { added: podcastEpisodes.added },
+    socialLinks,
+    colors
+  };
+};
+
+export default {
+  buildSnapshot,
+  captureSnapshot,
+  diffSnapshots
+};
@@ -0,0 +1,136 @@
+import logger from '../utils/logger.js';
+import * as politenessService from './politenessService.js';
+import { transcriptToText, findPageTranscript, countWords } from '../utils/transcriptParser.js';
+
+/**
+ * Podcast episode transcripts
+ *
+ * Follows the podcast:transcript links of a feed's episodes and reads transcripts written out on
+ * crawled episode pages. A feed transcript wins over a page one, it is the publisher's full text
+ * rather than whatever the page shows. Transcripts are stored as plain text.
+ */
+
+const PODCAST_TRANSCRIPT_MAX_EPISODES = process.env.PODCAST_TRANSCRIPT_MAX_EPISODES ? parseInt(process.env.PODCAST_TRANSCRIPT_MAX_EPISODES) : 20;
+const PODCAST_TRANSCRIPT_MAX_BYTES = process.env.PODCAST_TRANSCRIPT_MAX_BYTES ? parseInt(process.env.PODCAST_TRANSCRIPT_MAX_BYTES) : 2 * 1024 * 1024;
+// Stored text is cut here (mediumtext holds 16MB, but nobody needs more than a few hours of speech)
+const PODCAST_TRANSCRIPT_MAX_CHARS = process.env.PODCAST_TRANSCRIPT_MAX_CHARS ? parseInt(process.env.PODCAST_TRANSCRIPT_MAX_CHARS) : 500000;
+const PODCAST_TRANSCRIPT_TIMEOUT = 15000;
+
+// Formats in the order they're tried, structured ones keep speakers and parse reliably
+const TYPE_PREFERENCE = ['application/json', 'text/vtt', 'application/x-subrip', 'application/srt', 'text/srt', 'text/html', 'text/plain'];
+
+/**
+ * Comparison form of a page URL (no fragment, no trailing slash)
+ */
+const normalizePageUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Transcript record, cut to PODCAST_TRANSCRIPT_MAX_CHARS
+ */
+const toTranscript = (text, fields) => ({
+  ...fields,
+  text: text.slice(0, PODCAST_TRANSCRIPT_MAX_CHARS),
+  wordCount: countWords(text),
+  truncated: text.length > PODCAST_TRANSCRIPT_MAX_CHARS
+});
+
+/**
+ * An episode's podcast:transcript links, best format first
+ */
+export const rankTranscripts = (transcripts = []) => {
+  const rank = (transcript) => {
+    const index = TYPE_PREFERENCE.indexOf((transcript.type || '').toLowerCase());
+    return index === -1 ? TYPE_PREFERENCE.length : index;
+  };
+  return [...transcripts].sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Download a transcript and convert it to text
+ * @param {object} link - podcast:transcript link { url, type, language, rel }
+ * @returns {Promise<object|null>} - { url, type, language, source: 'feed', text, wordCount, truncated }, null if it's empty or unreadable
+ */
+export const fetchTranscript = async (link) => {
+  try {
+    const response = await politenessService.politeGet(link.url, {
+      timeout: PODCAST_TRANSCRIPT_TIMEOUT,
+      responseType: 'text',
+      maxContentLength: PODCAST_TRANSCRIPT_MAX_BYTES
+    });
+
+    const type = link.type || (response.headers['content-type'] || '').split(';')[0].trim();
+    const text = transcriptToText(response.data, type);
+    if (!text) {
+      logger.info(`[PODCAST] Transcript ${link.url} has no text`);
+      return null;
+    }
+
+    return toTranscript(text, { url: link.url, type: type || null, language: link.language || null, source: 'feed' });
+  } catch (error) {
+    logger.warn(`[PODCAST] ⚠️ Error fetching transcript ${link.url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Find transcripts for a feed's episodes
+ * Feed transcripts are fetched for the first PODCAST_TRANSCRIPT_MAX_EPISODES episodes that have one, trying
+ * the other formats when one fails. Episodes without one get the transcript on their page, if it was crawled.
+ * Sets transcript on each episode that has one.
+ * @param {Array} episodes - Parsed episodes
+ * @param {Array} pages - Crawled pages ({ url, content }) to look for written-out transcripts on
+ * @returns {Promise<number>} - Number of episodes with a transcript
+ */
+export const harvestTranscripts = async (episodes, pages = []) => {
+  let fetched = 0;
+  let found = 0;
+
+  for (const episode of episodes) {
+    if (!episode.transcripts || episode.transcripts.length === 0 || fetched >= PODCAST_TRANSCRIPT_MAX_EPISODES) continue;
+    fetched++;
+
+    for (const link of rankTranscripts(episode.transcripts)) {
+      const transcript = await fetchTranscript(link);
+      if (transcript) {
+        episode.transcript = transcript;
+        found++;
+        break;
+      }
+    }
+  }
+
+  const pagesByUrl = new Map(pages
+    .filter(page => page.url && page.content)
+    .map(page => [normalizePageUrl(page.url), page]));
+
+  for (const episode of episodes) {
+    if (episode.transcript || !episode.page_url) continue;
+
+    const page = pagesByUrl.get(normalizePageUrl(episode.page_url));
+    const text = page ? findPageTranscript(page.content) : null;
+    if (text) {
+      episode.transcript = toTranscript(text, { url: page.url, type: 'text/html', language: null, source: 'page' });
+      found++;
+    }
+  }
+
+  if (found > 0) {
+    logger.info(`[PODCAST] 📝 Found transcripts for ${found} of ${episodes.length} episodes`);
+  }
+
+  return found;
+};
+
+export default {
+  rankTranscripts,
+  fetchTranscript,
+  harvestTranscripts
+};
@@ -0,0 +1,262 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import * as webhookDeliveryRepository from '../database/repositories/webhookDeliveryRepository.js';
+
+// Shared secret used to sign payloads; receivers verify X-Webhook-Signature with it
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_TIMEOUT = process.env.WEBHOOK_TIMEOUT ? parseInt(process.env.WEBHOOK_TIMEOUT) : 10000;
+const WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) : 6;
+const WEBHOOK_BASE_DELAY_SECONDS = 30;
+const WEBHOOK_MAX_DELAY_SECONDS = 6 * 60 * 60;
+const WEBHOOK_POLL_INTERVAL = 15000;
+
+// Job statuses mapped to the event names sent to receivers
+const JOB_EVENTS = {
+  complete: 'job.completed',
+  failed: 'job.failed',
+  cancelled: 'job.cancelled'
+};
+
+let retryTimer = null;
+
+/**
+ * Sign a payload with HMAC-SHA256
+ * The signed string is "<timestamp>.<body>" so a captured request can't be replayed with a new timestamp
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @returns {string|null} - Signature header value, or null if no secret is configured
+ */
+export const signPayload = (body, timestamp) => {
+  if (!WEBHOOK_SECRET) {
+    return null;
+  }
+
+  const digest = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... capped at 6 hours
+ */
+const getRetryDelay = (attempt) => {
+  return Math.min(WEBHOOK_BASE_DELAY_SECONDS * Math.pow(2, attempt - 1), WEBHOOK_MAX_DELAY_SECONDS);
+};
+
+/**
+ * Make one delivery attempt and record its outcome
+ * @param {object} delivery - Delivery record from the repository
+ */
+const attemptDelivery = async (delivery) => {
+  const claimed = await webhookDeliveryRepository.claimDelivery(delivery.id);
+  if (!claimed) {
+    // Another instance is already sending this one
+    return;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = signPayload(delivery.payload, timestamp);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'DiscoveryCrawler-Webhook/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.deliveryId,
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Attempt': String(attempt)
+  };
+
+  if (signature) {
+    headers['X-Webhook-Signature'] = signature;
+  }
+
+  try {
+    const response = await axios.post(delivery.callbackUrl, delivery.payload, {
+      timeout: WEBHOOK_TIMEOUT,
+      headers,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      // Send the exact bytes that were signed
+      transformRequest: [data => data]
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      logger.info(`[WEBHOOK] ✅ Delivered ${delivery.event} for job ${delivery.jobId} to ${delivery.callbackUrl} (attempt ${attempt})`);
+      await webhookDeliveryRepository.recordAttempt(delivery.id, {
+        status: 'delivered',
+        statusCode: response.status
+      });
+      return;
+    }
+
+    await recordFailure(delivery, attempt, response.status, `Receiver responded with HTTP ${response.status}`);
+  } catch (error) {
+    await recordFailure(delivery, attempt, null, error.message);
+  }
+};
+
+/**
+ * Record a failed attempt, scheduling a retry or giving up after the last attempt
+ */
+const recordFailure = async (delivery, attempt, statusCode, errorMessage) => {
+  if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+    logger.error(`[WEBHOOK] ❌ Giving up on ${delivery.event} for job ${delivery.jobId} after ${attempt} attempts: ${errorMessage}`);
+    await webhookDeliveryRepository.recordAttempt(delivery.id, {
+      status: 'failed',
+      statusCode,
+      error: errorMessage
+    });
+    return;
+  }
+
+  const retryInSeconds = getRetryDelay(attempt);
+  logger.warn(`[WEBHOOK] ⚠️ Delivery of ${delivery.event} for job ${delivery.jobId} failed (attempt ${attempt}): ${errorMessage}. Retrying in ${retryInSeconds}s`);
+  await webhookDeliveryRepository.recordAttempt(delivery.id, {
+    status: 'pending',
+    statusCode,
+    error: errorMessage,
+    retryInSeconds
+  });
+};
+
+/**
+ * Build the payload sent for a job event
+ */
+const buildJobPayload = (job, event, deliveryId) => ({
+  id: deliveryId,
+  event,
+  createdAt: new Date().toISOString(),
+  data: {
+    jobId: job.jobId,
+    domain: job.domain,
+    status: job.status,
+    message: job.message || '',
+    error: job.error || null,
+    createdAt: job.createdAt || null,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    resultsUrl: job.status === 'complete' ? `/api/scrape/results/${job.jobId}` : null
+  }
+});
+
+/**
+ * Notify a job's callbackUrl that it completed, failed or was cancelled
+ * Delivery happens in the background; failures are retried with exponential backoff
+ * Only the first final event per job is sent, later ones are dropped
+ * @param {object} job - Job object (needs jobId, domain, status and callbackUrl in params)
+ */
+export const dispatchJobEvent = async (job) => {
+  const callbackUrl = job?.params?.callbackUrl || job?.callbackUrl;
+  const event = JOB_EVENTS[job?.status];
+
+  if (!callbackUrl || !event) {
+    return null;
+  }
+
+  try {
+    if (!WEBHOOK_SECRET) {
+      logger.warn(`[WEBHOOK] WEBHOOK_SECRET is not set, sending unsigned ${event} for job ${job.jobId}`);
+    }
+
+    const deliveryId = uuidv4();
+    const payload = JSON.stringify(buildJobPayload(job, event, deliveryId));
+
+    const id = await webhookDeliveryRepository.createDelivery({
+      deliveryId,
+      jobId: job.jobId,
+      event,
+      callbackUrl,
+      payload,
+      final: true
+    });
+
+    // A job ends once: a cancel that races with the worker finishing must not produce a second final event
+    if (!id) {
+      logger.info(`[WEBHOOK] Skipping ${event} for job ${job.jobId}, its final event was already sent`);
+      return null;
+    }
+
+    logger.info(`[WEBHOOK] Queued ${event} for job ${job.jobId} to ${callbackUrl}`);
+
+    // First attempt right away; retries are picked up by the retry loop
+    attemptDelivery({ id, deliveryId, jobId: job.jobId, event, callbackUrl, payload, attempts: 0 });
+
+    return deliveryId;
+  } catch (error) {
+    logger.error(`[WEBHOOK] ❌ Error dispatching ${event} for job ${job.jobId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Send again a delivery that failed (or was delivered and needs replaying)
+ * @param {number} id - Delivery row ID
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const redeliver = async (id) => {
+  const delivery = await webhookDeliveryRepository.getDelivery(id);
+
+  if (!delivery) {
+    return { success: false, message: 'Delivery not found' };
+  }
+
+  const reset = await webhookDeliveryRepository.resetDelivery(id);
+  if (!reset) {
+    return { success: false, message: `Delivery is ${delivery.status} and cannot be redelivered yet` };
+  }
+
+  logger.info(`[WEBHOOK] Redelivering ${delivery.event} for job ${delivery.jobId} (delivery ${delivery.deliveryId})`);
+  attemptDelivery({ ...delivery, status: 'pending', attempts: 0 });
+
+  return { success: true, message: 'Redelivery scheduled' };
+};
+
+/**
+ * Send any deliveries whose retry time has come
+ */
+const processDueDeliveries = async () => {
+  try {
+    const due = await webhookDeliveryRepository.getDueDeliveries();
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error(`[WEBHOOK] Error processing due deliveries: ${error.message}`);
+  }
+};
+
+/**
+ * Start the retry loop
+ */
+export const startRetryLoop = () => {
+  if (!retryTimer) {
+    retryTimer = setInterval(processDueDeliveries, WEBHOOK_POLL_INTERVAL);
+    retryTimer.unref();
+    logger.info('[WEBHOOK] Retry loop started');
+  }
+};
+
+/**
+ * Stop the retry loop
+ */
+export const stopRetryLoop = () => {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+};
+
+export default {
+  signPayload,
+  dispatchJobEvent,
+  redeliver,
+  startRetryLoop,
+  stopRetryLoop
+};
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import articleContentParser from '../articleContentParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../__fixtures__', name), 'utf8');
+
+describe('articleContentParser', () => {
+  test('reads metadata from JSON-LD before meta tags', () => {
+    const article = articleContentParser.extractArticleContent(fixture('article-jsonld.html'), 'https://dailybookshelf.example/blog/reading-slowly/');
+
+    expect(article).toMatchObject({
+      title: 'Reading Slowly in a Fast World',
+      author: 'Maya Lindqvist, Tom Okafor',
+      publishedAt: '2024-03-05T09:30:00.000Z',
+      updatedAt: '2024-03-07T12:00:00.000Z',
+      leadImage: 'https://dailybookshelf.example/images/slow-reading.jpg',
+      tags: ['Reading', 'Habits', 'Attention', 'Notebooks'],
+      excerpt: 'Why reading fewer books, more carefully, changed how much we remember.',
+      headings: [
+        { level: 2, text: 'What changed' },
+        { level: 2, text: 'What we would keep' }
+      ],
+      wordCount: 175,
+      readingTimeMinutes: 1
+    });
+  });
+
+  test('keeps the article body and drops the boilerplate around it', () => {
+    const { text } = articleContentParser.extractArticleContent(fixture('article-jsonld.html'), 'https://dailybookshelf.example/blog/reading-slowly/');
+
+    expect(text.startsWith('Last year, we set ourselves a strange goal for a books blog')).toBe(true);
+    expect(text).toContain('\n\nWhat changed\n\n');
+    expect(text).toContain('• Summarise it in three sentences');
+    expect(text.endsWith('the habit of talking about a book before reviewing it here.')).toBe(true);
+
+    for (const boilerplate of ['cookies', 'Interviews', 'Share on Twitter', 'Tagged:', 'Popular this week', 'You might also like',
+      'Commenter', 'newsletter', 'All rights reserved', 'window.analytics', 'position: fixed']) {
+      expect(text).not.toContain(boilerplate);
+    }
+  });
+
+  test('falls back to meta tags, the page title and the first content image', () => {
+    const article = articleContentParser.extractArticleContent(fixture('article-meta.html'), 'https://paperlanterns.example/news/translators-fair/');
+
+    expect(article).toMatchObject({
+      title: "Notes from the Translators' Fair",
+      author: 'Ines Duarte',
+      publishedAt: '2023-11-18T00:00:00.000Z',
+      updatedAt: null,
+      leadImage: 'https://paperlanterns.example/uploads/fair.jpg',
+      tags: ['translation', 'book fairs'],
+      headings: [{ level: 3, text: 'Next year' }],
+      wordCount: 100
+    });
+    expect(article.excerpt.startsWith('This autumn, three of our translators')).toBe(true);
+    expect(article.text).not.toContain('Catalogue');
+    expect(article.text).not.toContain('Instagram');
+  });
+
+  test('recognises article pages by JSON-LD or og:type', () => {
+    expect(articleContentParser.isArticlePage(fixture('article-jsonld.html'))).toBe(true);
+    expect(articleContentParser.isArticlePage(fixture('article-meta.html'))).toBe(false);
+    expect(articleContentParser.isArticlePage('<html><head><meta property="og:type" content="article"></head></html>')).toBe(true);
+  });
+
+  test('returns empty content for an empty page', () => {
+    expect(articleContentParser.extractArticleContent('', 'https://example.com/')).toMatchObject({
+      title: null,
+      text: '',
+      wordCount: 0,
+      readingTimeMinutes: 0
+    });
+  });
+});
@@ -0,0 +1,378 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Article content extraction
+ *
+ * Readability-style main content detection for a crawled article page: boilerplate (navigation,
+ * comments, related posts, share bars, cookie banners) is removed, paragraphs score their parent
+ * and grandparent by length and commas, scores are discounted by link density and the best scoring
+ * container (plus siblings that score nearly as well) is the article. Metadata comes from JSON-LD,
+ * Open Graph / article: meta tags and bylines, in that order.
+ * Based on the approach of Mozilla's Readability.js (https://github.com/mozilla/readability).
+ */
+
+const ARTICLE_READING_WPM = process.env.ARTICLE_READING_WPM ? parseInt(process.env.ARTICLE_READING_WPM) : 230;
+
+// Paragraphs shorter than this don't score (captions, buttons, bylines)
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'Report', 'ScholarlyArticle', 'SocialMediaPosting', 'LiveBlogPosting', 'OpinionNewsArticle', 'AnalysisNewsArticle'];
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|modal|newsletter|subscribe|signup|promo|outbrain|taboola|yarpp|widget|tags?-list|author-bio|skip-link/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|post|entry|text|story/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget|cookie|consent|newsletter|subscribe/i;
+
+// Always boilerplate, whatever their class
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'button', 'input', 'select', 'textarea',
+  'nav', 'aside', 'footer', 'svg', 'canvas',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]', '[role="alertdialog"]',
+  '[aria-hidden="true"]', '[hidden]', '[style*="display:none"]', '[style*="display: none"]'
+];
+
+const BLOCK_TAGS = ['p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'pre', 'blockquote', 'table', 'tr', 'td', 'th', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr'];
+
+const normalizeSpace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Article nodes of the page's JSON-LD (@graph flattened)
+ */
+const jsonLdArticles = ($) => {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    try {
+      const data = JSON.parse($(element).contents().text());
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length > 0) {
+        const node = queue.shift();
+        if (!node || typeof node !== 'object') continue;
+        if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+
+        const types = [].concat(node['@type'] || []);
+        if (types.some(type => ARTICLE_TYPES.includes(type))) nodes.push(node);
+      }
+    } catch (error) {
+      // Invalid JSON-LD is common, skip it
+    }
+  });
+
+  return nodes;
+};
+
+/**
+ * Name(s) of a JSON-LD author (string, Person, or a list of them)
+ */
+const jsonLdAuthor = (author) => [].concat(author || [])
+  .map(person => (typeof person === 'string' ? person : person?.name))
+  .filter(name => typeof name === 'string' && name.trim() && !/^https?:\/\//.test(name))
+  .map(name => name.trim())
+  .join(', ') || null;
+
+/**
+ * URL of a JSON-LD image (string, ImageObject, or a list of them)
+ */
+const jsonLdImage = (image) => {
+  const first = [].concat(image || [])[0];
+  return typeof first === 'string' ? first : (first?.url || first?.contentUrl || null);
+};
+
+/**
+ * Date string as ISO 8601, null if it isn't a date
+ */
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const absoluteUrl = (href, baseUrl) => {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const meta = ($, ...names) => {
+  for (const name of names) {
+    const content = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+    if (content && content.trim()) return content.trim();
+  }
+  return null;
+};
+
+/**
+ * Title, author, dates, lead image and tags of an article page
+ */
+const extractMetadata = ($, url) => {
+  const article = jsonLdArticles($)[0] || {};
+
+  // Site names are often appended to <title> ("Post title | Site")
+  const documentTitle = normalizeSpace($('title').first().text()).split(/\s+[|\-–—»·]\s+/)[0];
+  const title = normalizeSpace(article.headline || article.name) || meta($, 'og:title', 'twitter:title') ||
+    normalizeSpace($('h1').first().text()) || documentTitle || null;
+
+  const byline = normalizeSpace($('[rel="author"], [itemprop="author"] [itemprop="name"], .byline .author, .author-name, .byline, .author').first().text())
+    .replace(/^by\s+/i, '');
+  const metaAuthor = meta($, 'author', 'article:author', 'parsely-author', 'sailthru.author');
+  const author = jsonLdAuthor(article.author) ||
+    (metaAuthor && !/^https?:\/\//.test(metaAuthor) ? metaAuthor : null) ||
+    (byline && byline.length <= 100 ? byline : null);
+
+  const publishedAt = toIsoDate(article.datePublished) ||
+    toIsoDate(meta($, 'article:published_time', 'datePublished', 'pubdate', 'publish-date', 'date', 'dc.date', 'DC.date.issued', 'sailthru.date')) ||
+    toIsoDate($('time[datetime]').first().attr('datetime'));
+  const updatedAt = toIsoDate(article.dateModified) ||
+    toIsoDate(meta($, 'article:modified_time', 'og:updated_time', 'dateModified', 'last-modified'));
+
+  const leadImage = absoluteUrl(jsonLdImage(article.image) || meta($, 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'), url);
+
+  const tags = new Set();
+  $('meta[property="article:tag"]').each((_, element) => {
+    const tag = normalizeSpace($(element).attr('content'));
+    if (tag) tags.add(tag);
+  });
+  const keywords = article.keywords || meta($, 'keywords', 'news_keywords');
+  (Array.isArray(keywords) ? keywords : String(keywords || '').split(','))
+    .map(keyword => normalizeSpace(String(keyword)))
+    .filter(Boolean)
+    .forEach(keyword => tags.add(keyword));
+  $('a[rel~="tag"]').each((_, element) => {
+    const tag = normalizeSpace($(element).text());
+    if (tag && tag.length <= 50) tags.add(tag);
+  });
+
+  return {
+    title,
+    author,
+    publishedAt,
+    updatedAt,
+    leadImage,
+    tags: [...tags],
+    description: meta($, 'description', 'og:description', 'twitter:description')
+  };
+};
+
+/**
+ * Class and id of an element, for the boilerplate patterns
+ */
+const matchString = ($element) => `${$element.attr('class') || ''} ${$element.attr('id') || ''}`;
+
+/**
+ * Share of an element's text that is link text
+ */
+const linkDensity = ($, $element) => {
+  const textLength = normalizeSpace($element.text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $element.find('a').each((_, link) => {
+    linkLength += normalizeSpace($(link).text()).length;
+  });
+  return linkLength / textLength;
+};
+
+/**
+ * Starting score of a container from its tag and class
+ */
+const initialScore = ($element) => {
+  let score = 0;
+  const tag = $element.prop('tagName').toLowerCase();
+
+  if (tag === 'div' || tag === 'article' || tag === 'main' || tag === 'section') score += 5;
+  else if (['pre', 'td', 'blockquote'].includes(tag)) score += 3;
+  else if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) score -= 3;
+  else if (/^h[1-6]$/.test(tag) || tag === 'th') score -= 5;
+
+  const names = matchString($element);
+  if (NEGATIVE.test(names)) score -= 25;
+  if (POSITIVE.test(names)) score += 25;
+
+  return score;
+};
+
+/**
+ * Remove boilerplate from the page
+ */
+const removeBoilerplate = ($) => {
+  $(REMOVE_SELECTORS.join(', ')).remove();
+  $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+  $('body *').each((_, element) => {
+    const $element = $(element);
+    const tag = element.tagName;
+    if (['article', 'main', 'body'].includes(tag)) return;
+
+    const names = matchString($element);
+    if (names.trim() && UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATE.test(names)) {
+      $element.remove();
+    }
+  });
+};
+
+/**
+ * Best scoring container of the page
+ */
+const findTopCandidate = ($) => {
+  // Publishers that mark up the article body make this easy
+  const $marked = $('[itemprop="articleBody"]').first();
+  if ($marked.length > 0 && normalizeSpace($marked.text()).length > 250) {
+    return $marked;
+  }
+
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag' || ['html', 'body'].includes(element.tagName)) return;
+    if (!scores.has(element)) scores.set(element, initialScore($(element)));
+    scores.set(element, scores.get(element) + score);
+  };
+
+  $('p, pre, td, blockquote, div, section').each((_, element) => {
+    const $element = $(element);
+    // Divs only count as paragraphs when they hold text rather than other blocks
+    if (['div', 'section'].includes(element.tagName) && $element.children(BLOCK_TAGS.join(', ')).length > 0) return;
+
+    const text = normalizeSpace($element.text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    // One for the paragraph, one per comma-separated clause, one per 100 characters (up to three)
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = element.parent;
+    addScore(parent, score);
+    addScore(parent?.parent, score / 2);
+    addScore(parent?.parent?.parent, score / 3);
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(element)));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  }
+
+  if (!top) {
+    const $fallback = $('article').first();
+    return $fallback.length > 0 ? $fallback : $('body');
+  }
+
+  // Siblings that score nearly as well (articles split over several containers) join the top candidate
+  const threshold = Math.max(10, topScore * 0.2);
+  const $container = cheerio.load('<div id="article-content"></div>')('#article-content');
+  $(top.parent).children().each((_, sibling) => {
+    const $sibling = $(sibling);
+    const text = normalizeSpace($sibling.text());
+    const isTop = sibling === top;
+    const scoresWell = scores.has(sibling) && scores.get(sibling) >= threshold;
+    const isTextParagraph = sibling.tagName === 'p' && text.length > 80 && linkDensity($, $sibling) < 0.25;
+
+    if (isTop || scoresWell || isTextParagraph) {
+      $container.append($.html($sibling));
+    }
+  });
+
+  return $container;
+};
+
+/**
+ * Remove link lists, empty blocks and leftover widgets from the chosen content
+ */
+const cleanContent = ($content) => {
+  const $ = cheerio.load($content.html() || '', null, false);
+
+  $('ul, ol, div, section, table, p').each((_, element) => {
+    const $element = $(element);
+    const text = normalizeSpace($element.text());
+    const images = $element.find('img').length;
+
+    if (!text && images === 0) {
+      $element.remove();
+      return;
+    }
+    // Lists of links ("Related posts", tag clouds) and short link-heavy blocks
+    if (linkDensity($, $element) > 0.5 && text.length < 500) {
+      $element.remove();
+    }
+  });
+
+  return $;
+};
+
+/**
+ * Plain text of the content, paragraphs separated by blank lines
+ */
+const contentToText = ($) => {
+  $('br').replaceWith('\n');
+  $('li').each((_, element) => {
+    $(element).prepend('• ');
+  });
+  $(BLOCK_TAGS.join(', ')).each((_, element) => {
+    $(element).prepend('\n\n').append('\n\n');
+  });
+
+  return $.root().text()
+    .split(/\n{2,}/)
+    .map(paragraph => normalizeSpace(paragraph))
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Extract the main content and metadata of an article page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL, for relative image links
+ * @returns {object} - { title, author, publishedAt, updatedAt, leadImage, tags, excerpt, headings: [{ level, text }], text, wordCount, readingTimeMinutes }
+ */
+export const extractArticleContent = (html, url) => {
+  const $ = cheerio.load(html || '');
+  const metadata = extractMetadata($, url);
+
+  removeBoilerplate($);
+  const $clean = cleanContent(findTopCandidate($));
+
+  const headings = [];
+  $clean('h1, h2, h3, h4, h5, h6').each((_, element) => {
+    const text = normalizeSpace($clean(element).text());
+    // The title repeated as the content's first heading isn't a section
+    if (text && text !== metadata.title) {
+      headings.push({ level: parseInt(element.tagName.slice(1), 10), text });
+    }
+  });
+
+  const leadImage = metadata.leadImage || absoluteUrl($clean('img[src]').first().attr('src'), url);
+  const text = contentToText($clean);
+  const wordCount = (text.match(/\S+/g) || []).length;
+  const firstParagraph = text.split('\n\n').find(paragraph => paragraph.length >= 80) || '';
+
+  return {
+    title: metadata.title,
+    author: metadata.author,
+    publishedAt: metadata.publishedAt,
+    updatedAt: metadata.updatedAt,
+    leadImage,
+    tags: metadata.tags,
+    excerpt: metadata.description || (firstParagraph.length > 300 ? `${firstParagraph.slice(0, 297)}...` : firstParagraph) || null,
+    headings,
+    text,
+    wordCount,
+    readingTimeMinutes: wordCount > 0 ? Math.max(1, Math.round(wordCount / ARTICLE_READING_WPM)) : 0
+  };
+};
+
+/**
+ * Whether a page is an article (marked up as one with JSON-LD or og:type)
+ */
+export const isArticlePage = (html) => {
+  const $ = cheerio.load(html || '');
+  return jsonLdArticles($).length > 0 || (meta($, 'og:type') || '').toLowerCase() === 'article';
+};
+
+export default {
+  extractArticleContent,
+  isArticlePage
+};
@@ -0,0 +1,192 @@
+/**
+ * Audio header parsing for enclosure probing
+ * Reads the format from the first bytes of a file, and for MP3 the bitrate of the first frame
+ * (and the duration from a Xing/VBRI header), for MP4/M4A the duration from the movie header.
+ * Everything works on the start of a file, nothing here needs the whole download.
+ */
+
+// kbps by [MPEG-1 or 2/2.5][layer I, II, III][bitrate index]
+const MP3_BITRATES = {
+  1: [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ],
+  2: [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Detect an audio format from its first bytes (falling back to the content type)
+ * @returns {string|null} - 'mp3', 'mp4', 'ogg', 'wav', 'flac', 'aac' or null
+ */
+export const detectAudioFormat = (buffer, contentType = '') => {
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (buffer.length >= 8 && buffer.toString('ascii', 4, 8) === 'ftyp') return 'mp4';
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'aac';
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'mp3';
+
+  if (/mpeg|mp3/.test(contentType)) return 'mp3';
+  if (/mp4|m4a/.test(contentType)) return 'mp4';
+  if (/ogg|opus/.test(contentType)) return 'ogg';
+  if (/aac/.test(contentType)) return 'aac';
+  return null;
+};
+
+/**
+ * Size of the ID3v2 tag at the start of an MP3 (0 if there is none), where the first frame starts
+ */
+export const id3TagSize = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Decode an MPEG audio frame header
+ */
+const readFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 2.5);
+  const layer = 4 - layerBits;
+  const bitrateKbps = MP3_BITRATES[version === 1 ? 1 : 2][layer - 1][bitrateIndex];
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const mono = (buffer[offset + 3] >> 6) === 3;
+
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? (Math.floor(12 * bitrateKbps * 1000 / sampleRate) + padding) * 4
+    : Math.floor(samplesPerFrame / 8 * bitrateKbps * 1000 / sampleRate) + padding;
+
+  return { version, layer, bitrateKbps, sampleRate, channels: mono ? 1 : 2, samplesPerFrame, frameLength };
+};
+
+/**
+ * Frame count from a Xing/Info or VBRI header in the first frame
+ */
+const readVbrHeader = (buffer, offset, frame) => {
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfo;
+
+  if (xingOffset + 12 <= buffer.length) {
+    const tag = buffer.toString('ascii', xingOffset, xingOffset + 4);
+    if ((tag === 'Xing' || tag === 'Info') && (buffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+      // Info is LAME's tag for constant bitrate files
+      return { frames: buffer.readUInt32BE(xingOffset + 8), vbr: tag === 'Xing' };
+    }
+  }
+
+  const vbriOffset = offset + 36;
+  if (vbriOffset + 18 <= buffer.length && buffer.toString('ascii', vbriOffset, vbriOffset + 4) === 'VBRI') {
+    return { frames: buffer.readUInt32BE(vbriOffset + 14), vbr: true };
+  }
+
+  return null;
+};
+
+/**
+ * Read the first MP3 frame at or after start
+ * A frame only counts when the next one follows where its length says (or the buffer ends first),
+ * which rules out sync-like bytes in leftover tag data.
+ * @returns {object|null} - { bitrateKbps, sampleRate, channels, frames, vbr, durationSeconds }, durationSeconds from the VBR header only
+ */
+export const readMp3Frame = (buffer, start = 0) => {
+  for (let offset = start; offset + 4 <= buffer.length; offset++) {
+    const frame = readFrameHeader(buffer, offset);
+    if (!frame) continue;
+
+    const next = offset + frame.frameLength;
+    if (next + 4 <= buffer.length && !readFrameHeader(buffer, next)) continue;
+
+    const vbrHeader = readVbrHeader(buffer, offset, frame);
+    const durationSeconds = vbrHeader && vbrHeader.frames
+      ? Math.round(vbrHeader.frames * frame.samplesPerFrame / frame.sampleRate)
+      : null;
+
+    return {
+      bitrateKbps: frame.bitrateKbps,
+      sampleRate: frame.sampleRate,
+      channels: frame.channels,
+      frames: vbrHeader ? vbrHeader.frames : null,
+      vbr: vbrHeader ? vbrHeader.vbr : false,
+      durationSeconds
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Boxes of an MP4 container between start and end
+ */
+const mp4Boxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Duration of an MP4/M4A from its movie header
+ * Only works when the moov box comes before the media data ("fast start" files, as most podcast hosts serve).
+ * @returns {number|null} - Seconds, null if the header isn't in the buffer
+ */
+export const readMp4Duration = (buffer) => {
+  const moov = mp4Boxes(buffer, 0, buffer.length).find(box => box.type === 'moov');
+  if (!moov || moov.end > buffer.length) return null;
+
+  const mvhd = mp4Boxes(buffer, moov.start, moov.end).find(box => box.type === 'mvhd');
+  if (!mvhd || mvhd.start + 32 > buffer.length) return null;
+
+  const version = buffer[mvhd.start];
+  const timescale = version === 1 ? buffer.readUInt32BE(mvhd.start + 20) : buffer.readUInt32BE(mvhd.start + 12);
+  const duration = version === 1 ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) : buffer.readUInt32BE(mvhd.start + 16);
+
+  return timescale > 0 ? Math.round(duration / timescale) : null;
+};
+
+export default {
+  detectAudioFormat,
+  id3TagSize,
+  readMp3Frame,
+  readMp4Duration
+};
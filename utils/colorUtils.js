@@ -0,0 +1,232 @@
+/**
+ * Color helpers: parsing CSS colors, WCAG contrast and dominant colors of decoded images
+ */
+
+// Named colors that show up in SVG logos and simple stylesheets
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  navy: '#000080',
+  teal: '#008080',
+  maroon: '#800000',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0'
+};
+
+/**
+ * Convert HSL (h in degrees, s and l in 0-1) to RGB
+ */
+const hslToRgb = (h, s, l) => {
+  const hue = ((h % 360) + 360) % 360 / 360;
+
+  if (s === 0) {
+    const value = Math.round(l * 255);
+    return { r: value, g: value, b: value };
+  }
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    let tt = t;
+    if (tt < 0) tt += 1;
+    if (tt > 1) tt -= 1;
+    if (tt < 1 / 6) return p + (q - p) * 6 * tt;
+    if (tt < 1 / 2) return q;
+    if (tt < 2 / 3) return p + (q - p) * (2 / 3 - tt) * 6;
+    return p;
+  };
+
+  return {
+    r: Math.round(channel(hue + 1 / 3) * 255),
+    g: Math.round(channel(hue) * 255),
+    b: Math.round(channel(hue - 1 / 3) * 255)
+  };
+};
+
+/**
+ * Parse a CSS color (hex, rgb[a], hsl[a] or a common name)
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+export const parseCssColor = (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  const color = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[color]) {
+    return parseCssColor(NAMED_COLORS[color]);
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) {
+      digits = digits.split('').map(d => d + d).join('');
+    }
+    if (digits.length !== 6 && digits.length !== 8) return null;
+
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return {
+      r: Math.min(255, Math.round(parseFloat(rgb[1]))),
+      g: Math.min(255, Math.round(parseFloat(rgb[2]))),
+      b: Math.min(255, Math.round(parseFloat(rgb[3]))),
+      a: alpha
+    };
+  }
+
+  const hsl = color.match(/^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (hsl) {
+    const alpha = hsl[4] === undefined ? 1 : hsl[4].endsWith('%') ? parseFloat(hsl[4]) / 100 : parseFloat(hsl[4]);
+    return { ...hslToRgb(parseFloat(hsl[1]), parseFloat(hsl[2]) / 100, parseFloat(hsl[3]) / 100), a: alpha };
+  }
+
+  return null;
+};
+
+/**
+ * RGB to lowercase #rrggbb
+ */
+export const rgbToHex = ({ r, g, b }) => {
+  return `#${[r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * WCAG relative luminance
+ */
+export const relativeLuminance = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+/**
+ * WCAG contrast ratio between two colors (1 to 21)
+ */
+export const contrastRatio = (first, second) => {
+  const l1 = relativeLuminance(first);
+  const l2 = relativeLuminance(second);
+  const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  return Math.round(ratio * 100) / 100;
+};
+
+/**
+ * HSL saturation (0-1), used to tell brand colors from greys
+ */
+export const saturation = ({ r, g, b }) => {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+
+  if (max === min) return 0;
+  return lightness > 0.5 ? (max - min) / (2 - max - min) : (max - min) / (max + min);
+};
+
+/**
+ * Whether a color is a near-grey (white, black and greys)
+ */
+export const isNeutral = (color) => saturation(color) < 0.15 || Math.max(color.r, color.g, color.b) < 30;
+
+/**
+ * Approximate perceptual distance between two colors ("redmean" weighted RGB)
+ */
+export const colorDistance = (first, second) => {
+  const rMean = (first.r + second.r) / 2;
+  const dr = first.r - second.r;
+  const dg = first.g - second.g;
+  const db = first.b - second.b;
+  return Math.sqrt((2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db);
+};
+
+/**
+ * Dominant colors of decoded RGBA pixels
+ * Pixels are sampled, bucketed at 5 bits per channel, and similar buckets merged.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels
+ * @param {object} options - { maxColors, maxSamples, mergeDistance }
+ * @returns {Array<{hex: string, share: number}>} - Colors with their share of opaque pixels, largest first
+ */
+export const getDominantColors = (image, options = {}) => {
+  const maxColors = options.maxColors || 5;
+  const maxSamples = options.maxSamples || 20000;
+  const mergeDistance = options.mergeDistance || 60;
+
+  const pixelCount = image.width * image.height;
+  const step = Math.max(1, Math.floor(pixelCount / maxSamples));
+  const buckets = new Map();
+  let opaque = 0;
+
+  for (let i = 0; i < pixelCount; i += step) {
+    const offset = i * 4;
+    const alpha = image.data[offset + 3];
+    if (alpha < 128) continue;
+
+    const r = image.data[offset];
+    const g = image.data[offset + 1];
+    const b = image.data[offset + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+    opaque += 1;
+  }
+
+  if (opaque === 0) return [];
+
+  const clusters = [];
+  const sorted = [...buckets.values()].sort((a, b) => b.count - a.count);
+
+  for (const bucket of sorted) {
+    const color = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+    const cluster = clusters.find(existing => colorDistance(existing, color) < mergeDistance);
+
+    if (cluster) {
+      const total = cluster.count + bucket.count;
+      cluster.r = (cluster.r * cluster.count + color.r * bucket.count) / total;
+      cluster.g = (cluster.g * cluster.count + color.g * bucket.count) / total;
+      cluster.b = (cluster.b * cluster.count + color.b * bucket.count) / total;
+      cluster.count = total;
+    } else {
+      clusters.push({ ...color, count: bucket.count });
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .slice(0, maxColors)
+    .map(cluster => ({
+      hex: rgbToHex(cluster),
+      share: Math.round((cluster.count / opaque) * 1000) / 1000
+    }));
+};
+
+export default {
+  parseCssColor,
+  rgbToHex,
+  relativeLuminance,
+  contrastRatio,
+  saturation,
+  isNeutral,
+  colorDistance,
+  getDominantColors
+};
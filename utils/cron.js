@@ -0,0 +1,209 @@
+/**
+ * Minimal cron expression support for recrawl schedules
+ * Standard five fields (minute hour day-of-month month day-of-week), evaluated in UTC.
+ * Supports "*", lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/@monthly/@yearly aliases.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Upper bound on the search for the next run (a little over four years covers Feb 29 schedules)
+const MAX_SEARCH_DAYS = 366 * 4 + 1;
+
+/**
+ * Convert a single value (number or name) for a field
+ */
+const parseValue = (text, field) => {
+  const lower = text.toLowerCase();
+
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.nameOffset;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is out of range (${field.min}-${field.max})`);
+  }
+
+  return value;
+};
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+
+    if (isNaN(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [startText, endText] = rangeText.split('-');
+      start = parseValue(startText, field);
+      end = parseValue(endText, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangeText}" in ${field.name}`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      // "5/15" means "from 5 to the end, every 15"
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or alias
+ * @returns {object} - Parsed fields
+ * @throws {Error} - If the expression is invalid
+ */
+export const parseCron = (expression) => {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim();
+  const normalized = ALIASES[trimmed.toLowerCase()] || trimmed;
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday may be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  // As in Vixie cron, a day field starting with * (including steps like */2) doesn't restrict the other
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+};
+
+/**
+ * Check whether a cron expression is valid
+ */
+export const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a UTC date falls on a matching day
+ * As in standard cron, when both day fields are restricted either one may match
+ */
+const matchesDay = (schedule, date) => {
+  const domMatch = schedule.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  if (schedule.dayOfMonthRestricted) {
+    return domMatch;
+  }
+  if (schedule.dayOfWeekRestricted) {
+    return dowMatch;
+  }
+  return true;
+};
+
+/**
+ * Get the next time a cron expression fires after a given date
+ * @param {string} expression - Cron expression or alias
+ * @param {Date} [from] - Start point (exclusive), defaults to now
+ * @returns {Date} - Next run time (UTC, whole minute)
+ */
+export const getNextRun = (expression, from = new Date()) => {
+  const schedule = parseCron(expression);
+
+  const candidate = new Date(from.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (candidate.getTime() <= limit) {
+    if (!schedule.months.has(candidate.getUTCMonth() + 1) || !matchesDay(schedule, candidate)) {
+      // Jump to the start of the next day
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(candidate.getUTCHours())) {
+      // Jump to the start of the next hour
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+      continue;
+    }
+
+    return candidate;
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+};
+
+export default {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
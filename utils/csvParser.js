@@ -0,0 +1,79 @@
+/**
+ * Minimal CSV/TSV parsing (RFC 4180 quoting) for catalogue and feed files
+ */
+
+/**
+ * Guess the delimiter from the header line
+ */
+const detectDelimiter = (text) => {
+  const header = text.slice(0, text.search(/\r?\n/) === -1 ? text.length : text.search(/\r?\n/));
+  const counts = [',', '\t', ';', '|'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Parse delimited text into rows of fields
+ * @param {string} text - File contents
+ * @param {object} options - { delimiter } (detected from the header when omitted)
+ * @returns {Array<Array<string>>}
+ */
+export const parseRows = (text, options = {}) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse delimited text with a header row into objects keyed by lowercased, trimmed column names
+ * @returns {Array<object>}
+ */
+export const parseCsv = (text, options = {}) => {
+  const [header, ...rows] = parseRows(text, options);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, (fields[index] || '').trim()])));
+};
+
+export default {
+  parseRows,
+  parseCsv
+};
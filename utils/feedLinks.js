@@ -0,0 +1,32 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * RSS/Atom feeds a page advertises with <link rel="alternate">
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, for relative links
+ * @returns {Array<{url: string, type: string, title: string|null}>}
+ */
+export const findFeedLinks = (html, baseUrl) => {
+  const $ = cheerio.load(html || '');
+  const feeds = [];
+
+  $('link[rel~="alternate"][type="application/rss+xml"], link[rel~="alternate"][type="application/atom+xml"]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (!href) return;
+
+    try {
+      const url = new URL(href, baseUrl).href;
+      if (!feeds.some(feed => feed.url === url)) {
+        feeds.push({ url, type: $(element).attr('type'), title: $(element).attr('title') || null });
+      }
+    } catch (error) {
+      // Ignore invalid URLs
+    }
+  });
+
+  return feeds;
+};
+
+export default {
+  findFeedLinks
+};
@@ -0,0 +1,231 @@
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { parseCssColor, rgbToHex } from './colorUtils.js';
+
+/**
+ * Pure-JS image decoding for color analysis
+ * PNG and JPEG are decoded to RGBA pixels. SVG isn't rasterised; its declared fill, stroke and
+ * stop colors are read instead. Other formats (WebP, GIF, AVIF) aren't decoded, but the size of
+ * every detected format can be read from its header.
+ */
+
+// Refuse to decode anything that would need more memory than this
+const MAX_DECODE_MEMORY_MB = 128;
+// RGBA pixels that fit in MAX_DECODE_MEMORY_MB; small, heavily compressed files can declare huge dimensions
+export const MAX_DECODE_PIXELS = (MAX_DECODE_MEMORY_MB * 1024 * 1024) / 4;
+
+/**
+ * Detect an image format from its first bytes (falling back to the content type)
+ * @returns {string|null} - 'png', 'jpeg', 'svg', 'webp', 'gif', 'ico' or null
+ */
+export const detectFormat = (buffer, contentType = '') => {
+  if (buffer.length >= 8 && buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return 'gif';
+  }
+  if (buffer.length >= 6 && buffer.readUInt32BE(0) === 0x00000100 && buffer.readUInt16LE(4) > 0) {
+    return 'ico';
+  }
+
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 512)).trim().toLowerCase();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg')) || contentType.includes('svg')) {
+    return 'svg';
+  }
+
+  return null;
+};
+
+/**
+ * Whether an image of this size can be decoded within MAX_DECODE_MEMORY_MB
+ */
+export const isDecodableSize = ({ width, height }) => Boolean(width && height && width * height <= MAX_DECODE_PIXELS);
+
+/**
+ * Decode a PNG or JPEG to RGBA pixels
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{width: number, height: number, data: Uint8Array}|null} - null for unsupported formats
+ * @throws {Error} - For images too large to decode (over MAX_DECODE_PIXELS) or malformed ones
+ */
+export const decodeImage = (buffer, contentType = '') => {
+  const format = detectFormat(buffer, contentType);
+
+  if (format === 'png' || format === 'jpeg') {
+    const size = readImageSize(buffer, contentType);
+    if (size.width && size.height && !isDecodableSize(size)) {
+      throw new Error(`Image is ${size.width}x${size.height} pixels, too large to decode`);
+    }
+  }
+
+  if (format === 'png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  if (format === 'jpeg') {
+    const image = jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+    });
+    return { width: image.width, height: image.height, data: image.data };
+  }
+
+  return null;
+};
+
+/**
+ * Read the pixel size of a JPEG from its first start-of-frame marker
+ */
+const readJpegSize = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset += 1;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (c4), JPG (c8) and DAC (cc)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+/**
+ * Read the size of a WebP from its VP8, VP8L or VP8X chunk
+ */
+const readWebpSize = (buffer) => {
+  if (buffer.length < 30) return null;
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Read the largest image in an ICO (0 in the directory means 256)
+ */
+const readIcoSize = (buffer) => {
+  const count = buffer.readUInt16LE(4);
+  let largest = null;
+
+  for (let i = 0; i < count && 6 + (i + 1) * 16 <= buffer.length; i++) {
+    const width = buffer[6 + i * 16] || 256;
+    const height = buffer[7 + i * 16] || 256;
+    if (!largest || width * height > largest.width * largest.height) {
+      largest = { width, height };
+    }
+  }
+
+  return largest;
+};
+
+/**
+ * Read the size of an SVG from its width/height attributes or viewBox
+ */
+const readSvgSize = (svg) => {
+  const root = svg.match(/<svg\b[^>]*>/i)?.[0] || '';
+  const attribute = (name) => root.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+
+  const width = attribute('width');
+  const height = attribute('height');
+  if (width && height) {
+    return { width: Math.round(parseFloat(width[1])), height: Math.round(parseFloat(height[1])) };
+  }
+
+  const viewBox = root.match(/viewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+  if (viewBox) {
+    return { width: Math.round(parseFloat(viewBox[1])), height: Math.round(parseFloat(viewBox[2])) };
+  }
+
+  return null;
+};
+
+/**
+ * Read an image's format and pixel size from its header, without decoding it
+ * SVG sizes come from the width/height attributes or the viewBox (SVGs scale, so this is the intrinsic size).
+ * @param {Buffer} buffer - Image bytes (the first few KB are usually enough, except for SVG)
+ * @returns {{format: string|null, width: number|null, height: number|null}}
+ */
+export const readImageSize = (buffer, contentType = '') => {
+  const format = detectFormat(buffer, contentType);
+  let size = null;
+
+  try {
+    if (format === 'png' && buffer.length >= 24) {
+      size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    } else if (format === 'jpeg') {
+      size = readJpegSize(buffer);
+    } else if (format === 'gif' && buffer.length >= 10) {
+      size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    } else if (format === 'webp') {
+      size = readWebpSize(buffer);
+    } else if (format === 'ico') {
+      size = readIcoSize(buffer);
+    } else if (format === 'svg') {
+      size = readSvgSize(buffer.toString('utf8'));
+    }
+  } catch (error) {
+    // Truncated or malformed header
+    size = null;
+  }
+
+  return { format, width: size?.width || null, height: size?.height || null };
+};
+
+/**
+ * Colors declared in an SVG, most used first
+ * @param {string} svg - SVG markup
+ * @returns {Array<{hex: string, share: number}>}
+ */
+export const getSvgColors = (svg) => {
+  const counts = new Map();
+  const pattern = /(?:fill|stroke|stop-color)\s*[:=]\s*["']?\s*(#[0-9a-f]{3,8}|rgba?\([^)]*\)|hsla?\([^)]*\)|[a-z]+)/gi;
+  let match;
+  let total = 0;
+
+  while ((match = pattern.exec(svg)) !== null) {
+    const color = parseCssColor(match[1]);
+    if (!color || color.a < 0.5) continue;
+
+    const hex = rgbToHex(color);
+    counts.set(hex, (counts.get(hex) || 0) + 1);
+    total += 1;
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([hex, count]) => ({ hex, share: Math.round((count / total) * 1000) / 1000 }));
+};
+
+export default {
+  detectFormat,
+  isDecodableSize,
+  decodeImage,
+  readImageSize,
+  getSvgColors
+};
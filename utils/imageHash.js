@@ -0,0 +1,107 @@
+/**
+ * Perceptual image hashing
+ * A DCT hash (pHash): resized copies, re-encodes and CDN variants of the same picture get hashes
+ * a few bits apart, while different pictures differ in about half of the 64 bits.
+ */
+
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// DCT-II coefficients, computed once
+const DCT_COEFFICIENTS = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SAMPLE_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE)))
+);
+
+/**
+ * Downscale RGBA pixels to a SAMPLE_SIZE x SAMPLE_SIZE greyscale grid by area averaging
+ * Transparent pixels count as white, so logos on transparent and white backgrounds match.
+ */
+const toGreyscaleGrid = (image) => {
+  const grid = new Float64Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  const counts = new Uint32Array(SAMPLE_SIZE * SAMPLE_SIZE);
+
+  // Averaging every pixel of very large images is slow, a regular subsample is enough
+  const step = Math.max(1, Math.floor(Math.sqrt((image.width * image.height) / 250000)));
+
+  for (let y = 0; y < image.height; y += step) {
+    const cellY = Math.min(SAMPLE_SIZE - 1, Math.floor((y * SAMPLE_SIZE) / image.height));
+
+    for (let x = 0; x < image.width; x += step) {
+      const cellX = Math.min(SAMPLE_SIZE - 1, Math.floor((x * SAMPLE_SIZE) / image.width));
+      const offset = (y * image.width + x) * 4;
+      const alpha = image.data[offset + 3] / 255;
+      const grey = 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+
+      grid[cellY * SAMPLE_SIZE + cellX] += grey * alpha + 255 * (1 - alpha);
+      counts[cellY * SAMPLE_SIZE + cellX] += 1;
+    }
+  }
+
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = counts[i] ? grid[i] / counts[i] : 255;
+  }
+
+  return grid;
+};
+
+/**
+ * 64-bit perceptual hash of decoded pixels
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels
+ * @returns {string} - 16 hex characters
+ */
+export const perceptualHash = (image) => {
+  const grid = toGreyscaleGrid(image);
+
+  // Low-frequency 8x8 corner of the 2D DCT
+  const rows = new Float64Array(HASH_SIZE * SAMPLE_SIZE);
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let y = 0; y < SAMPLE_SIZE; y++) {
+      let sum = 0;
+      for (let x = 0; x < SAMPLE_SIZE; x++) {
+        sum += grid[y * SAMPLE_SIZE + x] * DCT_COEFFICIENTS[u][x];
+      }
+      rows[u * SAMPLE_SIZE + y] = sum;
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) {
+        sum += rows[u * SAMPLE_SIZE + y] * DCT_COEFFICIENTS[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the average brightness, leave it out of the median
+  const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+
+  let hash = 0n;
+  for (const coefficient of coefficients) {
+    hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+  }
+
+  return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+};
+
+/**
+ * Number of differing bits between two hashes
+ */
+export const hammingDistance = (first, second) => {
+  let difference = BigInt(`0x${first}`) ^ BigInt(`0x${second}`);
+  let distance = 0;
+
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+
+  return distance;
+};
+
+export default {
+  perceptualHash,
+  hammingDistance
+};
@@ -0,0 +1,66 @@
+/**
+ * ISBN helpers shared by the ISBN extractor and the catalogue providers
+ * Providers key their results by ISBN-13, so ISBN-10s are converted before lookups.
+ */
+
+/**
+ * Strip everything but digits and X
+ */
+export const normalizeIsbn = (isbn) => String(isbn || '').replace(/[^0-9X]/gi, '').toUpperCase();
+
+/**
+ * Whether an ISBN-10 (digits only, check digit X in either case) has a valid check digit
+ */
+export const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/i.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => total + (/x/i.test(char) ? 10 : parseInt(char, 10)) * (10 - index), 0);
+  return sum % 11 === 0;
+};
+
+/**
+ * Whether a normalized ISBN-13 has a valid check digit
+ */
+export const isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => total + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3), 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Convert any valid ISBN to ISBN-13
+ * @returns {string|null} - ISBN-13, or null if the input isn't a valid ISBN
+ */
+export const toIsbn13 = (isbn) => {
+  const normalized = normalizeIsbn(isbn);
+
+  if (isValidIsbn13(normalized)) return normalized;
+  if (!isValidIsbn10(normalized)) return null;
+
+  const body = `978${normalized.slice(0, 9)}`;
+  const sum = body.split('').reduce((total, char, index) => total + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Convert an ISBN-13 to ISBN-10 (only 978 ISBNs have one)
+ * @returns {string|null}
+ */
+export const toIsbn10 = (isbn) => {
+  const isbn13 = toIsbn13(isbn);
+  if (!isbn13 || !isbn13.startsWith('978')) return null;
+
+  const body = isbn13.slice(3, 12);
+  const sum = body.split('').reduce((total, char, index) => total + parseInt(char, 10) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return `${body}${check === 10 ? 'X' : check}`;
+};
+
+export default {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10
+};
@@ -0,0 +1,254 @@
+import * as cheerio from 'cheerio';
+import { toIsbn13 } from './isbnUtils.js';
+
+/**
+ * ONIX for Books parsing (3.0 and 2.1, reference or short tags)
+ * Only the bibliographic and supply (price, availability) fields the crawler uses are read.
+ */
+
+// Reference tag and short tag of each element read
+const TAGS = {
+  product: ['Product', 'product'],
+  productIdentifier: ['ProductIdentifier', 'productidentifier'],
+  productIdType: ['ProductIDType', 'b221'],
+  idValue: ['IDValue', 'b244'],
+  legacyIsbn: ['ISBN', 'b004'],
+  legacyEan: ['EAN13', 'b005'],
+  titleDetail: ['TitleDetail', 'titledetail'],
+  titleType: ['TitleType', 'b202'],
+  title: ['Title', 'title'],
+  titleText: ['TitleText', 'b203'],
+  titlePrefix: ['TitlePrefix', 'b030'],
+  titleWithoutPrefix: ['TitleWithoutPrefix', 'b031'],
+  subtitle: ['Subtitle', 'b029'],
+  contributor: ['Contributor', 'contributor'],
+  contributorRole: ['ContributorRole', 'b035'],
+  personName: ['PersonName', 'b036'],
+  namesBeforeKey: ['NamesBeforeKey', 'b039'],
+  keyNames: ['KeyNames', 'b040'],
+  corporateName: ['CorporateName', 'b047'],
+  productForm: ['ProductForm', 'b012'],
+  publisherName: ['PublisherName', 'b081'],
+  publishingDate: ['PublishingDate', 'publishingdate'],
+  publishingDateRole: ['PublishingDateRole', 'x448'],
+  date: ['Date', 'b306'],
+  publicationDate: ['PublicationDate', 'b003'],
+  supportingResource: ['SupportingResource', 'supportingresource'],
+  resourceContentType: ['ResourceContentType', 'x436'],
+  resourceLink: ['ResourceLink', 'x435'],
+  mediaFile: ['MediaFile', 'mediafile'],
+  mediaFileTypeCode: ['MediaFileTypeCode', 'f114'],
+  mediaFileLink: ['MediaFileLink', 'f117'],
+  supplyDetail: ['SupplyDetail', 'supplydetail'],
+  price: ['Price', 'price'],
+  priceAmount: ['PriceAmount', 'j151'],
+  currencyCode: ['CurrencyCode', 'j152'],
+  productAvailability: ['ProductAvailability', 'j396'],
+  availabilityCode: ['AvailabilityCode', 'j141']
+};
+
+// ONIX code list 150 (product form), the common ones
+const PRODUCT_FORMS = {
+  BA: 'book',
+  BB: 'hardback',
+  BC: 'paperback',
+  BE: 'spiral bound',
+  BH: 'board book',
+  AA: 'audio',
+  AC: 'audio cd',
+  AJ: 'audio download',
+  DG: 'ebook',
+  EA: 'ebook',
+  EB: 'ebook',
+  ED: 'ebook'
+};
+
+// ONIX code list 17 (contributor role), the common ones
+const CONTRIBUTOR_ROLES = {
+  A01: 'author',
+  A06: 'composer',
+  A12: 'illustrator',
+  A13: 'photographer',
+  B01: 'editor',
+  B06: 'translator',
+  E07: 'narrator'
+};
+
+// ONIX code list 65 (product availability), by its first digit
+const PRODUCT_AVAILABILITY = {
+  1: 'preorder',
+  2: 'in_stock',
+  3: 'out_of_stock',
+  4: 'discontinued',
+  5: 'discontinued',
+  9: 'out_of_stock'
+};
+
+// ONIX 2.1 code list 54 (availability status), used when ProductAvailability is missing
+const AVAILABILITY_CODES = {
+  IP: 'in_stock',
+  MD: 'in_stock',
+  NP: 'preorder',
+  RP: 'backorder',
+  TU: 'out_of_stock',
+  OP: 'discontinued',
+  WR: 'discontinued',
+  OF: 'discontinued'
+};
+
+const selector = (key) => TAGS[key].join(', ');
+
+/**
+ * Text of the first matching descendant
+ */
+const text = ($, $scope, key) => $scope.find(selector(key)).first().text().trim();
+
+/**
+ * 20240315 / 202403 / 2024 to 2024-03-15 / 2024-03 / 2024
+ */
+const formatOnixDate = (value) => {
+  const digits = (value || '').replace(/\D/g, '');
+  if (digits.length >= 8) return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+  if (digits.length === 6) return `${digits.slice(0, 4)}-${digits.slice(4, 6)}`;
+  if (digits.length === 4) return digits;
+  return null;
+};
+
+/**
+ * ISBN-13 of a product, from its identifiers (ISBN-13 or GTIN-13) or the 2.1 ISBN/EAN13 elements
+ */
+const productIsbn = ($, $product) => {
+  let isbn = null;
+
+  $product.find(selector('productIdentifier')).each((_, identifier) => {
+    const type = text($, $(identifier), 'productIdType');
+    if (!isbn && ['15', '03', '02'].includes(type)) {
+      isbn = toIsbn13(text($, $(identifier), 'idValue'));
+    }
+  });
+
+  return isbn || toIsbn13(text($, $product, 'legacyIsbn')) || toIsbn13(text($, $product, 'legacyEan'));
+};
+
+/**
+ * Distinctive title (TitleType 01) and subtitle
+ */
+const productTitle = ($, $product) => {
+  const details = $product.find(`${selector('titleDetail')}, ${selector('title')}`).toArray().map(element => $(element));
+  const $title = details.find($detail => ['01', ''].includes(text($, $detail, 'titleType'))) || details[0];
+  if (!$title) return { title: null, subtitle: null };
+
+  const prefix = text($, $title, 'titlePrefix');
+  const withoutPrefix = text($, $title, 'titleWithoutPrefix');
+  const title = text($, $title, 'titleText') || [prefix, withoutPrefix].filter(Boolean).join(' ');
+
+  return { title: title || null, subtitle: text($, $title, 'subtitle') || null };
+};
+
+/**
+ * Contributors in their ONIX order
+ */
+const productContributors = ($, $product) => $product.find(selector('contributor')).toArray()
+  .map(element => {
+    const $contributor = $(element);
+    const name = text($, $contributor, 'personName')
+      || [text($, $contributor, 'namesBeforeKey'), text($, $contributor, 'keyNames')].filter(Boolean).join(' ')
+      || text($, $contributor, 'corporateName');
+    const role = text($, $contributor, 'contributorRole');
+
+    return name ? { name, role: CONTRIBUTOR_ROLES[role] || 'contributor' } : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Publication date (PublishingDateRole 01, or the 2.1 PublicationDate)
+ */
+const productPublicationDate = ($, $product) => {
+  let date = null;
+
+  $product.find(selector('publishingDate')).each((_, element) => {
+    const role = text($, $(element), 'publishingDateRole');
+    if (!date && (role === '01' || role === '')) {
+      date = formatOnixDate(text($, $(element), 'date'));
+    }
+  });
+
+  return date || formatOnixDate(text($, $product, 'publicationDate'));
+};
+
+/**
+ * Front cover link (3.0 SupportingResource type 01, 2.1 MediaFile type 04 or 06)
+ */
+const productCoverUrl = ($, $product) => {
+  let url = null;
+
+  $product.find(selector('supportingResource')).each((_, element) => {
+    if (!url && text($, $(element), 'resourceContentType') === '01') {
+      url = text($, $(element), 'resourceLink') || null;
+    }
+  });
+
+  $product.find(selector('mediaFile')).each((_, element) => {
+    if (!url && ['04', '06'].includes(text($, $(element), 'mediaFileTypeCode'))) {
+      url = text($, $(element), 'mediaFileLink') || null;
+    }
+  });
+
+  return url;
+};
+
+/**
+ * First price and the availability of the first supply detail
+ */
+const productSupply = ($, $product) => {
+  const $supply = $product.find(selector('supplyDetail')).first();
+  if ($supply.length === 0) return { price: null, currency: null, availability: null };
+
+  const amount = parseFloat(text($, $supply.find(selector('price')).first(), 'priceAmount'));
+  const availability = text($, $supply, 'productAvailability');
+  // Code 22 is "to order", available but not from stock
+  const normalized = availability === '22' ? 'backorder' : PRODUCT_AVAILABILITY[availability.charAt(0)];
+
+  return {
+    price: Number.isFinite(amount) ? amount : null,
+    currency: text($, $supply, 'currencyCode') || null,
+    availability: normalized || AVAILABILITY_CODES[text($, $supply, 'availabilityCode')] || null
+  };
+};
+
+/**
+ * Parse an ONIX message into book records
+ * @param {string} xml - ONIX XML
+ * @returns {Array<object>} - { isbn13, title, subtitle, contributors, publisher, publicationDate, format, coverUrl,
+ *   price, currency, availability } for each product with a valid ISBN. availability is in_stock, out_of_stock,
+ *   preorder, backorder or discontinued.
+ */
+export const parseOnix = (xml) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const books = [];
+
+  $(selector('product')).each((_, element) => {
+    const $product = $(element);
+    const isbn13 = productIsbn($, $product);
+    if (!isbn13) return;
+
+    const form = text($, $product, 'productForm');
+
+    books.push({
+      isbn13,
+      ...productTitle($, $product),
+      contributors: productContributors($, $product),
+      publisher: text($, $product, 'publisherName') || null,
+      publicationDate: productPublicationDate($, $product),
+      format: PRODUCT_FORMS[form] || null,
+      coverUrl: productCoverUrl($, $product),
+      ...productSupply($, $product)
+    });
+  });
+
+  return books;
+};
+
+export default {
+  parseOnix
+};
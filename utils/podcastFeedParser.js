@@ -0,0 +1,320 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Podcast feed parsing (RSS with the iTunes and Podcasting 2.0 namespaces, and Atom)
+ * Podcasting 2.0 tags: https://podcastindex.org/namespace/1.0
+ */
+
+const PODCAST_FEED_MAX_EPISODES = process.env.PODCAST_FEED_MAX_EPISODES ? parseInt(process.env.PODCAST_FEED_MAX_EPISODES) : 100;
+
+/**
+ * itunes:explicit ("true"/"yes"/"explicit" or "false"/"no"/"clean") as a boolean, null when absent
+ */
+export const parseExplicit = (value) => {
+  const normalized = (value || '').trim().toLowerCase();
+  if (['true', 'yes', 'explicit'].includes(normalized)) return true;
+  if (['false', 'no', 'clean'].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * itunes:duration ("3723", "62:03" or "1:02:03") in seconds
+ */
+export const parseDuration = (value) => {
+  const parts = (value || '').trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+  return Math.round(parts.reduce((total, part) => total * 60 + parseFloat(part), 0));
+};
+
+const parseInteger = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Direct children of an element with a (namespaced) tag name
+ */
+const children = ($element, tag) => $element.children(tag.replace(':', '\\:'));
+
+const childText = ($element, tag) => children($element, tag).first().text().trim();
+
+/**
+ * itunes:category elements as "Parent" or "Parent > Subcategory"
+ */
+const parseCategories = ($, $channel) => {
+  const categories = [];
+
+  children($channel, 'itunes:category').each((_, element) => {
+    const parent = $(element).attr('text');
+    if (!parent) return;
+
+    const subcategories = children($(element), 'itunes:category').toArray().map(child => $(child).attr('text')).filter(Boolean);
+    if (subcategories.length === 0) {
+      categories.push(parent);
+    } else {
+      subcategories.forEach(subcategory => categories.push(`${parent} > ${subcategory}`));
+    }
+  });
+
+  return [...new Set(categories)];
+};
+
+/**
+ * podcast:person elements (role defaults to host, group to cast)
+ */
+const parsePersons = ($, $element) => children($element, 'podcast:person').toArray()
+  .map(element => ({
+    name: $(element).text().trim(),
+    role: ($(element).attr('role') || 'host').toLowerCase(),
+    group: ($(element).attr('group') || 'cast').toLowerCase(),
+    href: $(element).attr('href') || null,
+    img: $(element).attr('img') || null
+  }))
+  .filter(person => person.name);
+
+/**
+ * podcast:funding elements
+ */
+const parseFunding = ($, $channel) => children($channel, 'podcast:funding').toArray()
+  .map(element => ({ url: $(element).attr('url') || null, text: $(element).text().trim() || null }))
+  .filter(funding => funding.url);
+
+/**
+ * podcast:transcript elements
+ */
+const parseTranscripts = ($, $item) => children($item, 'podcast:transcript').toArray()
+  .map(element => ({
+    url: $(element).attr('url') || null,
+    type: $(element).attr('type') || null,
+    language: $(element).attr('language') || null,
+    rel: $(element).attr('rel') || null
+  }))
+  .filter(transcript => transcript.url);
+
+/**
+ * Dedup key of an episode: its GUID, or the enclosure URL in feeds without GUIDs
+ */
+const episodeKey = (episode) => episode.guid || episode.audio_url || `${episode.title}|${episode.published_date}`;
+
+/**
+ * Items with neither an audio/video enclosure nor a duration (announcements, show notes) aren't episodes
+ */
+const isEpisode = (episode) => Boolean(episode.audio_url || episode.duration_seconds);
+
+/**
+ * Number and total itunes:duration of every (deduplicated) episode in a feed, including those past the episode cap
+ * @returns {{episodeCount: number, totalDurationSeconds: number, durationEpisodeCount: number}}
+ */
+const catalogueTotals = ($, items) => {
+  const seen = new Set();
+  let totalDurationSeconds = 0;
+  let durationEpisodeCount = 0;
+
+  items.each((_, element) => {
+    const episode = parseRssItem($, $(element));
+    if (!isEpisode(episode)) return;
+
+    const key = episodeKey(episode);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (episode.duration_seconds) {
+      totalDurationSeconds += episode.duration_seconds;
+      durationEpisodeCount++;
+    }
+  });
+
+  return { episodeCount: seen.size, totalDurationSeconds, durationEpisodeCount };
+};
+
+/**
+ * Parse an RSS item
+ */
+const parseRssItem = ($, $item) => {
+  const $enclosure = children($item, 'enclosure').first();
+  const enclosureType = $enclosure.attr('type') || null;
+  const $season = children($item, 'podcast:season').first();
+  const $episode = children($item, 'podcast:episode').first();
+  const $chapters = children($item, 'podcast:chapters').first();
+  const duration = childText($item, 'itunes:duration');
+
+  const episode = {
+    title: childText($item, 'title') || childText($item, 'itunes:title'),
+    description: childText($item, 'description') || childText($item, 'itunes:summary'),
+    published_date: childText($item, 'pubDate'),
+    guid: childText($item, 'guid') || null,
+    page_url: childText($item, 'link'),
+    audio_url: null,
+    enclosure_type: enclosureType,
+    enclosure_length: parseInteger($enclosure.attr('length')),
+    duration: duration,
+    duration_seconds: parseDuration(duration),
+    image_url: children($item, 'itunes:image').attr('href') || null,
+    explicit: parseExplicit(childText($item, 'itunes:explicit')),
+    episode_type: childText($item, 'itunes:episodeType').toLowerCase() || null,
+    season: parseInteger(childText($item, 'itunes:season')) ?? parseInteger($season.text()),
+    season_name: $season.attr('name') || null,
+    episode_number: parseInteger(childText($item, 'itunes:episode')) ?? parseInteger($episode.text()),
+    episode_display: $episode.attr('display') || null,
+    transcripts: parseTranscripts($, $item),
+    chapters: $chapters.attr('url') ? { url: $chapters.attr('url'), type: $chapters.attr('type') || null } : null,
+    persons: parsePersons($, $item)
+  };
+
+  // Audio and video enclosures are episodes, others (PDF show notes and the like) aren't
+  if ($enclosure.attr('url') && (!enclosureType || /^(audio|video)\//.test(enclosureType))) {
+    episode.audio_url = $enclosure.attr('url');
+  }
+
+  return episode;
+};
+
+/**
+ * Parse an RSS 2.0 podcast feed
+ */
+const parseRssFeed = ($, url, maxEpisodes) => {
+  const $channel = $('channel').first();
+  const $locked = children($channel, 'podcast:locked').first();
+  const items = $channel.children('item');
+
+  const feedData = {
+    url,
+    title: childText($channel, 'title'),
+    description: childText($channel, 'description') || childText($channel, 'itunes:summary'),
+    author: childText($channel, 'itunes:author') || childText($channel, 'author') || childText($channel, 'managingEditor'),
+    image: children($channel, 'itunes:image').attr('href') || $channel.children('image').children('url').text().trim(),
+    link: childText($channel, 'link'),
+    language: childText($channel, 'language') || null,
+    podcastGuid: childText($channel, 'podcast:guid') || null,
+    medium: childText($channel, 'podcast:medium') || null,
+    itunesType: childText($channel, 'itunes:type').toLowerCase() || null,
+    explicit: parseExplicit(childText($channel, 'itunes:explicit')),
+    categories: parseCategories($, $channel),
+    owner: {
+      name: children($channel, 'itunes:owner').children('itunes\\:name').text().trim() || null,
+      email: children($channel, 'itunes:owner').children('itunes\\:email').text().trim() || null
+    },
+    complete: childText($channel, 'itunes:complete').toLowerCase() === 'yes',
+    newFeedUrl: childText($channel, 'itunes:new-feed-url') || null,
+    locked: $locked.length > 0 ? $locked.text().trim().toLowerCase() === 'yes' : null,
+    lockedOwner: $locked.attr('owner') || null,
+    funding: parseFunding($, $channel),
+    persons: parsePersons($, $channel),
+    ...catalogueTotals($, items),
+    episodes: []
+  };
+
+  const seen = new Set();
+  items.each((_, element) => {
+    if (feedData.episodes.length >= maxEpisodes) return false;
+
+    const episode = parseRssItem($, $(element));
+    if (!isEpisode(episode)) return;
+
+    const key = episodeKey(episode);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    feedData.episodes.push(episode);
+  });
+
+  return feedData;
+};
+
+/**
+ * Parse an Atom feed (no podcast namespaces, just entries with audio links)
+ */
+const parseAtomFeed = ($, url, maxEpisodes) => {
+  const $feed = $('feed').first();
+  const entries = $feed.children('entry');
+
+  const feedData = {
+    url,
+    title: childText($feed, 'title'),
+    description: childText($feed, 'subtitle'),
+    author: $feed.children('author').children('name').text().trim(),
+    image: childText($feed, 'logo'),
+    link: '',
+    language: $feed.attr('xml:lang') || null,
+    podcastGuid: null,
+    categories: $feed.children('category').toArray().map(element => $(element).attr('term')).filter(Boolean),
+    funding: [],
+    persons: [],
+    episodeCount: 0,
+    totalDurationSeconds: 0,
+    durationEpisodeCount: 0,
+    episodes: []
+  };
+
+  $feed.children('link').each((_, element) => {
+    const rel = $(element).attr('rel');
+    if (!rel || rel === 'alternate') {
+      feedData.link = $(element).attr('href');
+    }
+  });
+
+  // Every entry is read so episodeCount covers those past the cap, entries without an audio link aren't episodes
+  const seen = new Set();
+  entries.each((_, element) => {
+    const $entry = $(element);
+    const episode = {
+      title: childText($entry, 'title'),
+      description: childText($entry, 'summary') || childText($entry, 'content'),
+      published_date: childText($entry, 'published') || childText($entry, 'updated'),
+      guid: childText($entry, 'id') || null,
+      transcripts: [],
+      chapters: null,
+      persons: []
+    };
+
+    $entry.children('link').each((_, linkElement) => {
+      const rel = $(linkElement).attr('rel');
+      const type = $(linkElement).attr('type');
+
+      if (type && type.startsWith('audio/')) {
+        episode.audio_url = $(linkElement).attr('href');
+        episode.enclosure_type = type;
+        episode.enclosure_length = parseInteger($(linkElement).attr('length'));
+      } else if (!rel || rel === 'alternate') {
+        episode.page_url = $(linkElement).attr('href');
+      }
+    });
+
+    if (!isEpisode(episode)) return;
+
+    const key = episodeKey(episode);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    if (feedData.episodes.length < maxEpisodes) {
+      feedData.episodes.push(episode);
+    }
+  });
+
+  feedData.episodeCount = seen.size;
+  return feedData;
+};
+
+/**
+ * Parse a podcast feed document
+ * Episodes are deduplicated by GUID (falling back to the enclosure URL) and capped at
+ * PODCAST_FEED_MAX_EPISODES; episodeCount is the number of distinct episodes in the feed (past the cap too),
+ * and totalDurationSeconds the itunes:duration of all of them (durationEpisodeCount being the ones that have one).
+ * @param {string} xml - Feed XML
+ * @param {string} url - Feed URL
+ * @returns {object|null} - Feed data with episodes, or null if it isn't an RSS or Atom feed
+ */
+export const parsePodcastXml = (xml, url, options = {}) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const maxEpisodes = options.maxEpisodes || PODCAST_FEED_MAX_EPISODES;
+
+  if ($('channel').length > 0) return parseRssFeed($, url, maxEpisodes);
+  if ($('feed').length > 0) return parseAtomFeed($, url, maxEpisodes);
+  return null;
+};
+
+export default {
+  parsePodcastXml,
+  parseExplicit,
+  parseDuration
+};
@@ -0,0 +1,39 @@
+/**
+ * Read a response stream up to a byte cap (axios' timeout only covers the response headers)
+ * @returns {Promise<{buffer: Buffer, truncated: boolean}>}
+ */
+export const readCapped = (stream, maxBytes, timeout) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  const timer = setTimeout(() => stream.destroy(new Error(`Body not received within ${timeout}ms`)), timeout);
+
+  const finish = (truncated) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    resolve({ buffer: Buffer.concat(chunks), truncated });
+  };
+
+  stream.on('data', (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length > maxBytes) {
+      finish(true);
+      stream.destroy();
+    }
+  });
+  stream.on('end', () => finish(false));
+  stream.on('error', (error) => {
+    if (!done) {
+      done = true;
+      clearTimeout(timer);
+      reject(error);
+    }
+  });
+});
+
+export default {
+  readCapped
+};
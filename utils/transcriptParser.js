@@ -0,0 +1,185 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Transcript parsing
+ * Turns the transcript formats of the Podcasting 2.0 podcast:transcript tag (WebVTT, SRT, JSON, HTML,
+ * plain text) into plain text, one line per speaker turn where the format names speakers, and
+ * finds transcripts written out on episode pages.
+ * Formats: https://github.com/Podcastindex-org/podcast-namespace/blob/main/transcripts/transcripts.md
+ */
+
+// Shorter blocks are "Read the transcript" links and teasers, not transcripts
+const MIN_PAGE_TRANSCRIPT_WORDS = 150;
+
+const TIMING_LINE = /^\s*(\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}\s*-->\s*(\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}/;
+
+/**
+ * Join caption lines into text
+ * Captions repeat words across cues (rolling captions) and split sentences, so repeated lines are
+ * dropped and a line only starts a new paragraph when the speaker changes.
+ */
+const joinCaptions = (cues) => {
+  const paragraphs = [];
+  let previousText = null;
+
+  for (const { speaker, text } of cues) {
+    if (!text || text === previousText) continue;
+    previousText = text;
+
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && (!speaker || speaker === last.speaker)) {
+      last.text += ` ${text}`;
+    } else {
+      paragraphs.push({ speaker, text });
+    }
+  }
+
+  return paragraphs.map(({ speaker, text }) => (speaker ? `${speaker}: ${text}` : text)).join('\n');
+};
+
+/**
+ * WebVTT or SRT cues as { speaker, text }
+ */
+const parseCues = (body) => {
+  const cues = [];
+
+  body.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex === -1) return;
+
+    let speaker = null;
+    const text = lines.slice(timingIndex + 1)
+      .map(line => {
+        // <v Speaker Name> voice spans (WebVTT), "Speaker Name:" prefixes are left in the text
+        const voice = line.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+        if (voice) speaker = voice[1].trim();
+        return line.replace(/<[^>]+>/g, '').trim();
+      })
+      .filter(Boolean)
+      .join(' ');
+
+    cues.push({ speaker, text: cheerio.load(text).text() });
+  });
+
+  return cues;
+};
+
+/**
+ * Podcasting 2.0 JSON transcripts ({ segments: [{ speaker, startTime, endTime, body }] })
+ */
+const parseJsonTranscript = (body) => {
+  const data = typeof body === 'string' ? JSON.parse(body) : body;
+  const segments = Array.isArray(data) ? data : (data.segments || []);
+
+  return segments.map(segment => ({
+    speaker: segment.speaker ? String(segment.speaker).trim() : null,
+    text: String(segment.body || '').trim()
+  }));
+};
+
+/**
+ * Text of an HTML fragment with block elements on their own lines
+ */
+export const htmlToText = (html) => {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, nav, header, footer, button, form').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, h1, h2, h3, h4, h5, h6, dt, dd, tr, blockquote').each((_, element) => {
+    $(element).append('\n');
+  });
+
+  return $.root().text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Convert a transcript to plain text
+ * @param {string} body - Transcript file contents
+ * @param {string} type - MIME type from the podcast:transcript tag (or the response)
+ * @returns {string} - Text, empty if the transcript can't be read
+ */
+export const transcriptToText = (body, type = '') => {
+  try {
+    if (!body) return '';
+    const normalizedType = (type || '').toLowerCase();
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+    if (normalizedType.includes('json')) {
+      return joinCaptions(parseJsonTranscript(body));
+    }
+    // Untyped JSON, plain text can start with "[Music]" too
+    if (/^\s*[[{]/.test(text)) {
+      try {
+        return joinCaptions(parseJsonTranscript(text));
+      } catch (jsonError) {
+        // Not JSON
+      }
+    }
+    if (normalizedType.includes('vtt') || normalizedType.includes('srt') || normalizedType.includes('subrip') ||
+        text.trimStart().startsWith('WEBVTT') || TIMING_LINE.test(text.split('\n').slice(0, 5).join('\n'))) {
+      return joinCaptions(parseCues(text));
+    }
+    if (normalizedType.includes('html') || /<(p|div|br|span|html)[\s>/]/i.test(text)) {
+      return htmlToText(text);
+    }
+    return text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Number of words in a text
+ */
+export const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * Transcript written out on a page
+ * Looks for an element marked as a transcript (id or class), then for a "Transcript" heading
+ * followed by the transcript.
+ * @param {string} html - Page HTML
+ * @returns {string|null} - Transcript text, null if the page has none
+ */
+export const findPageTranscript = (html) => {
+  const $ = cheerio.load(html || '');
+  const candidates = [];
+
+  $('[id*="transcript" i], [class*="transcript" i]').each((_, element) => {
+    // Buttons and links that open a transcript aren't one
+    if (['html', 'body', 'a', 'button', 'input', 'script', 'style'].includes(element.tagName)) return;
+    candidates.push(htmlToText($.html(element)));
+  });
+
+  $('h1, h2, h3, h4, h5, h6').each((_, element) => {
+    if (!/^\s*(full |episode |show )?transcript(ion)?\s*:?\s*$/i.test($(element).text())) return;
+
+    const level = element.tagName;
+    const parts = [];
+    let $next = $(element).next();
+    // Up to the next heading of the same or a higher level
+    while ($next.length > 0 && !($next.is('h1, h2, h3, h4, h5, h6') && $next.prop('tagName').toLowerCase() <= level)) {
+      parts.push($.html($next));
+      $next = $next.next();
+    }
+    candidates.push(htmlToText(parts.join('')));
+  });
+
+  // The innermost transcript, outer matches ("has-transcript" layouts) carry the rest of the page
+  const best = candidates
+    .filter(text => countWords(text) >= MIN_PAGE_TRANSCRIPT_WORDS)
+    .sort((a, b) => a.length - b.length)[0];
+
+  return best || null;
+};
+
+export default {
+  transcriptToText,
+  htmlToText,
+  countWords,
+  findPageTranscript
+};